@@ -18,6 +18,13 @@ class DIDSchema extends Schema.API {
       return { ok: /** @type {API.DID<Method>} */ (source) }
     }
   }
+  /**
+   * @returns {Schema.Description}
+   */
+  describe() {
+    const method = this.settings
+    return method ? { kind: 'did', method } : { kind: 'did' }
+  }
 }
 
 const schema = Schema.string().refine(new DIDSchema())
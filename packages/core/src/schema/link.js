@@ -74,6 +74,20 @@ class LinkSchema extends Schema.API {
       }
     }
   }
+  /**
+   * @returns {Schema.Description}
+   */
+  describe() {
+    const { code, version, multihash = {} } = this.settings
+    return {
+      kind: 'link',
+      ...(code != null ? { code } : {}),
+      ...(version != null ? { version } : {}),
+      ...(multihash.code != null
+        ? { multihash: { code: multihash.code } }
+        : {}),
+    }
+  }
 }
 
 /** @type {Schema.Schema<API.Link<unknown, number, number, 0|1>, unknown>}  */
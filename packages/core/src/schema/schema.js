@@ -23,6 +23,15 @@ export class API {
   toString() {
     return `new ${this.constructor.name}()`
   }
+  /**
+   * Schemas that do not know how to describe themselves are described by
+   * their name.
+   *
+   * @returns {Schema.Description}
+   */
+  describe() {
+    return { kind: 'custom', name: this.toString() }
+  }
   /**
    * @abstract
    * @param {I} input
@@ -152,6 +161,12 @@ class Never extends API {
   toString() {
     return 'never()'
   }
+  /**
+   * @returns {Schema.Description}
+   */
+  describe() {
+    return { kind: 'never' }
+  }
   /**
    * @param {I} input
    * @returns {Schema.ReadResult<never>}
@@ -182,6 +197,12 @@ class Unknown extends API {
   toString() {
     return 'unknown()'
   }
+  /**
+   * @returns {Schema.Description}
+   */
+  describe() {
+    return { kind: 'unknown' }
+  }
 }
 
 /**
@@ -221,6 +242,15 @@ class Nullable extends API {
   toString() {
     return `${this.settings}.nullable()`
   }
+  /**
+   * @returns {Schema.Description}
+   */
+  describe() {
+    return {
+      kind: 'nullable',
+      of: describe(this.settings),
+    }
+  }
 }
 
 /**
@@ -253,6 +283,15 @@ class Optional extends API {
   toString() {
     return `${this.settings}.optional()`
   }
+  /**
+   * @returns {Schema.Description}
+   */
+  describe() {
+    return {
+      kind: 'optional',
+      of: describe(this.settings),
+    }
+  }
 }
 
 /**
@@ -298,6 +337,16 @@ class Default extends API {
       this.settings.value
     )})`
   }
+  /**
+   * @returns {Schema.Description}
+   */
+  describe() {
+    return {
+      kind: 'default',
+      of: describe(this.settings.reader),
+      value: this.settings.value,
+    }
+  }
 
   get value() {
     return this.settings.value
@@ -345,6 +394,12 @@ class ArrayOf extends API {
   toString() {
     return `array(${this.element})`
   }
+  /**
+   * @returns {Schema.Description}
+   */
+  describe() {
+    return { kind: 'array', of: describe(this.element) }
+  }
 }
 
 /**
@@ -397,6 +452,15 @@ class Tuple extends API {
   toString() {
     return `tuple([${this.shape.map(reader => reader.toString()).join(', ')}])`
   }
+  /**
+   * @returns {Schema.Description}
+   */
+  describe() {
+    return {
+      kind: 'tuple',
+      items: this.shape.map(describe),
+    }
+  }
 }
 
 /**
@@ -468,6 +532,16 @@ class Dictionary extends API {
   toString() {
     return `dictionary(${this.settings})`
   }
+  /**
+   * @returns {Schema.Description}
+   */
+  describe() {
+    return {
+      kind: 'dictionary',
+      key: describe(this.key),
+      value: describe(this.value),
+    }
+  }
 }
 
 /**
@@ -507,6 +581,15 @@ class Enum extends API {
   toString() {
     return this.settings.type
   }
+  /**
+   * @returns {Schema.Description}
+   */
+  describe() {
+    return {
+      kind: 'enum',
+      values: /** @type {string[]} */ ([...this.settings.variants]),
+    }
+  }
 }
 
 /**
@@ -554,6 +637,15 @@ class Union extends API {
   toString() {
     return `union([${this.variants.map(type => type.toString()).join(', ')}])`
   }
+  /**
+   * @returns {Schema.Description}
+   */
+  describe() {
+    return {
+      kind: 'union',
+      variants: this.variants.map(describe),
+    }
+  }
 }
 
 /**
@@ -607,6 +699,15 @@ class Intersection extends API {
       .map(type => type.toString())
       .join(',')}])`
   }
+  /**
+   * @returns {Schema.Description}
+   */
+  describe() {
+    return {
+      kind: 'intersection',
+      variants: this.settings.map(describe),
+    }
+  }
 }
 
 /**
@@ -651,6 +752,12 @@ class Boolean extends API {
   toString() {
     return `boolean()`
   }
+  /**
+   * @returns {Schema.Description}
+   */
+  describe() {
+    return { kind: 'boolean' }
+  }
 }
 
 /** @type {Schema.Schema<boolean, unknown>} */
@@ -707,6 +814,12 @@ class AnyNumber extends UnknownNumber {
   toString() {
     return `number()`
   }
+  /**
+   * @returns {Schema.Description}
+   */
+  describe() {
+    return { kind: 'number' }
+  }
 }
 
 /** @type {Schema.NumberSchema<number, unknown>} */
@@ -733,6 +846,12 @@ class RefinedNumber extends UnknownNumber {
   toString() {
     return `${this.settings.base}.refine(${this.settings.schema})`
   }
+  /**
+   * @returns {Schema.Description}
+   */
+  describe() {
+    return refined(this.settings.base, this.settings.schema)
+  }
 }
 
 /**
@@ -755,6 +874,12 @@ class LessThan extends API {
   toString() {
     return `lessThan(${this.settings})`
   }
+  /**
+   * @returns {Schema.Description}
+   */
+  describe() {
+    return { kind: 'lessThan', value: this.settings }
+  }
 }
 
 /**
@@ -784,6 +909,12 @@ class GreaterThan extends API {
   toString() {
     return `greaterThan(${this.settings})`
   }
+  /**
+   * @returns {Schema.Description}
+   */
+  describe() {
+    return { kind: 'greaterThan', value: this.settings }
+  }
 }
 
 /**
@@ -809,6 +940,12 @@ const Integer = {
   toString() {
     return `Integer`
   },
+  /**
+   * @returns {Schema.Description}
+   */
+  describe() {
+    return { kind: 'integer' }
+  },
 }
 
 const anyInteger = anyNumber.refine(Integer)
@@ -861,6 +998,12 @@ class Uint64Schema extends API {
   toString() {
     return `uint64`
   }
+  /**
+   * @returns {Schema.Description}
+   */
+  describe() {
+    return { kind: 'uint64' }
+  }
 }
 
 /** @type {Schema.Schema<Schema.Uint64, unknown>} */
@@ -894,6 +1037,12 @@ const Float = {
   toString() {
     return 'Float'
   },
+  /**
+   * @returns {Schema.Description}
+   */
+  describe() {
+    return { kind: 'float' }
+  },
 }
 
 const anyFloat = anyNumber.refine(Float)
@@ -961,6 +1110,12 @@ class RefinedString extends UnknownString {
   toString() {
     return `${this.settings.base}.refine(${this.settings.schema})`
   }
+  /**
+   * @returns {Schema.Description}
+   */
+  describe() {
+    return refined(this.settings.base, this.settings.schema)
+  }
 }
 
 /**
@@ -978,6 +1133,12 @@ class AnyString extends UnknownString {
       ? { ok: input }
       : typeError({ expect: 'string', actual: input })
   }
+  /**
+   * @returns {Schema.Description}
+   */
+  describe() {
+    return { kind: 'string' }
+  }
 }
 
 /** @type {Schema.StringSchema<string, unknown>} */
@@ -1000,6 +1161,12 @@ class BytesSchema extends API {
       return typeError({ expect: 'Uint8Array', actual: input })
     }
   }
+  /**
+   * @returns {Schema.Description}
+   */
+  describe() {
+    return { kind: 'bytes' }
+  }
 }
 
 /** @type {Schema.Schema<Uint8Array, unknown>} */
@@ -1032,6 +1199,12 @@ class StartsWith extends API {
   toString() {
     return `startsWith("${this.prefix}")`
   }
+  /**
+   * @returns {Schema.Description}
+   */
+  describe() {
+    return { kind: 'startsWith', value: this.prefix }
+  }
 }
 
 /**
@@ -1065,6 +1238,12 @@ class EndsWith extends API {
   toString() {
     return `endsWith("${this.suffix}")`
   }
+  /**
+   * @returns {Schema.Description}
+   */
+  describe() {
+    return { kind: 'endsWith', value: this.suffix }
+  }
 }
 
 /**
@@ -1094,6 +1273,12 @@ class Refine extends API {
   toString() {
     return `${this.settings.base}.refine(${this.settings.schema})`
   }
+  /**
+   * @returns {Schema.Description}
+   */
+  describe() {
+    return refined(this.settings.base, this.settings.schema)
+  }
 }
 
 /**
@@ -1136,6 +1321,12 @@ class Literal extends API {
   toString() {
     return `literal(${toString(this.value)})`
   }
+  /**
+   * @returns {Schema.Description}
+   */
+  describe() {
+    return { kind: 'literal', value: this.value }
+  }
 }
 
 /**
@@ -1214,6 +1405,16 @@ class Struct extends API {
     ].join('')
   }
 
+  /**
+   * @returns {Schema.Description}
+   */
+  describe() {
+    return {
+      kind: 'struct',
+      fields: describeFields(this.shape),
+    }
+  }
+
   /**
    * @param {Schema.InferStructSource<U>} data
    */
@@ -1344,6 +1545,16 @@ class Variant extends API {
   create(source) {
     return /** @type {O} */ (this.from(source))
   }
+
+  /**
+   * @returns {Schema.Description}
+   */
+  describe() {
+    return {
+      kind: 'variant',
+      variants: describeFields(this.settings),
+    }
+  }
 }
 
 /**
@@ -1404,6 +1615,44 @@ class Variant extends API {
  */
 export const variant = variants => new Variant(variants)
 
+/**
+ * Returns serializable description of the given schema. Readers that do not
+ * know how to describe themselves are described by their name.
+ *
+ * @param {Schema.Reader} reader
+ * @returns {Schema.Description}
+ */
+export const describe = reader =>
+  typeof (/** @type {Partial<Schema.Schema>} */ (reader).describe) ===
+  'function'
+    ? /** @type {Schema.Schema} */ (reader).describe()
+    : { kind: 'custom', name: String(reader) }
+
+/**
+ * Describes refined schema as the base schema with the refinement appended
+ * to its list of refinements.
+ *
+ * @param {Schema.Reader} base
+ * @param {Schema.Reader} refinement
+ * @returns {Schema.Description}
+ */
+const refined = (base, refinement) => {
+  const { refinements = [], ...description } = describe(base)
+  return /** @type {Schema.Description} */ ({
+    ...description,
+    refinements: [...refinements, describe(refinement)],
+  })
+}
+
+/**
+ * @param {{[key:string]: Schema.Reader}} shape
+ * @returns {Record<string, Schema.Description>}
+ */
+const describeFields = shape =>
+  Object.fromEntries(
+    Object.entries(shape).map(([key, reader]) => [key, describe(reader)])
+  )
+
 /**
  * @param {string} message
  * @returns {{error: Schema.Error, ok?: undefined}}
@@ -32,4 +32,13 @@ class Match extends Schema.API {
       return { ok: source }
     }
   }
+  /**
+   * @returns {Schema.Description}
+   */
+  describe() {
+    return {
+      kind: 'match',
+      pattern: String(this.settings),
+    }
+  }
 }
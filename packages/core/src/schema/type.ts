@@ -1,10 +1,16 @@
-import { Failure as Error, Result, Variant, Phantom } from '@ucanto/interface'
+import {
+  Failure as Error,
+  Result,
+  Variant,
+  Phantom,
+  SchemaDescription as Description,
+} from '@ucanto/interface'
 
 export interface Reader<O = unknown, I = unknown, X extends Error = Error> {
   read(input: I): Result<O, X>
 }
 
-export type { Error, Result }
+export type { Error, Result, Description }
 
 export type ReadResult<T, X extends Error = Error> = Result<T, X>
 
@@ -24,6 +30,11 @@ export interface Schema<
 
   is(value: unknown): value is O
   from(value: I): O
+
+  /**
+   * Returns serializable description of the schema.
+   */
+  describe(): Description
 }
 
 export interface DefaultSchema<
@@ -34,6 +34,13 @@ class URISchema extends Schema.API {
       return Schema.error(`Invalid URI`)
     }
   }
+  /**
+   * @returns {Schema.Description}
+   */
+  describe() {
+    const { protocol } = this.settings
+    return protocol != null ? { kind: 'uri', protocol } : { kind: 'uri' }
+  }
 }
 
 const schema = new URISchema({})
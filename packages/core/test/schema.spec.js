@@ -678,3 +678,144 @@ test('bytes schema', () => {
 
   matchError(schema.read([...bytes]), /expect.* Uint8Array .* got array/is)
 })
+
+test('describe schemas', () => {
+  assert.deepEqual(Schema.unknown().describe(), { kind: 'unknown' })
+  assert.deepEqual(Schema.never().describe(), { kind: 'never' })
+  assert.deepEqual(Schema.boolean().describe(), { kind: 'boolean' })
+  assert.deepEqual(Schema.uint64().describe(), { kind: 'uint64' })
+  assert.deepEqual(Schema.bytes().describe(), { kind: 'bytes' })
+  assert.deepEqual(Schema.literal('hi').describe(), {
+    kind: 'literal',
+    value: 'hi',
+  })
+  assert.deepEqual(Schema.enum(['a', 'b']).describe(), {
+    kind: 'enum',
+    values: ['a', 'b'],
+  })
+
+  assert.deepEqual(Schema.integer().greaterThan(0).describe(), {
+    kind: 'number',
+    refinements: [{ kind: 'integer' }, { kind: 'greaterThan', value: 0 }],
+  })
+  assert.deepEqual(Schema.float().lessThan(1).describe(), {
+    kind: 'number',
+    refinements: [{ kind: 'float' }, { kind: 'lessThan', value: 1 }],
+  })
+  assert.deepEqual(Schema.string().startsWith('a').endsWith('z').describe(), {
+    kind: 'string',
+    refinements: [
+      { kind: 'startsWith', value: 'a' },
+      { kind: 'endsWith', value: 'z' },
+    ],
+  })
+  assert.deepEqual(Schema.text({ pattern: /^\d+$/ }).describe(), {
+    kind: 'string',
+    refinements: [{ kind: 'match', pattern: '/^\\d+$/' }],
+  })
+
+  assert.deepEqual(Schema.did().describe(), {
+    kind: 'string',
+    refinements: [{ kind: 'did' }],
+  })
+  assert.deepEqual(Schema.did({ method: 'key' }).describe(), {
+    kind: 'string',
+    refinements: [{ kind: 'did', method: 'key' }],
+  })
+  assert.deepEqual(Schema.URI.uri().describe(), { kind: 'uri' })
+  assert.deepEqual(Schema.uri({ protocol: 'did:' }).describe(), {
+    kind: 'uri',
+    protocol: 'did:',
+  })
+  assert.deepEqual(Schema.link().describe(), { kind: 'link' })
+  assert.deepEqual(
+    Schema.link({
+      code: 0x71,
+      version: 1,
+      multihash: { code: 0x12 },
+    }).describe(),
+    { kind: 'link', code: 0x71, version: 1, multihash: { code: 0x12 } }
+  )
+
+  assert.deepEqual(
+    Schema.struct({
+      name: Schema.string().optional(),
+      tags: Schema.string().array().nullable(),
+      size: Schema.integer().default(0),
+      type: 'file',
+    }).describe(),
+    {
+      kind: 'struct',
+      fields: {
+        name: { kind: 'optional', of: { kind: 'string' } },
+        tags: {
+          kind: 'nullable',
+          of: { kind: 'array', of: { kind: 'string' } },
+        },
+        size: {
+          kind: 'default',
+          of: { kind: 'number', refinements: [{ kind: 'integer' }] },
+          value: 0,
+        },
+        type: { kind: 'literal', value: 'file' },
+      },
+    }
+  )
+
+  assert.deepEqual(
+    Schema.tuple([Schema.string(), Schema.number()]).describe(),
+    { kind: 'tuple', items: [{ kind: 'string' }, { kind: 'number' }] }
+  )
+  assert.deepEqual(Schema.dictionary({ value: Schema.boolean() }).describe(), {
+    kind: 'dictionary',
+    key: { kind: 'string' },
+    value: { kind: 'boolean' },
+  })
+  assert.deepEqual(Schema.string().or(Schema.number()).describe(), {
+    kind: 'union',
+    variants: [{ kind: 'string' }, { kind: 'number' }],
+  })
+  assert.deepEqual(Schema.string().and(Schema.unknown()).describe(), {
+    kind: 'intersection',
+    variants: [{ kind: 'string' }, { kind: 'unknown' }],
+  })
+  assert.deepEqual(
+    Schema.variant({ ok: Schema.unknown(), error: Schema.never() }).describe(),
+    {
+      kind: 'variant',
+      variants: { ok: { kind: 'unknown' }, error: { kind: 'never' } },
+    }
+  )
+})
+
+test('describe custom schemas', () => {
+  class Even extends Schema.API {
+    /**
+     * @param {number} input
+     */
+    readWith(input) {
+      return input % 2 === 0 ? { ok: input } : Schema.error('Expected even')
+    }
+  }
+
+  const Odd = {
+    /**
+     * @param {number} input
+     */
+    read: input => (input % 2 === 1 ? { ok: input } : Schema.error('Odd')),
+    toString: () => 'Odd',
+  }
+
+  assert.deepEqual(new Even().describe(), {
+    kind: 'custom',
+    name: 'new Even()',
+  })
+  assert.deepEqual(Schema.integer().refine(new Even()).describe(), {
+    kind: 'number',
+    refinements: [{ kind: 'integer' }, { kind: 'custom', name: 'new Even()' }],
+  })
+  assert.deepEqual(Schema.unknown().refine(Odd).describe(), {
+    kind: 'unknown',
+    refinements: [{ kind: 'custom', name: 'Odd' }],
+  })
+})
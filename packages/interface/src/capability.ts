@@ -13,11 +13,17 @@ import {
   UCANOptions,
   Verifier,
   Unit,
+  Fact,
 } from './lib.js'
 
 export interface Source {
   capability: { can: Ability; with: URI; nb?: Caveats }
   delegation: Delegation
+  /**
+   * Authorization of the `ucan/attest` session delegation was validated with,
+   * if its issuer was not verified by the signature.
+   */
+  session?: Authorization
 }
 
 export interface Match<T = unknown, M extends Match = UnknownMatch>
@@ -117,6 +123,21 @@ export interface Derives<T extends ParsedCapability, U = T> {
   (claim: T, proof: U): Result<{}, Failure>
 }
 
+/**
+ * Checks that `claimed` value of the capability field (resource or caveat)
+ * satisfies the `delegated` value of the same field.
+ */
+export interface CaveatDerives<T = any> {
+  (claimed: T, delegated: T): Result<{}, Failure>
+}
+
+/**
+ * Derivations for the caveats of the capability, keyed by the caveat name.
+ */
+export type CaveatDerivations<Caveats> = {
+  [Name in keyof Caveats]?: CaveatDerives<Exclude<Caveats[Name], undefined>>
+}
+
 export interface View<M extends Match> extends Matcher<M>, Selector<M> {
   /**
    * Defined a derived capability which can be delegated from `this` capability.
@@ -154,8 +175,72 @@ export interface View<M extends Match> extends Matcher<M>, Selector<M> {
     to: TheCapabilityParser<DirectMatch<T>>
     derives: Derives<T, InferDeriveProof<M['value']>>
   }): TheCapabilityParser<DerivedMatch<T, M>>
+
+  /**
+   * Returns serializable descriptions of the capabilities this view matches.
+   * View composed from several capabilities (e.g. via `or`) will return a
+   * description for each one of them.
+   */
+  describe(): CapabilityDescription[]
 }
 
+/**
+ * Serializable description of the capability.
+ */
+export interface CapabilityDescription {
+  can: Ability
+  /**
+   * Description of the schema for the capability `with` field.
+   */
+  with: SchemaDescription
+  /**
+   * Description of the schema for the capability `nb` field.
+   */
+  nb: SchemaDescription
+}
+
+/**
+ * Serializable description of the schema. Refined schemas are described by
+ * the description of the base schema with the descriptions of the applied
+ * refinements listed under `refinements`. Schemas that do not know how to
+ * describe themselves are described as `custom` by their name.
+ */
+export type SchemaDescription = (
+  | {
+      kind:
+        | 'unknown'
+        | 'never'
+        | 'boolean'
+        | 'number'
+        | 'integer'
+        | 'float'
+        | 'uint64'
+        | 'string'
+        | 'bytes'
+    }
+  | { kind: 'literal'; value: null | boolean | string | number }
+  | { kind: 'optional' | 'nullable' | 'array'; of: SchemaDescription }
+  | { kind: 'default'; of: SchemaDescription; value: unknown }
+  | { kind: 'tuple'; items: SchemaDescription[] }
+  | { kind: 'dictionary'; key: SchemaDescription; value: SchemaDescription }
+  | { kind: 'enum'; values: string[] }
+  | { kind: 'union' | 'intersection'; variants: SchemaDescription[] }
+  | { kind: 'struct'; fields: Record<string, SchemaDescription> }
+  | { kind: 'variant'; variants: Record<string, SchemaDescription> }
+  | { kind: 'lessThan' | 'greaterThan'; value: number }
+  | { kind: 'startsWith' | 'endsWith'; value: string }
+  | { kind: 'match'; pattern: string }
+  | { kind: 'did'; method?: string }
+  | { kind: 'uri'; protocol?: string }
+  | {
+      kind: 'link'
+      code?: number
+      version?: number
+      multihash?: { code?: number }
+    }
+  | { kind: 'custom'; name: string }
+) & { refinements?: SchemaDescription[] }
+
 export interface TheCapabilityParser<M extends Match<ParsedCapability>>
   extends CapabilityParser<M> {
   readonly can: M['value']['can']
@@ -349,6 +434,101 @@ export interface ProofResolver extends PrincipalOptions {
    * be able to explore corresponding path within a proof chain.
    */
   resolve?: (proof: Link) => Await<Result<Delegation, UnavailableProof>>
+
+  /**
+   * You can provide a batch proof resolver that validator will call with all
+   * the external proofs it needs at a given level of the proof chain, so that
+   * they can be resolved in a single round trip. It must return results in
+   * the order of the given links. When provided it is used instead of the
+   * `resolve`.
+   */
+  resolveMany?: (
+    proofs: Link[]
+  ) => Await<Result<Delegation, UnavailableProof>[]>
+
+  /**
+   * Cache that validator will look up external proofs in before resolving
+   * them, and will add resolved proofs to. Pass the same cache across
+   * validations to benefit from it.
+   */
+  proofCache?: ProofCache
+}
+
+/**
+ * Cache of the resolved proofs, keyed by their links. Delegations are content
+ * addressed so cached entries never go stale.
+ */
+export interface ProofCache {
+  /**
+   * Returns delegation for the given link if it was cached.
+   */
+  get(link: UCANLink): Await<Delegation | undefined>
+  /**
+   * Caches resolved delegation.
+   */
+  add(delegation: Delegation): Await<void>
+}
+
+/**
+ * Limits on the amount of work validator does exploring proof chains.
+ */
+export interface ProofLimits {
+  /**
+   * Maximum number of proofs a single delegation may link to. Proofs of the
+   * delegation exceeding the limit are not resolved.
+   */
+  readonly maxProofs?: number
+  /**
+   * Maximum depth of the proof chain validator will explore, where proofs of
+   * the invocation are at depth `1`, their proofs at depth `2` and so on.
+   */
+  readonly maxProofDepth?: number
+}
+
+export interface ProofLimiter {
+  /**
+   * Limits on the proof chain exploration. By default there are no limits.
+   */
+  limits?: ProofLimits
+}
+
+/**
+ * Options controlling how validator checks time bounds of the invocations
+ * and delegations.
+ */
+export interface TimeOptions {
+  /**
+   * Returns current time as UTC Unix timestamp (in seconds) that time bounds
+   * are checked against. Defaults to the local wall clock.
+   */
+  clock?: () => UCAN.UTCUnixTimestamp
+  /**
+   * Number of seconds clocks of the issuers are allowed to be off by. Expired
+   * and not yet valid UCANs are accepted when within the tolerance. Defaults
+   * to `0`.
+   */
+  clockSkew?: number
+  /**
+   * Maximum lifetime policies for invocations and delegations. By default
+   * lifetime is not limited.
+   */
+  maxLifetime?: LifetimePolicy
+}
+
+/**
+ * Maximum number of seconds UCANs may remain valid for, keyed by ability. Limit
+ * under `*` key applies to all abilities that do not have one set. When UCAN
+ * has several capabilities the smallest limit applies.
+ */
+export interface LifetimePolicy {
+  /**
+   * Limits for the invocations being validated.
+   */
+  invocation?: Partial<Record<Ability, number>>
+  /**
+   * Limits for the delegations in the proof chain.
+   */
+  delegation?: Partial<Record<Ability, number>>
 }
 
 export interface RevocationChecker {
@@ -357,6 +537,65 @@ export interface RevocationChecker {
   ) => Await<Result<Unit, Revoked>>
 }
 
+/**
+ * Cache of the successfully verified delegation signatures, keyed by the
+ * delegation CID and the did:key of the verifier.
+ */
+export interface SignatureCache {
+  /**
+   * Returns `true` if valid signature was recorded under the given key and
+   * the record has not expired by the given time (UTC Unix timestamp in
+   * seconds), which is the current time of the validator clock.
+   */
+  has(key: string, now: UCAN.UTCUnixTimestamp): Await<boolean>
+  /**
+   * Records valid signature under the given key until the given expiration
+   * time (UTC Unix timestamp in seconds).
+   */
+  add(key: string, expiration: UCAN.UTCUnixTimestamp): Await<void>
+}
+
+export interface SignatureVerifier {
+  /**
+   * Cache that validator will use to avoid verifying the same signatures
+   * over and over. Pass the same cache across validations to benefit from it.
+   */
+  signatureCache?: SignatureCache
+}
+
+/**
+ * Record of the UCAN revocation.
+ */
+export interface Revocation {
+  /**
+   * Link to the revoked UCAN.
+   */
+  ucan: UCANLink
+  /**
+   * Principal that revoked the UCAN, which is an issuer of the revoked UCAN
+   * or of one of its proofs.
+   */
+  revoker: DID
+  /**
+   * Link to the invocation that revoked the UCAN.
+   */
+  cause: UCANLink
+}
+
+/**
+ * Storage for UCAN revocations.
+ */
+export interface RevocationStore {
+  /**
+   * Returns `true` if UCAN with the given link has been revoked.
+   */
+  has(ucan: UCANLink): Await<boolean>
+  /**
+   * Records given revocation.
+   */
+  add(revocation: Revocation): Await<void>
+}
+
 export interface Validator {
   /**
    * Validator must be provided a `Verifier` corresponding to local authority.
@@ -376,7 +615,11 @@ export interface ValidationOptions<
     PrincipalOptions,
     PrincipalResolver,
     ProofResolver,
-    RevocationChecker {
+    ProofLimiter,
+    TimeOptions,
+    SignatureVerifier,
+    RevocationChecker,
+    Explainer {
   capability: CapabilityParser<Match<C, any>>
 }
 
@@ -386,7 +629,78 @@ export interface ClaimOptions
     PrincipalOptions,
     PrincipalResolver,
     ProofResolver,
-    RevocationChecker {}
+    ProofLimiter,
+    TimeOptions,
+    SignatureVerifier,
+    RevocationChecker,
+    Explainer {}
+
+/**
+ * Delegation that has been verified to be authorized by its issuer.
+ */
+export interface Verified<T extends Delegation = Delegation> {
+  delegation: T
+  /**
+   * Authorization of the `ucan/attest` session if delegation was authorized
+   * by one instead of the issuer signature.
+   */
+  session?: Authorization
+}
+
+export interface CheckOptions
+  extends Omit<ClaimOptions, 'validateAuthorization'>,
+    Partial<RevocationChecker> {
+  /**
+   * Parsers for the capabilities delegation may contain. Capabilities that
+   * none of them can parse are reported as unknown.
+   */
+  capabilities: CapabilityParser<Match<ParsedCapability, any>>[]
+  /**
+   * Delegations shared along with the checked one, which it may need to be
+   * validated with, e.g. `ucan/attest` sessions attesting it.
+   */
+  proofs?: Delegation[]
+}
+
+export interface PlanOptions extends Omit<CheckOptions, 'capabilities'> {
+  /**
+   * Capability to be invoked.
+   */
+  capability: Capability
+  /**
+   * Principal that will issue the invocation, which is the audience of the
+   * delegations proofs are planned from.
+   */
+  audience: UCAN.Principal
+  /**
+   * Delegations to plan proofs from. Linked proofs are looked up in them
+   * before falling back to the `resolveMany` or `resolve`.
+   */
+  proofs: Delegation[]
+  /**
+   * Parsers for the capability to be invoked.
+   */
+  parsers: CapabilityParser<Match<ParsedCapability, any>>[]
+}
+
+/**
+ * Outcome of checking whether delegated capability is backed by the proofs
+ * of the delegation.
+ */
+export interface CapabilityCheck {
+  /**
+   * Capability of the delegation that was checked.
+   */
+  capability: Capability
+  /**
+   * Authorization with the proof chain backing the capability, or an error
+   * describing why capability is not backed.
+   */
+  result: Result<
+    Authorization<ParsedCapability>,
+    Unauthorized | UnknownCapability
+  >
+}
 
 export interface DelegationError extends Failure {
   name: 'InvalidClaim'
@@ -428,6 +742,13 @@ export interface DIDKeyResolutionError extends Failure {
   readonly cause?: Failure
 }
 
+export interface ProofLimitExceeded extends Failure {
+  readonly name: 'ProofLimitExceeded'
+  readonly delegation: Delegation
+  readonly limit: keyof ProofLimits
+  readonly value: number
+}
+
 export interface Expired extends Failure {
   readonly name: 'Expired'
   readonly delegation: Delegation
@@ -445,6 +766,30 @@ export interface NotValidBefore extends Failure {
   readonly validAt: number
 }
 
+export interface LifetimeExceeded extends Failure {
+  readonly name: 'LifetimeExceeded'
+  readonly delegation: Delegation
+  /**
+   * Number of seconds UCAN remains valid for.
+   */
+  readonly lifetime: number
+  /**
+   * Maximum number of seconds UCAN was allowed to remain valid for.
+   */
+  readonly maxLifetime: number
+}
+
+export interface UCANNotFound extends Failure {
+  readonly name: 'UCANNotFound'
+  readonly ucan: UCANLink
+}
+
+export interface UnauthorizedRevocation extends Failure {
+  readonly name: 'UnauthorizedRevocation'
+  readonly delegation: Delegation
+  readonly revoker: DID
+}
+
 export interface InvalidSignature extends Failure {
   readonly name: 'InvalidSignature'
   readonly issuer: UCAN.Principal
@@ -465,11 +810,13 @@ export type InvalidProof =
   | Expired
   | Revoked
   | NotValidBefore
+  | LifetimeExceeded
   | InvalidSignature
   | InvalidAudience
   | SessionEscalation
   | DIDKeyResolutionError
   | UnavailableProof
+  | ProofLimitExceeded
 
 export interface Unauthorized extends Failure {
   name: 'Unauthorized'
@@ -478,6 +825,68 @@ export interface Unauthorized extends Failure {
   unknownCapabilities: Capability[]
   invalidProofs: InvalidProof[]
   failedProofs: InvalidClaim[]
+
+  /**
+   * Returns structured tree of all the paths explored by the validator.
+   */
+  explain(): Explanation
+}
+
+/**
+ * Reason why validator pruned explored path.
+ */
+export type ExplanationReason =
+  /** None of the paths through the proofs authorized the capability. */
+  | 'unauthorized'
+  /** Delegated capability does not allow claimed one. */
+  | 'escalation'
+  | 'malformed'
+  | 'unknown'
+  | 'expired'
+  | 'not-valid-before'
+  | 'lifetime'
+  | 'revoked'
+  /** Proof is delegated to a principal other than the issuer. */
+  | 'alignment'
+  | 'unavailable'
+  | 'signature'
+  | 'session'
+  | 'did-resolution'
+  | 'limit'
+  /** Proof has been rejected for some other reason. */
+  | 'invalid'
+
+/**
+ * JSON serializable node in the tree of paths explored by the validator,
+ * describing where and why the path was pruned.
+ */
+export interface Explanation {
+  reason: ExplanationReason
+  message: string
+  /**
+   * String encoded link to the delegation path goes through, if known.
+   */
+  proof?: string
+  issuer?: DID
+  audience?: DID
+  /**
+   * Capability that was matched, or in case of escalation a delegated
+   * capability that was not matched.
+   */
+  capability?: Capability
+  /**
+   * Paths explored from this node.
+   */
+  paths: Explanation[]
+}
+
+export interface Explainer {
+  /**
+   * When `true` serialized {@link Unauthorized} errors include the
+   * {@link Explanation} of all the explored paths, e.g. when included in
+   * receipts. Defaults to `false`.
+   */
+  explain?: boolean
 }
 
 export interface Authorization<
@@ -485,10 +894,41 @@ export interface Authorization<
 > {
   delegation: Delegation
   capability: Capability
+  /**
+   * Delegations capability was matched in. It is a single delegation unless
+   * it is a group of capabilities from several delegations.
+   */
+  readonly delegations: Delegation[]
 
   proofs: Authorization[]
   issuer: UCAN.Principal
   audience: UCAN.Principal
+
+  /**
+   * Earliest expiration across the delegations and `ucan/attest` sessions in
+   * the chain, which is the time this authorization is valid until.
+   */
+  readonly expiration: UCAN.UTCUnixTimestamp
+  /**
+   * Latest `nbf` across the delegations and `ucan/attest` sessions in the
+   * chain, which is the time this authorization is valid from, or `undefined`
+   * if none of them set it.
+   */
+  readonly notBefore: UCAN.UTCUnixTimestamp | undefined
+  /**
+   * Principals in the chain, starting with the audience and issuer of this
+   * delegation followed by the issuers of the proofs, without duplicates.
+   */
+  readonly principals: UCAN.Principal[]
+  /**
+   * Facts of all the delegations in the chain.
+   */
+  readonly facts: Fact[]
+  /**
+   * Authorizations of the `ucan/attest` sessions delegations in the chain were
+   * validated with. It is empty if all of them were verified by signatures.
+   */
+  readonly sessions: Authorization[]
 }
 
 export interface InvalidClaim extends Failure {
@@ -45,6 +45,11 @@ import {
   Revoked,
   InferCapability,
   Authorization,
+  ProofLimits,
+  TimeOptions,
+  SignatureCache,
+  ProofCache,
+  Explainer,
 } from './capability.js'
 import type * as Transport from './transport.js'
 import type { Tuple, Block } from './transport.js'
@@ -464,6 +469,143 @@ export interface Receipt<
 
 export interface SignatureError extends Error {}
 
+/**
+ * Storage for the receipts issued by the server, keyed by the link of the
+ * invocation they were issued for.
+ */
+export interface ReceiptStore {
+  /**
+   * Returns receipt for the invocation with a given link or `null` if no
+   * receipt for it has been stored.
+   */
+  get(invocation: UCANLink): Await<Receipt | null>
+  /**
+   * Stores given receipt under the link of the invocation it was issued for.
+   */
+  put<Ok extends {}, Error extends {}, Ran extends Invocation>(
+    receipt: Receipt<Ok, Error, Ran>
+  ): Await<void>
+}
+
+/**
+ * Storage for the keys of the invocations server has received, used to
+ * detect replayed invocations.
+ */
+export interface ReplayStore {
+  /**
+   * Records the given key until the given expiration time (in seconds since
+   * the epoch) and returns `true`. If key is already recorded returns `false`
+   * instead, signaling that invocation is being replayed. Given `now` is the
+   * current time according to the server clock, keys that expired by then
+   * may be forgotten.
+   */
+  add(key: string, expiration: number, now: number): Await<boolean>
+}
+
+/**
+ * Receipt cache for the invocation being executed, which server passes to
+ * the handlers of {@link ServerOptions.idempotent | idempotent} abilities, so
+ * that stored receipts are only used and recorded once invocation is
+ * authorized.
+ */
+export interface Idempotency {
+  /**
+   * Called by the handler once invocation is authorized. Returns the result
+   * of the stored receipt for the invocation, waiting for the copy of the
+   * invocation that is being executed if there is one, or `null` if handler
+   * needs to run.
+   */
+  recall(): Await<Result<{}, {}> | null>
+  /**
+   * Called by the handler right before running handler logic, so that only
+   * outcomes of the handler logic get recorded.
+   */
+  execute(): void
+}
+
+export interface ReplayOptions {
+  /**
+   * Store where keys of received invocations are recorded. Invocations with a
+   * nonce are keyed by the issuer and nonce pair, otherwise they are keyed by
+   * the invocation link.
+   */
+  readonly store: ReplayStore
+  /**
+   * Abilities protected from replays. Use `*` to protect all abilities, which
+   * is also the default. Invocations of several capabilities are protected if
+   * any of the invoked abilities is.
+   */
+  readonly abilities?: Ability[]
+}
+
+/**
+ * Error returned when invocation has already been received by the server.
+ */
+export interface Replayed extends Failure {
+  readonly name: 'Replayed'
+  readonly invocation: UCANLink
+}
+
+/**
+ * Storage for the delegations from principals that can not sign them, such
+ * as `did:mailto` accounts using `Absentee` signatures, and for the
+ * `ucan/attest` attestations server issued once they were approved.
+ */
+export interface SessionStore {
+  /**
+   * Records delegation as pending approval.
+   */
+  add(delegation: Delegation): Await<void>
+  /**
+   * Returns pending delegation with the given link or `null` if there is no
+   * such delegation or it has expired.
+   */
+  get(proof: UCANLink): Await<Delegation | null>
+  /**
+   * Finalizes pending delegation with the given link by recording the
+   * attestation issued for it. Delegation is no longer pending and the
+   * attestation can be retrieved by its link instead.
+   */
+  approve(proof: UCANLink, attestation: Delegation): Await<void>
+  /**
+   * Returns attestation issued for the delegation with the given link or
+   * `null` if it has not been approved or attestation has expired.
+   */
+  attestation(proof: UCANLink): Await<Delegation | null>
+}
+
+/**
+ * Error returned when approving delegation that is not pending approval.
+ */
+export interface SessionNotFound extends Failure {
+  readonly name: 'SessionNotFound'
+  readonly proof: UCANLink
+}
+
+/**
+ * Error returned when approval is requested on behalf of principal other than
+ * the one issuing attestations.
+ */
+export interface UnauthorizedApproval extends Failure {
+  readonly name: 'UnauthorizedApproval'
+  readonly principal: DID
+  readonly authority: DID
+}
+
+/**
+ * Scheduler executes effects of the receipts issued by the server.
+ */
+export interface EffectScheduler {
+  /**
+   * Schedules execution of the forked and joined tasks of the given receipt
+   * that was issued by the given server.
+   */
+  schedule<Ok extends {}, Error extends {}, Ran extends Invocation>(
+    receipt: Receipt<Ok, Error, Ran>,
+    server: Server<Record<string, any>>
+  ): void
+}
+
 export interface Meta extends Record<string, unknown> {}
 
 /**
@@ -706,6 +848,30 @@ export interface ProviderInput<T extends ParsedCapability> {
   invocation: Invocation<Capability<T['can'], T['with'], T['nb']>>
 
   context: InvocationContext
+
+  /**
+   * Signal that is aborted when the server gives up on the invocation, e.g.
+   * when handler does not complete within configured
+   * {@link ServerOptions.timeout}. Handlers are encouraged to pass it to the
+   * underlying I/O so that work can be cancelled.
+   */
+  signal: AbortSignal
+}
+
+/**
+ * Input passed into the handler of the capability group provider.
+ */
+export interface GroupProviderInput<T extends unknown[]> {
+  /**
+   * Authorized capabilities of the invocation in the order of the group
+   * members.
+   */
+  capabilities: T
+  invocation: Invocation
+
+  context: InvocationContext
+
+  signal: AbortSignal
 }
 
 export type ProviderMethod<
@@ -720,15 +886,116 @@ export type ProviderMethod<
 export type InvocationError =
   | HandlerNotFound
   | HandlerExecutionError
+  | HandlerTimeout
   | InvalidAudience
   | Unauthorized
+  | Replayed
 
 export interface InvocationContext extends ValidatorOptions {
   id: Signer
 
   resolve?: (proof: UCANLink) => Await<Result<Delegation, UnavailableProof>>
 
+  resolveMany?: (
+    proofs: UCANLink[]
+  ) => Await<Result<Delegation, UnavailableProof>[]>
+
   principal: PrincipalParser
+
+  /**
+   * Middleware configured on the server. Handlers created with
+   * {@link @ucanto/server#provide | `Server.provide` } use it to run
+   * {@link Middleware.authorized} hooks once invocation is authorized.
+   */
+  middleware?: Middleware[]
+
+  /**
+   * Replay guard configured on the server. Handlers created with
+   * {@link @ucanto/server#provide | `Server.provide` } use it to reject
+   * authorized invocations that have already been received.
+   */
+  replay?: ReplayOptions
+
+  /**
+   * Receipt cache for the invocation being executed, set by the server when
+   * invoked ability is idempotent. Handlers created with
+   * {@link @ucanto/server#provide | `Server.provide` } use it to return stored
+   * receipt instead of running handler logic again.
+   */
+  idempotency?: Idempotency
+
+  /**
+   * Signal that is aborted when the invocation being executed times out.
+   */
+  signal?: AbortSignal
+}
+
+/**
+ * Input passed into {@link Middleware} hooks, describing the invocation that
+ * is being executed.
+ */
+export interface MiddlewareInput<C extends Capability = Capability> {
+  invocation: Invocation<C>
+  /**
+   * Invoked capability. If invocation has multiple capabilities hooks are
+   * called for each one of them in order.
+   */
+  capability: C
+  /**
+   * Service method resolved for the invoked capability or `null` if the
+   * service does not implement one.
+   */
+  handler: ServiceMethod<C, {}, Failure> | null
+  context: InvocationContext
+}
+
+/**
+ * Input passed into {@link Middleware.authorized} hook.
+ */
+export interface AuthorizedInput<
+  C extends ParsedCapability = ParsedCapability
+> {
+  invocation: Invocation
+  authorization: Authorization<C>
+  context: InvocationContext
+}
+
+/**
+ * Input passed into {@link Middleware.after} hook. In addition to the fields
+ * of the {@link MiddlewareInput} it contains the outcome of the invocation that
+ * will be included in the receipt.
+ */
+export interface OutcomeInput<C extends Capability = Capability>
+  extends MiddlewareInput<C> {
+  out: Result<{}, Failure>
+  fx?: Effects
+}
+
+/**
+ * Middleware can observe every invocation executed by the server and
+ * short-circuit it at different stages. All hooks are optional and are called
+ * in the order middleware was passed to the server.
+ */
+export interface Middleware {
+  /**
+   * Called before invocation is validated. If hook returns a result handler
+   * is not called and returned result is used instead.
+   */
+  before?: (input: MiddlewareInput) => Await<Transaction<{}, Failure> | void>
+  /**
+   * Called after invocation has been authorized by the handler, but before
+   * the handler logic is run. If hook returns a result handler logic is
+   * skipped and returned result is used instead.
+   */
+  authorized?: (input: AuthorizedInput) => Await<Result<{}, Failure> | void>
+  /**
+   * Called with the outcome of the invocation, including errors thrown by the
+   * handler, before receipt for it is issued. If hook returns a result it
+   * replaces the outcome. It is not called when stored receipt is returned for
+   * a retried idempotent invocation, because that receipt already holds the
+   * outcome hooks produced when it was issued.
+   */
+  after?: (input: OutcomeInput) => Await<Transaction<{}, Failure> | void>
 }
 
 export type ResolveServiceMethod<
@@ -908,6 +1175,24 @@ export interface HandlerExecutionError extends Failure {
   name: 'HandlerExecutionError'
 }
 
+/**
+ * Error that occurred while handling a request outside of the invocation
+ * handlers, e.g. when encoding a response.
+ */
+export interface RequestExecutionError extends Failure {
+  cause: Error
+  name: 'RequestExecutionError'
+}
+
+export interface HandlerTimeout extends Failure {
+  capability: Capability
+  /**
+   * Time in milliseconds handler was given to complete.
+   */
+  timeout: number
+  name: 'HandlerTimeout'
+}
+
 export type API<T> = T[keyof T]
 
 export interface OutboundCodec
@@ -985,6 +1270,14 @@ export interface ValidatorOptions {
 
   readonly canIssue?: CanIssue['canIssue']
   readonly resolve?: InvocationContext['resolve']
+  readonly resolveMany?: InvocationContext['resolveMany']
+  readonly proofCache?: ProofCache
+  readonly limits?: ProofLimits
+  readonly clock?: TimeOptions['clock']
+  readonly clockSkew?: TimeOptions['clockSkew']
+  readonly maxLifetime?: TimeOptions['maxLifetime']
+  readonly signatureCache?: SignatureCache
+  readonly explain?: Explainer['explain']
   validateAuthorization: (proofs: Authorization) => Await<Result<Unit, Revoked>>
 }
 
@@ -1002,7 +1295,81 @@ export interface ServerOptions<T> extends ValidatorOptions {
    */
   readonly service: T
 
-  readonly catch?: (err: HandlerExecutionError) => void
+  readonly catch?: (err: HandlerExecutionError | RequestExecutionError) => void
+
+  /**
+   * Middleware that will be run around every invocation.
+   */
+  readonly middleware?: Middleware[]
+
+  /**
+   * Limits on the number of invocations executed concurrently. By default
+   * there are no limits.
+   */
+  readonly concurrency?: ConcurrencyOptions
+
+  /**
+   * Time in milliseconds handlers are given to complete invocation of the
+   * ability, keyed by ability. Timeout under `*` key applies to all abilities
+   * that do not have one set. Invocations that time out are completed with
+   * a {@link HandlerTimeout} error. Invocations of several capabilities are
+   * given the shortest of the timeouts for the invoked abilities.
+   */
+  readonly timeout?: Partial<Record<Ability, number>>
+
+  /**
+   * Store used to cache receipts for invocations of {@link idempotent}
+   * abilities. When invocation with the same link is received again and is
+   * authorized, stored receipt is returned instead of running the handler.
+   * Only outcomes of the handlers created with
+   * {@link @ucanto/server#provide | `Server.provide` } are stored, so that
+   * authorization failures and timeouts could be retried.
+   */
+  readonly receipts?: ReceiptStore
+
+  /**
+   * Abilities that are safe to cache receipts for. Use `*` to cache receipts
+   * for all abilities. Nothing is cached unless {@link receipts} store is set.
+   * Receipts for invocations of several capabilities are only cached if every
+   * invoked ability is idempotent.
+   */
+  readonly idempotent?: Ability[]
+
+  /**
+   * Scheduler used to execute effects of the issued receipts. When not set
+   * effects are only recorded in the receipts.
+   */
+  readonly scheduler?: EffectScheduler
+
+  /**
+   * Replay guard rejecting invocations that have already been received with
+   * a {@link Replayed} error. Invocations are only recorded once they are
+   * authorized. By default replays are not detected.
+   */
+  readonly replay?: ReplayOptions
+
+  /**
+   * Limits protecting server from doing unbounded work on hostile requests.
+   * Requests exceeding decode limits are rejected with `413` status, while
+   * invocations exceeding proof limits fail authorization. By default there
+   * are no limits.
+   */
+  readonly limits?: Limits
+}
+
+export interface Limits extends Transport.DecodeLimits, ProofLimits {}
+
+export interface ConcurrencyOptions {
+  /**
+   * Maximum number of invocations from a single message that are executed
+   * concurrently.
+   */
+  readonly message?: number
+  /**
+   * Maximum number of invocations that are executed concurrently by the
+   * server across all messages.
+   */
+  readonly global?: number
 }
 
 /**
@@ -1014,7 +1381,7 @@ export interface ServerOptions<T> extends ValidatorOptions {
  */
 export interface Server<T> extends ServerOptions<T> {
   readonly context: InvocationContext
-  readonly catch: (err: HandlerExecutionError) => void
+  readonly catch: (err: HandlerExecutionError | RequestExecutionError) => void
 }
 
 /**
@@ -1083,11 +1450,17 @@ export interface PrincipalParser {
  * UCAN validator in order to augmented it with additional DID methods support.
  */
 export interface PrincipalResolver {
-  resolveDIDKey?: (
-    did: UCAN.DID
-  ) => Await<Result<DIDKey, DIDKeyResolutionError>>
+  resolveDIDKey?: DIDKeyResolver
 }
 
+/**
+ * Function that resolves `did:key` of the principal identified by the given
+ * DID.
+ */
+export type DIDKeyResolver = (
+  did: UCAN.DID
+) => Await<Result<DIDKey, DIDKeyResolutionError>>
+
 /**
  * Represents component that can create a signer from it's archive. Usually
  * signer module would provide `from` function and therefor be an implementation
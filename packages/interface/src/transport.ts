@@ -53,8 +53,34 @@ export interface RequestEncoder {
   ): Await<HTTPRequest<T>>
 }
 
+/**
+ * Limits enforced while decoding received requests. Requests exceeding any
+ * of the limits are rejected with `413` status without being fully decoded.
+ */
+export interface DecodeLimits {
+  /**
+   * Maximum size of the request body in bytes.
+   */
+  readonly maxBytes?: number
+  /**
+   * Maximum number of IPLD blocks request may contain.
+   */
+  readonly maxBlocks?: number
+  /**
+   * Maximum number of invocations in a single message.
+   */
+  readonly maxInvocations?: number
+}
+
+export interface DecodeOptions {
+  readonly limits?: DecodeLimits
+}
+
 export interface RequestDecoder {
-  decode<T extends AgentMessage>(request: HTTPRequest<T>): Await<T>
+  decode<T extends AgentMessage>(
+    request: HTTPRequest<T>,
+    options?: DecodeOptions
+  ): Await<T>
 }
 
 export interface ResponseEncoder {
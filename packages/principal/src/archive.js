@@ -0,0 +1,266 @@
+import * as CBOR from '@ipld/dag-cbor'
+import { scryptAsync } from '@noble/hashes/scrypt'
+import { webcrypto } from 'one-webcrypto'
+import * as API from './archive/type.js'
+export * from './archive/type.js'
+
+const VERSION = 1
+const SALT_SIZE = 16
+const IV_SIZE = 12
+const KEY_SIZE = 32
+
+/**
+ * Defaults follow OWASP password storage recommendations.
+ *
+ * @see https://cheatsheetseries.owasp.org/cheatsheets/Password_Storage_Cheat_Sheet.html
+ */
+const PBKDF2_ITERATIONS = 600000
+const SCRYPT_N = 2 ** 17
+const SCRYPT_R = 8
+const SCRYPT_P = 1
+
+/**
+ * Upper bounds of the key derivation parameters, so that archive can not make
+ * `open` spend unbounded time or memory deriving the key.
+ */
+const MAX_PBKDF2_ITERATIONS = 10000000
+const MAX_SCRYPT_MEMORY = 2 ** 30
+const MAX_SCRYPT_P = 16
+
+const utf8 = new TextEncoder()
+
+/**
+ * Encrypts archive of the given signer with a key derived from the
+ * `passphrase` and returns DAG-CBOR encoded {@link API.SealedArchive} that can
+ * be persisted and later restored via {@link open}. Key is derived using
+ * PBKDF2 unless scrypt is requested via `options.kdf`.
+ *
+ * Throws if signer keys are not extractable.
+ *
+ * @template {API.DID} ID
+ * @template {API.SigAlg} Alg
+ * @param {API.Signer<ID, Alg>} signer
+ * @param {API.Passphrase} passphrase
+ * @param {API.SealOptions} [options]
+ * @returns {Promise<API.ByteView<API.SealedArchive<ID, Alg>>>}
+ */
+export const seal = async (
+  signer,
+  passphrase,
+  { kdf: options = { name: 'PBKDF2' } } = {}
+) => {
+  const { id, keys } = signer.toArchive()
+  for (const key of Object.values(keys)) {
+    if (!(key instanceof Uint8Array)) {
+      throw new TypeError('Unextractable signer can not be sealed')
+    }
+  }
+
+  /** @type {API.SealedArchiveHeader} */
+  const header = {
+    version: VERSION,
+    kdf: toKDF(options),
+    cipher: { name: 'AES-GCM', iv: random(IV_SIZE) },
+  }
+  validateKDF(header.kdf)
+  const key = await deriveKey(header.kdf, passphrase)
+  const data = await webcrypto.subtle.encrypt(
+    { ...header.cipher, additionalData: CBOR.encode(header) },
+    key,
+    CBOR.encode({ id, keys })
+  )
+
+  return CBOR.encode({ ...header, data: new Uint8Array(data) })
+}
+
+/**
+ * Decrypts {@link API.SealedArchive} produced by {@link seal} and returns
+ * {@link API.SignerArchive} that can be passed to `from` of any importer,
+ * including the composite `Signer` one.
+ *
+ * Throws if archive is malformed or if its key derivation parameters exceed
+ * supported bounds, before any work is done deriving the key.
+ *
+ * @example
+ * ```js
+ * import { Signer, Archive } from '@ucanto/principal'
+ *
+ * const signer = Signer.from(await Archive.open(bytes, passphrase))
+ * ```
+ *
+ * @template {API.DID} ID
+ * @template {API.SigAlg} Alg
+ * @param {API.ByteView<API.SealedArchive<ID, Alg>>} archive
+ * @param {API.Passphrase} passphrase
+ * @returns {Promise<API.SignerArchive<ID, Alg>>}
+ */
+export const open = async (archive, passphrase) => {
+  const { data, ...header } = validate(CBOR.decode(archive))
+  const { kdf, cipher } = header
+
+  const key = await deriveKey(kdf, passphrase)
+  try {
+    const bytes = await webcrypto.subtle.decrypt(
+      { name: cipher.name, iv: cipher.iv, additionalData: CBOR.encode(header) },
+      key,
+      data
+    )
+    return CBOR.decode(new Uint8Array(bytes))
+  } catch (_) {
+    throw new Error(
+      'Unable to open archive, passphrase is incorrect or archive is corrupted'
+    )
+  }
+}
+
+/**
+ * Validates decoded {@link API.SealedArchive} so that malformed archives are
+ * rejected with a descriptive error before the key is derived.
+ *
+ * @param {any} archive
+ * @returns {API.SealedArchive}
+ */
+const validate = archive => {
+  if (archive == null || typeof archive !== 'object') {
+    throw new TypeError('Archive is expected to be a map')
+  }
+
+  const { version, kdf, cipher, data } = archive
+  if (version !== VERSION) {
+    throw new TypeError(`Unsupported archive version ${version}`)
+  }
+  if (cipher?.name !== 'AES-GCM') {
+    throw new TypeError(`Unsupported cipher ${cipher?.name}`)
+  }
+  if (!(cipher.iv instanceof Uint8Array) || cipher.iv.length !== IV_SIZE) {
+    throw new TypeError(`Cipher iv is expected to be ${IV_SIZE} bytes`)
+  }
+  if (!(data instanceof Uint8Array)) {
+    throw new TypeError('Archive data is expected to be bytes')
+  }
+  validateKDF(kdf)
+
+  return archive
+}
+
+/**
+ * Validates key derivation parameters and ensures they are within the bounds.
+ *
+ * @param {any} kdf
+ */
+const validateKDF = kdf => {
+  switch (kdf?.name) {
+    case 'PBKDF2':
+      if (kdf.hash !== 'SHA-256') {
+        throw new TypeError(`Unsupported PBKDF2 hash ${kdf.hash}`)
+      }
+      validateRange('PBKDF2 iterations', kdf.iterations, MAX_PBKDF2_ITERATIONS)
+      break
+    case 'scrypt': {
+      const { N, r, p } = kdf
+      validateRange('scrypt p', p, MAX_SCRYPT_P)
+      validateRange('scrypt r', r, MAX_SCRYPT_MEMORY / 128)
+      validateRange('scrypt N', N, MAX_SCRYPT_MEMORY / 128 / r)
+      if (N < 2 || (N & (N - 1)) !== 0) {
+        throw new RangeError(`scrypt N must be a power of 2, instead got ${N}`)
+      }
+      break
+    }
+    default:
+      throw new TypeError(`Unsupported key derivation function ${kdf?.name}`)
+  }
+
+  if (!(kdf.salt instanceof Uint8Array)) {
+    throw new TypeError('Key derivation salt is expected to be bytes')
+  }
+}
+
+/**
+ * @param {string} name
+ * @param {unknown} value
+ * @param {number} max
+ */
+const validateRange = (name, value, max) => {
+  if (!Number.isInteger(value) || /** @type {number} */ (value) < 1) {
+    throw new TypeError(
+      `${name} must be a positive integer, instead got ${value}`
+    )
+  }
+  if (/** @type {number} */ (value) > max) {
+    throw new RangeError(`${name} must not exceed ${max}, instead got ${value}`)
+  }
+}
+
+/**
+ * @param {API.KDFOptions} options
+ * @returns {API.KDF}
+ */
+const toKDF = options => {
+  const salt = options.salt || random(SALT_SIZE)
+  return options.name === 'scrypt'
+    ? {
+        name: 'scrypt',
+        N: options.N || SCRYPT_N,
+        r: options.r || SCRYPT_R,
+        p: options.p || SCRYPT_P,
+        salt,
+      }
+    : {
+        name: 'PBKDF2',
+        hash: 'SHA-256',
+        iterations: options.iterations || PBKDF2_ITERATIONS,
+        salt,
+      }
+}
+
+/**
+ * Derives AES-GCM key from the passphrase using given key derivation
+ * function.
+ *
+ * @param {API.KDF} kdf
+ * @param {API.Passphrase} passphrase
+ * @returns {Promise<CryptoKey>}
+ */
+const deriveKey = async (kdf, passphrase) => {
+  const secret =
+    typeof passphrase === 'string' ? utf8.encode(passphrase) : passphrase
+  const usages = /** @type {KeyUsage[]} */ (['encrypt', 'decrypt'])
+
+  switch (kdf.name) {
+    case 'PBKDF2': {
+      const material = await webcrypto.subtle.importKey(
+        'raw',
+        secret,
+        'PBKDF2',
+        false,
+        ['deriveKey']
+      )
+      return webcrypto.subtle.deriveKey(
+        {
+          name: 'PBKDF2',
+          hash: kdf.hash,
+          iterations: kdf.iterations,
+          salt: kdf.salt,
+        },
+        material,
+        { name: 'AES-GCM', length: KEY_SIZE * 8 },
+        false,
+        usages
+      )
+    }
+    case 'scrypt': {
+      const key = await scryptAsync(secret, kdf.salt, {
+        N: kdf.N,
+        r: kdf.r,
+        p: kdf.p,
+        dkLen: KEY_SIZE,
+      })
+      return webcrypto.subtle.importKey('raw', key, 'AES-GCM', false, usages)
+    }
+  }
+}
+
+/**
+ * @param {number} size
+ */
+const random = size => webcrypto.getRandomValues(new Uint8Array(size))
@@ -0,0 +1,91 @@
+import { ByteView, DID, SigAlg, SignerArchive } from '@ucanto/interface'
+
+export * from '@ucanto/interface'
+
+/**
+ * Parameters of the PBKDF2 key derivation with SHA-256 hash.
+ */
+export interface PBKDF2 {
+  name: 'PBKDF2'
+  hash: 'SHA-256'
+  iterations: number
+  salt: Uint8Array
+}
+
+/**
+ * Parameters of the scrypt key derivation.
+ */
+export interface Scrypt {
+  name: 'scrypt'
+  /**
+   * CPU / memory cost parameter, must be a power of 2.
+   */
+  N: number
+  /**
+   * Block size parameter.
+   */
+  r: number
+  /**
+   * Parallelization parameter.
+   */
+  p: number
+  salt: Uint8Array
+}
+
+/**
+ * Key derivation function used to derive encryption key from the passphrase.
+ */
+export type KDF = PBKDF2 | Scrypt
+
+/**
+ * Parameters of AES-GCM encryption with 256 bit key.
+ */
+export interface AESGCM {
+  name: 'AES-GCM'
+  iv: Uint8Array
+}
+
+/**
+ * Header of the {@link SealedArchive} with all the parameters required to
+ * derive the key and decrypt the archive given the passphrase.
+ */
+export interface SealedArchiveHeader {
+  /**
+   * Version of the sealed archive format.
+   */
+  version: 1
+  kdf: KDF
+  cipher: AESGCM
+}
+
+/**
+ * Password-encrypted {@link SignerArchive}.
+ */
+export interface SealedArchive<
+  ID extends DID = DID,
+  Alg extends SigAlg = SigAlg
+> extends SealedArchiveHeader {
+  /**
+   * DAG-CBOR encoded {@link SignerArchive} encrypted with the derived key,
+   * followed by the authentication tag. DAG-CBOR encoded header is used as
+   * additional authenticated data, so that it can not be tampered with.
+   */
+  data: ByteView<SignerArchive<ID, Alg>>
+}
+
+/**
+ * Options for the key derivation. Salt is randomly generated unless
+ * provided.
+ */
+export type KDFOptions =
+  | { name: 'PBKDF2'; iterations?: number; salt?: Uint8Array }
+  | { name: 'scrypt'; N?: number; r?: number; p?: number; salt?: Uint8Array }
+
+export interface SealOptions {
+  kdf?: KDFOptions
+}
+
+/**
+ * Passphrase to derive the key from, strings are UTF-8 encoded.
+ */
+export type Passphrase = string | Uint8Array
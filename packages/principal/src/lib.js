@@ -1,9 +1,14 @@
 import * as ed25519 from './ed25519.js'
 import * as RSA from './rsa.js'
+import * as P256 from './p256.js'
+import * as secp256k1 from './secp256k1.js'
 import * as Absentee from './absentee.js'
+import * as Archive from './archive.js'
 export * from './multiformat.js'
 export const Verifier = ed25519.Verifier.or(RSA.Verifier)
-export const Signer = ed25519.or(RSA)
+  .or(P256.Verifier)
+  .or(secp256k1.Verifier)
+export const Signer = ed25519.or(RSA).or(P256).or(secp256k1)
 
 // exports
-export { ed25519, RSA, Absentee }
+export { ed25519, RSA, P256, secp256k1, Absentee, Archive }
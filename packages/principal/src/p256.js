@@ -0,0 +1,4 @@
+export * from './p256/signer.js'
+export * as Verifier from './p256/verifier.js'
+export * as Signer from './p256/signer.js'
+export * as WebAuthn from './p256/webauthn.js'
@@ -0,0 +1,310 @@
+import { webcrypto } from 'one-webcrypto'
+import { p256 } from '@noble/curves/p256'
+import { varint } from 'multiformats'
+import * as API from './type.js'
+import * as Verifier from './verifier.js'
+import { base64pad } from 'multiformats/bases/base64'
+import * as Signature from '@ipld/dag-ucan/signature'
+import * as Signer from '../signer.js'
+export * from './type.js'
+
+/** @type {API.P256Signer['code']} */
+export const code = 0x1306
+export const name = Verifier.name
+
+/** @type {'ES256'} */
+export const signatureAlgorithm = Verifier.signatureAlgorithm
+export const signatureCode = Verifier.signatureCode
+
+const PRIVATE_TAG_SIZE = varint.encodingLength(code)
+const KEY_SIZE = 32
+const SIZE = PRIVATE_TAG_SIZE + KEY_SIZE
+
+const ALG = 'ECDSA'
+const CURVE = 'P-256'
+const HASH_ALG = 'SHA-256'
+
+/**
+ * Generates new signer. Unless `extractable` is set, keypair is generated
+ * through WebCrypto API and private key can not be exported, which allows
+ * using hardware backed keys.
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.extractable]
+ * @returns {Promise<API.P256Signer>}
+ */
+export const generate = async ({ extractable = false } = {}) => {
+  if (extractable) {
+    return derive(p256.utils.randomPrivateKey())
+  }
+
+  const { publicKey, privateKey } = await webcrypto.subtle.generateKey(
+    { name: ALG, namedCurve: CURVE },
+    false,
+    ['sign', 'verify']
+  )
+  const raw = await webcrypto.subtle.exportKey('raw', publicKey)
+
+  return new UnextractableP256Signer({
+    privateKey,
+    verifier: Verifier.fromPublicKey(new Uint8Array(raw)),
+  })
+}
+
+/**
+ * Derives signer from 32 byte long secret key.
+ *
+ * @param {Uint8Array} secret
+ * @returns {API.P256Signer}
+ */
+export const derive = secret => {
+  if (secret.byteLength !== KEY_SIZE) {
+    throw new Error(
+      `Expected Uint8Array with byteLength of ${KEY_SIZE} instead not ${secret.byteLength}`
+    )
+  }
+
+  const bytes = new Uint8Array(SIZE)
+  varint.encodeTo(code, bytes, 0)
+  bytes.set(secret, PRIVATE_TAG_SIZE)
+
+  return new ExtractableP256Signer(bytes)
+}
+
+/**
+ * @param {API.SignerArchive<API.DID, typeof signatureCode>} archive
+ * @returns {API.P256Signer}
+ */
+export const from = ({ id, keys }) => {
+  if (id.startsWith('did:key:')) {
+    const did = /** @type {API.DIDKey} */ (id)
+    const key = keys[did]
+    if (key instanceof Uint8Array) {
+      return decode(key)
+    } else if (isP256Key(key)) {
+      return new UnextractableP256Signer({
+        privateKey: key,
+        verifier: Verifier.parse(did),
+      })
+    }
+  }
+  throw new TypeError(`Unsupported archive format`)
+}
+
+/**
+ * @param {CryptoKey} key
+ */
+const isP256Key = key =>
+  key != null &&
+  key.algorithm.name === ALG &&
+  /** @type {EcKeyAlgorithm} */ (key.algorithm).namedCurve === CURVE
+
+/**
+ * @template {API.SignerImporter} O
+ * @param {O} other
+ */
+export const or = other => Signer.or({ from }, other)
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {API.P256Signer}
+ */
+export const decode = bytes => {
+  if (bytes.byteLength !== SIZE) {
+    throw new Error(
+      `Expected Uint8Array with byteLength of ${SIZE} instead not ${bytes.byteLength}`
+    )
+  }
+
+  {
+    const [keyCode] = varint.decode(bytes)
+    if (keyCode !== code) {
+      throw new Error(`Given bytes must be a multiformat with ${code} tag`)
+    }
+  }
+
+  return new ExtractableP256Signer(bytes)
+}
+
+/**
+ * Encodes private key of the extractable signer with a multiformat code.
+ *
+ * @param {API.P256Signer} signer
+ * @returns {Uint8Array}
+ */
+export const encode = signer => {
+  const { keys } = signer.toArchive()
+  const key = keys[signer.did()]
+  if (key instanceof Uint8Array) {
+    return key
+  } else {
+    throw new TypeError(`Unextractable signer can not be encoded`)
+  }
+}
+
+/**
+ * @template {string} Prefix
+ * @param {API.P256Signer} signer
+ * @param {API.MultibaseEncoder<Prefix>} [encoder]
+ */
+export const format = (signer, encoder) =>
+  (encoder || base64pad).encode(encode(signer))
+
+/**
+ * @template {string} Prefix
+ * @param {string} principal
+ * @param {API.MultibaseDecoder<Prefix>} [decoder]
+ * @returns {API.P256Signer}
+ */
+export const parse = (principal, decoder) =>
+  decode((decoder || base64pad).decode(principal))
+
+class P256Signer {
+  /**
+   * @param {API.P256Verifier} verifier
+   */
+  constructor(verifier) {
+    /** @readonly */
+    this.verifier = verifier
+  }
+
+  /** @type {typeof code} */
+  get code() {
+    return code
+  }
+  get signer() {
+    return this
+  }
+  /** @type {typeof signatureCode} */
+  get signatureCode() {
+    return signatureCode
+  }
+  /** @type {typeof signatureAlgorithm} */
+  get signatureAlgorithm() {
+    return signatureAlgorithm
+  }
+
+  /**
+   * DID of this principal in `did:key` format.
+   */
+  did() {
+    return this.verifier.did()
+  }
+
+  toDIDKey() {
+    return this.verifier.toDIDKey()
+  }
+
+  /**
+   * @template T
+   * @param {API.ByteView<T>} payload
+   * @param {API.Signature<T, typeof signatureCode>} signature
+   */
+  verify(payload, signature) {
+    return this.verifier.verify(payload, signature)
+  }
+}
+
+/**
+ * @implements {API.P256Signer}
+ */
+class ExtractableP256Signer extends P256Signer {
+  /**
+   * @param {Uint8Array} bytes
+   */
+  constructor(bytes) {
+    const secret = bytes.subarray(PRIVATE_TAG_SIZE)
+    super(Verifier.fromPublicKey(p256.getPublicKey(secret, true)))
+    this.bytes = bytes
+    /**
+     * Raw private key without multiformat code.
+     */
+    this.secret = secret
+  }
+
+  /**
+   * @template {API.DID} ID
+   * @param {ID} id
+   * @returns {API.Signer<ID, typeof signatureCode>}
+   */
+  withDID(id) {
+    return Signer.withDID(
+      /** @type {API.Signer<API.DIDKey, typeof signatureCode>} */ (this),
+      id
+    )
+  }
+
+  /**
+   * @template T
+   * @param {API.ByteView<T>} payload
+   * @returns {Promise<API.P256Signature<T>>}
+   */
+  async sign(payload) {
+    const signature = p256.sign(payload, this.secret, { prehash: true })
+
+    return Signature.create(signatureCode, signature.toCompactRawBytes())
+  }
+
+  encode() {
+    return this.bytes
+  }
+
+  toArchive() {
+    const id = this.did()
+    return {
+      id,
+      keys: { [id]: this.encode() },
+    }
+  }
+}
+
+/**
+ * @implements {API.P256Signer}
+ */
+class UnextractableP256Signer extends P256Signer {
+  /**
+   * @param {object} options
+   * @param {CryptoKey} options.privateKey
+   * @param {API.P256Verifier} options.verifier
+   */
+  constructor({ privateKey, verifier }) {
+    super(verifier)
+    /** @protected */
+    this.privateKey = privateKey
+  }
+
+  /**
+   * @template {API.DID} ID
+   * @param {ID} id
+   * @returns {API.Signer<ID, typeof signatureCode>}
+   */
+  withDID(id) {
+    return Signer.withDID(
+      /** @type {API.Signer<API.DIDKey, typeof signatureCode>} */ (this),
+      id
+    )
+  }
+
+  /**
+   * @template T
+   * @param {API.ByteView<T>} payload
+   * @returns {Promise<API.P256Signature<T>>}
+   */
+  async sign(payload) {
+    const buffer = await webcrypto.subtle.sign(
+      { name: ALG, hash: { name: HASH_ALG } },
+      this.privateKey,
+      payload
+    )
+
+    return Signature.create(signatureCode, new Uint8Array(buffer))
+  }
+
+  toArchive() {
+    const id = this.did()
+    return {
+      id,
+      keys: { [id]: this.privateKey },
+    }
+  }
+}
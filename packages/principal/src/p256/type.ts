@@ -0,0 +1,115 @@
+import {
+  SignerKey,
+  VerifierKey,
+  MulticodecCode,
+  ByteView,
+  Signature as SignatureBytes,
+  SignatureView,
+  Await,
+} from '@ucanto/interface'
+import * as Signature from '@ipld/dag-ucan/signature'
+
+export * from '@ucanto/interface'
+
+/**
+ * Integer corresponding to ES256 byteprefix of the VarSig.
+ */
+export type SigAlg = MulticodecCode<typeof Signature.ES256, 'ES256'>
+
+/**
+ * Name corresponding to ES256 algorithm.
+ */
+export type Name = 'ES256'
+
+/**
+ * This interface parametrizes {@link SignerKey} and extends it with P-256
+ * specific details.
+ */
+export interface P256Signer extends SignerKey<SigAlg> {
+  readonly signatureAlgorithm: Name
+  readonly signatureCode: SigAlg
+  /**
+   * Multicodec code that corresponds to P-256 private key.
+   */
+  readonly code: MulticodecCode<0x1306, 'p256-priv'>
+
+  readonly signer: P256Signer
+  readonly verifier: P256Verifier
+
+  sign<T>(payload: ByteView<T>): Await<P256Signature<T>>
+}
+
+/**
+ * P-256 signature in IEEE P1363 format, that is 32 byte `r` followed by 32
+ * byte `s`, same as produced by WebCrypto and used in JWT.
+ */
+export interface P256Signature<T = unknown> extends SignatureView<T, SigAlg> {}
+
+/**
+ * This interface parametrizes {@link VerifierKey} and extends it with P-256
+ * specific details.
+ */
+export interface P256Verifier extends VerifierKey<SigAlg> {
+  /**
+   * Multicodec code that corresponds to P-256 public key.
+   */
+  readonly code: MulticodecCode<0x1200, 'p256-pub'>
+  readonly signatureCode: SigAlg
+  readonly signatureAlgorithm: Name
+
+  /**
+   * Compressed public key without a multiformat code.
+   */
+  readonly publicKey: Uint8Array
+
+  /**
+   * Verifies ES256 signature or a {@link WebAuthnSignature} of the payload.
+   */
+  verify<T>(
+    payload: ByteView<T>,
+    signature: SignatureBytes<T, SigAlg | WebAuthnSigAlg>
+  ): Await<boolean>
+}
+
+/**
+ * Integer corresponding to the non-standard byteprefix of the VarSig, used
+ * for the signatures that carry their algorithm name.
+ */
+export type WebAuthnSigAlg = MulticodecCode<
+  typeof Signature.NON_STANDARD,
+  'NON_STANDARD'
+>
+
+/**
+ * Name corresponding to the WebAuthn assertion signature algorithm.
+ */
+export type WebAuthnName = 'WebAuthn'
+
+/**
+ * WebAuthn assertion as returned by `navigator.credentials.get` in the
+ * `AuthenticatorAssertionResponse`.
+ *
+ * @see https://www.w3.org/TR/webauthn-2/#authenticatorassertionresponse
+ */
+export interface WebAuthnAssertion {
+  /**
+   * Authenticator data the authenticator signed over.
+   */
+  authenticatorData: Uint8Array
+  /**
+   * UTF-8 encoded JSON of the client data, which contains the challenge.
+   */
+  clientDataJSON: Uint8Array
+  /**
+   * ES256 signature over `authenticatorData` followed by the SHA-256 hash of
+   * `clientDataJSON`, in DER or IEEE P1363 format.
+   */
+  signature: Uint8Array
+}
+
+/**
+ * WebAuthn assertion encoded as a non-standard VarSig named `WebAuthn`, with
+ * challenge set to the SHA-256 hash of the signed payload.
+ */
+export interface WebAuthnSignature<T = unknown>
+  extends SignatureView<T, WebAuthnSigAlg> {}
@@ -0,0 +1,163 @@
+import * as DID from '@ipld/dag-ucan/did'
+import { p256 } from '@noble/curves/p256'
+import { varint } from 'multiformats'
+import * as API from './type.js'
+import * as Signature from '@ipld/dag-ucan/signature'
+import { base58btc } from 'multiformats/bases/base58'
+import * as Verifier from '../verifier.js'
+import * as WebAuthn from './webauthn.js'
+
+/** @type {API.P256Verifier['code']} */
+export const code = 0x1200
+export const name = 'P-256'
+
+/** @type {API.SigAlg} */
+export const signatureCode = Signature.ES256
+export const signatureAlgorithm = 'ES256'
+const PUBLIC_TAG_SIZE = varint.encodingLength(code)
+/**
+ * `did:key` uses compressed form of the public key.
+ */
+const KEY_SIZE = 33
+const SIZE = KEY_SIZE + PUBLIC_TAG_SIZE
+
+/**
+ * Parses `did:key:` string as a VerifyingPrincipal.
+ *
+ * @param {API.DID|string} did
+ * @returns {API.P256Verifier}
+ */
+export const parse = did => decode(DID.parse(did))
+
+/**
+ * Takes compressed P-256 public key tagged with `0x1200` multiformat code and
+ * creates a corresponding `Principal` that can be used to verify signatures.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {API.P256Verifier}
+ */
+export const decode = bytes => {
+  const [algorithm] = varint.decode(bytes)
+  if (algorithm !== code) {
+    throw new RangeError(
+      `Unsupported key algorithm with multicode 0x${code.toString(16)}`
+    )
+  } else if (bytes.byteLength !== SIZE) {
+    throw new RangeError(
+      `Expected Uint8Array with byteLength ${SIZE}, instead got Uint8Array with byteLength ${bytes.byteLength}`
+    )
+  } else {
+    return new P256Verifier(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  }
+}
+
+/**
+ * Creates verifier from the P-256 public key in any of the encodings
+ * supported by WebCrypto `raw` export, that is compressed or uncompressed.
+ *
+ * @param {Uint8Array} publicKey
+ * @returns {API.P256Verifier}
+ */
+export const fromPublicKey = publicKey => {
+  const key = p256.ProjectivePoint.fromHex(publicKey).toRawBytes(true)
+  const bytes = new Uint8Array(SIZE)
+  varint.encodeTo(code, bytes, 0)
+  bytes.set(key, PUBLIC_TAG_SIZE)
+  return decode(bytes)
+}
+
+/**
+ * Formats given Principal into `did:key:` format.
+ *
+ * @param {API.Principal<API.DID>} principal
+ */
+export const format = principal => DID.format(principal)
+
+/**
+ * Encodes given Principal by tagging it's P-256 public key with `0x1200`
+ * multiformat code.
+ *
+ * @param {API.Principal<API.DID<"key">>} principal
+ */
+export const encode = principal => DID.encode(principal)
+
+/**
+ * @implements {API.P256Verifier}
+ */
+class P256Verifier extends Uint8Array {
+  /** @type {typeof code} */
+  get code() {
+    return code
+  }
+  /** @type {typeof signatureCode} */
+  get signatureCode() {
+    return signatureCode
+  }
+  /** @type {typeof signatureAlgorithm} */
+  get signatureAlgorithm() {
+    return signatureAlgorithm
+  }
+  /**
+   * Compressed public key without a multiformat code.
+   *
+   * @readonly
+   */
+  get publicKey() {
+    const key = new Uint8Array(this.buffer, this.byteOffset + PUBLIC_TAG_SIZE)
+    Object.defineProperties(this, {
+      publicKey: {
+        value: key,
+      },
+    })
+    return key
+  }
+  /**
+   * DID of the Principal in `did:key` format.
+   * @returns {API.DID<"key">}
+   */
+  did() {
+    return `did:key:${base58btc.encode(this)}`
+  }
+  /**
+   * Signatures produced by WebCrypto are not normalized, which is why we do
+   * not require `s` to be in the lower half of the curve order.
+   *
+   * In addition to ES256 signatures, WebAuthn assertions of the payload are
+   * accepted so that delegations can be signed with passkeys.
+   *
+   * @template T
+   * @param {API.ByteView<T>} payload
+   * @param {API.Signature<T, Signature.ES256|API.WebAuthnSigAlg>} signature
+   * @returns {API.Await<boolean>}
+   */
+  verify(payload, signature) {
+    if (signature.code === signatureCode) {
+      return p256.verify(signature.raw, payload, this.publicKey, {
+        prehash: true,
+        lowS: false,
+      })
+    } else if (WebAuthn.is(signature)) {
+      return WebAuthn.verify(this.publicKey, payload, signature)
+    } else {
+      return false
+    }
+  }
+
+  /**
+   * @template {API.DID} ID
+   * @param {ID} id
+   * @returns {API.Verifier<ID, typeof signatureCode>}
+   */
+  withDID(id) {
+    return Verifier.withDID(this, id)
+  }
+
+  toDIDKey() {
+    return this.did()
+  }
+}
+
+/**
+ * @param {API.PrincipalParser} other
+ */
+export const or = other => Verifier.or({ parse }, other)
@@ -0,0 +1,162 @@
+import { p256 } from '@noble/curves/p256'
+import { sha256 } from '@noble/hashes/sha256'
+import { varint } from 'multiformats'
+import { base64url } from 'multiformats/bases/base64'
+import * as Signature from '@ipld/dag-ucan/signature'
+import * as API from './type.js'
+
+/** @type {API.WebAuthnName} */
+export const name = 'WebAuthn'
+
+/** @type {API.WebAuthnSigAlg} */
+export const code = Signature.NON_STANDARD
+
+/**
+ * Authenticator data starts with 32 byte RP ID hash followed by the flags
+ * byte and 4 byte signature counter.
+ *
+ * @see https://www.w3.org/TR/webauthn-2/#sctn-authenticator-data
+ */
+const FLAGS_OFFSET = 32
+const MIN_AUTHENTICATOR_DATA_SIZE = 37
+/**
+ * User Present flag.
+ */
+const UP = 0x01
+
+const utf8 = new TextDecoder()
+
+/**
+ * Returns the challenge that must be passed to `navigator.credentials.get`
+ * in order to produce an assertion signing the given payload.
+ *
+ * @param {Uint8Array} payload
+ */
+export const challenge = payload => sha256(payload)
+
+/**
+ * Encodes WebAuthn assertion as a UCAN signature. Raw signature bytes are
+ * varint length prefixed `authenticatorData` and `clientDataJSON` followed
+ * by the ES256 signature.
+ *
+ * @template [T=unknown]
+ * @param {API.WebAuthnAssertion} assertion
+ * @returns {API.WebAuthnSignature<T>}
+ */
+export const encode = ({ authenticatorData, clientDataJSON, signature }) => {
+  const dataSize = varint.encodingLength(authenticatorData.byteLength)
+  const clientSize = varint.encodingLength(clientDataJSON.byteLength)
+  const raw = new Uint8Array(
+    dataSize +
+      authenticatorData.byteLength +
+      clientSize +
+      clientDataJSON.byteLength +
+      signature.byteLength
+  )
+
+  let offset = 0
+  varint.encodeTo(authenticatorData.byteLength, raw, offset)
+  offset += dataSize
+  raw.set(authenticatorData, offset)
+  offset += authenticatorData.byteLength
+  varint.encodeTo(clientDataJSON.byteLength, raw, offset)
+  offset += clientSize
+  raw.set(clientDataJSON, offset)
+  offset += clientDataJSON.byteLength
+  raw.set(signature, offset)
+
+  return /** @type {API.WebAuthnSignature<T>} */ (
+    Signature.createNonStandard(name, raw)
+  )
+}
+
+/**
+ * Decodes WebAuthn assertion from the UCAN signature.
+ *
+ * @param {API.Signature} signature
+ * @returns {API.WebAuthnAssertion}
+ */
+export const decode = signature => {
+  if (!is(signature)) {
+    throw new TypeError(
+      `Expected ${name} signature instead got ${signature.algorithm}`
+    )
+  }
+
+  const { raw } = signature
+  const [dataSize, dataOffset] = varint.decode(raw)
+  const authenticatorData = raw.subarray(dataOffset, dataOffset + dataSize)
+  const [clientSize, clientOffset] = varint.decode(
+    raw.subarray(dataOffset + dataSize)
+  )
+  const offset = dataOffset + dataSize + clientOffset
+  const clientDataJSON = raw.subarray(offset, offset + clientSize)
+  const bytes = raw.subarray(offset + clientSize)
+
+  if (
+    authenticatorData.byteLength !== dataSize ||
+    clientDataJSON.byteLength !== clientSize ||
+    bytes.byteLength === 0
+  ) {
+    throw new RangeError(`Malformed ${name} signature`)
+  }
+
+  return { authenticatorData, clientDataJSON, signature: bytes }
+}
+
+/**
+ * Checks whether given UCAN signature is a WebAuthn assertion.
+ *
+ * @param {API.Signature} signature
+ * @returns {signature is API.WebAuthnSignature}
+ */
+export const is = signature =>
+  signature.code === code && signature.algorithm === name
+
+/**
+ * Verifies that given WebAuthn signature is an assertion of the `payload`
+ * made by the authenticator holding the private key for the given compressed
+ * P-256 public key.
+ *
+ * Checks that the client data is of `webauthn.get` type and that its
+ * challenge is the SHA-256 hash of the `payload`, that the user was present
+ * and that the ES256 signature covers authenticator and client data. Relying
+ * party is not checked as UCANs are not bound to an origin.
+ *
+ * @param {Uint8Array} publicKey
+ * @param {Uint8Array} payload
+ * @param {API.Signature} signature
+ */
+export const verify = (publicKey, payload, signature) => {
+  try {
+    const assertion = decode(signature)
+    const client = JSON.parse(utf8.decode(assertion.clientDataJSON))
+
+    return (
+      client.type === 'webauthn.get' &&
+      client.challenge === base64url.baseEncode(challenge(payload)) &&
+      assertion.authenticatorData.byteLength >= MIN_AUTHENTICATOR_DATA_SIZE &&
+      (assertion.authenticatorData[FLAGS_OFFSET] & UP) === UP &&
+      p256.verify(
+        assertion.signature,
+        concat(assertion.authenticatorData, sha256(assertion.clientDataJSON)),
+        publicKey,
+        // Authenticators do not normalize signatures.
+        { prehash: true, lowS: false }
+      )
+    )
+  } catch (_) {
+    return false
+  }
+}
+
+/**
+ * @param {Uint8Array} left
+ * @param {Uint8Array} right
+ */
+const concat = (left, right) => {
+  const bytes = new Uint8Array(left.byteLength + right.byteLength)
+  bytes.set(left, 0)
+  bytes.set(right, left.byteLength)
+  return bytes
+}
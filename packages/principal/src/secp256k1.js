@@ -0,0 +1,3 @@
+export * from './secp256k1/signer.js'
+export * as Verifier from './secp256k1/verifier.js'
+export * as Signer from './secp256k1/signer.js'
@@ -0,0 +1,209 @@
+import { secp256k1 } from '@noble/curves/secp256k1'
+import { varint } from 'multiformats'
+import * as API from './type.js'
+import * as Verifier from './verifier.js'
+import { base64pad } from 'multiformats/bases/base64'
+import * as Signature from '@ipld/dag-ucan/signature'
+import * as Signer from '../signer.js'
+export * from './type.js'
+
+/** @type {API.Secp256k1Signer['code']} */
+export const code = 0x1301
+export const name = Verifier.name
+
+/** @type {'ES256K'} */
+export const signatureAlgorithm = Verifier.signatureAlgorithm
+export const signatureCode = Verifier.signatureCode
+
+const PRIVATE_TAG_SIZE = varint.encodingLength(code)
+const KEY_SIZE = 32
+const SIZE = PRIVATE_TAG_SIZE + KEY_SIZE
+
+/**
+ * Generates new signer by generating underlying secp256k1 keypair.
+ *
+ * @returns {Promise<API.Secp256k1Signer>}
+ */
+export const generate = async () => derive(secp256k1.utils.randomPrivateKey())
+
+/**
+ * Derives signer from 32 byte long secret key, such as Ethereum or Bitcoin
+ * private key.
+ *
+ * @param {Uint8Array} secret
+ * @returns {API.Secp256k1Signer}
+ */
+export const derive = secret => {
+  if (secret.byteLength !== KEY_SIZE) {
+    throw new Error(
+      `Expected Uint8Array with byteLength of ${KEY_SIZE} instead not ${secret.byteLength}`
+    )
+  }
+
+  const bytes = new Uint8Array(SIZE)
+  varint.encodeTo(code, bytes, 0)
+  bytes.set(secret, PRIVATE_TAG_SIZE)
+
+  return new Secp256k1Signer(bytes)
+}
+
+/**
+ * @param {API.SignerArchive<API.DID, typeof signatureCode>} archive
+ * @returns {API.Secp256k1Signer}
+ */
+export const from = ({ id, keys }) => {
+  if (id.startsWith('did:key:')) {
+    const key = keys[/** @type {API.DIDKey} */ (id)]
+    if (key instanceof Uint8Array) {
+      return decode(key)
+    }
+  }
+  throw new TypeError(`Unsupported archive format`)
+}
+
+/**
+ * @template {API.SignerImporter} O
+ * @param {O} other
+ */
+export const or = other => Signer.or({ from }, other)
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {API.Secp256k1Signer}
+ */
+export const decode = bytes => {
+  if (bytes.byteLength !== SIZE) {
+    throw new Error(
+      `Expected Uint8Array with byteLength of ${SIZE} instead not ${bytes.byteLength}`
+    )
+  }
+
+  {
+    const [keyCode] = varint.decode(bytes)
+    if (keyCode !== code) {
+      throw new Error(`Given bytes must be a multiformat with ${code} tag`)
+    }
+  }
+
+  return new Secp256k1Signer(bytes)
+}
+
+/**
+ * @param {API.Secp256k1Signer} signer
+ * @return {API.ByteView<API.Secp256k1Signer & CryptoKeyPair>}
+ */
+export const encode = signer => signer.encode()
+
+/**
+ * @template {string} Prefix
+ * @param {API.Secp256k1Signer} signer
+ * @param {API.MultibaseEncoder<Prefix>} [encoder]
+ */
+export const format = (signer, encoder) =>
+  (encoder || base64pad).encode(encode(signer))
+
+/**
+ * @template {string} Prefix
+ * @param {string} principal
+ * @param {API.MultibaseDecoder<Prefix>} [decoder]
+ * @returns {API.Secp256k1Signer}
+ */
+export const parse = (principal, decoder) =>
+  decode((decoder || base64pad).decode(principal))
+
+/**
+ * @implements {API.Secp256k1Signer}
+ */
+class Secp256k1Signer {
+  /**
+   * @param {Uint8Array} bytes
+   */
+  constructor(bytes) {
+    this.bytes = bytes
+    /**
+     * Raw private key without multiformat code.
+     */
+    this.secret = bytes.subarray(PRIVATE_TAG_SIZE)
+
+    /** @type {API.Secp256k1Verifier|undefined} */
+    this._verifier
+  }
+
+  /** @type {typeof code} */
+  get code() {
+    return code
+  }
+  get signer() {
+    return this
+  }
+  /** @type {API.Secp256k1Verifier} */
+  get verifier() {
+    if (!this._verifier) {
+      this._verifier = Verifier.fromPublicKey(
+        secp256k1.getPublicKey(this.secret, true)
+      )
+    }
+
+    return this._verifier
+  }
+
+  /**
+   * DID of this principal in `did:key` format.
+   */
+  did() {
+    return this.verifier.did()
+  }
+
+  toDIDKey() {
+    return this.verifier.toDIDKey()
+  }
+
+  /**
+   * @template {API.DID} ID
+   * @param {ID} id
+   * @returns {API.Signer<ID, typeof signatureCode>}
+   */
+  withDID(id) {
+    return Signer.withDID(this, id)
+  }
+
+  /**
+   * @template T
+   * @param {API.ByteView<T>} payload
+   * @returns {Promise<API.Secp256k1Signature<T>>}
+   */
+  async sign(payload) {
+    const signature = secp256k1.sign(payload, this.secret, { prehash: true })
+
+    return Signature.create(signatureCode, signature.toCompactRawBytes())
+  }
+  /**
+   * @template T
+   * @param {API.ByteView<T>} payload
+   * @param {API.Signature<T, typeof signatureCode>} signature
+   */
+  verify(payload, signature) {
+    return this.verifier.verify(payload, signature)
+  }
+
+  /** @type {typeof signatureAlgorithm} */
+  get signatureAlgorithm() {
+    return signatureAlgorithm
+  }
+  /** @type {typeof signatureCode} */
+  get signatureCode() {
+    return signatureCode
+  }
+
+  encode() {
+    return this.bytes
+  }
+
+  toArchive() {
+    const id = this.did()
+    return {
+      id,
+      keys: { [id]: this.encode() },
+    }
+  }
+}
@@ -0,0 +1,84 @@
+import {
+  SignerKey,
+  VerifierKey,
+  MulticodecCode,
+  ByteView,
+  DIDKey,
+  SignatureView,
+  Await,
+} from '@ucanto/interface'
+import * as Signature from '@ipld/dag-ucan/signature'
+
+export * from '@ucanto/interface'
+
+/**
+ * Integer corresponding to ES256K byteprefix of the VarSig.
+ */
+export type SigAlg = MulticodecCode<typeof Signature.ES256K, 'ES256K'>
+
+/**
+ * Name corresponding to ES256K algorithm.
+ */
+export type Name = 'ES256K'
+
+/**
+ * This interface parametrizes {@link SignerKey} and extends it with secp256k1
+ * specific details.
+ */
+export interface Secp256k1Signer extends SignerKey<SigAlg> {
+  readonly signatureAlgorithm: Name
+  readonly signatureCode: SigAlg
+  /**
+   * Multicodec code that corresponds to secp256k1 private key.
+   */
+  readonly code: MulticodecCode<0x1301, 'secp256k1-priv'>
+
+  readonly signer: Secp256k1Signer
+  readonly verifier: Secp256k1Verifier
+
+  /**
+   * Raw private key without multiformat code.
+   */
+  readonly secret: Uint8Array
+
+  /**
+   * Encodes private key into bytes.
+   */
+  encode(): ByteView<Secp256k1Signer & CryptoKeyPair>
+
+  /**
+   * Overrides method to make it more concrete allowing one to use `keys`
+   * without checking if it's a `CryptoKey` or bytes.
+   */
+  toArchive(): {
+    id: DIDKey
+    keys: { [Key: DIDKey]: ByteView<SignerKey<SigAlg> & CryptoKey> }
+  }
+
+  sign<T>(payload: ByteView<T>): Await<Secp256k1Signature<T>>
+}
+
+/**
+ * secp256k1 signature of the SHA-256 hash of the payload, encoded as 32 byte
+ * `r` followed by 32 byte `s` with `s` in the lower half of the curve order.
+ */
+export interface Secp256k1Signature<T = unknown>
+  extends SignatureView<T, SigAlg> {}
+
+/**
+ * This interface parametrizes {@link VerifierKey} and extends it with
+ * secp256k1 specific details.
+ */
+export interface Secp256k1Verifier extends VerifierKey<SigAlg> {
+  /**
+   * Multicodec code that corresponds to secp256k1 public key.
+   */
+  readonly code: MulticodecCode<0xe7, 'secp256k1-pub'>
+  readonly signatureCode: SigAlg
+  readonly signatureAlgorithm: Name
+
+  /**
+   * Compressed public key without a multiformat code.
+   */
+  readonly publicKey: Uint8Array
+}
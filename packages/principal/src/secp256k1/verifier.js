@@ -0,0 +1,161 @@
+import * as DID from '@ipld/dag-ucan/did'
+import { secp256k1 } from '@noble/curves/secp256k1'
+import { varint } from 'multiformats'
+import * as API from './type.js'
+import * as Signature from '@ipld/dag-ucan/signature'
+import { base58btc } from 'multiformats/bases/base58'
+import * as Verifier from '../verifier.js'
+
+/** @type {API.Secp256k1Verifier['code']} */
+export const code = 0xe7
+export const name = 'secp256k1'
+
+/** @type {API.SigAlg} */
+export const signatureCode = Signature.ES256K
+export const signatureAlgorithm = 'ES256K'
+const PUBLIC_TAG_SIZE = varint.encodingLength(code)
+/**
+ * `did:key` uses compressed form of the public key.
+ */
+const KEY_SIZE = 33
+const SIZE = KEY_SIZE + PUBLIC_TAG_SIZE
+
+/**
+ * Parses `did:key:` string as a VerifyingPrincipal.
+ *
+ * @param {API.DID|string} did
+ * @returns {API.Secp256k1Verifier}
+ */
+export const parse = did => decode(DID.parse(did))
+
+/**
+ * Takes compressed secp256k1 public key tagged with `0xe7` multiformat code
+ * and creates a corresponding `Principal` that can be used to verify
+ * signatures.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {API.Secp256k1Verifier}
+ */
+export const decode = bytes => {
+  const [algorithm] = varint.decode(bytes)
+  if (algorithm !== code) {
+    throw new RangeError(
+      `Unsupported key algorithm with multicode 0x${code.toString(16)}`
+    )
+  } else if (bytes.byteLength !== SIZE) {
+    throw new RangeError(
+      `Expected Uint8Array with byteLength ${SIZE}, instead got Uint8Array with byteLength ${bytes.byteLength}`
+    )
+  } else {
+    return new Secp256k1Verifier(
+      bytes.buffer,
+      bytes.byteOffset,
+      bytes.byteLength
+    )
+  }
+}
+
+/**
+ * Creates verifier from the compressed or uncompressed secp256k1 public key,
+ * such as the one used by Ethereum and Bitcoin wallets.
+ *
+ * @param {Uint8Array} publicKey
+ * @returns {API.Secp256k1Verifier}
+ */
+export const fromPublicKey = publicKey => {
+  const key = secp256k1.ProjectivePoint.fromHex(publicKey).toRawBytes(true)
+  const bytes = new Uint8Array(SIZE)
+  varint.encodeTo(code, bytes, 0)
+  bytes.set(key, PUBLIC_TAG_SIZE)
+  return decode(bytes)
+}
+
+/**
+ * Formats given Principal into `did:key:` format.
+ *
+ * @param {API.Principal<API.DID>} principal
+ */
+export const format = principal => DID.format(principal)
+
+/**
+ * Encodes given Principal by tagging it's secp256k1 public key with `0xe7`
+ * multiformat code.
+ *
+ * @param {API.Principal<API.DID<"key">>} principal
+ */
+export const encode = principal => DID.encode(principal)
+
+/**
+ * @implements {API.Secp256k1Verifier}
+ */
+class Secp256k1Verifier extends Uint8Array {
+  /** @type {typeof code} */
+  get code() {
+    return code
+  }
+  /** @type {typeof signatureCode} */
+  get signatureCode() {
+    return signatureCode
+  }
+  /** @type {typeof signatureAlgorithm} */
+  get signatureAlgorithm() {
+    return signatureAlgorithm
+  }
+  /**
+   * Compressed public key without a multiformat code.
+   *
+   * @readonly
+   */
+  get publicKey() {
+    const key = new Uint8Array(this.buffer, this.byteOffset + PUBLIC_TAG_SIZE)
+    Object.defineProperties(this, {
+      publicKey: {
+        value: key,
+      },
+    })
+    return key
+  }
+  /**
+   * DID of the Principal in `did:key` format.
+   * @returns {API.DID<"key">}
+   */
+  did() {
+    return `did:key:${base58btc.encode(this)}`
+  }
+  /**
+   * Signatures with `s` in the upper half of the curve order are rejected to
+   * prevent malleability, same as in Ethereum and Bitcoin.
+   *
+   * @template T
+   * @param {API.ByteView<T>} payload
+   * @param {API.Signature<T, Signature.ES256K>} signature
+   * @returns {API.Await<boolean>}
+   */
+  verify(payload, signature) {
+    return (
+      signature.code === signatureCode &&
+      secp256k1.verify(signature.raw, payload, this.publicKey, {
+        prehash: true,
+        lowS: true,
+      })
+    )
+  }
+
+  /**
+   * @template {API.DID} ID
+   * @param {ID} id
+   * @returns {API.Verifier<ID, typeof signatureCode>}
+   */
+  withDID(id) {
+    return Verifier.withDID(this, id)
+  }
+
+  toDIDKey() {
+    return this.did()
+  }
+}
+
+/**
+ * @param {API.PrincipalParser} other
+ */
+export const or = other => Verifier.or({ parse }, other)
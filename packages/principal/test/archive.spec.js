@@ -0,0 +1,350 @@
+import { Signer, Archive, ed25519, RSA, P256 } from '../src/lib.js'
+import * as BLS from '../src/bls.js'
+import * as CBOR from '@ipld/dag-cbor'
+import { assert } from 'chai'
+
+const utf8 = new TextEncoder()
+
+/**
+ * Cheap key derivation parameters to keep tests fast.
+ *
+ * @type {{kdf: Archive.KDFOptions}}
+ */
+const fast = { kdf: { name: 'PBKDF2', iterations: 1000 } }
+
+/**
+ * @param {Promise<unknown>} promise
+ * @param {RegExp} pattern
+ */
+const rejects = async (promise, pattern) => {
+  try {
+    await promise
+    assert.fail('should have failed')
+  } catch (error) {
+    assert.match(String(error), pattern)
+  }
+}
+
+describe('Archive', () => {
+  it('can seal 🔁 open', async () => {
+    const signer = await ed25519.generate()
+    const sealed = await Archive.seal(signer, 'secret', fast)
+    const archive = await Archive.open(sealed, 'secret')
+
+    assert.deepEqual(archive, signer.toArchive())
+
+    const restored = ed25519.from(archive)
+    const payload = utf8.encode('hello')
+    assert.equal(restored.did(), signer.did())
+    assert.equal(
+      await signer.verify(payload, await restored.sign(payload)),
+      true
+    )
+  })
+
+  it('works with composite importer', async () => {
+    const ed = await ed25519.generate()
+    const edSealed = await Archive.seal(ed, 'secret', fast)
+    assert.equal(
+      Signer.from(await Archive.open(edSealed, 'secret')).did(),
+      ed.did()
+    )
+
+    const rsa = await RSA.generate({ extractable: true })
+    const rsaSealed = await Archive.seal(rsa, 'secret', fast)
+    assert.equal(
+      Signer.from(await Archive.open(rsaSealed, 'secret')).did(),
+      rsa.did()
+    )
+
+    const p256 = await P256.generate({ extractable: true })
+    const p256Sealed = await Archive.seal(p256, 'secret', fast)
+    assert.equal(
+      Signer.from(await Archive.open(p256Sealed, 'secret')).did(),
+      p256.did()
+    )
+
+    const web = ed.withDID('did:web:web3.storage')
+    const webSealed = await Archive.seal(web, 'secret', fast)
+    const restored = Signer.from(await Archive.open(webSealed, 'secret'))
+    assert.equal(restored.did(), 'did:web:web3.storage')
+    assert.equal(restored.toDIDKey(), ed.did())
+  })
+
+  it('can seal BLS signer', async () => {
+    const signer = await BLS.generate()
+    const sealed = await Archive.seal(signer, 'secret', fast)
+    const restored = BLS.from(await Archive.open(sealed, 'secret'))
+
+    assert.equal(restored.did(), signer.did())
+  })
+
+  it('records key derivation parameters', async () => {
+    const salt = new Uint8Array(16).fill(1)
+    const sealed = await Archive.seal(await ed25519.generate(), 'secret', {
+      kdf: { name: 'PBKDF2', iterations: 1000, salt },
+    })
+    const { version, kdf, cipher, data } = CBOR.decode(sealed)
+
+    assert.equal(version, 1)
+    assert.deepEqual(kdf, {
+      name: 'PBKDF2',
+      hash: 'SHA-256',
+      iterations: 1000,
+      salt,
+    })
+    assert.equal(cipher.name, 'AES-GCM')
+    assert.equal(cipher.iv.byteLength, 12)
+    assert.instanceOf(data, Uint8Array)
+  })
+
+  it('uses PBKDF2 by default', async () => {
+    const signer = await ed25519.generate()
+    const sealed = await Archive.seal(signer, 'secret')
+    const { kdf } = CBOR.decode(sealed)
+
+    assert.deepEqual(
+      { ...kdf, salt: kdf.salt.byteLength },
+      { name: 'PBKDF2', hash: 'SHA-256', iterations: 600000, salt: 16 }
+    )
+    assert.equal(
+      ed25519.from(await Archive.open(sealed, 'secret')).did(),
+      signer.did()
+    )
+  })
+
+  it('supports scrypt', async () => {
+    const signer = await ed25519.generate()
+    const sealed = await Archive.seal(signer, 'secret', {
+      kdf: { name: 'scrypt', N: 2 ** 10, r: 8, p: 1 },
+    })
+    const { kdf } = CBOR.decode(sealed)
+
+    assert.deepEqual(
+      { ...kdf, salt: kdf.salt.byteLength },
+      { name: 'scrypt', N: 2 ** 10, r: 8, p: 1, salt: 16 }
+    )
+    assert.equal(
+      ed25519.from(await Archive.open(sealed, 'secret')).did(),
+      signer.did()
+    )
+  })
+
+  it('uses recommended scrypt parameters by default', async function () {
+    // Deriving key with recommended parameters takes a while.
+    this.timeout(10000)
+    const sealed = await Archive.seal(await ed25519.generate(), 'secret', {
+      kdf: { name: 'scrypt' },
+    })
+    const { kdf } = CBOR.decode(sealed)
+
+    assert.deepEqual(
+      { ...kdf, salt: kdf.salt.byteLength },
+      { name: 'scrypt', N: 2 ** 17, r: 8, p: 1, salt: 16 }
+    )
+  })
+
+  it('accepts binary passphrase', async () => {
+    const signer = await ed25519.generate()
+    const sealed = await Archive.seal(signer, utf8.encode('secret'), fast)
+
+    assert.equal(
+      ed25519.from(await Archive.open(sealed, 'secret')).did(),
+      signer.did()
+    )
+  })
+
+  it('fails to open with wrong passphrase', async () => {
+    const sealed = await Archive.seal(await ed25519.generate(), 'secret', fast)
+
+    try {
+      await Archive.open(sealed, 'public')
+      assert.fail('should have failed')
+    } catch (error) {
+      assert.match(String(error), /passphrase is incorrect/)
+    }
+  })
+
+  it('fails to open tampered archive', async () => {
+    const sealed = await Archive.seal(await ed25519.generate(), 'secret', fast)
+    const envelope = CBOR.decode(sealed)
+    envelope.data[0] ^= 1
+
+    try {
+      await Archive.open(CBOR.encode(envelope), 'secret')
+      assert.fail('should have failed')
+    } catch (error) {
+      assert.match(String(error), /archive is corrupted/)
+    }
+  })
+
+  it('fails to open archive with tampered header', async () => {
+    const sealed = await Archive.seal(await ed25519.generate(), 'secret', fast)
+    const envelope = CBOR.decode(sealed)
+
+    try {
+      await Archive.open(
+        CBOR.encode({ ...envelope, cipher: { ...envelope.cipher, extra: 1 } }),
+        'secret'
+      )
+      assert.fail('should have failed')
+    } catch (error) {
+      assert.match(String(error), /archive is corrupted/)
+    }
+  })
+
+  it('rejects unsupported parameters', async () => {
+    /** @type {any} */
+    const envelope = CBOR.decode(
+      await Archive.seal(await ed25519.generate(), 'secret', fast)
+    )
+
+    try {
+      await Archive.open(CBOR.encode({ ...envelope, version: 2 }), 'secret')
+      assert.fail('should have failed')
+    } catch (error) {
+      assert.match(String(error), /Unsupported archive version 2/)
+    }
+
+    try {
+      await Archive.open(
+        CBOR.encode({ ...envelope, cipher: { name: 'AES-CBC' } }),
+        'secret'
+      )
+      assert.fail('should have failed')
+    } catch (error) {
+      assert.match(String(error), /Unsupported cipher AES-CBC/)
+    }
+
+    try {
+      await Archive.open(
+        CBOR.encode({ ...envelope, kdf: { name: 'argon2id' } }),
+        'secret'
+      )
+      assert.fail('should have failed')
+    } catch (error) {
+      assert.match(
+        String(error),
+        /Unsupported key derivation function argon2id/
+      )
+    }
+  })
+
+  it('rejects malformed header', async () => {
+    /** @type {any} */
+    const envelope = CBOR.decode(
+      await Archive.seal(await ed25519.generate(), 'secret', fast)
+    )
+    const { cipher, kdf } = envelope
+
+    /**
+     * @param {any} archive
+     */
+    const open = archive => Archive.open(CBOR.encode(archive), 'secret')
+
+    await rejects(open('archive'), /Archive is expected to be a map/)
+    await rejects(open({ ...envelope, cipher: null }), /Unsupported cipher/)
+    await rejects(
+      open({ ...envelope, cipher: { ...cipher, iv: cipher.iv.subarray(1) } }),
+      /Cipher iv is expected to be 12 bytes/
+    )
+    await rejects(
+      open({ ...envelope, cipher: { ...cipher, iv: 'iv' } }),
+      /Cipher iv is expected to be 12 bytes/
+    )
+    await rejects(
+      open({ ...envelope, data: 'data' }),
+      /Archive data is expected to be bytes/
+    )
+    await rejects(
+      open({ ...envelope, kdf: null }),
+      /Unsupported key derivation function/
+    )
+    await rejects(
+      open({ ...envelope, kdf: { ...kdf, hash: 'SHA-1' } }),
+      /Unsupported PBKDF2 hash SHA-1/
+    )
+    await rejects(
+      open({ ...envelope, kdf: { ...kdf, iterations: '1000' } }),
+      /PBKDF2 iterations must be a positive integer, instead got 1000/
+    )
+    await rejects(
+      open({ ...envelope, kdf: { ...kdf, iterations: 0 } }),
+      /PBKDF2 iterations must be a positive integer, instead got 0/
+    )
+    await rejects(
+      open({ ...envelope, kdf: { ...kdf, salt: 'salt' } }),
+      /Key derivation salt is expected to be bytes/
+    )
+    await rejects(
+      open({ ...envelope, kdf: { name: 'scrypt', N: 1024, r: 8, p: 1 } }),
+      /Key derivation salt is expected to be bytes/
+    )
+    await rejects(
+      open({
+        ...envelope,
+        kdf: { name: 'scrypt', N: 1000, r: 8, p: 1, salt: kdf.salt },
+      }),
+      /scrypt N must be a power of 2, instead got 1000/
+    )
+    await rejects(
+      open({
+        ...envelope,
+        kdf: { name: 'scrypt', N: 1, r: 8, p: 1, salt: kdf.salt },
+      }),
+      /scrypt N must be a power of 2, instead got 1/
+    )
+  })
+
+  it('rejects excessive key derivation parameters', async () => {
+    /** @type {any} */
+    const envelope = CBOR.decode(
+      await Archive.seal(await ed25519.generate(), 'secret', fast)
+    )
+    const { salt } = envelope.kdf
+
+    /**
+     * @param {any} kdf
+     */
+    const open = kdf =>
+      Archive.open(
+        CBOR.encode({ ...envelope, kdf: { ...kdf, salt } }),
+        'secret'
+      )
+
+    await rejects(
+      open({ name: 'PBKDF2', hash: 'SHA-256', iterations: 2 ** 32 }),
+      /PBKDF2 iterations must not exceed 10000000, instead got 4294967296/
+    )
+    await rejects(
+      open({ name: 'scrypt', N: 2 ** 24, r: 8, p: 1 }),
+      /scrypt N must not exceed 1048576, instead got 16777216/
+    )
+    await rejects(
+      open({ name: 'scrypt', N: 2 ** 10, r: 2 ** 24, p: 1 }),
+      /scrypt r must not exceed 8388608, instead got 16777216/
+    )
+    await rejects(
+      open({ name: 'scrypt', N: 2 ** 10, r: 8, p: 1024 }),
+      /scrypt p must not exceed 16, instead got 1024/
+    )
+
+    await rejects(
+      Archive.seal(await ed25519.generate(), 'secret', {
+        kdf: { name: 'scrypt', N: 2 ** 24 },
+      }),
+      /scrypt N must not exceed 1048576/
+    )
+  })
+
+  it('can not seal unextractable signer', async () => {
+    const signer = await RSA.generate()
+
+    try {
+      await Archive.seal(signer, 'secret', fast)
+      assert.fail('should have failed')
+    } catch (error) {
+      assert.match(String(error), /Unextractable signer can not be sealed/)
+    }
+  })
+})
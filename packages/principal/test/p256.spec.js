@@ -0,0 +1,269 @@
+import * as P256 from '../src/p256.js'
+import * as RSA from '../src/rsa.js'
+import { Verifier, Signer } from '../src/lib.js'
+import * as Signature from '@ipld/dag-ucan/signature'
+import { p256 } from '@noble/curves/p256'
+import { base58btc } from 'multiformats/bases/base58'
+import { varint } from 'multiformats'
+import { assert } from 'chai'
+
+const utf8 = new TextEncoder()
+
+describe('P256', () => {
+  it('can generate non extractable keypair', async () => {
+    const signer = await P256.generate()
+
+    assert.equal(signer.code, 0x1306)
+    assert.equal(signer.signatureCode, 0xd01200)
+    assert.equal(signer.signatureAlgorithm, 'ES256')
+    assert.match(signer.did(), /^did:key:zDn/)
+    assert.equal(signer.toDIDKey(), signer.did())
+    assert.equal(signer.signer, signer)
+
+    const { verifier } = signer
+    assert.equal(verifier.code, 0x1200)
+    assert.equal(verifier.signatureCode, 0xd01200)
+    assert.equal(verifier.signatureAlgorithm, 'ES256')
+    assert.equal(verifier.did(), signer.did())
+    assert.equal(verifier.publicKey.byteLength, 33)
+
+    const { id, keys } = signer.toArchive()
+    assert.equal(id, signer.did())
+    const key = /** @type {CryptoKey} */ (keys[id])
+    assert.equal(key.type, 'private')
+    assert.deepEqual(Object(key.algorithm), {
+      name: 'ECDSA',
+      namedCurve: 'P-256',
+    })
+    assert.equal(key.extractable, false)
+    assert.deepEqual(key.usages, ['sign'])
+
+    assert.throws(() => P256.encode(signer), /can not be encoded/)
+  })
+
+  it('can archive 🔁 restore unextractable', async () => {
+    const original = await P256.generate()
+    const restored = P256.from(original.toArchive())
+    const payload = utf8.encode('hello world')
+
+    assert.equal(restored.did(), original.did())
+    assert.equal(
+      await restored.verify(payload, await original.sign(payload)),
+      true
+    )
+    assert.equal(
+      await original.verify(payload, await restored.sign(payload)),
+      true
+    )
+  })
+
+  it('can generate extractable keypair', async () => {
+    const signer = await P256.generate({ extractable: true })
+    const { id, keys } = signer.toArchive()
+    const bytes = keys[id]
+    if (!(bytes instanceof Uint8Array)) {
+      return assert.fail()
+    }
+    assert.deepEqual(varint.decode(bytes), [0x1306, 2])
+    assert.equal(bytes.byteLength, 34)
+
+    const restored = P256.from({ id, keys })
+    assert.equal(restored.did(), signer.did())
+
+    const payload = utf8.encode('hello world')
+    const signature = await restored.sign(payload)
+    assert.equal(signature.code, Signature.ES256)
+    assert.equal(signature.raw.byteLength, 64)
+    assert.equal(await signer.verify(payload, signature), true)
+  })
+
+  it('derives same key as other implementations', async () => {
+    const secret = new Uint8Array(32).fill(7)
+    const signer = P256.derive(secret)
+    const publicKey = p256.getPublicKey(secret, true)
+
+    assert.equal(
+      signer.did(),
+      `did:key:${base58btc.encode(new Uint8Array([0x80, 0x24, ...publicKey]))}`
+    )
+    assert.throws(() => P256.derive(new Uint8Array(31)), /byteLength of 32/)
+  })
+
+  it('can format 🔁 parse', async () => {
+    const signer = await P256.generate({ extractable: true })
+    const parsed = P256.parse(P256.format(signer))
+    assert.equal(parsed.did(), signer.did())
+
+    const base58 = P256.format(signer, base58btc)
+    assert.equal(P256.parse(base58, base58btc).did(), signer.did())
+  })
+
+  it('rejects invalid archives', async () => {
+    const signer = await P256.generate({ extractable: true })
+    const bytes = P256.encode(signer)
+
+    assert.throws(() => P256.decode(bytes.subarray(1)), /byteLength of 34/)
+    assert.throws(
+      () => P256.decode(new Uint8Array([0xed, 0x01, ...bytes.subarray(2)])),
+      /must be a multiformat with 4870 tag/
+    )
+
+    assert.throws(
+      () => P256.from(signer.withDID('did:web:web3.storage').toArchive()),
+      /Unsupported archive format/
+    )
+
+    const rsa = await RSA.generate()
+    const { keys } = /** @type {any} */ (rsa.toArchive())
+    assert.throws(
+      () => P256.from({ id: signer.did(), keys }),
+      /Unsupported archive format/
+    )
+    assert.throws(
+      () =>
+        P256.from({
+          id: signer.did(),
+          keys: { [signer.did()]: keys[rsa.did()] },
+        }),
+      /Unsupported archive format/
+    )
+  })
+
+  it('can use custom DID', async () => {
+    for (const signer of [
+      await P256.generate(),
+      await P256.generate({ extractable: true }),
+    ]) {
+      const principal = signer.withDID('did:web:web3.storage')
+      assert.equal(principal.did(), 'did:web:web3.storage')
+      assert.equal(principal.toDIDKey(), signer.did())
+
+      const payload = utf8.encode('hello')
+      const signature = await principal.sign(payload)
+      assert.equal(await signer.verify(payload, signature), true)
+
+      const verifier = signer.verifier.withDID('did:web:web3.storage')
+      assert.equal(verifier.did(), 'did:web:web3.storage')
+      assert.equal(await verifier.verify(payload, signature), true)
+    }
+  })
+})
+
+describe('P256 Verifier', () => {
+  it('verifies signatures with high s', async () => {
+    const secret = p256.utils.randomPrivateKey()
+    const signer = P256.derive(secret)
+    const payload = utf8.encode('hello')
+
+    const { r, s } = p256.sign(payload, secret, { prehash: true })
+    const high = new p256.Signature(r, p256.CURVE.n - s)
+
+    assert.equal(
+      await signer.verify(
+        payload,
+        Signature.create(Signature.ES256, high.toCompactRawBytes())
+      ),
+      true
+    )
+  })
+
+  it('rejects invalid signatures', async () => {
+    const signer = await P256.generate()
+    const other = await P256.generate({ extractable: true })
+    const payload = utf8.encode('hello')
+
+    assert.equal(await signer.verify(payload, await other.sign(payload)), false)
+    assert.equal(
+      await signer.verify(
+        payload,
+        // @ts-expect-error - not an ES256 signature
+        Signature.create(Signature.EdDSA, (await signer.sign(payload)).raw)
+      ),
+      false
+    )
+    assert.equal(
+      await signer.verify(
+        payload,
+        Signature.create(Signature.ES256, new Uint8Array(3))
+      ),
+      false
+    )
+  })
+
+  it('can parse 🔁 format', async () => {
+    const signer = await P256.generate()
+    const verifier = P256.Verifier.parse(signer.did())
+
+    assert.equal(P256.Verifier.format(verifier), signer.did())
+    assert.deepEqual(
+      P256.Verifier.encode(verifier),
+      base58btc.decode(signer.did().slice('did:key:'.length))
+    )
+  })
+
+  it('creates verifier from uncompressed public key', () => {
+    const secret = p256.utils.randomPrivateKey()
+    const verifier = P256.Verifier.fromPublicKey(
+      p256.getPublicKey(secret, false)
+    )
+    assert.equal(verifier.did(), P256.derive(secret).did())
+  })
+
+  it('rejects non P-256 keys', async () => {
+    const rsa = await RSA.generate()
+    assert.throws(
+      () => P256.Verifier.parse(rsa.did()),
+      /Unsupported key algorithm/
+    )
+
+    const signer = await P256.generate()
+    const bytes = P256.Verifier.encode(signer)
+    assert.throws(
+      () => P256.Verifier.decode(bytes.subarray(0, -1)),
+      /Expected Uint8Array with byteLength 35/
+    )
+  })
+
+  it('can be composed with other verifiers', async () => {
+    const rsa = await RSA.generate()
+    const verifier = P256.Verifier.or(RSA.Verifier)
+    assert.equal(verifier.parse(rsa.did()).did(), rsa.did())
+  })
+})
+
+describe('P256 with default principal', () => {
+  it('parse & verify', async () => {
+    const signer = await P256.generate()
+    const payload = utf8.encode('hello')
+
+    const verifier = Verifier.parse(signer.did())
+    assert.equal(
+      await verifier.verify(payload, await signer.sign(payload)),
+      true
+    )
+  })
+
+  it('imports both archive formats', async () => {
+    const payload = utf8.encode('hello')
+    for (const signer of [
+      await P256.generate(),
+      await P256.generate({ extractable: true }),
+    ]) {
+      const restored = Signer.from(signer.toArchive())
+      assert.equal(restored.did(), signer.did())
+      assert.equal(
+        await signer.verify(
+          payload,
+          /** @type {P256.P256Signature} */ (await restored.sign(payload))
+        ),
+        true
+      )
+    }
+  })
+
+  it('can be composed with other importers', async () => {
+    const rsa = await RSA.generate()
+    const signer = P256.or(RSA)
+    assert.equal(signer.from(rsa.toArchive()).did(), rsa.did())
+  })
+})
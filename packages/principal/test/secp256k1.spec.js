@@ -0,0 +1,209 @@
+import * as secp256k1 from '../src/secp256k1.js'
+import * as ed25519 from '../src/ed25519.js'
+import { Verifier, Signer } from '../src/lib.js'
+import * as Signature from '@ipld/dag-ucan/signature'
+import { secp256k1 as curve } from '@noble/curves/secp256k1'
+import { base58btc } from 'multiformats/bases/base58'
+import { varint } from 'multiformats'
+import { assert } from 'chai'
+
+const utf8 = new TextEncoder()
+
+describe('secp256k1', () => {
+  it('can generate keypair', async () => {
+    const signer = await secp256k1.generate()
+
+    assert.equal(signer.code, 0x1301)
+    assert.equal(signer.signatureCode, 0xd0e7)
+    assert.equal(signer.signatureAlgorithm, 'ES256K')
+    assert.match(signer.did(), /^did:key:zQ3s/)
+    assert.equal(signer.toDIDKey(), signer.did())
+    assert.equal(signer.signer, signer)
+    assert.equal(signer.secret.byteLength, 32)
+
+    const { verifier } = signer
+    assert.equal(verifier, signer.verifier)
+    assert.equal(verifier.code, 0xe7)
+    assert.equal(verifier.signatureCode, 0xd0e7)
+    assert.equal(verifier.signatureAlgorithm, 'ES256K')
+    assert.equal(verifier.did(), signer.did())
+    assert.equal(verifier.publicKey.byteLength, 33)
+
+    const { id, keys } = signer.toArchive()
+    assert.equal(id, signer.did())
+    assert.deepEqual(varint.decode(keys[id]), [0x1301, 2])
+  })
+
+  it('derives key from existing secret', async () => {
+    const secret = new Uint8Array(32).fill(7)
+    const signer = secp256k1.derive(secret)
+    const publicKey = curve.getPublicKey(secret, true)
+
+    assert.equal(
+      signer.did(),
+      `did:key:${base58btc.encode(new Uint8Array([0xe7, 0x01, ...publicKey]))}`
+    )
+    assert.equal(
+      secp256k1.Verifier.fromPublicKey(curve.getPublicKey(secret, false)).did(),
+      signer.did()
+    )
+    assert.throws(
+      () => secp256k1.derive(new Uint8Array(31)),
+      /byteLength of 32/
+    )
+  })
+
+  it('can sign & verify', async () => {
+    const signer = await secp256k1.generate()
+    const payload = utf8.encode('hello world')
+    const signature = await signer.sign(payload)
+
+    assert.equal(signature.code, Signature.ES256K)
+    assert.equal(signature.raw.byteLength, 64)
+    assert.equal(await signer.verify(payload, signature), true)
+    assert.equal(await signer.verify(utf8.encode('hello'), signature), false)
+
+    const other = await secp256k1.generate()
+    assert.equal(await other.verify(payload, signature), false)
+    assert.equal(
+      await signer.verify(
+        payload,
+        // @ts-expect-error - not an ES256K signature
+        Signature.create(Signature.EdDSA, signature.raw)
+      ),
+      false
+    )
+  })
+
+  it('rejects malleated signatures', async () => {
+    const secret = curve.utils.randomPrivateKey()
+    const signer = secp256k1.derive(secret)
+    const payload = utf8.encode('hello')
+
+    const { r, s } = curve.sign(payload, secret, { prehash: true })
+    const high = new curve.Signature(r, curve.CURVE.n - s)
+
+    assert.equal(
+      await signer.verify(
+        payload,
+        Signature.create(Signature.ES256K, high.toCompactRawBytes())
+      ),
+      false
+    )
+  })
+
+  it('can archive 🔁 restore', async () => {
+    const original = await secp256k1.generate()
+    const restored = secp256k1.from(original.toArchive())
+    const payload = utf8.encode('hello world')
+
+    assert.equal(restored.did(), original.did())
+    assert.equal(
+      await restored.verify(payload, await original.sign(payload)),
+      true
+    )
+
+    assert.throws(
+      () =>
+        secp256k1.from(original.withDID('did:web:web3.storage').toArchive()),
+      /Unsupported archive format/
+    )
+  })
+
+  it('can format 🔁 parse', async () => {
+    const signer = await secp256k1.generate()
+    assert.equal(secp256k1.parse(secp256k1.format(signer)).did(), signer.did())
+    assert.equal(
+      secp256k1.parse(secp256k1.format(signer, base58btc), base58btc).did(),
+      signer.did()
+    )
+  })
+
+  it('rejects invalid keys', async () => {
+    const signer = await secp256k1.generate()
+    const bytes = secp256k1.encode(signer)
+
+    assert.throws(() => secp256k1.decode(bytes.subarray(1)), /byteLength of 34/)
+    assert.throws(
+      () =>
+        secp256k1.decode(new Uint8Array([0xed, 0x01, ...bytes.subarray(2)])),
+      /must be a multiformat with 4865 tag/
+    )
+
+    const ed = await ed25519.generate()
+    assert.throws(
+      () => secp256k1.Verifier.parse(ed.did()),
+      /Unsupported key algorithm/
+    )
+    assert.throws(
+      () =>
+        secp256k1.Verifier.decode(
+          secp256k1.Verifier.encode(signer).subarray(0, -1)
+        ),
+      /Expected Uint8Array with byteLength 35/
+    )
+  })
+
+  it('can use custom DID', async () => {
+    const signer = await secp256k1.generate()
+    const principal = signer.withDID('did:web:web3.storage')
+    assert.equal(principal.did(), 'did:web:web3.storage')
+    assert.equal(principal.toDIDKey(), signer.did())
+
+    const payload = utf8.encode('hello')
+    const signature = await principal.sign(payload)
+    const verifier = signer.verifier.withDID('did:web:web3.storage')
+    assert.equal(verifier.did(), 'did:web:web3.storage')
+    assert.equal(await verifier.verify(payload, signature), true)
+  })
+
+  it('can parse 🔁 format verifier', async () => {
+    const signer = await secp256k1.generate()
+    const verifier = secp256k1.Verifier.parse(signer.did())
+
+    assert.equal(secp256k1.Verifier.format(verifier), signer.did())
+    assert.deepEqual(
+      secp256k1.Verifier.encode(verifier),
+      base58btc.decode(signer.did().slice('did:key:'.length))
+    )
+  })
+})
+
+describe('secp256k1 with default principal', () => {
+  it('parse & verify', async () => {
+    const signer = await secp256k1.generate()
+    const payload = utf8.encode('hello')
+
+    const verifier = Verifier.parse(signer.did())
+    assert.equal(
+      await verifier.verify(payload, await signer.sign(payload)),
+      true
+    )
+  })
+
+  it('imports archive', async () => {
+    const signer = await secp256k1.generate()
+    const restored = Signer.from(signer.toArchive())
+    assert.equal(restored.did(), signer.did())
+
+    const payload = utf8.encode('hello')
+    assert.equal(
+      await signer.verify(
+        payload,
+        /** @type {secp256k1.Secp256k1Signature} */ (
+          await restored.sign(payload)
+        )
+      ),
+      true
+    )
+  })
+
+  it('can be composed with other principals', async () => {
+    const ed = await ed25519.generate()
+    assert.equal(secp256k1.or(ed25519).from(ed.toArchive()).did(), ed.did())
+    assert.equal(
+      secp256k1.Verifier.or(ed25519.Verifier).parse(ed.did()).did(),
+      ed.did()
+    )
+  })
+})
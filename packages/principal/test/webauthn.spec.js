@@ -0,0 +1,278 @@
+import * as P256 from '../src/p256.js'
+import { Verifier } from '../src/lib.js'
+import * as UCAN from '@ipld/dag-ucan'
+import * as Signature from '@ipld/dag-ucan/signature'
+import { p256 } from '@noble/curves/p256'
+import { sha256 } from '@noble/hashes/sha256'
+import { base64url } from 'multiformats/bases/base64'
+import { assert } from 'chai'
+
+const { WebAuthn } = P256
+const utf8 = new TextEncoder()
+
+/**
+ * Assertion recorded from an authenticator for the `payload`.
+ */
+const vector = {
+  did: 'did:key:zDnaeh3gYguMFKp8Bq5rN4951Vmzitjas4naecvG88LTua7BE',
+  payload:
+    'eyJhbGciOiJXZWJBdXRobiIsInR5cCI6IkpXVCIsInVjdiI6IjAuOS4xIn0.eyJpc3MiOiJkaWQ6a2V5OnpEbmFlIn0',
+  authenticatorData: '-ApGqsNmBn-Oq52nQ3edx_oH0Qzn0r34RHHRWizd7IcFAAAABw',
+  clientDataJSON:
+    '{"type":"webauthn.get","challenge":"XZsHZxiKpa_Qbacnw3l0BLQLld_BO1yoeS0QHC8g46U","origin":"https://web3.storage","crossOrigin":false}',
+  signature:
+    'MEUCIQCfvNRN_VWo8xUr8CLmg0neSVYEVTvstlnQjDN0fuxvIQIgWgVZH0FzUZxX2gc4jCSLXTmyL5zGikIge6aQGytSg3Q',
+}
+
+const recorded = () =>
+  WebAuthn.encode({
+    authenticatorData: base64url.baseDecode(vector.authenticatorData),
+    clientDataJSON: utf8.encode(vector.clientDataJSON),
+    signature: base64url.baseDecode(vector.signature),
+  })
+
+/**
+ * Emulates an authenticator holding the given P-256 secret.
+ *
+ * @param {Uint8Array} secret
+ * @param {object} [options]
+ * @param {string} [options.type]
+ * @param {Uint8Array} [options.challenge]
+ * @param {number} [options.flags]
+ * @param {boolean} [options.der]
+ */
+const authenticator =
+  (
+    secret,
+    { type = 'webauthn.get', challenge, flags = 0x05, der = true } = {}
+  ) =>
+  /**
+   * @param {Uint8Array} payload
+   */
+  payload => {
+    const authenticatorData = new Uint8Array([
+      ...sha256(utf8.encode('web3.storage')),
+      flags,
+      0,
+      0,
+      0,
+      1,
+    ])
+    const clientDataJSON = utf8.encode(
+      JSON.stringify({
+        type,
+        challenge: base64url.baseEncode(
+          challenge || WebAuthn.challenge(payload)
+        ),
+        origin: 'https://web3.storage',
+        crossOrigin: false,
+      })
+    )
+    const signature = p256.sign(
+      new Uint8Array([...authenticatorData, ...sha256(clientDataJSON)]),
+      secret,
+      { prehash: true }
+    )
+
+    return WebAuthn.encode({
+      authenticatorData,
+      clientDataJSON,
+      signature: der
+        ? signature.toDERRawBytes()
+        : signature.toCompactRawBytes(),
+    })
+  }
+
+describe('WebAuthn', () => {
+  it('verifies recorded assertion', async () => {
+    const verifier = P256.Verifier.parse(vector.did)
+    const payload = utf8.encode(vector.payload)
+    const signature = recorded()
+
+    assert.equal(signature.code, Signature.NON_STANDARD)
+    assert.equal(signature.algorithm, 'WebAuthn')
+    assert.equal(WebAuthn.is(signature), true)
+    assert.equal(await verifier.verify(payload, signature), true)
+    assert.equal(await verifier.verify(utf8.encode('hello'), signature), false)
+
+    const other = await P256.generate()
+    assert.equal(await other.verifier.verify(payload, signature), false)
+  })
+
+  it('survives signature encode 🔁 decode', async () => {
+    const signature = Signature.decode(Signature.encode(recorded()))
+    const assertion = WebAuthn.decode(signature)
+
+    assert.deepEqual(
+      assertion.authenticatorData,
+      base64url.baseDecode(vector.authenticatorData)
+    )
+    assert.deepEqual(
+      assertion.clientDataJSON,
+      utf8.encode(vector.clientDataJSON)
+    )
+    assert.deepEqual(
+      assertion.signature,
+      base64url.baseDecode(vector.signature)
+    )
+    assert.equal(
+      await P256.Verifier.parse(vector.did).verify(
+        utf8.encode(vector.payload),
+        signature
+      ),
+      true
+    )
+  })
+
+  it('accepts IEEE P1363 signatures', async () => {
+    const secret = p256.utils.randomPrivateKey()
+    const signer = P256.derive(secret)
+    const payload = utf8.encode('hello')
+    const signature = authenticator(secret, { der: false })(payload)
+
+    assert.equal(await signer.verifier.verify(payload, signature), true)
+  })
+
+  it('rejects assertion of a different challenge', async () => {
+    const secret = p256.utils.randomPrivateKey()
+    const signer = P256.derive(secret)
+    const payload = utf8.encode('hello')
+    const signature = authenticator(secret, {
+      challenge: WebAuthn.challenge(utf8.encode('bye')),
+    })(payload)
+
+    assert.equal(await signer.verifier.verify(payload, signature), false)
+  })
+
+  it('rejects registration client data', async () => {
+    const secret = p256.utils.randomPrivateKey()
+    const signer = P256.derive(secret)
+    const payload = utf8.encode('hello')
+    const signature = authenticator(secret, { type: 'webauthn.create' })(
+      payload
+    )
+
+    assert.equal(await signer.verifier.verify(payload, signature), false)
+  })
+
+  it('rejects assertion without user presence', async () => {
+    const secret = p256.utils.randomPrivateKey()
+    const signer = P256.derive(secret)
+    const payload = utf8.encode('hello')
+    const signature = authenticator(secret, { flags: 0x04 })(payload)
+
+    assert.equal(await signer.verifier.verify(payload, signature), false)
+  })
+
+  it('rejects tampered assertion', async () => {
+    const verifier = P256.Verifier.parse(vector.did)
+    const payload = utf8.encode(vector.payload)
+    const authenticatorData = base64url.baseDecode(vector.authenticatorData)
+    authenticatorData[36] = 8
+
+    assert.equal(
+      await verifier.verify(
+        payload,
+        WebAuthn.encode({
+          authenticatorData,
+          clientDataJSON: utf8.encode(vector.clientDataJSON),
+          signature: base64url.baseDecode(vector.signature),
+        })
+      ),
+      false
+    )
+
+    assert.equal(
+      await verifier.verify(
+        payload,
+        WebAuthn.encode({
+          authenticatorData: authenticatorData.subarray(0, 32),
+          clientDataJSON: utf8.encode(vector.clientDataJSON),
+          signature: base64url.baseDecode(vector.signature),
+        })
+      ),
+      false
+    )
+  })
+
+  it('rejects malformed signatures', async () => {
+    const verifier = P256.Verifier.parse(vector.did)
+    const payload = utf8.encode(vector.payload)
+
+    assert.throws(
+      () =>
+        WebAuthn.decode(
+          Signature.createNonStandard('WebAuthn', new Uint8Array([1, 1, 1]))
+        ),
+      /Malformed WebAuthn signature/
+    )
+    assert.throws(
+      () =>
+        WebAuthn.decode(
+          Signature.create(
+            Signature.ES256,
+            base64url.baseDecode(vector.signature)
+          )
+        ),
+      /Expected WebAuthn signature instead got ES256/
+    )
+
+    for (const raw of [
+      new Uint8Array([1, 1, 1, 1]),
+      new Uint8Array([1, 1, 1, 0x7b]),
+      new Uint8Array([]),
+    ]) {
+      assert.equal(
+        await verifier.verify(
+          payload,
+          /** @type {P256.WebAuthnSignature} */ (
+            Signature.createNonStandard('WebAuthn', raw)
+          )
+        ),
+        false
+      )
+    }
+
+    assert.equal(
+      await verifier.verify(
+        payload,
+        Signature.createNonStandard('Other', recorded().raw)
+      ),
+      false
+    )
+  })
+})
+
+describe('WebAuthn with default principal', () => {
+  it('verifies UCAN signed with a passkey', async () => {
+    const secret = p256.utils.randomPrivateKey()
+    const verifier = P256.derive(secret).verifier
+    const audience = await P256.generate()
+    const authenticate = authenticator(secret)
+
+    /** @type {UCAN.Signer<UCAN.DID<'key'>, P256.WebAuthnSigAlg>} */
+    const passkey = {
+      did: () => verifier.did(),
+      signatureAlgorithm: WebAuthn.name,
+      signatureCode: WebAuthn.code,
+      sign: async payload => authenticate(payload),
+    }
+
+    const ucan = await UCAN.issue({
+      issuer: passkey,
+      audience,
+      capabilities: [{ can: 'store/add', with: verifier.did() }],
+    })
+    const decoded = UCAN.decode(UCAN.encode(ucan))
+
+    assert.equal(decoded.signature.algorithm, 'WebAuthn')
+    assert.equal(
+      await UCAN.verifySignature(decoded, Verifier.parse(verifier.did())),
+      true
+    )
+    assert.equal(
+      await UCAN.verifySignature(decoded, Verifier.parse(audience.did())),
+      false
+    )
+  })
+})
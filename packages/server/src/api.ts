@@ -6,6 +6,7 @@ export * from '@ucanto/interface'
 export type InvocationError =
   | API.HandlerNotFound
   | API.HandlerExecutionError
+  | API.HandlerTimeout
   | API.InvalidAudience
   | API.Unauthorized
 
@@ -27,6 +28,8 @@ export interface ProviderContext<
   invocation: API.Invocation<API.Capability<A, R, C>>
 
   context: API.InvocationContext
+
+  signal: AbortSignal
 }
 
 export interface ProviderInput<T extends ParsedCapability> {
@@ -34,4 +37,6 @@ export interface ProviderInput<T extends ParsedCapability> {
   invocation: API.Invocation<API.Capability<T['can'], T['with'], T['nb']>>
 
   context: API.InvocationContext
+
+  signal: AbortSignal
 }
@@ -76,6 +76,180 @@ export class HandlerExecutionError extends Failure {
   }
 }
 
+/**
+ * @implements {API.RequestExecutionError}
+ */
+export class RequestExecutionError extends Failure {
+  /**
+   * @param {Error} cause
+   */
+  constructor(cause) {
+    super()
+    this.cause = cause
+    /** @type { true } */
+    this.error = true
+  }
+
+  /** @type {'RequestExecutionError'} */
+  get name() {
+    return 'RequestExecutionError'
+  }
+  get message() {
+    return `service request error: ${this.cause.message}`
+  }
+  toJSON() {
+    return {
+      name: this.name,
+      error: this.error,
+      cause: {
+        ...this.cause,
+        name: this.cause.name,
+        message: this.cause.message,
+        stack: this.cause.stack,
+      },
+      message: this.message,
+      stack: this.stack,
+    }
+  }
+}
+
+/**
+ * @implements {API.HandlerTimeout}
+ */
+export class HandlerTimeout extends Failure {
+  /**
+   * @param {API.Capability} capability
+   * @param {number} timeout
+   */
+  constructor(capability, timeout) {
+    super()
+    this.capability = capability
+    this.timeout = timeout
+    /** @type { true } */
+    this.error = true
+  }
+
+  /** @type {'HandlerTimeout'} */
+  get name() {
+    return 'HandlerTimeout'
+  }
+  get message() {
+    return `service handler {can: "${this.capability.can}"} timed out after ${this.timeout}ms`
+  }
+  toJSON() {
+    return {
+      name: this.name,
+      error: this.error,
+      capability: {
+        can: this.capability.can,
+        with: this.capability.with,
+      },
+      timeout: this.timeout,
+      message: this.message,
+      stack: this.stack,
+    }
+  }
+}
+
+/**
+ * @implements {API.Replayed}
+ */
+export class Replayed extends Failure {
+  /**
+   * @param {API.Invocation} invocation
+   */
+  constructor(invocation) {
+    super()
+    this.invocation = invocation.link()
+    /** @type { true } */
+    this.error = true
+  }
+
+  /** @type {'Replayed'} */
+  get name() {
+    return 'Replayed'
+  }
+  get message() {
+    return `Invocation ${this.invocation} has already been received`
+  }
+  toJSON() {
+    return {
+      name: this.name,
+      error: this.error,
+      invocation: { '/': this.invocation.toString() },
+      message: this.message,
+      stack: this.stack,
+    }
+  }
+}
+
+/**
+ * @implements {API.SessionNotFound}
+ */
+export class SessionNotFound extends Failure {
+  /**
+   * @param {API.UCANLink} proof
+   */
+  constructor(proof) {
+    super()
+    this.proof = proof
+    /** @type { true } */
+    this.error = true
+  }
+
+  /** @type {'SessionNotFound'} */
+  get name() {
+    return 'SessionNotFound'
+  }
+  get message() {
+    return `Delegation ${this.proof} is not pending approval`
+  }
+  toJSON() {
+    return {
+      name: this.name,
+      error: this.error,
+      proof: { '/': this.proof.toString() },
+      message: this.message,
+      stack: this.stack,
+    }
+  }
+}
+
+/**
+ * @implements {API.UnauthorizedApproval}
+ */
+export class UnauthorizedApproval extends Failure {
+  /**
+   * @param {API.DID} principal
+   * @param {API.DID} authority
+   */
+  constructor(principal, authority) {
+    super()
+    this.principal = principal
+    this.authority = authority
+    /** @type { true } */
+    this.error = true
+  }
+
+  /** @type {'UnauthorizedApproval'} */
+  get name() {
+    return 'UnauthorizedApproval'
+  }
+  get message() {
+    return `${this.principal} can not approve sessions attested by ${this.authority}`
+  }
+  toJSON() {
+    return {
+      name: this.name,
+      error: this.error,
+      principal: this.principal,
+      authority: this.authority,
+      message: this.message,
+      stack: this.stack,
+    }
+  }
+}
+
 export class InvocationCapabilityError extends Error {
   /**
    * @param {any} caps
@@ -90,7 +264,10 @@ export class InvocationCapabilityError extends Error {
     return 'InvocationCapabilityError'
   }
   get message() {
-    return `Invocation is required to have a single capability.`
+    const abilities = this.caps.map((/** @type {API.Capability} */ $) => $.can)
+    return `No capability group provider matches invoked abilities ${abilities.join(
+      ', '
+    )}.`
   }
   toJSON() {
     return {
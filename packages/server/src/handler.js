@@ -1,5 +1,7 @@
 import * as API from './api.js'
 import { access, Schema, Failure } from '@ucanto/validator'
+import * as Middleware from './middleware.js'
+import * as Replay from './replay.js'
 
 /**
  * Function that can be used to define given capability provider. It decorates
@@ -42,39 +44,169 @@ export const provide = (capability, handler) =>
  * @returns {API.ServiceMethod<API.Capability<A, R, C>, O & API.InferTransaction<Result>['ok'], X & API.InferTransaction<Result>['error']>}
  */
 
-export const provideAdvanced =
-  ({ capability, handler, audience }) =>
+export const provideAdvanced = ({ capability, handler, audience }) => {
   /**
    * @param {API.Invocation<API.Capability<A, R, C>>} invocation
    * @param {API.InvocationContext} options
    */
-  async (invocation, options) => {
-    // If audience schema is not provided we expect the audience to match
-    // the server id. Users could pass `schema.string()` if they want to accept
-    // any audience.
-    const audienceSchema = audience || Schema.literal(options.id.did())
-    const result = audienceSchema.read(invocation.audience.did())
-    if (result.error) {
-      return { error: new InvalidAudience({ cause: result.error }) }
-    }
-
-    const authorization = await access(invocation, {
-      ...options,
-      authority: options.id,
+  const method = async (invocation, options) => {
+    const authorization = await authorize(invocation, options, {
       capability,
+      audience,
     })
 
     if (authorization.error) {
       return authorization
+    }
+
+    const recalled = await options.idempotency?.recall()
+    if (recalled) {
+      return /** @type {Result} */ (recalled)
+    }
+
+    const replay = await Replay.check(invocation, options)
+    if (replay.error) {
+      return replay
+    }
+
+    // Middleware may short-circuit authorized invocation, in which case we
+    // do not call the handler. Note that middleware may return arbitrary
+    // result which is why we cast it to the handler result type.
+    const intercepted = await Middleware.authorized(options.middleware || [], {
+      invocation,
+      authorization: authorization.ok,
+      context: options,
+    })
+
+    if (intercepted) {
+      return /** @type {Result} */ (intercepted)
     } else {
+      options.idempotency?.execute()
       return handler({
         capability: authorization.ok.capability,
         invocation,
         context: options,
+        signal: options.signal || new AbortController().signal,
+      })
+    }
+  }
+
+  // Capability is exposed so that the service could be introspected.
+  return Object.assign(method, { capability })
+}
+
+/**
+ * Function that can be used to define provider for the group of capabilities
+ * that are invoked together in a single invocation, e.g. to express atomic
+ * operation over several resources. It decorates passed handler and only calls
+ * it when all the capabilities of the group are authorized.
+ *
+ * Server dispatches invocation with multiple capabilities to the group
+ * provider whose capabilities have the same abilities as the invocation,
+ * regardless of where in the service it is placed.
+ *
+ * @example
+ * ```js
+ * const transfer = Server.provideGroup(Debit.and(Credit), ({ capabilities }) => {
+ *   const [debit, credit] = capabilities
+ *   // ...
+ * })
+ * ```
+ *
+ * @template {[API.Match, ...API.Match[]]} M
+ * @template {{}} O
+ * @template {API.Failure} X
+ * @template {API.Transaction<O, X>} Result
+ * @param {API.CapabilitiesParser<M>} capabilities
+ * @param {(input:API.GroupProviderInput<API.InferValue<M>>) => API.Await<Result>} handler
+ * @returns {API.ServiceMethod<API.Capability, O & API.InferTransaction<Result>['ok'], X & API.InferTransaction<Result>['error']>}
+ */
+export const provideGroup = (capabilities, handler) => {
+  /**
+   * @param {API.Invocation<API.Capability<API.Ability, API.URI, any>>} invocation
+   * @param {API.InvocationContext} options
+   */
+  const method = async (invocation, options) => {
+    const authorization = await authorize(invocation, options, {
+      // Validator matches capability groups the same way it matches single
+      // capabilities, only authorized capability is a tuple.
+      capability: /** @type {API.CapabilityParser<API.Match<any>>} */ (
+        /** @type {unknown} */ (capabilities)
+      ),
+    })
+
+    if (authorization.error) {
+      return authorization
+    }
+
+    const recalled = await options.idempotency?.recall()
+    if (recalled) {
+      return /** @type {Result} */ (recalled)
+    }
+
+    const replay = await Replay.check(invocation, options)
+    if (replay.error) {
+      return replay
+    }
+
+    const intercepted = await Middleware.authorized(options.middleware || [], {
+      invocation,
+      authorization: authorization.ok,
+      context: options,
+    })
+
+    if (intercepted) {
+      return /** @type {Result} */ (intercepted)
+    } else {
+      options.idempotency?.execute()
+      return handler({
+        capabilities: /** @type {API.InferValue<M>} */ (
+          /** @type {unknown} */ (authorization.ok.capability)
+        ),
+        invocation,
+        context: options,
+        signal: options.signal || new AbortController().signal,
       })
     }
   }
 
+  // Capabilities are exposed so that the server could dispatch invocations
+  // to this method and so that the service could be introspected.
+  return Object.assign(method, { capability: capabilities, group: true })
+}
+
+/**
+ * Verifies that invocation is addressed to the expected audience and that
+ * the invoked capability is authorized.
+ *
+ * @template {API.Ability} A
+ * @template {API.URI} R
+ * @template {R} URI
+ * @template {API.Caveats} C
+ * @param {API.Invocation<API.Capability<A, URI, C>>} invocation
+ * @param {API.InvocationContext} options
+ * @param {object} input
+ * @param {API.CapabilityParser<API.Match<API.ParsedCapability<A, R, C>>>} input.capability
+ * @param {API.Reader<API.DID>} [input.audience]
+ * @returns {Promise<API.Result<API.Authorization<API.ParsedCapability<A, R, C>>, API.InvalidAudience|API.Unauthorized>>}
+ */
+const authorize = async (invocation, options, { capability, audience }) => {
+  // If audience schema is not provided we expect the audience to match
+  // the server id. Users could pass `schema.string()` if they want to accept
+  // any audience.
+  const audienceSchema = audience || Schema.literal(options.id.did())
+  const result = audienceSchema.read(invocation.audience.did())
+  if (result.error) {
+    return { error: new InvalidAudience({ cause: result.error }) }
+  }
+
+  return await access(invocation, {
+    ...options,
+    authority: options.id,
+    capability,
+  })
+}
+
 /**
  * @implements {API.InvalidAudience}
  */
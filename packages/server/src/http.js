@@ -0,0 +1,255 @@
+import * as API from './api.js'
+import { RequestExecutionError } from './error.js'
+
+/**
+ * @typedef {object} CORSOptions
+ * @property {string} [origin] - Value for the `access-control-allow-origin`
+ * header, defaults to `*`.
+ * @property {number} [maxAge] - Number of seconds preflight response can be
+ * cached for, defaults to `86400`.
+ *
+ * @typedef {object} HTTPOptions
+ * @property {number} [maxBodySize] - Maximum size of the request body in
+ * bytes. Requests with larger bodies are rejected with `413` status. By
+ * default body size is not limited.
+ * @property {CORSOptions|boolean} [cors] - Enables CORS support. When `true`
+ * default {@link CORSOptions} are used.
+ *
+ * @typedef {AsyncIterable<Uint8Array> & {
+ *   method?: string
+ *   headers: Record<string, string|string[]|undefined>
+ *   destroy: (error?: Error) => unknown
+ * }} NodeRequest
+ *
+ * @typedef {object} NodeResponse
+ * @property {(status: number, headers: Record<string, string>) => unknown} writeHead
+ * @property {(body?: Uint8Array) => unknown} end
+ */
+
+/**
+ * Creates a listener that can be passed to the node `http.createServer` to
+ * serve the given ucanto server.
+ *
+ * @example
+ * ```js
+ * import { createServer } from 'node:http'
+ * createServer(Server.toNodeListener(server)).listen(8080)
+ * ```
+ *
+ * @param {API.ServerView<any>} server
+ * @param {HTTPOptions} [options]
+ * @returns {(request: NodeRequest, response: NodeResponse) => Promise<void>}
+ */
+export const toNodeListener = (server, options) => {
+  const handle = toHandler(server, options)
+  return async (request, response) => {
+    try {
+      const { status, headers, body } = await handle({
+        // Node types method as optional, although it is always set for
+        // requests received by the server.
+        method: String(request.method),
+        headers: request.headers,
+        body: request,
+      })
+      response.writeHead(status, headers)
+      response.end(body)
+    } catch (error) {
+      // Response can not be written e.g. because client has disconnected, in
+      // which case we destroy the request to release the socket.
+      request.destroy(/** @type {Error} */ (error))
+    }
+  }
+}
+
+/**
+ * Creates a function that handles [Fetch API] `Request` by the given ucanto
+ * server. It can be used with runtimes that use Fetch API for serving HTTP
+ * requests e.g. Cloudflare workers or Deno.
+ *
+ * [Fetch API]: https://developer.mozilla.org/en-US/docs/Web/API/Fetch_API
+ *
+ * @param {API.ServerView<any>} server
+ * @param {HTTPOptions} [options]
+ * @returns {(request: Request) => Promise<Response>}
+ */
+export const toFetchHandler = (server, options) => {
+  const handle = toHandler(server, options)
+  return async request => {
+    const { status, headers, body } = await handle({
+      method: request.method,
+      headers: Object.fromEntries(request.headers.entries()),
+      body: request.body ? iterate(request.body) : [],
+    })
+
+    return new Response(body, { status, headers })
+  }
+}
+
+/**
+ * @typedef {object} Input
+ * @property {string} method
+ * @property {Record<string, string|string[]|undefined>} headers
+ * @property {AsyncIterable<Uint8Array>|Iterable<Uint8Array>} body
+ *
+ * @typedef {object} Output
+ * @property {number} status
+ * @property {Record<string, string>} headers
+ * @property {Uint8Array} [body]
+ */
+
+/**
+ * @param {API.ServerView<any>} server
+ * @param {HTTPOptions} options
+ * @returns {(request: Input) => Promise<Output>}
+ */
+const toHandler = (server, { maxBodySize = Infinity, cors = false } = {}) => {
+  const policy = cors === true ? {} : cors || null
+  /** @type {Record<string, string>} */
+  const corsHeaders = policy
+    ? { 'access-control-allow-origin': policy.origin || '*' }
+    : {}
+
+  return async request => {
+    switch (request.method.toUpperCase()) {
+      case 'POST': {
+        const headers = normalize(request.headers)
+        let body
+        try {
+          body = await read(request.body, headers, maxBodySize)
+        } catch {
+          return respond(400, corsHeaders, 'Unable to read request body')
+        }
+        if (!body) {
+          return respond(413, corsHeaders, 'Request body is too large')
+        }
+
+        try {
+          const response = await server.request({ headers, body })
+          return {
+            status: response.status || 200,
+            headers: { ...response.headers, ...corsHeaders },
+            body: response.body,
+          }
+        } catch (error) {
+          // Malformed requests are responded to with HTTP errors by the
+          // server, so errors thrown here are unexpected e.g. response could
+          // not be encoded.
+          server.catch(new RequestExecutionError(/** @type {Error} */ (error)))
+          return respond(500, corsHeaders, 'Internal Server Error')
+        }
+      }
+      case 'HEAD':
+        return { status: 200, headers: corsHeaders }
+      case 'OPTIONS':
+        return {
+          status: 204,
+          headers: {
+            allow: ALLOW,
+            ...(policy
+              ? {
+                  ...corsHeaders,
+                  'access-control-allow-methods': ALLOW,
+                  'access-control-allow-headers':
+                    normalize(request.headers)[
+                      'access-control-request-headers'
+                    ] || 'content-type, accept',
+                  'access-control-max-age': String(policy.maxAge ?? 86400),
+                }
+              : {}),
+          },
+        }
+      default:
+        return respond(
+          405,
+          { allow: ALLOW, ...corsHeaders },
+          'Method Not Allowed'
+        )
+    }
+  }
+}
+
+const ALLOW = 'POST, HEAD, OPTIONS'
+
+/**
+ * @param {number} status
+ * @param {Record<string, string>} headers
+ * @param {string} message
+ * @returns {Output}
+ */
+const respond = (status, headers, message) => ({
+  status,
+  headers,
+  body: new TextEncoder().encode(message),
+})
+
+/**
+ * Lowercases header names and joins repeated header values.
+ *
+ * @param {Record<string, string|string[]|undefined>} headers
+ */
+const normalize = headers => {
+  /** @type {Record<string, string>} */
+  const normalized = {}
+  for (const [name, value] of Object.entries(headers)) {
+    if (value != null) {
+      normalized[name.toLowerCase()] = Array.isArray(value)
+        ? value.join(', ')
+        : value
+    }
+  }
+  return normalized
+}
+
+/**
+ * Reads request body into a single byte array. Returns `null` if body exceeds
+ * `limit` bytes, in which case we stop reading as soon as we know.
+ *
+ * @param {AsyncIterable<Uint8Array>|Iterable<Uint8Array>} body
+ * @param {Record<string, string>} headers
+ * @param {number} limit
+ */
+const read = async (body, headers, limit) => {
+  if (Number(headers['content-length']) > limit) {
+    return null
+  }
+
+  const chunks = []
+  let length = 0
+  for await (const chunk of body) {
+    length += chunk.byteLength
+    if (length > limit) {
+      return null
+    }
+    chunks.push(chunk)
+  }
+
+  const bytes = new Uint8Array(length)
+  let offset = 0
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset)
+    offset += chunk.byteLength
+  }
+  return bytes
+}
+
+/**
+ * Turns `ReadableStream` into an async iterable, since not every runtime
+ * implements async iteration of streams.
+ *
+ * @param {ReadableStream<Uint8Array>} stream
+ * @returns {AsyncIterable<Uint8Array>}
+ */
+const iterate = async function* (stream) {
+  const reader = stream.getReader()
+  try {
+    while (true) {
+      const { done, value } = await reader.read()
+      if (done) {
+        break
+      }
+      yield value
+    }
+  } finally {
+    reader.releaseLock()
+  }
+}
@@ -0,0 +1,103 @@
+import * as API from './api.js'
+
+/**
+ * Invocations of idempotent abilities that are being executed, keyed by the
+ * server and invocation link.
+ *
+ * @type {WeakMap<object, Map<string, Promise<void>>>}
+ */
+const executing = new WeakMap()
+
+/**
+ * Creates receipt cache for the given invocation of the idempotent ability.
+ * Copies of the same invocation executed by the same `server` concurrently
+ * wait for the first one to complete, so that handler is only run once.
+ *
+ * @param {object} server
+ * @param {API.ReceiptStore} store
+ * @param {API.Invocation} invocation
+ */
+export const create = (server, store, invocation) => {
+  const pending = executing.get(server) || new Map()
+  executing.set(server, pending)
+  return new Idempotency(pending, store, invocation)
+}
+
+/**
+ * @implements {API.Idempotency}
+ */
+class Idempotency {
+  /**
+   * @param {Map<string, Promise<void>>} pending
+   * @param {API.ReceiptStore} store
+   * @param {API.Invocation} invocation
+   */
+  constructor(pending, store, invocation) {
+    this.pending = pending
+    this.store = store
+    this.invocation = invocation
+    this.key = invocation.link().toString()
+    /**
+     * Stored receipt for the invocation if handler recalled one.
+     *
+     * @type {API.Receipt|null}
+     */
+    this.receipt = null
+    /**
+     * Whether handler logic has been run.
+     */
+    this.executed = false
+    /** @type {(() => void)|null} */
+    this.done = null
+  }
+
+  async recall() {
+    while (true) {
+      const receipt = await this.store.get(this.invocation.link())
+      if (receipt) {
+        this.receipt = receipt
+        return receipt.out
+      }
+
+      const pending = this.pending.get(this.key)
+      if (pending) {
+        await pending
+      } else {
+        break
+      }
+    }
+
+    this.pending.set(
+      this.key,
+      new Promise(resolve => {
+        this.done = () => resolve(undefined)
+      })
+    )
+    return null
+  }
+
+  execute() {
+    this.executed = true
+  }
+
+  /**
+   * Stores given receipt if it is the outcome of the handler logic.
+   *
+   * @param {API.Receipt} receipt
+   */
+  async record(receipt) {
+    if (this.executed) {
+      await this.store.put(receipt)
+    }
+  }
+
+  /**
+   * Lets copies of the invocation waiting on this one proceed.
+   */
+  close() {
+    if (this.done) {
+      this.pending.delete(this.key)
+      this.done()
+    }
+  }
+}
@@ -0,0 +1,55 @@
+import * as API from './api.js'
+import { capability as Capability, Schema } from '@ucanto/validator'
+import { provide as Provide } from './handler.js'
+
+/**
+ * Capability to request description of the abilities the service implements.
+ * Any principal can invoke it with its own DID as a resource.
+ */
+export const capability = Capability({
+  can: 'ucanto/describe',
+  with: Schema.did(),
+})
+
+/**
+ * Creates a `ucanto/describe` handler for the given service. Introspection is
+ * opt-in, to enable it the returned handler should be added to the service
+ * under `ucanto.describe` path.
+ *
+ * @example
+ * ```js
+ * const service = { store: { add } }
+ * Server.create({
+ *   service: { ...service, ucanto: { describe: Introspection.provide(service) } },
+ *   // ...
+ * })
+ * ```
+ *
+ * @param {Record<string, any>} service
+ */
+export const provide = service =>
+  Provide(capability, () => ({ ok: describe(service) }))
+
+/**
+ * Walks the given service and describes abilities of every handler created
+ * with {@link Provide `provide`} or `provideAdvanced`. Other handlers are not
+ * included because their capabilities are not known.
+ *
+ * @param {Record<string, any>} service
+ * @returns {{abilities: API.CapabilityDescription[]}}
+ */
+export const describe = service => {
+  const abilities = []
+  for (const member of Object.values(service)) {
+    if (typeof member === 'function') {
+      const { capability } = member
+      if (capability && typeof capability.describe === 'function') {
+        abilities.push(...capability.describe())
+      }
+    } else if (member != null && typeof member === 'object') {
+      abilities.push(...describe(member).abilities)
+    }
+  }
+
+  return { abilities }
+}
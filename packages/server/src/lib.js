@@ -14,5 +14,11 @@ export {
 export { access, claim, Schema } from '@ucanto/validator'
 
 export * from './handler.js'
+export { toNodeListener, toFetchHandler } from './http.js'
 export * as API from './api.js'
 export * as Error from './error.js'
+export * as Receipts from './receipts.js'
+export * as Replay from './replay.js'
+export * as Scheduler from './scheduler.js'
+export * as Introspection from './introspection.js'
+export * as Session from './session.js'
@@ -0,0 +1,85 @@
+/**
+ * @typedef {<T>(task: () => Promise<T>) => Promise<T>} Limit
+ */
+
+/**
+ * Creates a function that runs passed tasks making sure that no more than
+ * `concurrency` of them are running at the same time. Tasks that exceed the
+ * limit are queued and run in the order they were passed.
+ *
+ * Throws if `concurrency` is not a positive integer or `Infinity`.
+ *
+ * @param {number} [concurrency]
+ * @returns {Limit}
+ */
+export const create = (concurrency = Infinity) => {
+  validate(concurrency)
+
+  let active = 0
+  /** @type {Array<() => void>} */
+  const queue = []
+
+  // When task completes its slot is handed over to the next queued task, if
+  // there is one, otherwise slot is freed.
+  const release = () => {
+    const next = queue.shift()
+    if (next) {
+      next()
+    } else {
+      active--
+    }
+  }
+
+  return async task => {
+    if (active >= concurrency) {
+      await new Promise(resolve => queue.push(() => resolve(undefined)))
+    } else {
+      active++
+    }
+
+    try {
+      return await task()
+    } finally {
+      release()
+    }
+  }
+}
+
+/**
+ * Throws if `concurrency` is not a positive integer or `Infinity`.
+ *
+ * @param {number} [concurrency]
+ */
+export const validate = (concurrency = Infinity) => {
+  if (
+    !(concurrency > 0) ||
+    (!Number.isInteger(concurrency) && concurrency !== Infinity)
+  ) {
+    throw new RangeError(
+      `Concurrency must be a positive integer, instead got ${concurrency}`
+    )
+  }
+}
+
+/** @type {WeakMap<object, Limit>} */
+const shared = new WeakMap()
+
+/**
+ * Returns limit associated with the given `key`, creating one with the given
+ * `concurrency` if it does not exist yet. Used to enforce limits across all
+ * the invocations of the same server.
+ *
+ * @param {object} key
+ * @param {number} [concurrency]
+ * @returns {Limit}
+ */
+export const from = (key, concurrency) => {
+  const limit = shared.get(key)
+  if (limit) {
+    return limit
+  } else {
+    const limit = create(concurrency)
+    shared.set(key, limit)
+    return limit
+  }
+}
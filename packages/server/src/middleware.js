@@ -0,0 +1,77 @@
+import * as API from './api.js'
+
+/**
+ * @typedef {{ out: API.Result<{}, API.Failure>, fx?: API.Effects }} Outcome
+ */
+
+/**
+ * Runs the `before` hook of every given middleware in order until one of them
+ * returns a result, in which case the invocation is short-circuited with it.
+ * Returns `undefined` if none of the middleware short-circuited.
+ *
+ * @param {API.Middleware[]} middleware
+ * @param {API.MiddlewareInput} input
+ * @returns {Promise<API.Transaction<{}, API.Failure>|void>}
+ */
+export const before = async (middleware, input) => {
+  for (const each of middleware) {
+    const result = each.before ? await each.before(input) : undefined
+    if (result) {
+      return result
+    }
+  }
+}
+
+/**
+ * Runs the `authorized` hook of every given middleware in order until one of
+ * them returns a result, in which case handler logic is skipped. Returns
+ * `undefined` if none of the middleware short-circuited.
+ *
+ * @param {API.Middleware[]} middleware
+ * @param {API.AuthorizedInput} input
+ * @returns {Promise<API.Result<{}, API.Failure>|void>}
+ */
+export const authorized = async (middleware, input) => {
+  for (const each of middleware) {
+    const result = each.authorized ? await each.authorized(input) : undefined
+    if (result) {
+      return result
+    }
+  }
+}
+
+/**
+ * Runs the `after` hook of every given middleware in order. Each hook is
+ * passed the outcome produced by the handler or a previous hook and may
+ * return a result to replace it.
+ *
+ * @param {API.Middleware[]} middleware
+ * @param {API.OutcomeInput} input
+ * @returns {Promise<Outcome>}
+ */
+export const after = async (middleware, { out, fx, ...input }) => {
+  /** @type {Outcome} */
+  let outcome = { out, fx }
+  for (const each of middleware) {
+    const result = each.after
+      ? await each.after({ ...input, ...outcome })
+      : undefined
+    if (result) {
+      outcome = toOutcome(result)
+    }
+  }
+
+  return outcome
+}
+
+/**
+ * Normalizes result returned by the handler into an outcome with optional
+ * effects.
+ *
+ * @param {API.Transaction<{}, API.Failure>} transaction
+ * @returns {Outcome}
+ */
+export const toOutcome = transaction =>
+  transaction.do
+    ? { out: transaction.do.out, fx: transaction.do.fx }
+    : { out: transaction, fx: undefined }
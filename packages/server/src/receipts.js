@@ -0,0 +1,51 @@
+import * as API from './api.js'
+
+/**
+ * Creates an in-memory {@link API.ReceiptStore}. When `capacity` is reached
+ * oldest receipts are evicted to make room for new ones.
+ *
+ * @param {object} [options]
+ * @param {number} [options.capacity]
+ * @returns {API.ReceiptStore}
+ */
+export const memory = ({ capacity = Infinity } = {}) =>
+  new MemoryReceiptStore(capacity)
+
+/**
+ * @implements {API.ReceiptStore}
+ */
+class MemoryReceiptStore {
+  /**
+   * @param {number} capacity
+   */
+  constructor(capacity) {
+    this.capacity = capacity
+    /** @type {Map<string, API.Receipt>} */
+    this.receipts = new Map()
+  }
+
+  /**
+   * @param {API.UCANLink} invocation
+   */
+  get(invocation) {
+    return this.receipts.get(invocation.toString()) || null
+  }
+
+  /**
+   * @template {{}} Ok
+   * @template {{}} Error
+   * @template {API.Invocation} Ran
+   * @param {API.Receipt<Ok, Error, Ran>} receipt
+   */
+  put(receipt) {
+    const key = receipt.ran.link().toString()
+    this.receipts.delete(key)
+    this.receipts.set(key, receipt)
+    for (const key of this.receipts.keys()) {
+      if (this.receipts.size <= this.capacity) {
+        break
+      }
+      this.receipts.delete(key)
+    }
+  }
+}
@@ -0,0 +1,108 @@
+import * as API from './api.js'
+import { UCAN } from '@ucanto/core'
+import { Replayed } from './error.js'
+
+/**
+ * Creates an in-memory {@link API.ReplayStore}. Keys are forgotten once they
+ * expire, because validator rejects expired invocations anyway. Keys of the
+ * invocations without expiration are kept for the lifetime of the store.
+ *
+ * @returns {API.ReplayStore}
+ */
+export const memory = () => new MemoryReplayStore()
+
+/**
+ * @implements {API.ReplayStore}
+ */
+class MemoryReplayStore {
+  constructor() {
+    /** @type {Map<string, number>} */
+    this.keys = new Map()
+    /**
+     * Earliest expiration among recorded keys, so that we only scan keys
+     * when some of them have expired.
+     */
+    this.next = Infinity
+  }
+
+  /**
+   * @param {string} key
+   * @param {number} expiration
+   * @param {number} now
+   */
+  add(key, expiration, now) {
+    this.purge(now)
+    if (this.keys.has(key)) {
+      return false
+    } else {
+      this.keys.set(key, expiration)
+      this.next = Math.min(this.next, expiration)
+      return true
+    }
+  }
+
+  /**
+   * @param {number} now
+   */
+  purge(now) {
+    if (this.next <= now) {
+      let next = Infinity
+      for (const [key, expiration] of this.keys) {
+        if (expiration <= now) {
+          this.keys.delete(key)
+        } else {
+          next = Math.min(next, expiration)
+        }
+      }
+      this.next = next
+    }
+  }
+}
+
+/**
+ * Records authorized invocation in the configured replay store and returns
+ * {@link Replayed} error if it has been received before. Key is kept until
+ * validator would reject the invocation as expired, which is `clockSkew`
+ * seconds past its expiration according to the configured `clock`.
+ *
+ * @param {API.Invocation} invocation
+ * @param {API.InvocationContext} context
+ * @returns {Promise<API.Result<API.Unit, API.Replayed>>}
+ */
+export const check = async (
+  invocation,
+  { replay, clock = UCAN.now, clockSkew = 0 }
+) => {
+  if (replay && isProtected(invocation, replay)) {
+    const added = await replay.store.add(
+      toKey(invocation),
+      invocation.expiration + clockSkew,
+      clock()
+    )
+    if (!added) {
+      return { error: new Replayed(invocation) }
+    }
+  }
+
+  return { ok: {} }
+}
+
+/**
+ * @param {API.Invocation} invocation
+ * @param {API.ReplayOptions} replay
+ */
+const isProtected = (invocation, { abilities = ['*'] }) =>
+  abilities.includes('*') ||
+  invocation.capabilities.some(({ can }) => abilities.includes(can))
+
+/**
+ * Invocations with a nonce are keyed by the issuer and nonce, so that the
+ * same nonce can not be reused even if invocation is re-signed. Otherwise
+ * invocation is keyed by its link.
+ *
+ * @param {API.Invocation} invocation
+ */
+const toKey = invocation =>
+  invocation.nonce
+    ? `${invocation.issuer.did()}:${invocation.nonce}`
+    : invocation.link().toString()
@@ -0,0 +1,96 @@
+import * as API from './api.js'
+import { Invocation } from '@ucanto/core'
+import { HandlerExecutionError } from './error.js'
+import { run } from './server.js'
+
+/**
+ * Creates an {@link API.EffectScheduler} that executes forked tasks of the
+ * receipt concurrently and, once they are complete, executes the joined task.
+ * Receipts for the executed tasks are saved into the given `receipts` store so
+ * they can be looked up by the task link. Tasks that already have a receipt
+ * in the store are not executed again.
+ *
+ * Effects are executed by the server that issued the receipt unless `server`
+ * option is provided. Note that only effects whose invocations are included
+ * in the receipt can be executed, effects referenced by link are skipped.
+ *
+ * @param {object} options
+ * @param {API.ReceiptStore} options.receipts
+ * @param {API.Server<Record<string, any>>} [options.server]
+ */
+export const create = options => new Scheduler(options)
+
+/**
+ * @implements {API.EffectScheduler}
+ */
+class Scheduler {
+  /**
+   * @param {object} options
+   * @param {API.ReceiptStore} options.receipts
+   * @param {API.Server<Record<string, any>>} [options.server]
+   */
+  constructor({ receipts, server }) {
+    this.receipts = receipts
+    this.server = server
+    /** @type {Set<Promise<void>>} */
+    this.pending = new Set()
+  }
+
+  /**
+   * @template {{}} Ok
+   * @template {{}} Error
+   * @template {API.Invocation} Ran
+   * @param {API.Receipt<Ok, Error, Ran>} receipt
+   * @param {API.Server<Record<string, any>>} server
+   */
+  schedule(receipt, server) {
+    const task = this.execute(receipt.fx, this.server || server)
+    this.pending.add(task)
+    task.then(() => this.pending.delete(task))
+  }
+
+  /**
+   * Resolves once all the scheduled effects, including effects of the
+   * effects, have been executed.
+   */
+  async idle() {
+    while (this.pending.size > 0) {
+      await Promise.all(this.pending)
+    }
+  }
+
+  /**
+   * @param {API.Effects} fx
+   * @param {API.Server<Record<string, any>>} server
+   */
+  async execute({ fork, join }, server) {
+    await Promise.all(fork.map(effect => this.perform(effect, server)))
+    if (join) {
+      await this.perform(join, server)
+    }
+  }
+
+  /**
+   * @param {API.Effect} effect
+   * @param {API.Server<Record<string, any>>} server
+   */
+  async perform(effect, server) {
+    if (!Invocation.isInvocation(effect)) {
+      return
+    }
+
+    try {
+      if (!(await this.receipts.get(effect.link()))) {
+        const receipt = await run(effect, server)
+        await this.receipts.put(receipt)
+      }
+    } catch (cause) {
+      server.catch(
+        new HandlerExecutionError(
+          effect.capabilities[0],
+          /** @type {Error} */ (cause)
+        )
+      )
+    }
+  }
+}
@@ -5,8 +5,12 @@ import { Receipt, Message, fail } from '@ucanto/core'
 import {
   HandlerExecutionError,
   HandlerNotFound,
+  HandlerTimeout,
   InvocationCapabilityError,
 } from './error.js'
+import * as Middleware from './middleware.js'
+import * as Limit from './limit.js'
+import * as Idempotency from './idempotency.js'
 export { ok, error } from './handler.js'
 export { fail }
 /**
@@ -27,11 +31,31 @@ class Server {
    * @param {API.ServerOptions <S>} options
    */
   constructor({ id, service, codec, principal = Verifier, ...rest }) {
-    const { catch: fail, ...context } = rest
+    const {
+      catch: fail,
+      concurrency,
+      timeout,
+      receipts,
+      idempotent,
+      scheduler,
+      ...context
+    } = rest
+    // Validate limits upfront so that misconfigured server fails to be
+    // created as opposed to failing every request.
+    Limit.validate(concurrency?.message)
+    Limit.validate(concurrency?.global)
     this.context = { id, principal, ...context }
     this.service = service
     this.codec = codec
     this.catch = fail || (() => {})
+    this.concurrency = concurrency
+    this.timeout = timeout
+    this.receipts = receipts
+    this.idempotent = idempotent
+    this.scheduler = scheduler
+    // Limits are also left in the context so that validator can enforce
+    // proof limits.
+    this.limits = this.context.limits
     this.validateAuthorization = this.context.validateAuthorization.bind(
       this.context
     )
@@ -71,21 +95,50 @@ class Server {
 export const handle = async (server, request) => {
   const selection = server.codec.accept(request)
   if (selection.error) {
-    const { status, headers = {}, message } = selection.error
-    return {
-      status,
-      headers,
-      body: new TextEncoder().encode(message),
-    }
+    return respond(selection.error)
   } else {
     const { encoder, decoder } = selection.ok
-    const message = await decoder.decode(request)
-    const result = await execute(message, server)
+    const message = await decode(decoder, request, server.limits)
+    if (message.error) {
+      return respond(message.error)
+    }
+    const result = await execute(message.ok, server)
     const response = await encoder.encode(result)
     return response
   }
 }
 
+/**
+ * Decodes the request with the given limits. Decoder throws an error with
+ * `413` status when request exceeds limits, which we turn into an HTTP error
+ * so that no further work is done. Any other decode error means request is
+ * malformed, which we turn into `400` HTTP error.
+ *
+ * @template {API.AgentMessage} Message
+ * @param {API.Transport.RequestDecoder} decoder
+ * @param {API.HTTPRequest<Message>} request
+ * @param {API.Transport.DecodeLimits} [limits]
+ * @returns {Promise<API.Result<Message, API.HTTPError>>}
+ */
+const decode = async (decoder, request, limits) => {
+  try {
+    return { ok: await decoder.decode(request, { limits }) }
+  } catch (error) {
+    const { status, message } = /** @type {Error & {status?: number}} */ (error)
+    return { error: { status: status === 413 ? status : 400, message } }
+  }
+}
+
+/**
+ * @param {API.HTTPError} error
+ * @returns {API.HTTPResponse<any>}
+ */
+const respond = ({ status, headers = {}, message }) => ({
+  status,
+  headers,
+  body: new TextEncoder().encode(message),
+})
+
 /**
  * @template {Record<string, any>} S
  * @template {API.Tuple} I
@@ -94,7 +147,8 @@ export const handle = async (server, request) => {
  * @returns {Promise<API.AgentMessage<{ Out: API.InferReceipts<I, S>, In: API.Tuple<API.Invocation> }>>}
  */
 export const execute = async (input, server) => {
-  const promises = input.invocations.map($ => run($, server))
+  const limit = Limit.create(server.concurrency?.message)
+  const promises = input.invocations.map($ => limit(() => run($, server)))
 
   const receipts = /** @type {API.InferReceipts<I, S>} */ (
     await Promise.all(promises)
@@ -112,67 +166,297 @@ export const execute = async (input, server) => {
  * @param {API.Server<Service>} server
  * @returns {Promise<API.Receipt>}
  */
-export const run = async (invocation, server) => {
-  // Invocation needs to have one single capability
-  if (invocation.capabilities.length !== 1) {
-    return await Receipt.issue({
+export const run = (invocation, server) =>
+  new Promise((resolve, reject) => {
+    Limit.from(
+      server,
+      server.concurrency?.global
+    )(async () => {
+      const { receipt, settled } = await perform(invocation, server)
+      resolve(receipt)
+      // Handler that timed out may still be running, in which case we hold on
+      // to the concurrency slot until it settles.
+      await settled
+    }).catch(reject)
+  })
+
+/**
+ * Executes invocation and returns a receipt along with a promise that settles
+ * once the handler does, which may be after the receipt is issued if handler
+ * timed out.
+ *
+ * @template {Record<string, any>} Service
+ * @template {API.Capability} C
+ * @param {API.Invocation<C>} invocation
+ * @param {API.Server<Service>} server
+ * @returns {Promise<{receipt: API.Receipt, settled: Promise<unknown>}>}
+ */
+const perform = async (invocation, server) => {
+  const [capability] = invocation.capabilities
+  // Invocations with multiple capabilities are dispatched to the provider of
+  // the matching capability group if there is one.
+  const { service, handler } =
+    invocation.capabilities.length === 1
+      ? resolveMethod(server.service, capability)
+      : resolveGroup(server.service, invocation.capabilities)
+
+  if (invocation.capabilities.length !== 1 && handler == null) {
+    const receipt = await Receipt.issue({
       issuer: server.id,
       ran: invocation,
       result: {
         error: new InvocationCapabilityError(invocation.capabilities),
       },
     })
+    return { receipt, settled: Promise.resolve() }
   }
 
-  const [capability] = invocation.capabilities
+  // If invoked abilities are idempotent handler looks up the receipt for this
+  // exact invocation once it is authorized and returns it instead of running
+  // the handler logic again.
+  const idempotency =
+    server.receipts &&
+    invocation.capabilities.every($ => isIdempotent(server, $))
+      ? Idempotency.create(server, server.receipts, invocation)
+      : undefined
 
-  const path = capability.can.split('/')
-  const method = /** @type {string} */ (path.pop())
-  const handler = resolve(server.service, path)
-  if (handler == null || typeof handler[method] !== 'function') {
-    return await Receipt.issue({
+  const { middleware = [] } = server.context
+  const timeout = toTimeout(server, invocation.capabilities)
+  const controller = new AbortController()
+  const context = { ...server.context, signal: controller.signal, idempotency }
+  // Middleware hooks are called for each of the invoked capabilities.
+  const inputs = invocation.capabilities.map(capability => ({
+    invocation,
+    capability,
+    handler,
+    context,
+  }))
+
+  const task = (async () =>
+    (await before(middleware, inputs)) ||
+    (handler
+      ? await handler.call(service, invocation, context)
+      : {
+          /** @type {API.HandlerNotFound} */
+          error: new HandlerNotFound(capability),
+        }))()
+  const settled = task.catch(() => {})
+
+  try {
+    // Errors thrown by the handler are turned into an outcome so that `after`
+    // hooks observe them like any other.
+    let failed = false
+    const transaction = await withTimeout(task, timeout, () => {
+      /** @type {API.HandlerTimeout} */
+      const error = new HandlerTimeout(
+        capability,
+        /** @type {number} */ (timeout)
+      )
+      controller.abort(error)
+      return { error }
+    }).catch(cause => {
+      failed = true
+      return { error: toExecutionError(server, capability, cause) }
+    })
+
+    // Stored receipt already holds the outcome `after` hooks produced when it
+    // was issued, so they are not run again.
+    if (idempotency?.receipt) {
+      return { receipt: idempotency.receipt, settled }
+    }
+
+    let outcome = Middleware.toOutcome(transaction)
+    for (const input of inputs) {
+      outcome = await Middleware.after(middleware, { ...input, ...outcome })
+    }
+    const { out, fx } = outcome
+
+    const receipt = await Receipt.issue({
       issuer: server.id,
       ran: invocation,
-      result: {
-        /** @type {API.HandlerNotFound} */
-        error: new HandlerNotFound(capability),
-      },
+      result: out,
+      fx,
     })
-  } else {
-    try {
-      const outcome = await handler[method](invocation, server.context)
-      const result = outcome.do ? outcome.do.out : outcome
-      const fx = outcome.do ? outcome.do.fx : undefined
-
-      return await Receipt.issue({
-        issuer: server.id,
-        ran: invocation,
-        result,
-        fx,
-      })
-    } catch (cause) {
-      /** @type {API.HandlerExecutionError} */
-      const error = new HandlerExecutionError(
-        capability,
-        /** @type {Error} */ (cause)
-      )
 
-      server.catch(error)
+    // Timed out and failed invocations are not cached so that they could be
+    // retried.
+    if (idempotency && !controller.signal.aborted && !failed) {
+      await idempotency.record(receipt)
+    }
+    idempotency?.close()
+
+    if (server.scheduler) {
+      server.scheduler.schedule(receipt, server)
+    }
+
+    return { receipt, settled }
+  } catch (cause) {
+    // Errors thrown by `after` hooks are reported without running them again.
+    const error = toExecutionError(server, capability, cause)
+    idempotency?.close()
+
+    const receipt = await Receipt.issue({
+      issuer: server.id,
+      ran: invocation,
+      result: { error },
+    })
+    return { receipt, settled }
+  }
+}
+
+/**
+ * Wraps error thrown while executing the invocation and reports it to the
+ * server.
+ *
+ * @param {API.Server<{}>} server
+ * @param {API.Capability} capability
+ * @param {unknown} cause
+ * @returns {API.HandlerExecutionError}
+ */
+const toExecutionError = (server, capability, cause) => {
+  const error = new HandlerExecutionError(
+    capability,
+    /** @type {Error} */ (cause)
+  )
+  server.catch(error)
+  return error
+}
+
+/**
+ * Returns `true` if receipts for the given capability invocations should be
+ * cached in the server receipt store.
+ *
+ * @param {API.Server<{}>} server
+ * @param {API.Capability} capability
+ */
+const isIdempotent = ({ idempotent = [] }, capability) =>
+  idempotent.includes(capability.can) || idempotent.includes('*')
+
+/**
+ * Returns the shortest of the timeouts configured for the given capabilities
+ * or `undefined` if none of them has one.
+ *
+ * @param {API.Server<{}>} server
+ * @param {API.Capability[]} capabilities
+ */
+const toTimeout = ({ timeout = {} }, capabilities) => {
+  const ms = Math.min(
+    ...capabilities.map(({ can }) => timeout[can] ?? timeout['*'] ?? Infinity)
+  )
+  return ms === Infinity ? undefined : ms
+}
 
-      return await Receipt.issue({
-        issuer: server.id,
-        ran: invocation,
-        result: { error },
-      })
+/**
+ * Runs `before` middleware hooks for each of the given inputs until one of
+ * them short-circuits the invocation.
+ *
+ * @param {API.Middleware[]} middleware
+ * @param {API.MiddlewareInput[]} inputs
+ */
+const before = async (middleware, inputs) => {
+  for (const input of inputs) {
+    const result = await Middleware.before(middleware, input)
+    if (result) {
+      return result
     }
   }
 }
 
+/**
+ * Waits for given task and if it does not complete within given `timeout`
+ * resolves with the result of `onTimeout` instead. If `timeout` is not set the
+ * task is given unlimited time.
+ *
+ * @template T, U
+ * @param {Promise<T>} task
+ * @param {number|undefined} timeout
+ * @param {() => U} onTimeout
+ * @returns {Promise<T|U>}
+ */
+const withTimeout = async (task, timeout, onTimeout) => {
+  if (timeout == null) {
+    return await task
+  }
+
+  /** @type {ReturnType<typeof setTimeout>|undefined} */
+  let timer
+  try {
+    return await Promise.race([
+      task,
+      new Promise(resolve => {
+        timer = setTimeout(() => resolve(onTimeout()), timeout)
+      }),
+    ])
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
 /**
  * @deprecated Use `run` instead.
  */
 export const invoke = run
 
+/**
+ * Resolves service method that handles the given capability.
+ *
+ * @param {Record<string, any>} service
+ * @param {API.Capability} capability
+ */
+const resolveMethod = (service, capability) => {
+  const path = capability.can.split('/')
+  const method = /** @type {string} */ (path.pop())
+  const target = resolve(service, path)
+  const handler =
+    target != null && typeof target[method] === 'function'
+      ? /** @type {API.ServiceMethod<API.Capability, {}, API.Failure>} */ (
+          target[method]
+        )
+      : null
+
+  return { service: target, handler }
+}
+
+/**
+ * Finds a capability group provider in the service whose capabilities have
+ * exactly the same abilities as the given capabilities.
+ *
+ * @param {Record<string, any>} service
+ * @param {API.Capability[]} capabilities
+ * @param {Set<object>} [visited] - Services already searched, so that cyclic
+ * service objects are not searched forever.
+ * @returns {{service: Record<string, any>|null, handler: API.ServiceMethod<API.Capability, {}, API.Failure>|null}}
+ */
+const resolveGroup = (service, capabilities, visited = new Set()) => {
+  const abilities = capabilities.map($ => $.can).sort()
+  visited.add(service)
+  for (const member of Object.values(service)) {
+    if (typeof member === 'function') {
+      if (
+        member.group &&
+        member.capability
+          .describe()
+          .map((/** @type {API.CapabilityDescription} */ $) => $.can)
+          .sort()
+          .join() === abilities.join()
+      ) {
+        return { service, handler: member }
+      }
+    } else if (
+      member != null &&
+      typeof member === 'object' &&
+      !visited.has(member)
+    ) {
+      const group = resolveGroup(member, capabilities, visited)
+      if (group.handler) {
+        return group
+      }
+    }
+  }
+
+  return { service: null, handler: null }
+}
+
 /**
  * @param {Record<string, any>} service
  * @param {string[]} path
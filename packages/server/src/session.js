@@ -0,0 +1,167 @@
+import * as API from './api.js'
+import { UCAN } from '@ucanto/core'
+import { capability as Capability, Schema } from '@ucanto/validator'
+import { SessionNotFound, UnauthorizedApproval } from './error.js'
+
+/**
+ * Capability through which the service vouches for the delegation from the
+ * principal that can not sign it, such as `did:mailto` account using an
+ * `Absentee` signature. Validator accepts such delegations when attestation
+ * from its authority is included with them.
+ */
+export const attestation = Capability({
+  can: 'ucan/attest',
+  with: Schema.did(),
+  nb: Schema.struct({
+    proof: /** @type {API.Reader<API.UCANLink>} */ (Schema.link()),
+  }),
+})
+
+/**
+ * Capability to approve delegation pending approval, so that attestation is
+ * issued for it. Resource is the DID of the service issuing attestations,
+ * which means only service or principals it delegated to can approve.
+ *
+ * @example
+ * ```js
+ * Session.capability.invoke({
+ *   issuer: service,
+ *   audience: service,
+ *   with: service.did(),
+ *   nb: { proof: delegation.cid },
+ * })
+ * ```
+ */
+export const capability = Capability({
+  can: 'session/approve',
+  with: Schema.did(),
+  nb: Schema.struct({
+    proof: /** @type {API.Reader<API.UCANLink>} */ (Schema.link()),
+  }),
+})
+
+/**
+ * @typedef {API.ParsedCapability<'session/approve', API.DID, { proof: API.UCANLink }>} Approve
+ */
+
+/**
+ * Issues `ucan/attest` delegation vouching for the given delegation. It is
+ * issued to the audience of the delegation so it can be used along with it.
+ * Attestation expires after `ttl` seconds or along with the delegation,
+ * whichever comes first.
+ *
+ * Attestations can be revoked like any other UCAN, by the `issuer` invoking
+ * `ucan/revoke` on them.
+ *
+ * @param {API.Delegation} delegation
+ * @param {object} options
+ * @param {API.Signer} options.issuer
+ * @param {number} [options.ttl]
+ */
+export const attest = (delegation, { issuer, ttl = Infinity }) =>
+  attestation.delegate({
+    issuer,
+    audience: delegation.audience,
+    with: issuer.did(),
+    nb: { proof: delegation.cid },
+    expiration: Math.min(UCAN.now() + ttl, delegation.expiration),
+  })
+
+/**
+ * Creates an in-memory {@link API.SessionStore}. Pending delegations and
+ * attestations are forgotten once they expire.
+ *
+ * @returns {API.SessionStore}
+ */
+export const memory = () => new MemorySessionStore()
+
+/**
+ * @implements {API.SessionStore}
+ */
+class MemorySessionStore {
+  constructor() {
+    /** @type {Map<string, API.Delegation>} */
+    this.pending = new Map()
+    /** @type {Map<string, API.Delegation>} */
+    this.attestations = new Map()
+  }
+
+  /**
+   * @param {API.Delegation} delegation
+   */
+  add(delegation) {
+    this.pending.set(delegation.cid.toString(), delegation)
+  }
+
+  /**
+   * @param {API.UCANLink} proof
+   */
+  get(proof) {
+    return take(this.pending, proof.toString())
+  }
+
+  /**
+   * @param {API.UCANLink} proof
+   * @param {API.Delegation} attestation
+   */
+  approve(proof, attestation) {
+    const key = proof.toString()
+    this.pending.delete(key)
+    this.attestations.set(key, attestation)
+  }
+
+  /**
+   * @param {API.UCANLink} proof
+   */
+  attestation(proof) {
+    return take(this.attestations, proof.toString())
+  }
+}
+
+/**
+ * Returns delegation under the given key unless it has expired, in which
+ * case it is removed.
+ *
+ * @param {Map<string, API.Delegation>} delegations
+ * @param {string} key
+ */
+const take = (delegations, key) => {
+  const delegation = delegations.get(key)
+  if (delegation && delegation.expiration <= UCAN.now()) {
+    delegations.delete(key)
+    return null
+  }
+  return delegation || null
+}
+
+/**
+ * Creates a handler for the {@link capability} that attests delegations
+ * pending approval in the given store. It can be turned into a service method
+ * with `Server.provide(Session.capability, Session.handler({ signer, store }))`.
+ *
+ * @param {object} options
+ * @param {API.Signer} options.signer - Signer attestations are issued by,
+ * which should be the authority of the validator.
+ * @param {API.SessionStore} options.store
+ * @param {number} [options.ttl] - Time in seconds attestations are valid for.
+ * @returns {(input: API.ProviderInput<Approve>) => Promise<API.Result<{attestation: API.UCANLink}, API.SessionNotFound|API.UnauthorizedApproval>>}
+ */
+export const handler =
+  ({ signer, store, ttl }) =>
+  async ({ capability }) => {
+    if (capability.with !== signer.did()) {
+      return {
+        error: new UnauthorizedApproval(capability.with, signer.did()),
+      }
+    }
+
+    const delegation = await store.get(capability.nb.proof)
+    if (delegation == null) {
+      return { error: new SessionNotFound(capability.nb.proof) }
+    }
+
+    const attestation = await attest(delegation, { issuer: signer, ttl })
+    await store.approve(delegation.cid, attestation)
+
+    return { ok: { attestation: attestation.cid } }
+  }
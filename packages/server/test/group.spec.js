@@ -0,0 +1,455 @@
+import * as Client from '@ucanto/client'
+import * as Server from '../src/lib.js'
+import * as CAR from '@ucanto/transport/car'
+import * as API from '@ucanto/interface'
+import { Schema, Revoked, Revocation } from '@ucanto/validator'
+import { alice, bob, mallory, service as w3 } from './fixtures.js'
+import { test, assert } from './test.js'
+
+const Debit = Server.capability({
+  can: 'account/debit',
+  with: Schema.did(),
+  nb: Schema.struct({
+    amount: Schema.integer(),
+  }),
+})
+
+const Credit = Server.capability({
+  can: 'account/credit',
+  with: Schema.did(),
+  nb: Schema.struct({
+    amount: Schema.integer(),
+  }),
+})
+
+/**
+ * @param {API.Capabilities} capabilities
+ */
+const invoke = capabilities =>
+  Server.delegate({
+    issuer: alice,
+    audience: w3,
+    capabilities,
+  })
+
+/**
+ * @param {number} amount
+ * @param {API.DID} [account]
+ * @returns {API.Capability<'account/debit', API.DID, {amount: number}>}
+ */
+const debit = (amount, account = alice.did()) => ({
+  can: 'account/debit',
+  with: account,
+  nb: { amount },
+})
+
+/**
+ * @param {number} amount
+ * @param {API.DID} [account]
+ * @returns {API.Capability<'account/credit', API.DID, {amount: number}>}
+ */
+const credit = (amount, account = alice.did()) => ({
+  can: 'account/credit',
+  with: account,
+  nb: { amount },
+})
+
+const setup = () => {
+  /** @type {unknown[]} */
+  const calls = []
+  const transfer = Server.provideGroup(
+    Debit.and(Credit),
+    ({ capabilities, invocation }) => {
+      const [debit, credit] = capabilities
+      calls.push(capabilities)
+      assert.equal(invocation.capabilities.length, 2)
+      return {
+        ok: { debited: debit.nb.amount, credited: credit.nb.amount },
+      }
+    }
+  )
+
+  const server = Server.create({
+    id: w3,
+    service: {
+      account: {
+        group: { transfer },
+      },
+    },
+    codec: CAR.inbound,
+    validateAuthorization: () => ({ ok: {} }),
+  })
+
+  const connection = Client.connect({
+    id: w3,
+    codec: CAR.outbound,
+    channel: server,
+  })
+
+  /**
+   * @param {API.Delegation} invocation
+   */
+  const execute = async invocation => {
+    const [receipt] = /** @type {API.Receipt<{}, API.Failure>[]} */ (
+      await connection.execute(
+        // @ts-expect-error - connection is typed for single capability
+        invocation
+      )
+    )
+    return receipt
+  }
+
+  return { server, execute, calls }
+}
+
+test('dispatches multi-capability invocation to group provider', async () => {
+  const { execute, calls } = setup()
+
+  const receipt = await execute(await invoke([debit(5), credit(5)]))
+  assert.deepEqual(receipt.out, { ok: { debited: 5, credited: 5 } })
+  assert.equal(calls.length, 1)
+
+  const reversed = await execute(await invoke([credit(3), debit(2)]))
+  assert.deepEqual(reversed.out, { ok: { debited: 2, credited: 3 } })
+})
+
+test('group is only authorized when every capability is', async () => {
+  const { execute, calls } = setup()
+
+  const receipt = await execute(
+    await invoke([debit(5, bob.did()), credit(5, alice.did())])
+  )
+
+  assert.equal(receipt.out.error?.name, 'Unauthorized')
+  assert.deepEqual(calls, [])
+})
+
+test('rejects invocations without matching group provider', async () => {
+  const { execute } = setup()
+
+  const receipt = await execute(
+    await invoke([
+      debit(5),
+      credit(5),
+      { can: 'account/close', with: alice.did() },
+    ])
+  )
+
+  assert.containSubset(receipt.out, {
+    error: {
+      name: 'InvocationCapabilityError',
+      message:
+        'No capability group provider matches invoked abilities account/debit, account/credit, account/close.',
+    },
+  })
+})
+
+test('group provider does not handle single capability', async () => {
+  const { execute } = setup()
+
+  const receipt = await execute(await invoke([debit(5)]))
+  assert.equal(receipt.out.error?.name, 'HandlerNotFound')
+})
+
+test('group provider checks audience', async () => {
+  const { execute } = setup()
+
+  const receipt = await execute(
+    await Server.delegate({
+      issuer: alice,
+      audience: bob,
+      capabilities: [debit(5), credit(5)],
+    })
+  )
+  assert.equal(receipt.out.error?.name, 'InvalidAudience')
+})
+
+test('group provider runs authorized middleware', async () => {
+  /** @type {unknown[]} */
+  const authorized = []
+  const server = Server.create({
+    id: w3,
+    service: {
+      transfer: Server.provideGroup(Debit.and(Credit), () => ({ ok: {} })),
+    },
+    codec: CAR.inbound,
+    validateAuthorization: () => ({ ok: {} }),
+    middleware: [
+      {
+        authorized: ({ authorization }) => {
+          authorized.push(authorization.capability)
+          return { error: new Server.Failure('Transfers are disabled') }
+        },
+      },
+    ],
+  })
+
+  const invocation = await invoke([debit(5), credit(5)])
+  const receipt = await Server.run(
+    /** @type {API.Invocation} */ (/** @type {unknown} */ (invocation)),
+    server
+  )
+
+  assert.containSubset(receipt.out, {
+    error: { message: 'Transfers are disabled' },
+  })
+  assert.containSubset(authorized, [[debit(5), credit(5)]])
+})
+
+test('group provider returns stored receipt once authorized', async () => {
+  let authorized = true
+  let calls = 0
+  const server = Server.create({
+    id: w3,
+    service: {
+      transfer: Server.provideGroup(Debit.and(Credit), () => {
+        calls++
+        return { ok: {} }
+      }),
+    },
+    codec: CAR.inbound,
+    receipts: Server.Receipts.memory(),
+    idempotent: ['*'],
+    validateAuthorization: ({ delegation }) =>
+      authorized ? { ok: {} } : { error: new Revoked(delegation) },
+  })
+
+  const invocation = /** @type {API.Invocation} */ (
+    /** @type {unknown} */ (await invoke([debit(5), credit(5)]))
+  )
+  const first = await Server.run(invocation, server)
+  const second = await Server.run(invocation, server)
+  assert.equal(first.link().toString(), second.link().toString())
+  assert.equal(calls, 1)
+
+  authorized = false
+  const third = await Server.run(invocation, server)
+  assert.equal(third.out.error?.name, 'Unauthorized')
+  assert.equal(calls, 1)
+})
+
+test('group middleware hooks are called for each capability', async () => {
+  /** @type {string[]} */
+  const log = []
+  /**
+   * @param {string[]} blocked
+   */
+  const create = blocked =>
+    Server.create({
+      id: w3,
+      service: {
+        transfer: Server.provideGroup(Debit.and(Credit), () => ({
+          ok: { count: 0 },
+        })),
+      },
+      codec: CAR.inbound,
+      validateAuthorization: () => ({ ok: {} }),
+      middleware: [
+        {
+          before: ({ capability }) => {
+            log.push(`before ${capability.can}`)
+            if (blocked.includes(capability.can)) {
+              return { error: new Server.Failure(`${capability.can} blocked`) }
+            }
+          },
+          after: ({ capability, out }) => {
+            log.push(`after ${capability.can}`)
+            if (out.ok) {
+              const { count } = /** @type {{count: number}} */ (out.ok)
+              return { ok: { count: count + 1 } }
+            }
+          },
+        },
+      ],
+    })
+
+  const invocation = /** @type {API.Invocation} */ (
+    /** @type {unknown} */ (await invoke([debit(5), credit(5)]))
+  )
+
+  const receipt = await Server.run(invocation, create([]))
+  assert.deepEqual(receipt.out, { ok: { count: 2 } })
+  assert.deepEqual(log, [
+    'before account/debit',
+    'before account/credit',
+    'after account/debit',
+    'after account/credit',
+  ])
+
+  log.length = 0
+  const blocked = await Server.run(invocation, create(['account/credit']))
+  assert.containSubset(blocked.out, {
+    error: { message: 'account/credit blocked' },
+  })
+  assert.deepEqual(log, [
+    'before account/debit',
+    'before account/credit',
+    'after account/debit',
+    'after account/credit',
+  ])
+})
+
+test('group is given the shortest timeout of its capabilities', async () => {
+  const server = Server.create({
+    id: w3,
+    service: {
+      transfer: Server.provideGroup(Debit.and(Credit), async () => {
+        await new Promise(resolve => setTimeout(resolve, 50))
+        return { ok: {} }
+      }),
+    },
+    codec: CAR.inbound,
+    validateAuthorization: () => ({ ok: {} }),
+    timeout: { 'account/debit': 1000, '*': 5 },
+  })
+
+  const receipt = await Server.run(
+    /** @type {API.Invocation} */ (
+      /** @type {unknown} */ (await invoke([debit(5), credit(5)]))
+    ),
+    server
+  )
+  assert.containSubset(receipt.out, {
+    error: { name: 'HandlerTimeout', timeout: 5 },
+  })
+})
+
+test('group receipt is cached only if every ability is idempotent', async () => {
+  /**
+   * @param {API.Ability[]} idempotent
+   */
+  const create = idempotent => {
+    const state = { calls: 0 }
+    const server = Server.create({
+      id: w3,
+      service: {
+        transfer: Server.provideGroup(Debit.and(Credit), () => {
+          state.calls++
+          return { ok: {} }
+        }),
+      },
+      codec: CAR.inbound,
+      validateAuthorization: () => ({ ok: {} }),
+      receipts: Server.Receipts.memory(),
+      idempotent,
+    })
+    return { server, state }
+  }
+
+  const invocation = /** @type {API.Invocation} */ (
+    /** @type {unknown} */ (await invoke([debit(5), credit(5)]))
+  )
+
+  const partial = create(['account/debit'])
+  await Server.run(invocation, partial.server)
+  await Server.run(invocation, partial.server)
+  assert.equal(partial.state.calls, 2)
+
+  const full = create(['account/debit', 'account/credit'])
+  await Server.run(invocation, full.server)
+  await Server.run(invocation, full.server)
+  assert.equal(full.state.calls, 1)
+})
+
+test('group is not authorized if any of its delegations is revoked', async () => {
+  const store = Revocation.memory()
+  const server = Server.create({
+    id: w3,
+    service: {
+      transfer: Server.provideGroup(Debit.and(Credit), () => ({ ok: {} })),
+    },
+    codec: CAR.inbound,
+    validateAuthorization: Revocation.validateAuthorization({ store }),
+  })
+
+  const debits = await Debit.delegate({
+    issuer: alice,
+    audience: mallory,
+    with: alice.did(),
+  })
+  const credits = await Credit.delegate({
+    issuer: bob,
+    audience: mallory,
+    with: bob.did(),
+  })
+
+  /**
+   * @param {API.Delegation} invocation
+   */
+  const run = invocation =>
+    Server.run(
+      /** @type {API.Invocation} */ (/** @type {unknown} */ (invocation)),
+      server
+    )
+  const transfer = () =>
+    Server.delegate({
+      issuer: mallory,
+      audience: w3,
+      capabilities: [debit(5, alice.did()), credit(5, bob.did())],
+      proofs: [debits, credits],
+    })
+
+  const receipt = await run(await transfer())
+  assert.deepEqual(receipt.out, { ok: {} })
+
+  await store.add({ ucan: credits.cid, revoker: bob.did(), cause: credits.cid })
+
+  const revoked = await run(await transfer())
+  assert.equal(revoked.out.error?.name, 'Unauthorized')
+  assert.match(
+    String(revoked.out.error?.message),
+    new RegExp(`Proof ${credits.cid} has been revoked`)
+  )
+})
+
+test('group provider can be called directly', async () => {
+  const transfer = Server.provideGroup(
+    Debit.and(Credit),
+    ({ capabilities, signal }) => {
+      assert.equal(signal.aborted, false)
+      return { ok: { count: capabilities.length } }
+    }
+  )
+  const { server } = setup()
+
+  const invocation = await invoke([debit(5), credit(5)])
+  const result = await transfer(
+    /** @type {API.Invocation} */ (/** @type {unknown} */ (invocation)),
+    server.context
+  )
+  assert.deepEqual(result, { ok: { count: 2 } })
+})
+
+test('resolves group provider in cyclic service', async () => {
+  /** @type {Record<string, any>} */
+  const account = {}
+  account.parent = { account }
+  account.transfer = Server.provideGroup(
+    Debit.and(Credit),
+    ({ capabilities }) => ({
+      ok: { debited: capabilities[0].nb.amount },
+    })
+  )
+  /** @type {Record<string, any>} */
+  const service = { account }
+  service.self = service
+
+  const server = Server.create({
+    id: w3,
+    service,
+    codec: CAR.inbound,
+    validateAuthorization: () => ({ ok: {} }),
+  })
+
+  const found = await server.run(
+    // @ts-expect-error - server is typed for single capability
+    await invoke([debit(5), credit(5)])
+  )
+  assert.deepEqual(found.out, { ok: { debited: 5 } })
+
+  const missing = await server.run(
+    // @ts-expect-error - server is typed for single capability
+    await invoke([debit(5), { can: 'account/close', with: alice.did() }])
+  )
+  assert.equal(missing.out.error?.name, 'InvocationCapabilityError')
+})
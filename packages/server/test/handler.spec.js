@@ -230,7 +230,8 @@ test('checks for single capability invocation', async () => {
     out: {
       error: {
         name: 'InvocationCapabilityError',
-        message: 'Invocation is required to have a single capability.',
+        message:
+          'No capability group provider matches invoked abilities identity/register, identity/register.',
         capabilities: [
           { can: 'identity/register', with: 'mailto:bob@web.mail' },
           { can: 'identity/register', with: 'mailto:bob@web.mail' },
@@ -0,0 +1,365 @@
+import * as Server from '../src/lib.js'
+import * as CAR from '@ucanto/transport/car'
+import * as API from '@ucanto/interface'
+import { Message } from '@ucanto/core'
+import { Schema } from '@ucanto/validator'
+import { alice, service as w3 } from './fixtures.js'
+import { test, assert } from './test.js'
+
+const Echo = Server.capability({
+  can: 'debug/echo',
+  with: Schema.did(),
+  nb: Schema.struct({
+    message: Schema.string(),
+  }),
+})
+
+const server = Server.create({
+  id: w3,
+  service: {
+    debug: {
+      echo: Server.provide(Echo, ({ capability }) => ({
+        ok: { message: capability.nb.message },
+      })),
+    },
+  },
+  codec: CAR.inbound,
+  validateAuthorization: () => ({ ok: {} }),
+})
+
+const encode = async () => {
+  const invocation = await Echo.invoke({
+    issuer: alice,
+    audience: w3,
+    with: alice.did(),
+    nb: { message: 'hello' },
+  }).delegate()
+
+  const message = await Message.build({ invocations: [invocation] })
+  return CAR.request.encode(message)
+}
+
+/**
+ * @param {API.HTTPResponse} response
+ */
+const decode = async response => {
+  const message = await CAR.response.decode(response)
+  const [receipt] = message.receipts.values()
+  return receipt
+}
+
+/**
+ * Creates object that quacks like node `http.IncomingMessage`.
+ *
+ * @param {object} source
+ * @param {string} [source.method]
+ * @param {Record<string, string|string[]|undefined>} [source.headers]
+ * @param {Uint8Array[]} [source.chunks]
+ * @param {Error} [source.error] - Error to fail with after reading chunks.
+ */
+const nodeRequest = ({ method = 'POST', headers = {}, chunks = [], error }) => {
+  let read = 0
+  const request = {
+    method,
+    headers,
+    /** @type {Error|undefined} */
+    destroyed: undefined,
+    get read() {
+      return read
+    },
+    async *[Symbol.asyncIterator]() {
+      for (const chunk of chunks) {
+        read++
+        yield chunk
+      }
+      if (error) {
+        throw error
+      }
+    },
+    /**
+     * @param {Error} [error]
+     */
+    destroy(error) {
+      request.destroyed = error
+    },
+  }
+  return request
+}
+
+/**
+ * Creates object that quacks like node `http.ServerResponse`.
+ */
+const nodeResponse = () => {
+  const response = {
+    status: 0,
+    /** @type {Record<string, string>} */
+    headers: {},
+    /** @type {Uint8Array|undefined} */
+    body: undefined,
+    /**
+     * @param {number} status
+     * @param {Record<string, string>} headers
+     */
+    writeHead(status, headers) {
+      response.status = status
+      response.headers = headers
+    },
+    /**
+     * @param {Uint8Array} [body]
+     */
+    end(body) {
+      response.body = body
+    },
+  }
+  return response
+}
+
+test('node listener handles invocations', async () => {
+  const { headers, body } = await encode()
+  const listener = Server.toNodeListener(server)
+  const response = nodeResponse()
+
+  await listener(
+    nodeRequest({
+      headers: { 'Content-Type': headers['content-type'], accept: ['*/*'] },
+      chunks: [body.subarray(0, 10), body.subarray(10)],
+    }),
+    response
+  )
+
+  assert.equal(response.status, 200)
+  assert.equal(response.headers['content-type'], CAR.contentType)
+
+  const receipt = await decode({
+    headers: response.headers,
+    body: /** @type {Uint8Array} */ (response.body),
+  })
+  assert.deepEqual(receipt.out, { ok: { message: 'hello' } })
+})
+
+test('node listener propagates codec error status', async () => {
+  const { body } = await encode()
+  const listener = Server.toNodeListener(server)
+  const response = nodeResponse()
+
+  await listener(
+    nodeRequest({
+      headers: { 'content-type': 'application/json' },
+      chunks: [body],
+    }),
+    response
+  )
+
+  assert.equal(response.status, 415)
+  assert.equal(response.headers.accept, CAR.contentType)
+})
+
+test('node listener responds with 400 on malformed body', async () => {
+  const listener = Server.toNodeListener(server)
+  const response = nodeResponse()
+
+  await listener(
+    nodeRequest({
+      headers: { 'content-type': CAR.contentType },
+      chunks: [new Uint8Array([1, 2, 3])],
+    }),
+    response
+  )
+
+  assert.equal(response.status, 400)
+})
+
+test('node listener responds with 400 when body can not be read', async () => {
+  const { headers, body } = await encode()
+  const listener = Server.toNodeListener(server)
+  const response = nodeResponse()
+
+  await listener(
+    nodeRequest({
+      headers,
+      chunks: [body.subarray(0, 10)],
+      error: new Error('aborted'),
+    }),
+    response
+  )
+
+  assert.equal(response.status, 400)
+  assert.equal(
+    new TextDecoder().decode(response.body),
+    'Unable to read request body'
+  )
+})
+
+test('node listener destroys request when response can not be written', async () => {
+  const { headers, body } = await encode()
+  const listener = Server.toNodeListener(server)
+  const request = nodeRequest({ headers, chunks: [body] })
+  const failure = new Error('socket hang up')
+
+  await listener(request, {
+    writeHead() {
+      throw failure
+    },
+    end() {},
+  })
+
+  assert.equal(request.destroyed, failure)
+})
+
+test('reports unexpected errors to the server', async () => {
+  /** @type {unknown[]} */
+  const errors = []
+  const broken = Server.create({
+    id: w3,
+    service: {},
+    codec: {
+      accept: request => {
+        const selection = CAR.inbound.accept(request)
+        return selection.ok
+          ? {
+              ok: {
+                decoder: selection.ok.decoder,
+                encoder: {
+                  encode() {
+                    throw new Error('Boom')
+                  },
+                },
+              },
+            }
+          : selection
+      },
+    },
+    validateAuthorization: () => ({ ok: {} }),
+    catch: error => {
+      errors.push(error)
+    },
+  })
+  const { headers, body } = await encode()
+  const response = nodeResponse()
+
+  await Server.toNodeListener(broken)(
+    nodeRequest({ headers, chunks: [body] }),
+    response
+  )
+
+  assert.equal(response.status, 500)
+  assert.equal(new TextDecoder().decode(response.body), 'Internal Server Error')
+  assert.equal(errors.length, 1)
+  assert.containSubset(JSON.parse(JSON.stringify(errors[0])), {
+    name: 'RequestExecutionError',
+    message: 'service request error: Boom',
+    cause: { message: 'Boom' },
+  })
+})
+
+test('rejects bodies exceeding the limit', async () => {
+  const { headers, body } = await encode()
+  const listener = Server.toNodeListener(server, { maxBodySize: 16 })
+
+  const declared = nodeRequest({
+    headers: { ...headers, 'content-length': String(body.byteLength) },
+    chunks: [body],
+  })
+  const response = nodeResponse()
+  await listener(declared, response)
+  assert.equal(response.status, 413)
+  assert.equal(declared.read, 0, 'body is not read')
+
+  const streamed = nodeRequest({
+    headers,
+    chunks: [body.subarray(0, 10), body.subarray(10, 20), body.subarray(20)],
+  })
+  const chunked = nodeResponse()
+  await listener(streamed, chunked)
+  assert.equal(chunked.status, 413)
+  assert.equal(streamed.read, 2, 'stops reading once limit is exceeded')
+  assert.equal(
+    new TextDecoder().decode(chunked.body),
+    'Request body is too large'
+  )
+})
+
+test('responds to HEAD and rejects other methods', async () => {
+  const listener = Server.toNodeListener(server)
+
+  const head = nodeResponse()
+  await listener(nodeRequest({ method: 'HEAD' }), head)
+  assert.equal(head.status, 200)
+  assert.equal(head.body, undefined)
+
+  const get = nodeResponse()
+  await listener(nodeRequest({ method: 'GET' }), get)
+  assert.equal(get.status, 405)
+  assert.equal(get.headers.allow, 'POST, HEAD, OPTIONS')
+})
+
+test('responds to OPTIONS', async () => {
+  const plain = nodeResponse()
+  await Server.toNodeListener(server)(nodeRequest({ method: 'OPTIONS' }), plain)
+  assert.equal(plain.status, 204)
+  assert.deepEqual(plain.headers, { allow: 'POST, HEAD, OPTIONS' })
+
+  const preflight = nodeResponse()
+  await Server.toNodeListener(server, { cors: true })(
+    nodeRequest({ method: 'options' }),
+    preflight
+  )
+  assert.deepEqual(preflight.headers, {
+    allow: 'POST, HEAD, OPTIONS',
+    'access-control-allow-origin': '*',
+    'access-control-allow-methods': 'POST, HEAD, OPTIONS',
+    'access-control-allow-headers': 'content-type, accept',
+    'access-control-max-age': '86400',
+  })
+
+  const custom = nodeResponse()
+  await Server.toNodeListener(server, {
+    cors: { origin: 'https://web3.storage', maxAge: 60 },
+  })(
+    nodeRequest({
+      method: 'OPTIONS',
+      headers: { 'Access-Control-Request-Headers': 'x-custom' },
+    }),
+    custom
+  )
+  assert.containSubset(custom.headers, {
+    'access-control-allow-origin': 'https://web3.storage',
+    'access-control-allow-headers': 'x-custom',
+    'access-control-max-age': '60',
+  })
+})
+
+test('fetch handler handles invocations', async () => {
+  const { headers, body } = await encode()
+  const handler = Server.toFetchHandler(server, { cors: true })
+
+  const response = await handler(
+    new Request('http://localhost/', { method: 'POST', headers, body })
+  )
+
+  assert.equal(response.status, 200)
+  assert.equal(response.headers.get('access-control-allow-origin'), '*')
+
+  const receipt = await decode({
+    headers: Object.fromEntries(response.headers.entries()),
+    body: new Uint8Array(await response.arrayBuffer()),
+  })
+  assert.deepEqual(receipt.out, { ok: { message: 'hello' } })
+})
+
+test('fetch handler handles requests without body', async () => {
+  const handler = Server.toFetchHandler(server)
+
+  const post = await handler(
+    new Request('http://localhost/', {
+      method: 'POST',
+      headers: { 'content-type': CAR.contentType },
+    })
+  )
+  assert.equal(post.status, 400)
+
+  const head = await handler(
+    new Request('http://localhost/', { method: 'HEAD' })
+  )
+  assert.equal(head.status, 200)
+})
@@ -0,0 +1,151 @@
+import * as Client from '@ucanto/client'
+import * as Server from '../src/lib.js'
+import * as CAR from '@ucanto/transport/car'
+import { Schema } from '@ucanto/validator'
+import { alice, bob, service as w3 } from './fixtures.js'
+import { test, assert } from './test.js'
+
+const Add = Server.capability({
+  can: 'store/add',
+  with: Schema.did(),
+  nb: Schema.struct({
+    link: Schema.link(),
+    size: Schema.integer().optional(),
+  }),
+})
+
+const Remove = Server.capability({
+  can: 'store/remove',
+  with: Schema.did(),
+  nb: Schema.struct({
+    link: Schema.link(),
+  }),
+})
+
+const Echo = Server.capability({
+  can: 'debug/echo',
+  with: Schema.did(),
+  nb: Schema.struct({
+    message: Schema.string(),
+  }),
+})
+
+const Shout = Server.capability({
+  can: 'debug/shout',
+  with: Schema.did(),
+  nb: Schema.struct({
+    message: Schema.string(),
+  }),
+})
+
+const service = {
+  store: {
+    add: Server.provide(Add, () => ({ ok: {} })),
+    remove: Server.provideAdvanced({
+      capability: Remove,
+      handler: () => ({ ok: {} }),
+    }),
+  },
+  debug: {
+    echo: Server.provide(Echo.or(Shout), () => ({ ok: {} })),
+    ping: () => ({ ok: {} }),
+  },
+}
+
+/** @type {Server.API.SchemaDescription} */
+const did = { kind: 'string', refinements: [{ kind: 'did' }] }
+/** @type {Server.API.SchemaDescription} */
+const message = {
+  kind: 'struct',
+  fields: { message: { kind: 'string' } },
+}
+
+test('describes service abilities', () => {
+  assert.deepEqual(Server.Introspection.describe(service), {
+    abilities: [
+      {
+        can: 'store/add',
+        with: did,
+        nb: {
+          kind: 'struct',
+          fields: {
+            link: { kind: 'link' },
+            size: {
+              kind: 'optional',
+              of: { kind: 'number', refinements: [{ kind: 'integer' }] },
+            },
+          },
+        },
+      },
+      {
+        can: 'store/remove',
+        with: did,
+        nb: { kind: 'struct', fields: { link: { kind: 'link' } } },
+      },
+      { can: 'debug/echo', with: did, nb: message },
+      { can: 'debug/shout', with: did, nb: message },
+    ],
+  })
+})
+
+test('ucanto/describe is opt-in', async () => {
+  const server = Server.create({
+    id: w3,
+    service,
+    codec: CAR.inbound,
+    validateAuthorization: () => ({ ok: {} }),
+  })
+  const connection = Client.connect({
+    id: w3,
+    codec: CAR.outbound,
+    channel: server,
+  })
+
+  const receipt = await Server.Introspection.capability
+    .invoke({
+      issuer: alice,
+      audience: w3,
+      with: alice.did(),
+    })
+    // @ts-expect-error - service does not implement it
+    .execute(connection)
+
+  assert.equal(receipt.out.error?.name, 'HandlerNotFound')
+})
+
+test('ucanto/describe returns service description', async () => {
+  const server = Server.create({
+    id: w3,
+    service: {
+      ...service,
+      ucanto: { describe: Server.Introspection.provide(service) },
+    },
+    codec: CAR.inbound,
+    validateAuthorization: () => ({ ok: {} }),
+  })
+  const connection = Client.connect({
+    id: w3,
+    codec: CAR.outbound,
+    channel: server,
+  })
+
+  const receipt = await Server.Introspection.capability
+    .invoke({
+      issuer: alice,
+      audience: w3,
+      with: alice.did(),
+    })
+    .execute(connection)
+
+  assert.deepEqual(receipt.out.ok, Server.Introspection.describe(service))
+
+  const denied = await Server.Introspection.capability
+    .invoke({
+      issuer: alice,
+      audience: w3,
+      with: bob.did(),
+    })
+    .execute(connection)
+
+  assert.equal(denied.out.error?.name, 'Unauthorized')
+})
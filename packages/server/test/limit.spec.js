@@ -0,0 +1,245 @@
+import * as Client from '@ucanto/client'
+import * as Server from '../src/lib.js'
+import * as Limit from '../src/limit.js'
+import * as CAR from '@ucanto/transport/car'
+import * as API from '@ucanto/interface'
+import { Schema } from '@ucanto/validator'
+import { alice, service as w3 } from './fixtures.js'
+import { test, assert } from './test.js'
+
+const Sleep = Server.capability({
+  can: 'debug/sleep',
+  with: Schema.did(),
+  nb: Schema.struct({
+    ms: Schema.integer(),
+  }),
+})
+
+/**
+ * @param {number} ms
+ */
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * @param {Pick<API.ServerOptions<{}>, 'concurrency'|'timeout'|'middleware'>} options
+ */
+const setup = options => {
+  const state = { active: 0, peak: 0 }
+  /** @type {AbortSignal[]} */
+  const signals = []
+  const server = Server.create({
+    id: w3,
+    service: {
+      debug: {
+        sleep: Server.provide(Sleep, async ({ capability, signal }) => {
+          signals.push(signal)
+          state.active++
+          state.peak = Math.max(state.peak, state.active)
+          await sleep(capability.nb.ms)
+          state.active--
+          return { ok: { ms: capability.nb.ms } }
+        }),
+      },
+    },
+    codec: CAR.inbound,
+    validateAuthorization: () => ({ ok: {} }),
+    ...options,
+  })
+
+  const connection = Client.connect({
+    id: w3,
+    codec: CAR.outbound,
+    channel: server,
+  })
+
+  return { server, connection, state, signals }
+}
+
+/**
+ * @param {number} ms
+ */
+const invokeSleep = ms =>
+  Sleep.invoke({
+    issuer: alice,
+    audience: w3,
+    with: alice.did(),
+    nb: { ms },
+  })
+
+test('limit runs tasks in order with bounded concurrency', async () => {
+  const limit = Limit.create(2)
+  /** @type {string[]} */
+  const log = []
+  /**
+   * @param {string} name
+   * @param {number} ms
+   */
+  const task = (name, ms) =>
+    limit(async () => {
+      log.push(`start ${name}`)
+      await sleep(ms)
+      log.push(`end ${name}`)
+      return name
+    })
+
+  const results = await Promise.all([
+    task('a', 20),
+    task('b', 5),
+    task('c', 5),
+    task('d', 5),
+  ])
+
+  assert.deepEqual(results, ['a', 'b', 'c', 'd'])
+  assert.deepEqual(log, [
+    'start a',
+    'start b',
+    'end b',
+    'start c',
+    'end c',
+    'start d',
+    'end d',
+    'end a',
+  ])
+})
+
+test('limit frees slot when task fails', async () => {
+  const limit = Limit.create(1)
+  const failed = limit(async () => {
+    throw new Error('Boom')
+  })
+  const next = limit(async () => 'ok')
+
+  const error = await failed.catch(error => error)
+  assert.equal(error.message, 'Boom')
+  assert.equal(await next, 'ok')
+})
+
+test('limit rejects invalid concurrency', () => {
+  for (const concurrency of [0, -1, 1.5, NaN, -Infinity]) {
+    assert.throws(
+      () => Limit.create(concurrency),
+      /Concurrency must be a positive integer/
+    )
+  }
+
+  assert.equal(typeof Limit.create(1), 'function')
+  assert.equal(typeof Limit.create(Infinity), 'function')
+})
+
+test('server rejects invalid concurrency', () => {
+  for (const concurrency of [{ message: 0 }, { global: 1.5 }]) {
+    assert.throws(
+      () => setup({ concurrency }),
+      /Concurrency must be a positive integer/
+    )
+  }
+})
+
+test('limits concurrency of invocations in a message', async () => {
+  const { connection, state } = setup({ concurrency: { message: 2 } })
+
+  const receipts = await connection.execute(
+    invokeSleep(50),
+    invokeSleep(50),
+    invokeSleep(50),
+    invokeSleep(50),
+    invokeSleep(50)
+  )
+
+  assert.deepEqual(
+    receipts.map($ => $.out),
+    [50, 50, 50, 50, 50].map(ms => ({ ok: { ms } }))
+  )
+  assert.equal(state.peak, 2)
+})
+
+test('limits concurrency of invocations across messages', async () => {
+  const { connection, state } = setup({ concurrency: { global: 3 } })
+
+  const results = await Promise.all([
+    connection.execute(invokeSleep(50), invokeSleep(50)),
+    connection.execute(invokeSleep(50), invokeSleep(50)),
+    invokeSleep(50).execute(connection),
+  ])
+
+  assert.equal(results.flat().length, 5)
+  assert.equal(state.peak, 3)
+})
+
+test('invocations run concurrently by default', async () => {
+  const { connection, state } = setup({})
+
+  await connection.execute(invokeSleep(50), invokeSleep(50), invokeSleep(50))
+
+  assert.equal(state.peak, 3)
+})
+
+test('times out slow handler', async () => {
+  const { connection, signals } = setup({
+    timeout: { 'debug/sleep': 200, '*': 5 },
+  })
+
+  const [slow, fast] = await connection.execute(
+    invokeSleep(1000),
+    invokeSleep(0)
+  )
+
+  assert.containSubset(slow.out, {
+    error: {
+      name: 'HandlerTimeout',
+      capability: { can: 'debug/sleep', with: alice.did() },
+      timeout: 200,
+      message: 'service handler {can: "debug/sleep"} timed out after 200ms',
+    },
+  })
+  assert.deepEqual(fast.out, { ok: { ms: 0 } })
+
+  const aborted = signals.filter(signal => signal.aborted)
+  assert.equal(signals.length, 2)
+  assert.equal(aborted.length, 1)
+  assert.equal(aborted[0].reason.name, 'HandlerTimeout')
+})
+
+test('timed out handlers hold concurrency slot until they settle', async () => {
+  const { connection, state } = setup({
+    concurrency: { global: 1 },
+    timeout: { '*': 20 },
+  })
+
+  const receipts = await connection.execute(
+    invokeSleep(50),
+    invokeSleep(50),
+    invokeSleep(50)
+  )
+
+  assert.deepEqual(
+    receipts.map($ => $.out.error?.name),
+    ['HandlerTimeout', 'HandlerTimeout', 'HandlerTimeout']
+  )
+  assert.equal(state.peak, 1)
+})
+
+test('wildcard timeout applies to all abilities', async () => {
+  const { connection } = setup({ timeout: { '*': 5 } })
+
+  const receipt = await invokeSleep(50).execute(connection)
+  assert.equal(receipt.out.error?.name, 'HandlerTimeout')
+})
+
+test('after middleware observes timeout', async () => {
+  /** @type {string[]} */
+  const log = []
+  const { connection } = setup({
+    timeout: { '*': 5 },
+    middleware: [
+      {
+        after: ({ out }) => {
+          log.push(`${out.error?.name}`)
+        },
+      },
+    ],
+  })
+
+  await invokeSleep(50).execute(connection)
+  assert.deepEqual(log, ['HandlerTimeout'])
+})
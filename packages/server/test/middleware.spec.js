@@ -0,0 +1,325 @@
+import * as Client from '@ucanto/client'
+import * as Server from '../src/lib.js'
+import * as CAR from '@ucanto/transport/car'
+import * as API from '@ucanto/interface'
+import { Schema } from '@ucanto/validator'
+import { alice, service as w3 } from './fixtures.js'
+import { test, assert } from './test.js'
+
+const Echo = Server.capability({
+  can: 'debug/echo',
+  with: Schema.did(),
+  nb: Schema.struct({
+    message: Schema.string(),
+  }),
+})
+
+/**
+ * @param {API.Middleware[]} middleware
+ */
+const setup = middleware => {
+  /** @type {string[]} */
+  const calls = []
+  const server = Server.create({
+    id: w3,
+    service: {
+      debug: {
+        echo: Server.provide(Echo, async ({ capability }) => {
+          calls.push(capability.nb.message)
+          return { ok: { message: capability.nb.message } }
+        }),
+      },
+    },
+    codec: CAR.inbound,
+    validateAuthorization: () => ({ ok: {} }),
+    middleware,
+  })
+
+  const connection = Client.connect({
+    id: w3,
+    codec: CAR.outbound,
+    channel: server,
+  })
+
+  return { server, connection, calls }
+}
+
+/**
+ * @param {string} message
+ */
+const echo = message =>
+  Echo.invoke({
+    issuer: alice,
+    audience: w3,
+    with: alice.did(),
+    nb: { message },
+  })
+
+test('middleware observes every stage', async () => {
+  /** @type {string[]} */
+  const log = []
+  const { connection, calls } = setup([
+    {
+      before: ({ capability, handler, invocation }) => {
+        assert.equal(typeof handler, 'function')
+        assert.deepEqual(invocation.capabilities, [capability])
+        log.push(`before ${capability.can}`)
+      },
+      authorized: ({ authorization, invocation }) => {
+        assert.deepEqual(authorization.delegation.cid, invocation.cid)
+        log.push(`authorized ${authorization.capability.can}`)
+      },
+      after: ({ capability, out, fx }) => {
+        assert.deepEqual(out, { ok: { message: 'hello' } })
+        assert.equal(fx, undefined)
+        log.push(`after ${capability.can}`)
+      },
+    },
+    {},
+  ])
+
+  const receipt = await echo('hello').execute(connection)
+  assert.deepEqual(receipt.out, { ok: { message: 'hello' } })
+  assert.deepEqual(calls, ['hello'])
+  assert.deepEqual(log, [
+    'before debug/echo',
+    'authorized debug/echo',
+    'after debug/echo',
+  ])
+})
+
+test('before hook can short-circuit invocation', async () => {
+  /** @type {string[]} */
+  const log = []
+  const { connection, calls } = setup([
+    {
+      before: () => {
+        log.push('first')
+        return { error: new Server.Failure('Feature is disabled') }
+      },
+    },
+    {
+      before: () => {
+        log.push('second')
+      },
+      after: ({ out }) => {
+        log.push(`after ${out.error?.message}`)
+      },
+    },
+  ])
+
+  const receipt = await echo('hello').execute(connection)
+  assert.containSubset(receipt.out, {
+    error: { message: 'Feature is disabled' },
+  })
+  assert.deepEqual(calls, [])
+  assert.deepEqual(log, ['first', 'after Feature is disabled'])
+})
+
+test('authorized hook can short-circuit handler', async () => {
+  const { connection, calls } = setup([
+    {
+      authorized: ({ authorization }) => {
+        const { nb } = /** @type {API.InferInvokedCapability<typeof Echo>} */ (
+          authorization.capability
+        )
+        if (nb.message === 'secret') {
+          return { error: new Server.Failure('Message is not allowed') }
+        }
+      },
+    },
+  ])
+
+  const denied = await echo('secret').execute(connection)
+  assert.containSubset(denied.out, {
+    error: { message: 'Message is not allowed' },
+  })
+
+  const allowed = await echo('public').execute(connection)
+  assert.deepEqual(allowed.out, { ok: { message: 'public' } })
+  assert.deepEqual(calls, ['public'])
+})
+
+test('authorized hook is not called on unauthorized invocation', async () => {
+  /** @type {string[]} */
+  const log = []
+  const { connection, calls } = setup([
+    {
+      authorized: () => {
+        log.push('authorized')
+      },
+    },
+  ])
+
+  const receipt = await Echo.invoke({
+    issuer: alice,
+    audience: w3,
+    with: w3.did(),
+    nb: { message: 'hello' },
+  }).execute(connection)
+
+  assert.equal(receipt.out.error?.name, 'Unauthorized')
+  assert.deepEqual(log, [])
+  assert.deepEqual(calls, [])
+})
+
+test('after hooks can replace outcome', async () => {
+  const { connection } = setup([
+    {
+      after: ({ out }) =>
+        out.ok ? Server.ok({ message: 'replaced' }) : undefined,
+    },
+    {
+      after: ({ out }) => {
+        assert.deepEqual(out, { ok: { message: 'replaced' } })
+      },
+    },
+  ])
+
+  const receipt = await echo('hello').execute(connection)
+  assert.deepEqual(receipt.out, { ok: { message: 'replaced' } })
+})
+
+test('after hook can attach effects', async () => {
+  const { connection } = setup([
+    {
+      after: async ({ out }) => {
+        const task = await echo('effect').delegate()
+        return { do: { out, fx: { fork: [task.link()] } } }
+      },
+    },
+  ])
+
+  const receipt = await echo('hello').execute(connection)
+  assert.deepEqual(receipt.out, { ok: { message: 'hello' } })
+  assert.equal(receipt.fx.fork.length, 1)
+})
+
+test('middleware observes unknown handlers', async () => {
+  /** @type {Array<API.ServiceMethod<API.Capability, {}, API.Failure>|null>} */
+  const handlers = []
+  const { connection } = setup([
+    {
+      before: ({ handler }) => {
+        handlers.push(handler)
+      },
+      after: ({ out }) => {
+        assert.equal(out.error?.name, 'HandlerNotFound')
+      },
+    },
+  ])
+
+  const receipt = await Client.invoke({
+    issuer: alice,
+    audience: w3,
+    capability: {
+      can: 'debug/ping',
+      with: alice.did(),
+    },
+  })
+    // @ts-expect-error - service does not implement it
+    .execute(connection)
+
+  assert.equal(receipt.out.error?.name, 'HandlerNotFound')
+  assert.deepEqual(handlers, [null])
+})
+
+test('middleware errors are reported as execution errors', async () => {
+  /** @type {(API.HandlerExecutionError | API.RequestExecutionError)[]} */
+  const errors = []
+  const server = Server.create({
+    id: w3,
+    service: {},
+    codec: CAR.inbound,
+    validateAuthorization: () => ({ ok: {} }),
+    catch: error => {
+      errors.push(error)
+    },
+    middleware: [
+      {
+        before: () => {
+          throw new Error('Boom')
+        },
+      },
+    ],
+  })
+
+  // @ts-expect-error - service does not implement it
+  const receipt = await server.run(echo('hello'))
+  assert.containSubset(receipt.out, {
+    error: {
+      name: 'HandlerExecutionError',
+      message: 'service handler {can: "debug/echo"} error: Boom',
+    },
+  })
+  assert.equal(errors.length, 1)
+})
+
+test('after hooks observe execution errors', async () => {
+  /** @type {(API.HandlerExecutionError | API.RequestExecutionError)[]} */
+  const errors = []
+  /** @type {string[]} */
+  const log = []
+  const server = Server.create({
+    id: w3,
+    service: {},
+    codec: CAR.inbound,
+    validateAuthorization: () => ({ ok: {} }),
+    catch: error => {
+      errors.push(error)
+    },
+    middleware: [
+      {
+        before: () => {
+          throw new Error('Boom')
+        },
+        after: ({ out }) => {
+          log.push(`after ${out.error?.name}`)
+          return { error: new Server.Failure('Recovered') }
+        },
+      },
+    ],
+  })
+
+  // @ts-expect-error - service does not implement it
+  const receipt = await server.run(echo('hello'))
+  assert.containSubset(receipt.out, { error: { message: 'Recovered' } })
+  assert.deepEqual(log, ['after HandlerExecutionError'])
+  assert.equal(errors.length, 1)
+})
+
+test('after hook errors are reported as execution errors', async () => {
+  /** @type {(API.HandlerExecutionError | API.RequestExecutionError)[]} */
+  const errors = []
+  /** @type {string[]} */
+  const log = []
+  const server = Server.create({
+    id: w3,
+    service: {},
+    codec: CAR.inbound,
+    validateAuthorization: () => ({ ok: {} }),
+    catch: error => {
+      errors.push(error)
+    },
+    middleware: [
+      {
+        after: ({ out }) => {
+          log.push(`after ${out.error?.name}`)
+          throw new Error('Boom')
+        },
+      },
+    ],
+  })
+
+  // @ts-expect-error - service does not implement it
+  const receipt = await server.run(echo('hello'))
+  assert.containSubset(receipt.out, {
+    error: {
+      name: 'HandlerExecutionError',
+      message: 'service handler {can: "debug/echo"} error: Boom',
+    },
+  })
+  // Hooks are not run again for the errors they throw.
+  assert.deepEqual(log, ['after HandlerNotFound'])
+  assert.equal(errors.length, 1)
+})
@@ -0,0 +1,357 @@
+import * as Client from '@ucanto/client'
+import * as Server from '../src/lib.js'
+import * as CAR from '@ucanto/transport/car'
+import * as API from '@ucanto/interface'
+import { Schema, Revoked } from '@ucanto/validator'
+import { alice, service as w3 } from './fixtures.js'
+import { test, assert } from './test.js'
+
+const Echo = Server.capability({
+  can: 'debug/echo',
+  with: Schema.did(),
+  nb: Schema.struct({
+    message: Schema.string(),
+  }),
+})
+
+const Missing = Server.capability({
+  can: 'debug/missing',
+  with: Schema.did(),
+})
+
+const Fail = Server.capability({
+  can: 'debug/fail',
+  with: Schema.did(),
+})
+
+const Sleep = Server.capability({
+  can: 'debug/sleep',
+  with: Schema.did(),
+  nb: Schema.struct({
+    ms: Schema.integer(),
+  }),
+})
+
+/**
+ * @param {Partial<Pick<API.ServerOptions<{}>, 'receipts'|'idempotent'|'timeout'|'validateAuthorization'|'middleware'>>} options
+ */
+const setup = options => {
+  /** @type {string[]} */
+  const calls = []
+  const server = Server.create({
+    id: w3,
+    service: {
+      debug: {
+        echo: Server.provide(Echo, async ({ capability }) => {
+          calls.push(capability.nb.message)
+          return { ok: { message: capability.nb.message } }
+        }),
+        sleep: Server.provide(Sleep, async ({ capability }) => {
+          calls.push(`sleep ${capability.nb.ms}`)
+          await new Promise(resolve => setTimeout(resolve, capability.nb.ms))
+          return { ok: { ms: capability.nb.ms } }
+        }),
+        fail: Server.provide(Fail, async () => {
+          calls.push('fail')
+          throw new Error('Boom!')
+        }),
+      },
+    },
+    codec: CAR.inbound,
+    validateAuthorization: () => ({ ok: {} }),
+    ...options,
+  })
+
+  const connection = Client.connect({
+    id: w3,
+    codec: CAR.outbound,
+    channel: server,
+  })
+
+  return { server, connection, calls }
+}
+
+/**
+ * @param {string} message
+ */
+const echo = message =>
+  Echo.invoke({
+    issuer: alice,
+    audience: w3,
+    with: alice.did(),
+    nb: { message },
+  }).delegate()
+
+/**
+ * @param {number} ms
+ */
+const sleep = ms =>
+  Sleep.invoke({
+    issuer: alice,
+    audience: w3,
+    with: alice.did(),
+    nb: { ms },
+  }).delegate()
+
+test('returns stored receipt for retried invocation', async () => {
+  const receipts = Server.Receipts.memory()
+  const { connection, calls } = setup({
+    receipts,
+    idempotent: ['debug/echo'],
+  })
+
+  const invocation = await echo('hello')
+  const [first] = await connection.execute(invocation)
+  const [second] = await connection.execute(invocation)
+
+  assert.deepEqual(first.out, { ok: { message: 'hello' } })
+  assert.equal(first.link().toString(), second.link().toString())
+  assert.deepEqual(calls, ['hello'])
+
+  const stored = await receipts.get(invocation.link())
+  assert.equal(stored?.link().toString(), first.link().toString())
+
+  await connection.execute(await echo('world'))
+  assert.deepEqual(calls, ['hello', 'world'])
+})
+
+test('does not run after hooks for stored receipt', async () => {
+  /** @type {string[]} */
+  const log = []
+  const { connection } = setup({
+    receipts: Server.Receipts.memory(),
+    idempotent: ['debug/echo'],
+    middleware: [
+      {
+        after: ({ out }) => {
+          log.push(`after ${out.error ? 'error' : 'ok'}`)
+          return Server.ok({ message: 'replaced' })
+        },
+      },
+    ],
+  })
+
+  const invocation = await echo('hello')
+  const [first] = await connection.execute(invocation)
+  const [second] = await connection.execute(invocation)
+
+  assert.deepEqual(first.out, { ok: { message: 'replaced' } })
+  assert.equal(first.link().toString(), second.link().toString())
+  assert.deepEqual(log, ['after ok'])
+})
+
+test('does not cache receipts for other abilities', async () => {
+  const { connection, calls } = setup({
+    receipts: Server.Receipts.memory(),
+    idempotent: ['debug/echo'],
+  })
+
+  const invocation = await sleep(0)
+  await connection.execute(invocation)
+  await connection.execute(invocation)
+
+  assert.deepEqual(calls, ['sleep 0', 'sleep 0'])
+})
+
+test('wildcard makes all abilities idempotent', async () => {
+  const { connection, calls } = setup({
+    receipts: Server.Receipts.memory(),
+    idempotent: ['*'],
+  })
+
+  const invocation = await sleep(0)
+  await connection.execute(invocation)
+  await connection.execute(invocation)
+
+  assert.deepEqual(calls, ['sleep 0'])
+})
+
+test('does not cache without a store', async () => {
+  const { connection, calls } = setup({ idempotent: ['*'] })
+
+  const invocation = await echo('hello')
+  await connection.execute(invocation)
+  await connection.execute(invocation)
+
+  assert.deepEqual(calls, ['hello', 'hello'])
+})
+
+test('does not cache timed out invocations', async () => {
+  const { connection, calls } = setup({
+    receipts: Server.Receipts.memory(),
+    idempotent: ['*'],
+    timeout: { '*': 5 },
+  })
+
+  const invocation = await sleep(30)
+  const [first] = await connection.execute(invocation)
+  const [second] = await connection.execute(invocation)
+
+  assert.equal(first.out.error?.name, 'HandlerTimeout')
+  assert.equal(second.out.error?.name, 'HandlerTimeout')
+  assert.deepEqual(calls, ['sleep 30', 'sleep 30'])
+})
+
+test('does not return stored receipt for unauthorized invocation', async () => {
+  const receipts = Server.Receipts.memory()
+  let authorized = true
+  const { connection, calls } = setup({
+    receipts,
+    idempotent: ['*'],
+    validateAuthorization: ({ delegation }) =>
+      authorized ? { ok: {} } : { error: new Revoked(delegation) },
+  })
+
+  const invocation = await echo('hello')
+  const [first] = await connection.execute(invocation)
+  assert.deepEqual(first.out, { ok: { message: 'hello' } })
+
+  authorized = false
+  const [second] = await connection.execute(invocation)
+  assert.equal(second.out.error?.name, 'Unauthorized')
+  assert.deepEqual(calls, ['hello'])
+})
+
+test('does not cache authorization failures', async () => {
+  const receipts = Server.Receipts.memory()
+  let authorized = false
+  const { connection, calls } = setup({
+    receipts,
+    idempotent: ['*'],
+    validateAuthorization: ({ delegation }) =>
+      authorized ? { ok: {} } : { error: new Revoked(delegation) },
+  })
+
+  const invocation = await echo('hello')
+  const [first] = await connection.execute(invocation)
+  assert.equal(first.out.error?.name, 'Unauthorized')
+  assert.equal(await receipts.get(invocation.link()), null)
+
+  authorized = true
+  const [second] = await connection.execute(invocation)
+  assert.deepEqual(second.out, { ok: { message: 'hello' } })
+  assert.deepEqual(calls, ['hello'])
+})
+
+test('does not cache missing handlers', async () => {
+  const receipts = Server.Receipts.memory()
+  const { server } = setup({ receipts, idempotent: ['*'] })
+
+  const invocation = await Missing.invoke({
+    issuer: alice,
+    audience: w3,
+    with: alice.did(),
+  }).delegate()
+  const receipt = await server.run(
+    // @ts-expect-error - service does not implement it
+    invocation
+  )
+
+  assert.equal(receipt.out.error?.name, 'HandlerNotFound')
+  assert.equal(await receipts.get(invocation.link()), null)
+})
+
+test('does not cache handler execution errors', async () => {
+  const receipts = Server.Receipts.memory()
+  const { connection, calls } = setup({ receipts, idempotent: ['*'] })
+
+  const invocation = await Fail.invoke({
+    issuer: alice,
+    audience: w3,
+    with: alice.did(),
+  }).delegate()
+  const [first] = await connection.execute(invocation)
+  const [second] = await connection.execute(invocation)
+
+  assert.equal(first.out.error?.name, 'HandlerExecutionError')
+  assert.equal(second.out.error?.name, 'HandlerExecutionError')
+  assert.deepEqual(calls, ['fail', 'fail'])
+})
+
+test('does not cache after hook errors', async () => {
+  const receipts = Server.Receipts.memory()
+  const { connection, calls } = setup({
+    receipts,
+    idempotent: ['*'],
+    middleware: [
+      {
+        after: () => {
+          throw new Error('Boom!')
+        },
+      },
+    ],
+  })
+
+  const invocation = await echo('hello')
+  const [first] = await connection.execute(invocation)
+  const [second] = await connection.execute(invocation)
+
+  assert.equal(first.out.error?.name, 'HandlerExecutionError')
+  assert.equal(second.out.error?.name, 'HandlerExecutionError')
+  assert.deepEqual(calls, ['hello', 'hello'])
+  assert.equal(await receipts.get(invocation.link()), null)
+})
+
+test('runs handler once for concurrent copies of invocation', async () => {
+  const receipts = Server.Receipts.memory()
+  const { server, calls } = setup({ receipts, idempotent: ['*'] })
+
+  const invocation = await sleep(20)
+  const [first, second, third] = await Promise.all([
+    server.run(invocation),
+    server.run(invocation),
+    server.run(invocation),
+  ])
+
+  assert.deepEqual(first.out, { ok: { ms: 20 } })
+  assert.equal(first.link().toString(), second.link().toString())
+  assert.equal(first.link().toString(), third.link().toString())
+  assert.deepEqual(calls, ['sleep 20'])
+})
+
+test('concurrent copies run handler when first one times out', async () => {
+  const receipts = Server.Receipts.memory()
+  const { server, calls } = setup({
+    receipts,
+    idempotent: ['*'],
+    timeout: { '*': 5 },
+  })
+
+  const invocation = await sleep(30)
+  const [first, second] = await Promise.all([
+    server.run(invocation),
+    server.run(invocation),
+  ])
+
+  assert.equal(first.out.error?.name, 'HandlerTimeout')
+  assert.equal(second.out.error?.name, 'HandlerTimeout')
+  assert.deepEqual(calls, ['sleep 30', 'sleep 30'])
+})
+
+test('memory store evicts oldest receipts', async () => {
+  const receipts = Server.Receipts.memory({ capacity: 2 })
+  const { server } = setup({})
+
+  const [a, b, c] = await Promise.all([echo('a'), echo('b'), echo('c')])
+  const [ra, rb, rc] = await Promise.all([
+    server.run(a),
+    server.run(b),
+    server.run(c),
+  ])
+
+  await receipts.put(ra)
+  await receipts.put(rb)
+  // storing existing receipt makes it most recent
+  await receipts.put(ra)
+  await receipts.put(rc)
+
+  assert.equal(await receipts.get(b.link()), null)
+  assert.equal(
+    (await receipts.get(a.link()))?.link().toString(),
+    ra.link().toString()
+  )
+  assert.equal(
+    (await receipts.get(c.link()))?.link().toString(),
+    rc.link().toString()
+  )
+})
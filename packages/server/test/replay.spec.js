@@ -0,0 +1,242 @@
+import * as Client from '@ucanto/client'
+import * as Server from '../src/lib.js'
+import * as CAR from '@ucanto/transport/car'
+import * as API from '@ucanto/interface'
+import { UCAN } from '@ucanto/core'
+import { Schema, Revoked } from '@ucanto/validator'
+import { alice, service as w3 } from './fixtures.js'
+import { test, assert } from './test.js'
+
+const Echo = Server.capability({
+  can: 'debug/echo',
+  with: Schema.did(),
+  nb: Schema.struct({
+    message: Schema.string(),
+  }),
+})
+
+const Ping = Server.capability({
+  can: 'debug/ping',
+  with: Schema.did(),
+})
+
+/**
+ * @param {object} [options]
+ * @param {API.ReplayOptions} [options.replay]
+ * @param {API.ServerOptions<any>['validateAuthorization']} [options.validateAuthorization]
+ * @param {API.ServerOptions<any>['clock']} [options.clock]
+ * @param {API.ServerOptions<any>['clockSkew']} [options.clockSkew]
+ */
+const setup = ({
+  replay = { store: Server.Replay.memory() },
+  validateAuthorization = () => ({ ok: {} }),
+  clock,
+  clockSkew,
+} = {}) => {
+  /** @type {string[]} */
+  const calls = []
+  const server = Server.create({
+    id: w3,
+    service: {
+      debug: {
+        echo: Server.provide(Echo, ({ capability }) => {
+          calls.push(capability.nb.message)
+          return { ok: capability.nb }
+        }),
+        ping: Server.provide(Ping, () => {
+          calls.push('ping')
+          return { ok: {} }
+        }),
+        both: Server.provideGroup(Echo.and(Ping), () => {
+          calls.push('both')
+          return { ok: {} }
+        }),
+      },
+    },
+    codec: CAR.inbound,
+    validateAuthorization,
+    replay,
+    clock,
+    clockSkew,
+  })
+
+  const connection = Client.connect({
+    id: w3,
+    codec: CAR.outbound,
+    channel: server,
+  })
+
+  return { server, connection, calls }
+}
+
+/**
+ * @param {string} message
+ * @param {string} [nonce]
+ */
+const echo = (message, nonce) =>
+  Echo.invoke({
+    issuer: alice,
+    audience: w3,
+    with: alice.did(),
+    nb: { message },
+    nonce,
+  }).delegate()
+
+test('rejects replayed invocations', async () => {
+  const { connection, calls } = setup()
+  const invocation = await echo('hello')
+
+  const [first] = await connection.execute(invocation)
+  assert.deepEqual(first.out, { ok: { message: 'hello' } })
+
+  const [second] = await connection.execute(invocation)
+  assert.containSubset(second.out.error, {
+    name: 'Replayed',
+    message: `Invocation ${invocation.cid} has already been received`,
+  })
+  assert.deepEqual(calls, ['hello'])
+
+  const [other] = await connection.execute(await echo('world'))
+  assert.deepEqual(other.out, { ok: { message: 'world' } })
+})
+
+test('rejects reused nonce', async () => {
+  const { connection, calls } = setup()
+
+  const [first] = await connection.execute(await echo('hello', 'n1'))
+  assert.equal(first.out.error, undefined)
+
+  const [second] = await connection.execute(await echo('world', 'n1'))
+  assert.equal(second.out.error?.name, 'Replayed')
+
+  const [third] = await connection.execute(await echo('world', 'n2'))
+  assert.equal(third.out.error, undefined)
+  assert.deepEqual(calls, ['hello', 'world'])
+})
+
+test('only protects configured abilities', async () => {
+  const { connection, calls } = setup({
+    replay: { store: Server.Replay.memory(), abilities: ['debug/echo'] },
+  })
+
+  const ping = await Ping.invoke({
+    issuer: alice,
+    audience: w3,
+    with: alice.did(),
+  }).delegate()
+
+  const [first] = await connection.execute(ping)
+  const [second] = await connection.execute(ping)
+  assert.equal(first.out.error, undefined)
+  assert.equal(second.out.error, undefined)
+
+  const invocation = await echo('hello')
+  await connection.execute(invocation)
+  const [replayed] = await connection.execute(invocation)
+  assert.equal(replayed.out.error?.name, 'Replayed')
+
+  assert.deepEqual(calls, ['ping', 'ping', 'hello'])
+})
+
+test('protects capability groups', async () => {
+  const { server, calls } = setup({
+    replay: { store: Server.Replay.memory(), abilities: ['debug/ping'] },
+  })
+
+  const delegation = await Server.delegate({
+    issuer: alice,
+    audience: w3,
+    capabilities: [
+      { can: 'debug/echo', with: alice.did(), nb: { message: 'hi' } },
+      { can: 'debug/ping', with: alice.did() },
+    ],
+  })
+  const invocation = /** @type {API.Invocation} */ (
+    /** @type {unknown} */ (delegation)
+  )
+
+  const first = await Server.run(invocation, server)
+  const second = await Server.run(invocation, server)
+  assert.equal(first.out.error, undefined)
+  assert.equal(second.out.error?.name, 'Replayed')
+  assert.deepEqual(calls, ['both'])
+})
+
+test('does not record unauthorized invocations', async () => {
+  const invocation = await echo('hello')
+  let revoked = true
+  const { connection, calls } = setup({
+    validateAuthorization: () =>
+      revoked ? { error: new Revoked(invocation) } : { ok: {} },
+  })
+
+  const [first] = await connection.execute(invocation)
+  assert.equal(first.out.error?.name, 'Unauthorized')
+
+  revoked = false
+  const [second] = await connection.execute(invocation)
+  assert.deepEqual(second.out, { ok: { message: 'hello' } })
+  assert.deepEqual(calls, ['hello'])
+})
+
+test('memory store forgets expired keys', async () => {
+  const store = Server.Replay.memory()
+  const now = UCAN.now()
+
+  assert.equal(await store.add('valid', now + 60, now), true)
+  assert.equal(await store.add('expired', now - 1, now), true)
+  assert.equal(await store.add('forever', Infinity, now), true)
+
+  assert.equal(await store.add('valid', now + 60, now), false)
+  assert.equal(await store.add('forever', Infinity, now), false)
+  assert.equal(await store.add('expired', now + 60, now), true)
+
+  assert.equal(await store.add('valid', now + 60, now + 60), true)
+})
+
+test('keeps keys while invocation is valid per server clock', async () => {
+  // Server clock is behind, so invocation is valid even though it expired
+  // according to the system clock.
+  let now = UCAN.now() - 1000
+  const { connection, calls } = setup({
+    clock: () => now,
+    clockSkew: 60,
+  })
+
+  const invocation = await Echo.invoke({
+    issuer: alice,
+    audience: w3,
+    with: alice.did(),
+    nb: { message: 'hello' },
+    expiration: now + 10,
+  }).delegate()
+
+  const [first] = await connection.execute(invocation)
+  assert.deepEqual(first.out, { ok: { message: 'hello' } })
+
+  const [second] = await connection.execute(invocation)
+  assert.equal(second.out.error?.name, 'Replayed')
+
+  // Expired but still accepted by the validator due to clock skew.
+  now += 40
+  const [third] = await connection.execute(invocation)
+  assert.equal(third.out.error?.name, 'Replayed')
+
+  now += 40
+  const [fourth] = await connection.execute(invocation)
+  assert.equal(fourth.out.error?.name, 'Unauthorized')
+  assert.deepEqual(calls, ['hello'])
+})
+
+test('Replayed error', async () => {
+  const invocation = await echo('hello')
+  const error = new Server.Error.Replayed(invocation)
+
+  assert.deepEqual(JSON.parse(JSON.stringify(error)), {
+    name: 'Replayed',
+    error: true,
+    invocation: { '/': invocation.cid.toString() },
+    message: `Invocation ${invocation.cid} has already been received`,
+    stack: error.stack,
+  })
+})
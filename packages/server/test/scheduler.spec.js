@@ -0,0 +1,238 @@
+import * as Client from '@ucanto/client'
+import * as Server from '../src/lib.js'
+import * as CAR from '@ucanto/transport/car'
+import * as API from '@ucanto/interface'
+import { Schema } from '@ucanto/validator'
+import { alice, service as w3 } from './fixtures.js'
+import { test, assert } from './test.js'
+
+const Echo = Server.capability({
+  can: 'debug/echo',
+  with: Schema.did(),
+  nb: Schema.struct({
+    message: Schema.string(),
+  }),
+})
+
+const Workflow = Server.capability({
+  can: 'debug/workflow',
+  with: Schema.did(),
+  nb: Schema.struct({
+    fork: Schema.string().array(),
+    join: Schema.string().optional(),
+  }),
+})
+
+const Spawn = Server.capability({
+  can: 'debug/spawn',
+  with: Schema.did(),
+  nb: Schema.struct({
+    message: Schema.string(),
+  }),
+})
+
+/**
+ * @param {string} message
+ */
+const echo = message =>
+  Echo.invoke({
+    issuer: w3,
+    audience: w3,
+    with: w3.did(),
+    nb: { message },
+  }).delegate()
+
+/**
+ * @param {{fork: string[], join?: string}} nb
+ */
+const workflow = nb =>
+  Workflow.invoke({
+    issuer: alice,
+    audience: w3,
+    with: alice.did(),
+    nb,
+  }).delegate()
+
+/**
+ * @param {object} options
+ * @param {API.EffectScheduler} options.scheduler
+ * @param {API.ServerOptions<{}>['catch']} [options.catch]
+ */
+const setup = options => {
+  /** @type {string[]} */
+  const calls = []
+  const server = Server.create({
+    id: w3,
+    service: {
+      debug: {
+        echo: Server.provide(Echo, async ({ capability }) => {
+          calls.push(capability.nb.message)
+          return { ok: { message: capability.nb.message } }
+        }),
+        workflow: Server.provideAdvanced({
+          capability: Workflow,
+          handler: async ({ capability }) => {
+            const { fork, join } = capability.nb
+            calls.push('workflow')
+            return {
+              do: {
+                out: { ok: {} },
+                fx: {
+                  fork: await Promise.all(fork.map(echo)),
+                  ...(join ? { join: await echo(join) } : {}),
+                },
+              },
+            }
+          },
+        }),
+        spawn: Server.provideAdvanced({
+          capability: Spawn,
+          handler: async ({ capability }) => {
+            calls.push('spawn')
+            const task = await Workflow.invoke({
+              issuer: w3,
+              audience: w3,
+              with: w3.did(),
+              nb: { fork: [capability.nb.message] },
+            }).delegate()
+            return Server.ok({}).fork(task)
+          },
+        }),
+      },
+    },
+    codec: CAR.inbound,
+    validateAuthorization: () => ({ ok: {} }),
+    ...options,
+  })
+
+  const connection = Client.connect({
+    id: w3,
+    codec: CAR.outbound,
+    channel: server,
+  })
+
+  return { server, connection, calls }
+}
+
+test('executes forked and joined tasks', async () => {
+  const receipts = Server.Receipts.memory()
+  const scheduler = Server.Scheduler.create({ receipts })
+  const { connection, calls } = setup({ scheduler })
+
+  const [receipt] = await connection.execute(
+    await workflow({ fork: ['a', 'b'], join: 'c' })
+  )
+  assert.deepEqual(receipt.out, { ok: {} })
+  assert.equal(receipt.fx.fork.length, 2)
+
+  await scheduler.idle()
+  assert.deepEqual(calls, ['workflow', 'a', 'b', 'c'])
+
+  for (const [effect, message] of [
+    [receipt.fx.fork[0], 'a'],
+    [receipt.fx.fork[1], 'b'],
+    [receipt.fx.join, 'c'],
+  ]) {
+    const task = /** @type {API.Effect} */ (effect)
+    const result = await receipts.get(task.link())
+    assert.deepEqual(result?.out, { ok: { message } })
+  }
+})
+
+test('executes effects of the effects', async () => {
+  const receipts = Server.Receipts.memory()
+  const scheduler = Server.Scheduler.create({ receipts })
+  const { connection, calls } = setup({ scheduler })
+
+  const [receipt] = await connection.execute(
+    await Spawn.invoke({
+      issuer: alice,
+      audience: w3,
+      with: alice.did(),
+      nb: { message: 'nested' },
+    }).delegate()
+  )
+
+  await scheduler.idle()
+  assert.deepEqual(calls, ['spawn', 'workflow', 'nested'])
+
+  const [task] = receipt.fx.fork
+  const nested = await receipts.get(task.link())
+  assert.equal(nested?.fx.fork.length, 1)
+})
+
+test('does not execute tasks that have receipts', async () => {
+  const receipts = Server.Receipts.memory()
+  const scheduler = Server.Scheduler.create({ receipts })
+  const { server, calls } = setup({ scheduler })
+
+  const done = await echo('done')
+  const pending = await echo('pending')
+  const skipped = await echo('skipped')
+  await receipts.put(
+    await Server.Receipt.issue({
+      issuer: w3,
+      ran: done,
+      result: { ok: { message: 'done' } },
+    })
+  )
+
+  scheduler.schedule(
+    await Server.Receipt.issue({
+      issuer: w3,
+      ran: await workflow({ fork: [] }),
+      result: { ok: {} },
+      fx: { fork: [done, skipped.link()], join: pending },
+    }),
+    server
+  )
+
+  await scheduler.idle()
+  assert.deepEqual(calls, ['pending'])
+})
+
+test('executes effects with configured server', async () => {
+  const receipts = Server.Receipts.memory()
+  const executor = setup({
+    scheduler: Server.Scheduler.create({ receipts: Server.Receipts.memory() }),
+  })
+  const scheduler = Server.Scheduler.create({
+    receipts,
+    server: executor.server,
+  })
+  const { connection, calls } = setup({ scheduler })
+
+  await connection.execute(await workflow({ fork: ['a'] }))
+  await scheduler.idle()
+
+  assert.deepEqual(calls, ['workflow'])
+  assert.deepEqual(executor.calls, ['a'])
+})
+
+test('reports store errors', async () => {
+  /** @type {(API.HandlerExecutionError | API.RequestExecutionError)[]} */
+  const errors = []
+  const scheduler = Server.Scheduler.create({
+    receipts: {
+      get: () => null,
+      put: () => {
+        throw new Error('Store is unavailable')
+      },
+    },
+  })
+  const { connection } = setup({
+    scheduler,
+    catch: error => {
+      errors.push(error)
+    },
+  })
+
+  await connection.execute(await workflow({ fork: ['a'] }))
+  await scheduler.idle()
+
+  assert.equal(errors.length, 1)
+  assert.equal(
+    errors[0].message,
+    'service handler {can: "debug/echo"} error: Store is unavailable'
+  )
+})
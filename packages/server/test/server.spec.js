@@ -383,6 +383,134 @@ test('unsupported content-type', async () => {
   })
 })
 
+test('rejects requests exceeding decode limits', async () => {
+  const server = Server.create({
+    service: Service.create(),
+    id: w3,
+    codec: CAR.inbound,
+    validateAuthorization: () => ({ ok: {} }),
+    limits: { maxBytes: 64 },
+  })
+
+  const connection = Client.connect({
+    id: server.id,
+    codec: CAR.outbound,
+    channel: server,
+  })
+
+  const identify = Client.invoke({
+    issuer: alice,
+    audience: server.id,
+    capability: {
+      can: 'access/identify',
+      with: 'did:email:alice@mail.com',
+    },
+  })
+
+  const receipt = await identify.execute(connection)
+  assert.containSubset(receipt, {
+    out: {
+      error: {
+        status: 413,
+      },
+    },
+  })
+  assert.match(
+    String(receipt.out.error?.message),
+    /Request exceeds maxBytes limit of 64/
+  )
+})
+
+test('fails invocations exceeding proof limits', async () => {
+  const proof = await Client.delegate({
+    issuer: alice,
+    audience: bob,
+    capabilities: [{ can: 'store/add', with: alice.did() }],
+  })
+
+  const server = Server.create({
+    service: {
+      store: {
+        add: Server.provide(storeAdd, () => ({ ok: {} })),
+      },
+    },
+    id: w3,
+    codec: CAR.inbound,
+    validateAuthorization: () => ({ ok: {} }),
+    limits: { maxProofs: 0 },
+  })
+
+  const connection = Client.connect({
+    id: server.id,
+    codec: CAR.outbound,
+    channel: server,
+  })
+
+  const receipt = await storeAdd
+    .invoke({
+      issuer: bob,
+      audience: w3,
+      with: alice.did(),
+      nb: {},
+      proofs: [proof],
+    })
+    .execute(connection)
+
+  assert.equal(receipt.out.error?.name, 'Unauthorized')
+  assert.match(
+    String(receipt.out.error?.message),
+    /exceeds maxProofs limit of 0, got 1 instead/
+  )
+})
+
+test('includes explanation in receipts when enabled', async () => {
+  const server = Server.create({
+    service: {
+      store: {
+        add: Server.provide(storeAdd, () => ({ ok: {} })),
+      },
+    },
+    id: w3,
+    codec: CAR.inbound,
+    validateAuthorization: () => ({ ok: {} }),
+    explain: true,
+  })
+
+  const connection = Client.connect({
+    id: server.id,
+    codec: CAR.outbound,
+    channel: server,
+  })
+
+  const invocation = await storeAdd
+    .invoke({
+      issuer: bob,
+      audience: w3,
+      with: alice.did(),
+      nb: {},
+    })
+    .delegate()
+
+  const [receipt] = await connection.execute(invocation)
+
+  assert.containSubset(receipt.out.error, {
+    name: 'Unauthorized',
+    explanation: {
+      reason: 'unauthorized',
+      paths: [
+        {
+          reason: 'unauthorized',
+          proof: invocation.cid.toString(),
+          issuer: bob.did(),
+          audience: w3.did(),
+          capability: { can: 'store/add', with: alice.did() },
+          paths: [],
+        },
+      ],
+    },
+  })
+})
+
 test('falsy errors are turned into {}', async () => {
   const testNull = Server.capability({
     can: 'test/null',
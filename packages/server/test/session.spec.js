@@ -0,0 +1,249 @@
+import * as Client from '@ucanto/client'
+import * as Server from '../src/lib.js'
+import * as CAR from '@ucanto/transport/car'
+import * as API from '@ucanto/interface'
+import { UCAN } from '@ucanto/core'
+import { Absentee, Verifier } from '@ucanto/principal'
+import { Schema, Revocation, access } from '@ucanto/validator'
+import { alice, bob, service as w3 } from './fixtures.js'
+import { test, assert } from './test.js'
+
+const Echo = Server.capability({
+  can: 'debug/echo',
+  with: Schema.did(),
+  nb: Schema.struct({
+    message: Schema.string(),
+  }),
+})
+
+const account = Absentee.from({ id: 'did:mailto:web.mail:alice' })
+
+const setup = () => {
+  const sessions = Server.Session.memory()
+  const revocations = Revocation.memory()
+  const server = Server.create({
+    id: w3,
+    service: {
+      debug: {
+        echo: Server.provide(Echo, ({ capability }) => ({
+          ok: capability.nb,
+        })),
+      },
+      session: {
+        approve: Server.provide(
+          Server.Session.capability,
+          Server.Session.handler({ signer: w3, store: sessions, ttl: 60 })
+        ),
+      },
+      ucan: {
+        revoke: Server.provide(
+          Revocation.capability,
+          Revocation.handler({ store: revocations })
+        ),
+      },
+    },
+    codec: CAR.inbound,
+    validateAuthorization: Revocation.validateAuthorization({
+      store: revocations,
+    }),
+  })
+
+  const connection = Client.connect({
+    id: w3,
+    codec: CAR.outbound,
+    channel: server,
+  })
+
+  return { sessions, connection }
+}
+
+/**
+ * @param {API.UCANLink} proof
+ * @param {API.Signer} [issuer]
+ */
+const approve = (proof, issuer = w3) =>
+  Server.Session.capability.invoke({
+    issuer,
+    audience: w3,
+    with: issuer.did(),
+    nb: { proof },
+  })
+
+/**
+ * @param {API.Delegation[]} proofs
+ */
+const echo = proofs =>
+  Echo.invoke({
+    issuer: alice,
+    audience: w3,
+    with: account.did(),
+    nb: { message: 'hello' },
+    proofs,
+  })
+
+test('attests delegation', async () => {
+  const delegation = await Echo.delegate({
+    issuer: account,
+    audience: alice,
+    with: account.did(),
+    expiration: UCAN.now() + 1000,
+  })
+
+  const attestation = await Server.Session.attest(delegation, {
+    issuer: w3,
+    ttl: 100,
+  })
+  assert.equal(attestation.issuer.did(), w3.did())
+  assert.equal(attestation.audience.did(), alice.did())
+  assert.deepEqual(attestation.capabilities, [
+    { can: 'ucan/attest', with: w3.did(), nb: { proof: delegation.cid } },
+  ])
+  assert.ok(attestation.expiration <= UCAN.now() + 100)
+
+  const invocation = await echo([delegation, attestation]).delegate()
+  const result = await access(invocation, {
+    authority: w3,
+    capability: Echo,
+    principal: Verifier,
+    validateAuthorization: () => ({ ok: {} }),
+  })
+  assert.equal(result.error, undefined)
+
+  // attestation does not outlive the delegation
+  const forever = await Server.Session.attest(delegation, { issuer: w3 })
+  assert.equal(forever.expiration, delegation.expiration)
+})
+
+test('approves pending sessions', async () => {
+  const { sessions, connection } = setup()
+  const delegation = await Echo.delegate({
+    issuer: account,
+    audience: alice,
+    with: account.did(),
+  })
+
+  const pending = await echo([delegation]).execute(connection)
+  assert.equal(pending.out.error?.name, 'Unauthorized')
+
+  await sessions.add(delegation)
+  assert.equal(await sessions.get(delegation.cid), delegation)
+  assert.equal(await sessions.attestation(delegation.cid), null)
+
+  const approval = await approve(delegation.cid).execute(connection)
+  const attestation = await sessions.attestation(delegation.cid)
+  if (!attestation) {
+    return assert.fail('attestation was not recorded')
+  }
+  assert.deepEqual(approval.out, { ok: { attestation: attestation.cid } })
+  assert.equal(await sessions.get(delegation.cid), null)
+  assert.ok(attestation.expiration <= UCAN.now() + 60)
+
+  const authorized = await echo([delegation, attestation]).execute(connection)
+  assert.deepEqual(authorized.out, { ok: { message: 'hello' } })
+
+  const again = await approve(delegation.cid).execute(connection)
+  assert.equal(again.out.error?.name, 'SessionNotFound')
+  assert.equal(
+    again.out.error?.message,
+    `Delegation ${delegation.cid} is not pending approval`
+  )
+})
+
+test('only service can approve sessions', async () => {
+  const { sessions, connection } = setup()
+  const delegation = await Echo.delegate({
+    issuer: account,
+    audience: alice,
+    with: account.did(),
+  })
+  await sessions.add(delegation)
+
+  const approval = await approve(delegation.cid, bob).execute(connection)
+  assert.containSubset(approval.out.error, {
+    name: 'UnauthorizedApproval',
+    principal: bob.did(),
+    authority: w3.did(),
+    message: `${bob.did()} can not approve sessions attested by ${w3.did()}`,
+  })
+  assert.equal(await sessions.get(delegation.cid), delegation)
+})
+
+test('attestations can be revoked', async () => {
+  const { sessions, connection } = setup()
+  const delegation = await Echo.delegate({
+    issuer: account,
+    audience: alice,
+    with: account.did(),
+  })
+  await sessions.add(delegation)
+  await approve(delegation.cid).execute(connection)
+  const attestation = /** @type {API.Delegation} */ (
+    await sessions.attestation(delegation.cid)
+  )
+
+  const revoke = await Revocation.capability
+    .invoke({
+      issuer: w3,
+      audience: w3,
+      with: w3.did(),
+      nb: { ucan: attestation.cid },
+      proofs: [attestation],
+    })
+    .execute(connection)
+  assert.deepEqual(revoke.out, { ok: {} })
+
+  const revoked = await echo([delegation, attestation]).execute(connection)
+  assert.equal(revoked.out.error?.name, 'Unauthorized')
+})
+
+test('memory store forgets expired delegations', async () => {
+  const store = Server.Session.memory()
+  const expired = await Echo.delegate({
+    issuer: account,
+    audience: alice,
+    with: account.did(),
+    expiration: UCAN.now() - 1,
+  })
+  await store.add(expired)
+  assert.equal(await store.get(expired.cid), null)
+  assert.equal(await store.get(expired.cid), null)
+
+  const delegation = await Echo.delegate({
+    issuer: account,
+    audience: alice,
+    with: account.did(),
+  })
+  await store.add(delegation)
+  await store.approve(delegation.cid, expired)
+  assert.equal(await store.get(delegation.cid), null)
+  assert.equal(await store.attestation(delegation.cid), null)
+})
+
+test('session errors serialize to JSON', async () => {
+  const delegation = await Echo.delegate({
+    issuer: account,
+    audience: alice,
+    with: account.did(),
+  })
+  const missing = new Server.Error.SessionNotFound(delegation.cid)
+  assert.deepEqual(JSON.parse(JSON.stringify(missing)), {
+    name: 'SessionNotFound',
+    error: true,
+    proof: { '/': delegation.cid.toString() },
+    message: missing.message,
+    stack: missing.stack,
+  })
+
+  const unauthorized = new Server.Error.UnauthorizedApproval(
+    bob.did(),
+    w3.did()
+  )
+  assert.deepEqual(JSON.parse(JSON.stringify(unauthorized)), {
+    name: 'UnauthorizedApproval',
+    error: true,
+    principal: bob.did(),
+    authority: w3.did(),
+    message: unauthorized.message,
+    stack: unauthorized.stack,
+  })
+})
@@ -1,5 +1,6 @@
 import * as API from '@ucanto/interface'
 import { CAR, Message } from '@ucanto/core'
+import * as Limits from '../limits.js'
 
 export { CAR as codec }
 
@@ -43,14 +44,19 @@ export const encode = (message, options) => {
 }
 
 /**
- * Decodes `AgentMessage` from the received `HTTPRequest`.
+ * Decodes `AgentMessage` from the received `HTTPRequest`. Throws an error with
+ * `413` status if request exceeds any of the `options.limits`.
  *
  * @template {API.AgentMessage} Message
  * @param {API.HTTPRequest<Message>} request
+ * @param {API.Transport.DecodeOptions} [options]
  * @returns {Promise<Message>}
  */
-export const decode = async ({ headers, body }) => {
+export const decode = async ({ headers, body }, { limits } = {}) => {
+  Limits.check(limits, 'maxBytes', body.byteLength)
   const { roots, blocks } = CAR.decode(/** @type {Uint8Array} */ (body))
+  Limits.check(limits, 'maxBlocks', blocks.size)
   const message = Message.view({ root: roots[0].cid, store: blocks })
+  Limits.check(limits, 'maxInvocations', message.invocationLinks.length)
   return /** @type {Message} */ (message)
 }
@@ -144,6 +144,7 @@ class Outbound {
     const decoder = this.decoders[contentType] || this.decoders['*/*']
     switch (response.status) {
       case 415:
+      case 413:
       case 406:
         throw Object.assign(
           new RangeError(new TextDecoder().decode(response.body)),
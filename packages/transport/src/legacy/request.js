@@ -1,15 +1,20 @@
 import * as CAR from '@ucanto/core/car'
 import * as API from '@ucanto/interface'
 import { Invocation, Message } from '@ucanto/core'
+import * as Limits from '../limits.js'
 
 export const contentType = 'application/car'
 
 /**
  * @template {API.AgentMessage} Message
  * @param {API.HTTPRequest<Message>} request
+ * @param {API.Transport.DecodeOptions} [options]
  */
-export const decode = async ({ body }) => {
+export const decode = async ({ body }, { limits } = {}) => {
+  Limits.check(limits, 'maxBytes', body.byteLength)
   const { roots, blocks } = CAR.decode(/** @type {Uint8Array} */ (body))
+  Limits.check(limits, 'maxBlocks', blocks.size)
+  Limits.check(limits, 'maxInvocations', roots.length)
   /** @type {API.IssuedInvocation[]} */
   const run = []
   for (const { cid } of roots) {
@@ -0,0 +1,35 @@
+import * as API from '@ucanto/interface'
+
+/**
+ * Creates an error that signals that request exceeds one of the configured
+ * {@link API.Transport.DecodeLimits}. Error has a `status` field so that
+ * server can respond with `413 Payload Too Large`.
+ *
+ * @param {keyof API.Transport.DecodeLimits} limit
+ * @param {number} value
+ * @param {number} max
+ */
+export const exceeded = (limit, value, max) =>
+  Object.assign(
+    new RangeError(
+      `Request exceeds ${limit} limit of ${max}, got ${value} instead.`
+    ),
+    {
+      status: 413,
+      limit,
+    }
+  )
+
+/**
+ * Throws if `value` exceeds the configured `limit`.
+ *
+ * @param {API.Transport.DecodeLimits|undefined} limits
+ * @param {keyof API.Transport.DecodeLimits} limit
+ * @param {number} value
+ */
+export const check = (limits, limit, value) => {
+  const max = limits?.[limit]
+  if (max != null && value > max) {
+    throw exceeded(limit, value, max)
+  }
+}
@@ -156,6 +156,46 @@ test('CAR.response encode/decode', async () => {
   )
 })
 
+test('CAR.request decode limits', async () => {
+  const proof = await delegate({
+    issuer: alice,
+    audience: bob,
+    capabilities: [
+      {
+        can: 'store/add',
+        with: alice.did(),
+      },
+    ],
+  })
+  const { outgoing, message } = await setup({ proofs: [proof] })
+
+  const decoded = await CAR.request.decode(outgoing, {
+    limits: {
+      maxBytes: outgoing.body.byteLength,
+      maxBlocks: 3,
+      maxInvocations: 1,
+    },
+  })
+  assert.deepEqual(decoded.root, message.root)
+
+  for (const [limit, max, value] of /** @type {const} */ ([
+    ['maxBytes', 16, outgoing.body.byteLength],
+    ['maxBlocks', 2, 3],
+    ['maxInvocations', 0, 1],
+  ])) {
+    const error = await CAR.request
+      .decode(outgoing, { limits: { [limit]: max } })
+      .catch(error => error)
+
+    assert.include(error, {
+      name: 'RangeError',
+      status: 413,
+      limit,
+      message: `Request exceeds ${limit} limit of ${max}, got ${value} instead.`,
+    })
+  }
+})
+
 const expiration = UCAN.now() + 90
 
 /**
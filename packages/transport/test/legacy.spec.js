@@ -109,4 +109,14 @@ test('decode legacy invocation format', async () => {
   const message = await codec.ok.decoder.decode(request)
 
   assert.deepEqual(message.invocations, roots)
+
+  const error = await Legacy.request
+    .decode(request, { limits: { maxInvocations: 1 } })
+    .catch(error => error)
+  assert.include(error, {
+    name: 'RangeError',
+    status: 413,
+    limit: 'maxInvocations',
+    message: 'Request exceeds maxInvocations limit of 1, got 2 instead.',
+  })
 })
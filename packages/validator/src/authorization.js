@@ -25,6 +25,62 @@ class Authorization {
   get audience() {
     return this.delegation.audience
   }
+  get expiration() {
+    return Math.min(
+      ...this.delegations.map(delegation => delegation.expiration),
+      ...this.attestations.map(session => session.expiration),
+      ...this.proofs.map(proof => proof.expiration)
+    )
+  }
+  get notBefore() {
+    const times = /** @type {API.UCAN.UTCUnixTimestamp[]} */ (
+      [
+        ...this.delegations.map(delegation => delegation.notBefore),
+        ...this.attestations.map(session => session.notBefore),
+        ...this.proofs.map(proof => proof.notBefore),
+      ].filter(time => time != null)
+    )
+    return times.length > 0 ? Math.max(...times) : undefined
+  }
+  get principals() {
+    /** @type {Map<string, API.UCAN.Principal>} */
+    const principals = new Map([[this.audience.did(), this.audience]])
+    for (const principal of [
+      ...this.delegations.map(delegation => delegation.issuer),
+      ...this.proofs.flatMap(proof => proof.principals),
+    ]) {
+      if (!principals.has(principal.did())) {
+        principals.set(principal.did(), principal)
+      }
+    }
+    return [...principals.values()]
+  }
+  get facts() {
+    return [
+      ...this.delegations.flatMap(delegation => delegation.facts),
+      ...this.proofs.flatMap(proof => proof.facts),
+    ]
+  }
+  get sessions() {
+    return [
+      ...this.attestations,
+      ...this.proofs.flatMap(proof => proof.sessions),
+    ]
+  }
+  /**
+   * Authorizations of the `ucan/attest` sessions delegations capability was
+   * matched in were validated with.
+   *
+   * @private
+   */
+  get attestations() {
+    return this.match.source.flatMap(({ session }) =>
+      session ? [session] : []
+    )
+  }
+  get delegations() {
+    return [...new Set(this.match.source.map(source => source.delegation))]
+  }
 }
 
 /**
@@ -36,12 +92,14 @@ class Authorization {
 export const create = (match, proofs = []) => new Authorization(match, proofs)
 
 /**
+ * Iterates over delegations in the authorization chain, depth first. Grouped
+ * capabilities yield every delegation they were matched in.
  *
  * @param {API.Authorization} authorization
- * @returns {Iterable<API.UCANLink>}
+ * @returns {Iterable<API.Delegation>}
  */
-export const iterate = function* ({ delegation, proofs }) {
-  yield delegation.cid
+export const iterate = function* ({ delegations, proofs }) {
+  yield* delegations
   for (const proof of proofs) {
     yield* iterate(proof)
   }
@@ -67,6 +67,8 @@ export const and = (...selectors) => new And(selectors)
 export const derive = ({ from, to, derives }) => new Derive(from, to, derives)
 
 /**
+ * Base class for capability parsers.
+ *
  * @template {API.Match} M
  * @implements {API.View<M>}
  */
@@ -80,6 +82,16 @@ class View {
     return { error: new UnknownCapability(source.capability) }
   }
 
+  /**
+   * Parsers are expected to override this to describe capabilities they
+   * match, otherwise they have no descriptions.
+   *
+   * @returns {API.CapabilityDescription[]}
+   */
+  describe() {
+    return []
+  }
+
   /**
    * @param {API.Source[]} capabilities
    * @returns {API.Select<M>}
@@ -235,6 +247,14 @@ class Capability extends Unit {
   toString() {
     return JSON.stringify({ can: this.descriptor.can })
   }
+
+  /**
+   * @returns {API.CapabilityDescription[]}
+   */
+  describe() {
+    const { can, with: with_, nb } = this.descriptor
+    return [{ can, with: Schema.describe(with_), nb: Schema.describe(nb) }]
+  }
 }
 
 /**
@@ -304,6 +324,10 @@ class Or extends Unit {
   toString() {
     return `${this.left.toString()}|${this.right.toString()}`
   }
+
+  describe() {
+    return [...describe(this.left), ...describe(this.right)]
+  }
 }
 
 /**
@@ -357,6 +381,10 @@ class And extends View {
   toString() {
     return `[${this.selectors.map(String).join(', ')}]`
   }
+
+  describe() {
+    return this.selectors.flatMap(describe)
+  }
 }
 
 /**
@@ -415,8 +443,24 @@ class Derive extends Unit {
   toString() {
     return this.to.toString()
   }
+
+  describe() {
+    return this.to.describe()
+  }
 }
 
+/**
+ * Returns descriptions of the capabilities given matcher matches. Matchers
+ * that can not describe themselves have no descriptions.
+ *
+ * @param {API.Matcher<API.Match>} matcher
+ * @returns {API.CapabilityDescription[]}
+ */
+const describe = matcher =>
+  'describe' in matcher
+    ? /** @type {API.View<API.Match>} */ (matcher).describe()
+    : []
+
 /**
  * @template {API.Ability} A
  * @template {API.URI} R
@@ -912,6 +956,20 @@ const defaultDerives = (claimed, delegated) => {
     )
   }
 
+  return deriveCaveats(claimed, delegated)
+}
+
+/**
+ * Checks that claimed capability satisfies every caveat imposed by the
+ * delegated capability.
+ *
+ * @template {API.ParsedCapability} T
+ * @template {API.ParsedCapability} U
+ * @param {T} claimed
+ * @param {U} delegated
+ * @return {API.Result<true, API.Failure>}
+ */
+export const deriveCaveats = (claimed, delegated) => {
   /* c8 ignore next 2 */
   const caveats = delegated.nb || {}
   const nb = claimed.nb || {}
@@ -0,0 +1,198 @@
+import * as API from '@ucanto/interface'
+import { Schema } from '@ucanto/core'
+import { isLink } from '@ucanto/core/link'
+import { base64 } from 'multiformats/bases/base64'
+
+/**
+ * Creates `derives` function for the capability definition from the given
+ * per field derivations. Claimed resource must be contained by the delegated
+ * one and every caveat set by the delegated capability must be satisfied by
+ * the corresponding claimed caveat, using the field derivation when provided
+ * and {@link equal} otherwise. Caveats that delegated capability does not set
+ * are unrestricted.
+ *
+ * @example
+ * ```js
+ * const Add = capability({
+ *   can: 'store/add',
+ *   with: Schema.did(),
+ *   nb: Schema.struct({
+ *     size: Schema.integer().optional(),
+ *     links: Schema.link().array().optional(),
+ *   }),
+ *   derives: Derive.fields({ size: Derive.lte, links: Derive.subset }),
+ * })
+ * ```
+ *
+ * @template {API.ParsedCapability} T
+ * @param {API.CaveatDerivations<T['nb']>} [derivations]
+ * @param {object} [options]
+ * @param {API.CaveatDerives<T['with']>} [options.with] - Resource derivation,
+ * by default resources must be equal unless delegated one ends with `*` in
+ * which case claimed one must start with everything before it.
+ * @returns {API.Derives<T>}
+ */
+export const fields =
+  (derivations = {}, { with: resource = deriveResource } = {}) =>
+  (claimed, delegated) => {
+    const result = resource(claimed.with, delegated.with)
+    if (result.error) {
+      return result
+    }
+
+    /* c8 ignore next 2 */
+    const caveats = delegated.nb || {}
+    const nb = claimed.nb || {}
+    for (const [name, value] of Object.entries(caveats)) {
+      if (value !== undefined) {
+        const derive = derivations[name] || equal
+        const result =
+          nb[name] === undefined
+            ? Schema.error(`${show(nb[name])} violates ${show(value)}`)
+            : derive(nb[name], value)
+
+        if (result.error) {
+          return Schema.error(`${name}: ${result.error.message}`)
+        }
+      }
+    }
+
+    return { ok: {} }
+  }
+
+/**
+ * @param {string} claimed
+ * @param {string} delegated
+ * @returns {API.Result<{}, API.Failure>}
+ */
+const deriveResource = (claimed, delegated) => {
+  if (delegated.endsWith('*')) {
+    if (!claimed.startsWith(delegated.slice(0, -1))) {
+      return Schema.error(
+        `Resource ${claimed} does not match delegated ${delegated}`
+      )
+    }
+  } else if (delegated !== claimed) {
+    return Schema.error(`Resource ${claimed} is not contained by ${delegated}`)
+  }
+  return { ok: {} }
+}
+
+/**
+ * Claimed value must be equal to the delegated one. Links are equal if they
+ * have same CID, bytes if they have same content and arrays and objects if
+ * all of their members are equal.
+ *
+ * @type {API.CaveatDerives<unknown>}
+ */
+export const equal = (claimed, delegated) =>
+  isEqual(claimed, delegated)
+    ? { ok: {} }
+    : Schema.error(`${show(claimed)} violates ${show(delegated)}`)
+
+/**
+ * Every member of the claimed list must be {@link equal} to some member of
+ * the delegated list.
+ *
+ * @type {API.CaveatDerives<unknown[]>}
+ */
+export const subset = (claimed, delegated) => {
+  for (const member of claimed) {
+    if (!delegated.some(value => isEqual(member, value))) {
+      return Schema.error(`${show(member)} is not in ${show(delegated)}`)
+    }
+  }
+  return { ok: {} }
+}
+
+/**
+ * Claimed number must be less than or equal to the delegated one.
+ *
+ * @type {API.CaveatDerives<number>}
+ */
+export const lte = (claimed, delegated) =>
+  claimed <= delegated
+    ? { ok: {} }
+    : Schema.error(`${claimed} exceeds maximum of ${delegated}`)
+
+/**
+ * Claimed number must be greater than or equal to the delegated one.
+ *
+ * @type {API.CaveatDerives<number>}
+ */
+export const gte = (claimed, delegated) =>
+  claimed >= delegated
+    ? { ok: {} }
+    : Schema.error(`${claimed} is below minimum of ${delegated}`)
+
+/**
+ * Claimed string must start with the delegated one.
+ *
+ * @type {API.CaveatDerives<string>}
+ */
+export const prefix = (claimed, delegated) =>
+  claimed.startsWith(delegated)
+    ? { ok: {} }
+    : Schema.error(`"${claimed}" does not start with "${delegated}"`)
+
+/**
+ * @param {unknown} left
+ * @param {unknown} right
+ * @returns {boolean}
+ */
+const isEqual = (left, right) => {
+  if (left === right) {
+    return true
+  } else if (
+    left === null ||
+    right === null ||
+    typeof left !== 'object' ||
+    typeof right !== 'object'
+  ) {
+    return false
+  } else if (isLink(left) || isLink(right)) {
+    return isLink(left) && isLink(right) && left.equals(right)
+  } else if (left instanceof Uint8Array || right instanceof Uint8Array) {
+    return (
+      left instanceof Uint8Array &&
+      right instanceof Uint8Array &&
+      left.byteLength === right.byteLength &&
+      left.every((byte, index) => byte === right[index])
+    )
+  } else if (Array.isArray(left) || Array.isArray(right)) {
+    return (
+      Array.isArray(left) &&
+      Array.isArray(right) &&
+      left.length === right.length &&
+      left.every((member, index) => isEqual(member, right[index]))
+    )
+  } else {
+    const keys = Object.keys(left)
+    return (
+      keys.length === Object.keys(right).length &&
+      keys.every(
+        key =>
+          key in right &&
+          isEqual(
+            /** @type {Record<string, unknown>} */ (left)[key],
+            /** @type {Record<string, unknown>} */ (right)[key]
+          )
+      )
+    )
+  }
+}
+
+/**
+ * Formats value for the error message. Links nested in lists or objects and
+ * bytes are shown in the DAG-JSON representation.
+ *
+ * @param {unknown} value
+ */
+const show = value =>
+  typeof value === 'object' && value !== null && !isLink(value)
+    ? JSON.stringify(value, (_, value) =>
+        value instanceof Uint8Array
+          ? { '/': { bytes: base64.baseEncode(value) } }
+          : value
+      )
+    : String(value)
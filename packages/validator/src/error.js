@@ -1,5 +1,6 @@
 import * as API from '@ucanto/interface'
 import { the } from './util.js'
+import * as Explain from './explain.js'
 import { isLink } from '@ucanto/core/link'
 import { fail, Failure } from '@ucanto/core/result'
 
@@ -159,7 +160,12 @@ export class DIDKeyResolutionError extends Failure {
     this.cause = cause
   }
   describe() {
-    return `Unable to resolve '${this.did}' key`
+    return [
+      `Unable to resolve '${this.did}' key`,
+      ...(this.cause
+        ? [li(`Resolution failed with: ${this.cause.message}`)]
+        : []),
+    ].join('\n')
   }
 }
 
@@ -225,7 +231,6 @@ export class UnknownCapability extends Failure {
     this.name = the('UnknownCapability')
     this.capability = capability
   }
-  /* c8 ignore next 3 */
   describe() {
     return `Encountered unknown capability: ${format(this.capability)}`
   }
@@ -284,6 +289,51 @@ export class Revoked extends Failure {
   }
 }
 
+/**
+ * @implements {API.UCANNotFound}
+ */
+export class UCANNotFound extends Failure {
+  /**
+   * @param {API.UCANLink} ucan
+   */
+  constructor(ucan) {
+    super()
+    this.name = the('UCANNotFound')
+    this.ucan = ucan
+  }
+  describe() {
+    return `UCAN ${this.ucan} is not included with the invocation`
+  }
+}
+
+/**
+ * @implements {API.UnauthorizedRevocation}
+ */
+export class UnauthorizedRevocation extends Failure {
+  /**
+   * @param {API.Delegation} delegation
+   * @param {API.DID} revoker
+   */
+  constructor(delegation, revoker) {
+    super()
+    this.name = the('UnauthorizedRevocation')
+    this.delegation = delegation
+    this.revoker = revoker
+  }
+  describe() {
+    return `${this.revoker} can not revoke ${this.delegation.cid} because it is not an issuer of it or any of its proofs`
+  }
+  toJSON() {
+    const { name, revoker, message, stack } = this
+    return {
+      name,
+      message,
+      revoker,
+      stack,
+    }
+  }
+}
+
 export class NotValidBefore extends Failure {
   /**
    * @param {API.Delegation & { notBefore: number }} delegation
@@ -312,6 +362,76 @@ export class NotValidBefore extends Failure {
   }
 }
 
+/**
+ * @implements {API.LifetimeExceeded}
+ */
+export class LifetimeExceeded extends Failure {
+  /**
+   * @param {object} source
+   * @param {API.Delegation} source.delegation
+   * @param {number} source.lifetime
+   * @param {number} source.maxLifetime
+   */
+  constructor({ delegation, lifetime, maxLifetime }) {
+    super()
+    this.name = the('LifetimeExceeded')
+    this.delegation = delegation
+    this.lifetime = lifetime
+    this.maxLifetime = maxLifetime
+  }
+  describe() {
+    const lifetime =
+      this.lifetime === Infinity
+        ? 'never expires'
+        : `remains valid for ${this.lifetime} seconds`
+    return `Proof ${this.delegation.cid} ${lifetime}, exceeding maximum lifetime of ${this.maxLifetime} seconds`
+  }
+  toJSON() {
+    const { name, lifetime, maxLifetime, message, stack } = this
+    return {
+      name,
+      message,
+      lifetime,
+      maxLifetime,
+      stack,
+    }
+  }
+}
+
+/**
+ * @implements {API.ProofLimitExceeded}
+ */
+export class ProofLimitExceeded extends Failure {
+  /**
+   * @param {object} source
+   * @param {API.Delegation} source.delegation
+   * @param {keyof API.ProofLimits} source.limit
+   * @param {number} source.value
+   * @param {number} source.max
+   */
+  constructor({ delegation, limit, value, max }) {
+    super()
+    this.name = the('ProofLimitExceeded')
+    this.delegation = delegation
+    this.limit = limit
+    this.value = value
+    this.max = max
+  }
+  describe() {
+    return `Proof ${this.delegation.cid} exceeds ${this.limit} limit of ${this.max}, got ${this.value} instead`
+  }
+  toJSON() {
+    const { name, limit, value, message, stack } = this
+    return {
+      name,
+      message,
+      limit,
+      value,
+      stack,
+    }
+  }
+}
+
 /**
  * @implements {API.Unauthorized}
  */
@@ -324,6 +444,7 @@ export class Unauthorized extends Failure {
    * unknownCapabilities: API.Capability[]
    * invalidProofs: API.InvalidProof[]
    * failedProofs: API.InvalidClaim[]
+   * explain?: boolean
    * }} cause
    */
   constructor({
@@ -332,6 +453,7 @@ export class Unauthorized extends Failure {
     unknownCapabilities,
     invalidProofs,
     failedProofs,
+    explain = false,
   }) {
     super()
     /** @type {"Unauthorized"} */
@@ -341,6 +463,25 @@ export class Unauthorized extends Failure {
     this.unknownCapabilities = unknownCapabilities
     this.invalidProofs = invalidProofs
     this.failedProofs = failedProofs
+    this.includeExplanation = explain
+  }
+
+  /**
+   * @returns {API.Explanation}
+   */
+  explain() {
+    return {
+      reason: 'unauthorized',
+      message: `Claim ${this.capability} is not authorized`,
+      paths: Explain.paths(this),
+    }
+  }
+
+  toJSON() {
+    const { name, message, stack } = this
+    return this.includeExplanation
+      ? { name, message, explanation: this.explain(), stack }
+      : { name, message, stack }
   }
 
   describe() {
@@ -0,0 +1,175 @@
+import * as API from '@ucanto/interface'
+
+/**
+ * Reasons paths are pruned for, keyed by the name of the error that pruned
+ * them. Errors not listed here are explained with `invalid` reason.
+ *
+ * @type {Record<string, API.ExplanationReason>}
+ */
+const reasons = {
+  EscalatedCapability: 'escalation',
+  MalformedCapability: 'malformed',
+  UnknownCapability: 'unknown',
+  Expired: 'expired',
+  NotValidBefore: 'not-valid-before',
+  LifetimeExceeded: 'lifetime',
+  Revoked: 'revoked',
+  InvalidAudience: 'alignment',
+  UnavailableProof: 'unavailable',
+  InvalidSignature: 'signature',
+  SessionEscalation: 'session',
+  DIDKeyResolutionError: 'did-resolution',
+  ProofLimitExceeded: 'limit',
+}
+
+/**
+ * Paths explored by the validator as captured by `Unauthorized` and
+ * `InvalidClaim` errors.
+ *
+ * @typedef {object} Exploration
+ * @property {API.InvalidClaim[]} failedProofs
+ * @property {API.DelegationError[]} delegationErrors
+ * @property {API.Failure[]} invalidProofs
+ * @property {API.Capability[]} unknownCapabilities
+ */
+
+/**
+ * Explains every path of the exploration.
+ *
+ * @param {Exploration} exploration
+ * @returns {API.Explanation[]}
+ */
+export const paths = ({
+  failedProofs,
+  delegationErrors,
+  invalidProofs,
+  unknownCapabilities,
+}) => [
+  ...failedProofs.map(explainClaim),
+  ...delegationErrors.flatMap(explainDelegationError),
+  ...invalidProofs.map(error => explainProof(error)),
+  ...unknownCapabilities.map(capability => ({
+    reason: reasons.UnknownCapability,
+    message: `Encountered unknown capability`,
+    capability,
+    paths: [],
+  })),
+]
+
+/**
+ * Explains capability that matched but was not authorized by any of the
+ * proofs.
+ *
+ * @param {API.InvalidClaim} error
+ * @returns {API.Explanation}
+ */
+const explainClaim = error => {
+  const { info } = /** @type {{info: Exploration & {match: API.Match}}} */ (
+    /** @type {unknown} */ (error)
+  )
+  const { value } = /** @type {{value: API.ParsedCapability}} */ (info.match)
+  return {
+    reason: 'unauthorized',
+    message: `Capability ${
+      info.match
+    } can not be (self) issued by '${error.issuer.did()}'`,
+    ...describe(error.delegation),
+    // Group matches have multiple capabilities and those are not captured.
+    ...(Array.isArray(value) ? {} : { capability: toCapability(value) }),
+    paths: paths(info),
+  }
+}
+
+/**
+ * Explains every capability of the delegation that did not match, which are
+ * nested when capabilities are derived or grouped.
+ *
+ * @param {API.DelegationError} error
+ * @returns {API.Explanation[]}
+ */
+const explainDelegationError = ({ causes }) =>
+  causes.flatMap(cause => {
+    switch (cause.name) {
+      case 'InvalidClaim':
+        return explainDelegationError(cause)
+      case 'EscalatedCapability': {
+        const delegated =
+          /** @type {API.ParsedCapability & {delegation: API.Delegation}} */ (
+            cause.delegated
+          )
+        return {
+          reason: reasons.EscalatedCapability,
+          message: cause.message,
+          ...describe(delegated.delegation),
+          capability: toCapability(delegated),
+          paths: [],
+        }
+      }
+      default:
+        return {
+          reason: reasons[cause.name],
+          message: cause.message,
+          capability: cause.capability,
+          paths: [],
+        }
+    }
+  })
+
+/**
+ * Explains proof that was rejected. Proofs of the delegations are wrapped in
+ * a `ProofError` that link the rejected proof.
+ *
+ * @param {API.Failure & {proof?: API.UCANLink, cause?: API.Failure}} error
+ * @param {API.UCANLink} [proof]
+ * @returns {API.Explanation}
+ */
+const explainProof = (error, proof) => {
+  if (error.name === 'ProofError') {
+    return explainProof(
+      /** @type {API.Failure} */ (error.cause),
+      /** @type {API.UCANLink} */ (error.proof)
+    )
+  }
+
+  const { delegation, link, did } =
+    /** @type {{delegation?: API.Delegation, link?: API.UCANLink, did?: API.DID}} */ (
+      error
+    )
+  const reason = reasons[error.name] || 'invalid'
+  const session = reason === 'session'
+
+  return {
+    reason,
+    // Session error message describes all the explored paths which we
+    // explain separately.
+    message: session ? error.message.split('\n')[0] : error.message,
+    ...(delegation
+      ? describe(delegation)
+      : {
+          ...((link || proof) && { proof: `${link || proof}` }),
+          ...(did && { issuer: did }),
+        }),
+    paths: session ? paths(/** @type {any} */ (error.cause)) : [],
+  }
+}
+
+/**
+ * @param {API.Delegation} delegation
+ */
+const describe = delegation => ({
+  proof: delegation.cid.toString(),
+  issuer: delegation.issuer.did(),
+  audience: delegation.audience.did(),
+})
+
+/**
+ * Parsed capabilities reference delegation they are from, so we copy out
+ * fields of the capability itself.
+ *
+ * @param {API.ParsedCapability} capability
+ * @returns {API.Capability}
+ */
+const toCapability = ({ can, with: with_, nb }) =>
+  nb && Object.keys(nb).length > 0
+    ? { can, with: with_, nb }
+    : { can, with: with_ }
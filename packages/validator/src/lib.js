@@ -1,5 +1,5 @@
 import * as API from '@ucanto/interface'
-import { isDelegation, UCAN, ok, fail } from '@ucanto/core'
+import { isDelegation, delegate, Signature, UCAN, ok, fail } from '@ucanto/core'
 import { capability } from './capability.js'
 import * as Schema from '@ucanto/core/schema'
 import * as Authorization from './authorization.js'
@@ -15,11 +15,20 @@ import {
   DelegationError,
   Failure,
   MalformedCapability,
+  UnknownCapability,
   DIDKeyResolutionError,
+  ProofLimitExceeded,
+  LifetimeExceeded,
   li,
 } from './error.js'
 
 export { capability } from './capability.js'
+export * as Revocation from './revocation.js'
+export * as SignatureCache from './signature-cache.js'
+export * as ProofCache from './proof-cache.js'
+export * as Resolver from './resolver.js'
+export * as Resource from './resource.js'
+export * as Derive from './derive.js'
 export * from '@ucanto/core/schema'
 
 export {
@@ -32,6 +41,10 @@ export {
   UnavailableProof,
   Unauthorized,
   MalformedCapability,
+  ProofLimitExceeded,
+  LifetimeExceeded,
+  Expired,
+  NotValidBefore,
   DIDKeyResolutionError as DIDResolutionError,
 }
 
@@ -51,15 +64,16 @@ const failDIDKeyResolution = did => ({ error: new DIDKeyResolutionError(did) })
 /**
  * @param {Required<API.ClaimOptions>} config
  * @param {API.Match<unknown, API.Match>} match
+ * @param {number} depth
  */
 
-const resolveMatch = async (match, config) => {
+const resolveMatch = async (match, config, depth) => {
   const promises = []
   const includes = new Set()
   for (const source of match.source) {
     const id = source.delegation.cid.toString()
     if (!includes.has(id)) {
-      promises.push(await resolveSources(source, config))
+      promises.push(await resolveSources(source, config, depth))
     }
   }
   const groups = await Promise.all(promises)
@@ -86,58 +100,74 @@ const resolveProofs = async (proofs, config) => {
   const delegations = []
   /** @type {API.UnavailableProof[]} */
   const errors = []
-  const promises = []
+  const links = []
   for (const proof of proofs) {
     // If it is a delegation we can just add it to the resolved set.
     if (isDelegation(proof)) {
       delegations.push(proof)
     }
-    // otherwise we attempt to resolve the link asynchronously. To avoid doing
-    // sequential requests we create promise for each link and then wait for
-    // all of them at the end.
+    // otherwise we collect the link so we can resolve all of them in a single
+    // batch.
     else {
-      promises.push(
-        new Promise(async resolve => {
-          // config.resolve is not supposed to throw, but we catch it just in
-          // case it does and consider proof resolution failed.
-          try {
-            const result = await config.resolve(proof)
-            if (result.error) {
-              errors.push(result.error)
-            } else {
-              delegations.push(result.ok)
-            }
-          } catch (error) {
-            errors.push(
-              new UnavailableProof(proof, /** @type {Error} */ (error))
-            )
-          }
+      links.push(proof)
+    }
+  }
 
-          // we don't care about the result, we just need to signal that we are
-          // done with this promise.
-          resolve(null)
-        })
-      )
+  for (const result of await config.resolveMany(links)) {
+    if (result.error) {
+      errors.push(result.error)
+    } else {
+      delegations.push(result.ok)
     }
   }
 
-  // Wait for all the promises to resolve. At this point we have collected all
-  // the resolved delegations and errors.
-  await Promise.all(promises)
   return { delegations, errors }
 }
 
+/**
+ * Resolves linked proofs of all the given matches that will need to be
+ * explored in a single batch, so that exploring each one of them does not
+ * require a separate round trip. Resolved proofs are memoized by the
+ * `config.resolveMany` so they are not resolved again once explored.
+ *
+ * @param {API.Match[]} matches
+ * @param {Required<API.ClaimOptions>} config
+ * @param {number} depth - Depth in the proof chain of the proofs to resolve.
+ */
+const prefetch = async (matches, config, depth) => {
+  const links = []
+  for (const match of matches) {
+    // Matches that do not need to be proven will not be explored.
+    const selector = match.prune(config)
+    for (const { delegation } of selector ? selector.source : []) {
+      if (!checkProofLimits(delegation, config.limits, depth)) {
+        links.push(...delegation.proofs.filter(proof => !isDelegation(proof)))
+      }
+    }
+  }
+
+  await config.resolveMany(/** @type {API.UCANLink[]} */ (links))
+}
+
 /**
  * Takes a delegation source and attempts to resolve all the linked proofs.
+ * Proofs are not resolved if delegation exceeds configured proof limits, in
+ * which case corresponding proof error is returned instead.
  *
  * @param {API.Source} from
  * @param {Required<API.ClaimOptions>} config
+ * @param {number} depth - Depth in the proof chain of the proofs to resolve.
  * @return {Promise<{sources:API.Source[], errors:ProofError[]}>}
  */
-const resolveSources = async ({ delegation }, config) => {
+const resolveSources = async ({ delegation }, config, depth) => {
   const errors = []
   const sources = []
   const proofs = []
+  const exceeded = checkProofLimits(delegation, config.limits, depth)
+  if (exceeded) {
+    return { sources: [], errors: [new ProofError(delegation.cid, exceeded)] }
+  }
+
   // First we attempt to resolve all the linked proofs.
   const { delegations, errors: failedProofs } = await resolveProofs(
     delegation.proofs,
@@ -168,26 +198,52 @@ const resolveSources = async ({ delegation }, config) => {
   for (const proof of proofs) {
     // If proof is not valid (expired, not active yet or has incorrect
     // signature) save a corresponding proof error.
-    const validation = await validate(proof, proofs, config)
+    const validation = await validate(proof, proofs, config, 'delegation')
     if (validation.error) {
       errors.push(new ProofError(proof.cid, validation.error))
     } else {
       // otherwise create source objects for it's capabilities, so we could
       // track which proof in which capability the are from.
-      for (const capability of proof.capabilities) {
-        sources.push(
-          /** @type {API.Source} */ ({
-            capability,
-            delegation: proof,
-          })
-        )
-      }
+      sources.push(...toSources(validation.ok))
     }
   }
 
   return { sources, errors }
 }
 
+/**
+ * Returns an error if resolving proofs of the given delegation at the given
+ * depth would exceed the limits.
+ *
+ * @param {API.Delegation} delegation
+ * @param {API.ProofLimits} limits
+ * @param {number} depth
+ */
+const checkProofLimits = (
+  delegation,
+  { maxProofs = Infinity, maxProofDepth = Infinity },
+  depth
+) => {
+  const { length } = delegation.proofs
+  if (length > maxProofs) {
+    return new ProofLimitExceeded({
+      delegation,
+      limit: 'maxProofs',
+      value: length,
+      max: maxProofs,
+    })
+  } else if (length > 0 && depth > maxProofDepth) {
+    return new ProofLimitExceeded({
+      delegation,
+      limit: 'maxProofDepth',
+      value: depth,
+      max: maxProofDepth,
+    })
+  } else {
+    return null
+  }
+}
+
 /**
  * @param {API.ParsedCapability} capability
  * @param {API.DID} issuer
@@ -222,31 +278,28 @@ export const access = async (invocation, { capability, ...config }) =>
  * @template {API.Caveats} C
  * @param {API.CapabilityParser<API.Match<API.ParsedCapability<A, R, C>>>} capability
  * @param {API.Proof[]} proofs
- * @param {API.ClaimOptions} config
+ * @param {API.ClaimOptions} options
  * @returns {Promise<API.Result<API.Authorization<API.ParsedCapability<A, R, C>>, API.Unauthorized>>}
  */
-export const claim = async (
-  capability,
-  proofs,
-  {
-    authority,
-    principal,
-    validateAuthorization,
-    resolveDIDKey = failDIDKeyResolution,
-    canIssue = isSelfIssued,
-    resolve = unavailable,
-  }
-) => {
-  const config = {
-    canIssue,
-    resolve,
-    principal,
-    capability,
-    authority,
-    validateAuthorization,
-    resolveDIDKey,
-  }
+export const claim = (capability, proofs, options) =>
+  claimWith(capability, proofs, configure(options))
 
+/**
+ * Same as {@link claim} except it takes already configured options, which
+ * allows nested claims to share memoized proofs. The `kind` determines which
+ * lifetime policy applies to the given `proofs`, nested claims for session
+ * attestations use the delegation one.
+ *
+ * @template {API.Ability} A
+ * @template {API.URI} R
+ * @template {API.Caveats} C
+ * @param {API.CapabilityParser<API.Match<API.ParsedCapability<A, R, C>>>} capability
+ * @param {API.Proof[]} proofs
+ * @param {Required<API.ClaimOptions>} config
+ * @param {keyof API.LifetimePolicy} [kind]
+ * @returns {Promise<API.Result<API.Authorization<API.ParsedCapability<A, R, C>>, API.Unauthorized>>}
+ */
+const claimWith = async (capability, proofs, config, kind = 'invocation') => {
   const invalidProofs = []
 
   /** @type {API.Source[]} */
@@ -258,16 +311,9 @@ export const claim = async (
   for (const proof of delegations) {
     // Validate each proof if valid add ech capability to the list of sources.
     // otherwise collect the error.
-    const validation = await validate(proof, delegations, config)
+    const validation = await validate(proof, delegations, config, kind)
     if (validation.ok) {
-      for (const capability of validation.ok.capabilities.values()) {
-        sources.push(
-          /** @type {API.Source} */ ({
-            capability,
-            delegation: validation.ok,
-          })
-        )
-      }
+      sources.push(...toSources(validation.ok))
     } else {
       invalidProofs.push(validation.error)
     }
@@ -275,25 +321,518 @@ export const claim = async (
   // look for the matching capability
   const selection = capability.select(sources)
 
+  return await authorizeSelection(capability, selection, invalidProofs, config)
+}
+
+/**
+ * Checks whether capabilities of the given `delegation` are backed by its
+ * proofs, running the same matching and `derives` logic as {@link claim}
+ * does for invocations. This allows catching delegations that escalate
+ * beyond their proofs before they are issued or shared, as opposed to
+ * finding out when an invocation fails.
+ *
+ * Returns a check for every capability of the delegation, in the order they
+ * appear in it, with an authorization or an error describing why capability
+ * is not backed by the proofs. Delegations shared along with the checked one,
+ * like `ucan/attest` sessions attesting it, can be passed via `proofs`.
+ *
+ * @example
+ * ```js
+ * const checks = await Validator.check(delegation, {
+ *   capabilities: [Store.add, Store.list],
+ *   authority: service,
+ *   principal: Verifier,
+ * })
+ * const escalated = checks.filter(check => check.result.error)
+ * ```
+ *
+ * @param {API.Delegation} delegation
+ * @param {API.CheckOptions} options
+ * @returns {Promise<API.CapabilityCheck[]>}
+ */
+export const check = async (
+  delegation,
+  {
+    capabilities,
+    proofs = [],
+    validateAuthorization = () => ({ ok: {} }),
+    ...options
+  }
+) => {
+  const config = configure({ ...options, validateAuthorization })
+  const validation = await validate(
+    delegation,
+    [delegation, ...proofs],
+    config,
+    'delegation'
+  )
+
+  const sources = toSources({
+    delegation,
+    session: validation.ok?.session,
+  })
+
+  const checks = []
+  for (const source of sources) {
+    const { capability } = source
+    /** @type {API.CapabilityCheck['result']} */
+    let result = { error: new UnknownCapability(capability) }
+    for (const parser of capabilities) {
+      const selection = parser.select([source])
+      if (selection.matches.length > 0 || selection.errors.length > 0) {
+        // If delegation itself is invalid none of the matches can be
+        // authorized, yet we still report errors against the parser.
+        result = validation.error
+          ? await authorizeSelection(
+              parser,
+              { ...selection, matches: [] },
+              [validation.error],
+              config
+            )
+          : await authorizeSelection(parser, selection, [], config)
+
+        if (result.ok) {
+          break
+        }
+      }
+    }
+    checks.push({ capability, result })
+  }
+
+  return checks
+}
+
+/**
+ * Plans proofs for invoking the given `capability` by the `audience`. Out of
+ * the given delegations it chooses the smallest set that authorizes the
+ * capability, running the same matching and `derives` logic as {@link claim}
+ * does. Planned set includes delegations to the `audience` the capability is
+ * derived from along with proofs of the chain that they link to but do not
+ * include, and `ucan/attest` sessions delegations in the chain were validated
+ * with. Self-issued capabilities need no proofs, so they plan to an empty set.
+ *
+ * If the capability can not be authorized an error describing all the paths
+ * explored is returned instead.
+ *
+ * @example
+ * ```js
+ * const proofs = await Validator.plan({
+ *   capability: { can: 'store/add', with: space, nb: { size: 1024 } },
+ *   audience: agent,
+ *   proofs: agent.delegations,
+ *   parsers: [Store.add],
+ *   authority: service,
+ *   principal: Verifier,
+ * })
+ * ```
+ *
+ * @param {API.PlanOptions} options
+ * @returns {Promise<API.Result<API.Delegation[], API.Unauthorized|API.UnknownCapability>>}
+ */
+export const plan = async ({
+  capability,
+  audience,
+  proofs,
+  parsers,
+  resolve = unavailable,
+  resolveMany,
+  validateAuthorization = () => ({ ok: {} }),
+  ...options
+}) => {
+  /** @type {Map<string, API.Delegation>} */
+  const index = new Map(proofs.map(proof => [proof.cid.toString(), proof]))
+  const config = configure({
+    ...options,
+    validateAuthorization,
+    resolve: link => {
+      const proof = index.get(link.toString())
+      return proof ? { ok: proof } : resolve(link)
+    },
+    resolveMany: resolveMany && resolveIndexed(index, resolveMany),
+  })
+
+  // Source for the capability as if it was invoked by the `audience`, so we
+  // can find delegated capabilities it derives from the same way we do for
+  // invocations. Invocation is never sent, so it is left unsigned.
+  const [source] = toSources({
+    delegation: await delegate({
+      issuer: unsigned(audience),
+      audience: config.authority,
+      capabilities: [capability],
+    }),
+  })
+
+  /** @type {API.Result<API.Delegation[], API.Unauthorized|API.UnknownCapability>|null} */
+  let failure = null
+  for (const parser of parsers) {
+    const claimed = parser.select([source])
+    if (claimed.matches.length > 0 || claimed.errors.length > 0) {
+      const result = await planSelection(
+        parser,
+        claimed,
+        audience,
+        proofs,
+        config
+      )
+      if (result.ok) {
+        return result
+      }
+      failure = failure || result
+    }
+  }
+
+  return failure || { error: new UnknownCapability(capability) }
+}
+
+/**
+ * Plans proofs for each of the claimed matches, returning the smallest set
+ * found or `Unauthorized` error if none of the matches can be authorized.
+ *
+ * @template {API.Match} M
+ * @param {API.CapabilityParser<M>} capability
+ * @param {API.Select<M>} claimed
+ * @param {API.UCAN.Principal} audience
+ * @param {API.Delegation[]} proofs
+ * @param {Required<API.ClaimOptions>} config
+ * @returns {Promise<API.Result<API.Delegation[], API.Unauthorized>>}
+ */
+const planSelection = async (capability, claimed, audience, proofs, config) => {
+  /** @type {API.Source[]} */
+  const sources = []
+  const invalidProofs = []
+  for (const proof of proofs) {
+    if (proof.audience.did() === audience.did()) {
+      const validation = await validate(proof, proofs, config, 'delegation')
+      if (validation.ok) {
+        sources.push(...toSources(validation.ok))
+      } else {
+        invalidProofs.push(validation.error)
+      }
+    }
+  }
+
+  const delegationErrors = [...claimed.errors]
+  const unknownCapabilities = []
+  const failedProofs = []
+  /** @type {API.Delegation[]|null} */
+  let best = null
+  for (const match of claimed.matches) {
+    if (match.prune(config) == null) {
+      return { ok: [] }
+    }
+
+    const selection = match.select(sources)
+    delegationErrors.push(...selection.errors)
+    unknownCapabilities.push(...selection.unknown)
+    // Each candidate is authorized on its own as the first authorized one
+    // is not necessarily the one requiring the fewest proofs.
+    for (const candidate of selection.matches) {
+      const result = await authorizeSelection(
+        capability,
+        { matches: [candidate], errors: [], unknown: [] },
+        invalidProofs,
+        config,
+        2
+      )
+      if (result.ok) {
+        const delegations = toPlan(result.ok)
+        if (best == null || delegations.length < best.length) {
+          best = delegations
+        }
+      } else {
+        failedProofs.push(...result.error.failedProofs)
+      }
+    }
+  }
+
+  return best
+    ? { ok: best }
+    : {
+        error: new Unauthorized({
+          capability,
+          delegationErrors,
+          unknownCapabilities,
+          invalidProofs,
+          failedProofs,
+          explain: config.explain,
+        }),
+      }
+}
+
+/**
+ * Wraps `resolveMany` so that links to the `proofs` in the `index` are
+ * resolved from it and only the rest are passed through.
+ *
+ * @param {Map<string, API.Delegation>} index
+ * @param {Required<API.ProofResolver>['resolveMany']} resolveMany
+ * @returns {Required<API.ProofResolver>['resolveMany']}
+ */
+const resolveIndexed = (index, resolveMany) => async links => {
+  const missing = links.filter(link => !index.has(link.toString()))
+  const resolved = missing.length > 0 ? await resolveMany(missing) : []
+  let offset = 0
+  return links.map(link => {
+    const proof = index.get(link.toString())
+    return proof
+      ? { ok: proof }
+      : resolved[offset++] || { error: new UnavailableProof(link) }
+  })
+}
+
+/**
+ * Signer for the `principal` that leaves payloads unsigned, used to issue
+ * invocations that are only planned and never sent.
+ *
+ * @param {API.Principal} principal
+ * @returns {UCAN.Signer}
+ */
+const unsigned = principal => ({
+  did: () => principal.did(),
+  signatureAlgorithm: 'unsigned',
+  signatureCode: Signature.NON_STANDARD,
+  sign: () => Signature.createNonStandard('unsigned', new Uint8Array()),
+})
+
+/**
+ * Collects delegations from the authorization chain that need to be included
+ * with the invocation, which are all but the ones already included in the
+ * delegations that link to them, and the delegations of sessions used.
+ *
+ * @param {API.Authorization} authorization
+ */
+const toPlan = authorization => {
+  /** @type {Map<string, API.Delegation>} */
+  const delegations = new Map()
+  /**
+   * @param {API.Authorization} authorization
+   * @param {API.Proof[]} included
+   */
+  const collect = ({ delegation, proofs }, included) => {
+    if (
+      !included.some(
+        proof => isDelegation(proof) && proof.cid.equals(delegation.cid)
+      )
+    ) {
+      delegations.set(delegation.cid.toString(), delegation)
+    }
+    for (const proof of proofs) {
+      collect(proof, delegation.proofs)
+    }
+  }
+
+  collect(authorization, [])
+  for (const session of authorization.sessions) {
+    collect(session, [])
+  }
+
+  return [...delegations.values()]
+}
+
+/**
+ * Returns claim options with defaults for the omitted ones.
+ *
+ * @param {API.ClaimOptions} options
+ * @returns {Required<API.ClaimOptions>}
+ */
+const configure = ({
+  authority,
+  principal,
+  validateAuthorization,
+  resolveDIDKey = failDIDKeyResolution,
+  canIssue = isSelfIssued,
+  resolve = unavailable,
+  resolveMany = resolveEach(resolve),
+  proofCache = noProofCache,
+  limits = {},
+  clock = UCAN.now,
+  clockSkew = 0,
+  maxLifetime = {},
+  signatureCache = noCache,
+  explain = false,
+}) => ({
+  signatureCache,
+  explain,
+  canIssue,
+  resolve,
+  resolveMany: memoize(resolveMany, proofCache),
+  proofCache,
+  limits,
+  clock,
+  clockSkew,
+  maxLifetime,
+  principal,
+  authority,
+  validateAuthorization,
+  resolveDIDKey,
+})
+
+/**
+ * Creates batch proof resolver that resolves each link at most once, so that
+ * proofs shared by sibling branches of the proof chain are not resolved again.
+ * Proofs are looked up in the `cache` before resolving them and resolved ones
+ * are added to it.
+ *
+ * @param {Required<API.ProofResolver>['resolveMany']} resolveMany
+ * @param {API.ProofCache} cache
+ * @returns {Required<API.ProofResolver>['resolveMany']}
+ */
+const memoize = (resolveMany, cache) => {
+  /** @type {Map<string, Promise<API.Result<API.Delegation, API.UnavailableProof>>>} */
+  const results = new Map()
+
+  return links => {
+    /** @type {Map<string, API.UCANLink>} */
+    const pending = new Map()
+    for (const link of links) {
+      const key = link.toString()
+      if (!results.has(key)) {
+        pending.set(key, link)
+      }
+    }
+
+    if (pending.size > 0) {
+      const loaded = load([...pending.values()], resolveMany, cache)
+      for (const [index, key] of [...pending.keys()].entries()) {
+        results.set(
+          key,
+          loaded.then(results => results[index])
+        )
+      }
+    }
+
+    return Promise.all(
+      links.map(
+        link =>
+          /** @type {Promise<API.Result<API.Delegation, API.UnavailableProof>>} */ (
+            results.get(link.toString())
+          )
+      )
+    )
+  }
+}
+
+/**
+ * Looks up given proofs in the `cache` and resolves ones that are not cached
+ * in a single batch, adding them to the `cache`. Returns results in the order
+ * of the given links.
+ *
+ * @param {API.UCANLink[]} links
+ * @param {Required<API.ProofResolver>['resolveMany']} resolveMany
+ * @param {API.ProofCache} cache
+ */
+const load = async (links, resolveMany, cache) => {
+  /** @type {API.Result<API.Delegation, API.UnavailableProof>[]} */
+  const results = []
+  const missing = []
+  for (const [index, link] of links.entries()) {
+    const proof = await cache.get(link)
+    if (proof) {
+      results[index] = { ok: proof }
+    } else {
+      missing.push(index)
+    }
+  }
+
+  if (missing.length > 0) {
+    const resolved = await resolveBatch(
+      missing.map(index => links[index]),
+      resolveMany
+    )
+    for (const [offset, index] of missing.entries()) {
+      const result = resolved[offset] || {
+        error: new UnavailableProof(links[index]),
+      }
+      if (result.ok) {
+        await cache.add(result.ok)
+      }
+      results[index] = result
+    }
+  }
+
+  return results
+}
+
+/**
+ * @param {API.UCANLink[]} links
+ * @param {Required<API.ProofResolver>['resolveMany']} resolveMany
+ * @returns {Promise<API.Result<API.Delegation, API.UnavailableProof>[]>}
+ */
+const resolveBatch = async (links, resolveMany) => {
+  // Resolver is not supposed to throw, but we catch it just in case it does
+  // and consider resolution of all the proofs failed.
+  try {
+    return await resolveMany(links)
+  } catch (error) {
+    return links.map(link => ({
+      error: new UnavailableProof(link, /** @type {Error} */ (error)),
+    }))
+  }
+}
+
+/**
+ * Creates batch proof resolver that resolves each of the links with the given
+ * `resolve` concurrently.
+ *
+ * @param {Required<API.ProofResolver>['resolve']} resolve
+ * @returns {Required<API.ProofResolver>['resolveMany']}
+ */
+const resolveEach = resolve => links =>
+  Promise.all(
+    links.map(async link => {
+      // Resolver is not supposed to throw, but we catch it just in case it
+      // does and consider proof resolution failed.
+      try {
+        return await resolve(link)
+      } catch (error) {
+        return {
+          error: new UnavailableProof(link, /** @type {Error} */ (error)),
+        }
+      }
+    })
+  )
+
+/**
+ * Attempts to authorize each of the selected matches in turn, returning the
+ * first authorization approved by `config.validateAuthorization`. If none is
+ * found `Unauthorized` error is returned detailing all the explored paths.
+ *
+ * @template {API.Match} M
+ * @param {API.CapabilityParser<M>} capability
+ * @param {API.Select<M>} selection
+ * @param {API.InvalidProof[]} invalidProofs
+ * @param {Required<API.ClaimOptions>} config
+ * @param {number} [depth] - Depth in the proof chain of the proofs of the
+ * selected matches.
+ * @returns {Promise<API.Result<API.Authorization<any>, API.Unauthorized>>}
+ */
+const authorizeSelection = async (
+  capability,
+  selection,
+  invalidProofs,
+  config,
+  depth = 1
+) => {
   const { errors: delegationErrors, unknown: unknownCapabilities } = selection
+  await prefetch(selection.matches, config, depth)
+
   const failedProofs = []
   for (const matched of selection.matches) {
     const selector = matched.prune(config)
     if (selector == null) {
       const authorization = Authorization.create(matched, [])
-      const result = await validateAuthorization(authorization)
+      const result = await config.validateAuthorization(authorization)
       if (result.error) {
         invalidProofs.push(result.error)
       } else {
         return { ok: authorization }
       }
     } else {
-      const result = await authorize(selector, config)
+      const result = await authorize(selector, config, depth)
       if (result.error) {
         failedProofs.push(result.error)
       } else {
         const authorization = Authorization.create(matched, [result.ok])
-        const approval = await validateAuthorization(authorization)
+        const approval = await config.validateAuthorization(authorization)
         if (approval.error) {
           invalidProofs.push(approval.error)
         } else {
@@ -310,6 +849,7 @@ export const claim = async (
       unknownCapabilities,
       invalidProofs,
       failedProofs,
+      explain: config.explain,
     }),
   }
 }
@@ -320,15 +860,21 @@ export const claim = async (
  * @template {API.Match} Match
  * @param {Match} match
  * @param {Required<API.ClaimOptions>} config
+ * @param {number} [depth] - Depth in the proof chain of the `match` proofs.
  * @returns {Promise<API.Result<API.Authorization<API.ParsedCapability>, API.InvalidClaim>>}
  */
 
-export const authorize = async (match, config) => {
+export const authorize = async (match, config, depth = 1) => {
   // load proofs from all delegations
-  const { sources, errors: invalidProofs } = await resolveMatch(match, config)
+  const { sources, errors: invalidProofs } = await resolveMatch(
+    match,
+    config,
+    depth
+  )
 
   const selection = match.select(sources)
   const { errors: delegationErrors, unknown: unknownCapabilities } = selection
+  await prefetch(selection.matches, config, depth + 1)
 
   const failedProofs = []
   for (const matched of selection.matches) {
@@ -343,7 +889,7 @@ export const authorize = async (match, config) => {
         ),
       }
     } else {
-      const result = await authorize(selector, config)
+      const result = await authorize(selector, config, depth + 1)
       if (result.error) {
         failedProofs.push(result.error)
       } else {
@@ -436,18 +982,39 @@ class InvalidClaim extends Failure {
   }
 }
 
+/**
+ * Creates source objects for the capabilities of the verified delegation, so
+ * we could track which delegation and session each capability is from.
+ *
+ * @param {API.Verified} verified
+ * @returns {API.Source[]}
+ */
+const toSources = ({ delegation, session }) =>
+  delegation.capabilities.map(
+    capability =>
+      /** @type {API.Source} */ (
+        session
+          ? { capability, delegation, session }
+          : { capability, delegation }
+      )
+  )
+
 /**
  * Validate a delegation to check it is within the time bound and that it is
- * authorized by the issuer.
+ * authorized by the issuer. Time bounds are checked against configured clock
+ * with configured skew tolerance, and lifetime is checked against the policy
+ * for the given `kind` of UCAN.
  *
  * @template {API.Delegation} T
  * @param {T} delegation
  * @param {API.Delegation[]} proofs
  * @param {Required<API.ClaimOptions>} config
- * @returns {Promise<API.Result<T, API.InvalidProof|API.SessionEscalation|API.DIDKeyResolutionError>>}
+ * @param {keyof API.LifetimePolicy} kind
+ * @returns {Promise<API.Result<API.Verified<T>, API.InvalidProof|API.SessionEscalation|API.DIDKeyResolutionError>>}
  */
-const validate = async (delegation, proofs, config) => {
-  if (UCAN.isExpired(delegation.data)) {
+const validate = async (delegation, proofs, config, kind) => {
+  const now = config.clock()
+  if (delegation.expiration <= now - config.clockSkew) {
     return {
       error: new Expired(
         /** @type {API.Delegation & {expiration: number}} */ (delegation)
@@ -455,7 +1022,10 @@ const validate = async (delegation, proofs, config) => {
     }
   }
 
-  if (UCAN.isTooEarly(delegation.data)) {
+  if (
+    delegation.notBefore != null &&
+    now + config.clockSkew <= delegation.notBefore
+  ) {
     return {
       error: new NotValidBefore(
         /** @type {API.Delegation & {notBefore: number}} */ (delegation)
@@ -463,9 +1033,33 @@ const validate = async (delegation, proofs, config) => {
     }
   }
 
+  const maxLifetime = findMaxLifetime(delegation, config.maxLifetime[kind])
+  const lifetime = delegation.expiration - now
+  if (lifetime > maxLifetime) {
+    return {
+      error: new LifetimeExceeded({ delegation, lifetime, maxLifetime }),
+    }
+  }
+
   return await verifyAuthorization(delegation, proofs, config)
 }
 
+/**
+ * Returns the smallest of the lifetime limits that apply to the capabilities
+ * of the given delegation.
+ *
+ * @param {API.Delegation} delegation
+ * @param {Partial<Record<API.Ability, number>>} [policy]
+ */
+const findMaxLifetime = (delegation, policy = {}) => {
+  let maxLifetime = Infinity
+  for (const { can } of delegation.capabilities) {
+    const limit = policy[can] ?? policy['*'] ?? Infinity
+    maxLifetime = Math.min(maxLifetime, limit)
+  }
+  return maxLifetime
+}
+
 /**
  * Verifies that delegation has been authorized by the issuer. If issued by the
  * did:key principal checks that the signature is valid. If issued by the root
@@ -478,24 +1072,24 @@ const validate = async (delegation, proofs, config) => {
  * @param {T} delegation
  * @param {API.Delegation[]} proofs
  * @param {Required<API.ClaimOptions>} config
- * @returns {Promise<API.Result<T, API.InvalidSignature|API.SessionEscalation|API.DIDKeyResolutionError>>}
+ * @returns {Promise<API.Result<API.Verified<T>, API.InvalidSignature|API.SessionEscalation|API.DIDKeyResolutionError>>}
  */
 const verifyAuthorization = async (delegation, proofs, config) => {
   const issuer = delegation.issuer.did()
   // If the issuer is a did:key we just verify a signature
   if (issuer.startsWith('did:key:')) {
-    return verifySignature(delegation, config.principal.parse(issuer))
+    return verifySignature(delegation, config.principal.parse(issuer), config)
   }
   // If the issuer is the root authority we use authority itself to verify
   else if (issuer === config.authority.did()) {
-    return verifySignature(delegation, config.authority)
+    return verifySignature(delegation, config.authority, config)
   } else {
     // If issuer is not a did:key principal nor configured authority, we
     // attempt to resolve embedded authorization session from the authority.
     const session = await verifySession(delegation, proofs, config)
     // If we have valid session we consider authorization valid
     if (session.ok) {
-      return { ok: delegation }
+      return { ok: { delegation, session: session.ok } }
     } else if (session.error.failedProofs.length > 0) {
       return {
         error: new SessionEscalation({ delegation, cause: session.error }),
@@ -510,7 +1104,8 @@ const verifyAuthorization = async (delegation, proofs, config) => {
       } else {
         return verifySignature(
           delegation,
-          config.principal.parse(verifier.ok).withDID(issuer)
+          config.principal.parse(verifier.ok).withDID(issuer),
+          config
         )
       }
     }
@@ -518,16 +1113,53 @@ const verifyAuthorization = async (delegation, proofs, config) => {
 }
 
 /**
+ * Verifies delegation signature unless it has been verified before. Valid
+ * signatures are cached until delegation expires, which is safe because
+ * delegations outside of their time bounds are rejected before we get here.
+ *
  * @template {API.Delegation} T
  * @param {T} delegation
  * @param {API.Verifier} verifier
- * @returns {Promise<API.Result<T, API.InvalidSignature|API.DIDKeyResolutionError>>}
+ * @param {Required<API.ClaimOptions>} config
+ * @returns {Promise<API.Result<API.Verified<T>, API.InvalidSignature|API.DIDKeyResolutionError>>}
  */
-const verifySignature = async (delegation, verifier) => {
+const verifySignature = async (
+  delegation,
+  verifier,
+  { signatureCache, clock }
+) => {
+  const key = `${delegation.cid}:${verifier.toDIDKey()}`
+  if (await signatureCache.has(key, clock())) {
+    return { ok: { delegation } }
+  }
+
   const valid = await UCAN.verifySignature(delegation.data, verifier)
-  return valid
-    ? { ok: delegation }
-    : { error: new InvalidSignature(delegation, verifier) }
+  if (valid) {
+    await signatureCache.add(key, delegation.expiration)
+    return { ok: { delegation } }
+  } else {
+    return { error: new InvalidSignature(delegation, verifier) }
+  }
+}
+
+/**
+ * Cache that is used when none is configured, it never caches anything.
+ *
+ * @type {API.SignatureCache}
+ */
+const noCache = {
+  has: () => false,
+  add: () => {},
+}
+
+/**
+ * Cache that is used when none is configured, it never caches anything.
+ *
+ * @type {API.ProofCache}
+ */
+const noProofCache = {
+  get: () => undefined,
+  add: () => {},
 }
 
 /**
@@ -550,12 +1182,13 @@ const verifySession = async (delegation, proofs, config) => {
     }),
   })
 
-  return await claim(
+  return await claimWith(
     attestation,
     // We only consider attestations otherwise we will end up doing an
     // exponential scan if there are other proofs that require attestations.
     proofs.filter(isAttestation),
-    config
+    config,
+    'delegation'
   )
 }
 
@@ -0,0 +1,55 @@
+import * as API from '@ucanto/interface'
+
+/**
+ * Creates an in-memory {@link API.ProofCache}. When `capacity` is reached
+ * least recently used proofs are evicted to make room for new ones.
+ *
+ * @param {object} [options]
+ * @param {number} [options.capacity]
+ * @returns {API.ProofCache}
+ */
+export const memory = ({ capacity = 1000 } = {}) =>
+  new MemoryProofCache(capacity)
+
+/**
+ * @implements {API.ProofCache}
+ */
+class MemoryProofCache {
+  /**
+   * @param {number} capacity
+   */
+  constructor(capacity) {
+    this.capacity = capacity
+    /** @type {Map<string, API.Delegation>} */
+    this.proofs = new Map()
+  }
+
+  /**
+   * @param {API.UCANLink} link
+   */
+  get(link) {
+    const key = link.toString()
+    const proof = this.proofs.get(key)
+    // Move proof to the end so it is evicted last.
+    if (proof) {
+      this.proofs.delete(key)
+      this.proofs.set(key, proof)
+    }
+    return proof
+  }
+
+  /**
+   * @param {API.Delegation} proof
+   */
+  add(proof) {
+    const key = proof.cid.toString()
+    this.proofs.delete(key)
+    this.proofs.set(key, proof)
+    for (const key of this.proofs.keys()) {
+      if (this.proofs.size <= this.capacity) {
+        break
+      }
+      this.proofs.delete(key)
+    }
+  }
+}
@@ -0,0 +1,249 @@
+import * as API from '@ucanto/interface'
+import { UCAN, fail } from '@ucanto/core'
+import { varint } from 'multiformats'
+import { base58btc } from 'multiformats/bases/base58'
+import { base64url } from 'multiformats/bases/base64'
+import { DIDKeyResolutionError } from './error.js'
+
+/**
+ * Multicodec codes of the public keys that principals can be verified with.
+ */
+const ED25519 = 0xed
+const RSA = 0x1205
+const P256 = 0x1200
+const SECP256K1 = 0xe7
+const KEY_CODES = [ED25519, RSA, P256, SECP256K1]
+
+/**
+ * Combines given resolvers into one that tries them in order until one of
+ * them succeeds. If all of them fail, returns the first error that has a
+ * `cause`, as it is likely more informative than errors from resolvers that
+ * do not support the DID method, otherwise the last error is returned.
+ *
+ * @example
+ * ```js
+ * const resolveDIDKey = Resolver.or(
+ *   Resolver.web(),
+ *   Resolver.from({ 'did:mailto:web.mail:alice': 'did:key:z6Mk...' })
+ * )
+ * ```
+ *
+ * @param {API.DIDKeyResolver} resolver
+ * @param {API.DIDKeyResolver[]} resolvers
+ * @returns {API.DIDKeyResolver}
+ */
+export const or =
+  (resolver, ...resolvers) =>
+  async did => {
+    const errors = []
+    for (const resolve of [resolver, ...resolvers]) {
+      const result = await resolve(did)
+      if (result.ok) {
+        return result
+      } else {
+        errors.push(result.error)
+      }
+    }
+
+    return {
+      error: errors.find(error => error.cause) || errors[errors.length - 1],
+    }
+  }
+
+/**
+ * Creates a resolver from the static map of DIDs to their keys.
+ *
+ * @param {Record<API.DID, API.DIDKey>} keys
+ * @returns {API.DIDKeyResolver}
+ */
+export const from = keys => did => {
+  const key = keys[did]
+  return key ? { ok: key } : { error: new DIDKeyResolutionError(did) }
+}
+
+/**
+ * Creates a resolver for the `did:web` principals. It fetches DID document of
+ * the principal and resolves key of the first verification method it supports
+ * out of the ones authorized for `assertionMethod` or `authentication`.
+ * Resolved keys are cached for the `ttl` number of seconds.
+ *
+ * @see https://w3c-ccg.github.io/did-method-web/
+ *
+ * @param {object} [options]
+ * @param {typeof globalThis.fetch} [options.fetch]
+ * @param {number} [options.ttl] - Seconds to cache resolved keys for.
+ * @param {() => API.UCAN.UTCUnixTimestamp} [options.clock]
+ * @returns {API.DIDKeyResolver}
+ */
+export const web = ({
+  fetch = globalThis.fetch.bind(globalThis),
+  ttl = 60 * 60,
+  clock = UCAN.now,
+} = {}) => {
+  /** @type {Map<API.DID, {key: API.DIDKey, expires: number}>} */
+  const cache = new Map()
+
+  return async did => {
+    if (!did.startsWith('did:web:')) {
+      return { error: new DIDKeyResolutionError(did) }
+    }
+
+    const cached = cache.get(did)
+    if (cached && cached.expires > clock()) {
+      return { ok: cached.key }
+    }
+    cache.delete(did)
+
+    const result = await resolveWeb(did, fetch)
+    if (result.error) {
+      return { error: new DIDKeyResolutionError(did, result.error) }
+    }
+
+    cache.set(did, { key: result.ok, expires: clock() + ttl })
+    return result
+  }
+}
+
+/**
+ * @param {API.DID} did
+ * @param {typeof globalThis.fetch} fetch
+ * @returns {Promise<API.Result<API.DIDKey, API.Failure>>}
+ */
+const resolveWeb = async (did, fetch) => {
+  const url = toURL(did)
+  /** @type {DIDDocument} */
+  let document
+  try {
+    const response = await fetch(url)
+    if (!response.ok) {
+      return fail(`Fetching ${url} failed with ${response.status} status`)
+    }
+    document = await response.json()
+  } catch (error) {
+    return fail(
+      `Fetching ${url} failed: ${/** @type {Error} */ (error).message}`
+    )
+  }
+
+  if (document?.id !== did) {
+    return fail(
+      `DID document at ${url} has id ${document?.id} instead of ${did}`
+    )
+  }
+
+  for (const method of toVerificationMethods(did, document)) {
+    const key = toDIDKey(method)
+    if (key) {
+      return { ok: key }
+    }
+  }
+
+  return fail(`DID document at ${url} has no supported verification method`)
+}
+
+/**
+ * @typedef {object} DIDDocument
+ * @property {unknown} [id]
+ * @property {unknown} [verificationMethod]
+ * @property {unknown} [assertionMethod]
+ * @property {unknown} [authentication]
+ */
+
+/**
+ * Returns verification methods of the DID document referenced by its
+ * `assertionMethod` or `authentication` relationships, as only those are
+ * authorized to sign on behalf of the DID subject. Relationships either embed
+ * verification methods or reference them by absolute or relative DID URL.
+ *
+ * @param {API.DID} did
+ * @param {DIDDocument} document
+ * @returns {Record<string, any>[]}
+ */
+const toVerificationMethods = (did, document) => {
+  const methods = toArray(document.verificationMethod)
+  /**
+   * @param {unknown} id
+   */
+  const resolve = id =>
+    typeof id === 'string' && id.startsWith('#') ? `${did}${id}` : id
+
+  return [
+    ...toArray(document.assertionMethod),
+    ...toArray(document.authentication),
+  ].flatMap(reference =>
+    typeof reference === 'string'
+      ? methods.filter(method => resolve(method?.id) === resolve(reference))
+      : [reference]
+  )
+}
+
+/**
+ * @param {unknown} value
+ * @returns {any[]}
+ */
+const toArray = value => (Array.isArray(value) ? value : [])
+
+/**
+ * Derives URL of the DID document from the `did:web` identifier.
+ *
+ * @param {API.DID} did
+ */
+const toURL = did => {
+  const [host, ...path] = did
+    .slice('did:web:'.length)
+    .split(':')
+    .map(decodeURIComponent)
+  return path.length > 0
+    ? `https://${host}/${path.join('/')}/did.json`
+    : `https://${host}/.well-known/did.json`
+}
+
+/**
+ * Returns `did:key` for the verification method if it is of supported type
+ * and key, otherwise returns `null`.
+ *
+ * @param {Record<string, any>} method
+ * @returns {API.DIDKey|null}
+ */
+const toDIDKey = method => {
+  try {
+    switch (method?.type) {
+      case 'Multikey':
+      case 'Ed25519VerificationKey2020': {
+        const bytes = base58btc.decode(method.publicKeyMultibase)
+        const [code] = varint.decode(bytes)
+        return KEY_CODES.includes(code)
+          ? `did:key:${method.publicKeyMultibase}`
+          : null
+      }
+      case 'Ed25519VerificationKey2018':
+        return fromEd25519(base58btc.baseDecode(method.publicKeyBase58))
+      case 'JsonWebKey2020': {
+        const { kty, crv, x } = method.publicKeyJwk || {}
+        return kty === 'OKP' && crv === 'Ed25519'
+          ? fromEd25519(base64url.baseDecode(x))
+          : null
+      }
+      default:
+        return null
+    }
+  } catch {
+    // Verification methods with malformed keys are ignored.
+    return null
+  }
+}
+
+/**
+ * @param {Uint8Array} key - Raw ed25519 public key.
+ * @returns {API.DIDKey|null}
+ */
+const fromEd25519 = key => {
+  if (key.byteLength !== 32) {
+    return null
+  }
+  const offset = varint.encodingLength(ED25519)
+  const bytes = new Uint8Array(offset + key.byteLength)
+  varint.encodeTo(ED25519, bytes)
+  bytes.set(key, offset)
+  return `did:key:${base58btc.encode(bytes)}`
+}
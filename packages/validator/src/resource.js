@@ -0,0 +1,166 @@
+import * as API from '@ucanto/interface'
+import { Schema } from '@ucanto/core'
+import { deriveCaveats } from './capability.js'
+
+/**
+ * Splits hierarchical URI like `https://example.com/a/b?q#f` into an origin,
+ * path and query with fragment.
+ */
+const HIERARCHICAL = /^([a-z][a-z0-9+.-]*:\/\/[^/?#]*)([^?#]*)([?#].*)?$/i
+
+/**
+ * Checks whether resource `uri` is contained by the delegated resource
+ * `pattern`, returning an error describing why it is not otherwise.
+ *
+ * - Hierarchical URIs (ones with `//` authority) must have the same origin,
+ *   and paths are compared segment by segment:
+ *   - Pattern ending with `/` contains every resource nested under it, e.g.
+ *     `https://api.example/buckets/a/` contains `https://api.example/buckets/a/b`
+ *     but not `https://api.example/buckets/ab`.
+ *   - Pattern ending with `/**` contains the resource itself and every
+ *     resource nested under it.
+ *   - `*` in the segment matches any characters within the segment, e.g.
+ *     `file:///home/*` contains `file:///home/alice` but not
+ *     `file:///home/alice/photo`.
+ *   - Resource must have the same query and fragment as the pattern, so
+ *     pattern without one does not contain resources with a query or
+ *     fragment.
+ *   - Resources with `.` or `..` path segments are never contained.
+ * - Other URIs are compared segment by segment, with segments delimited by
+ *   `:`. Pattern ending with `:*` contains every resource that starts with the
+ *   pattern segments, so `did:*` contains every DID and `did:web:*` contains
+ *   `did:web:example.com:user:alice`. As in paths, `*` in other segments
+ *   matches any characters within the segment. It follows that `ucan:*`
+ *   only contains `ucan:` URIs, as `with: "ucan:*"` delegations are expanded
+ *   into the resources they cover before they are derived from.
+ *
+ * @param {string} pattern - Resource of the delegated capability.
+ * @param {string} uri - Resource of the claimed capability.
+ * @returns {API.Result<API.Unit, API.Failure>}
+ */
+export const contains = (pattern, uri) => {
+  if (pattern === uri) {
+    return { ok: {} }
+  }
+
+  const reason = HIERARCHICAL.test(pattern)
+    ? checkHierarchical(pattern, uri)
+    : checkSegments(pattern.split(':'), uri.split(':'), { tail: '*', min: 1 })
+
+  return reason
+    ? Schema.error(`Resource ${uri} is not contained by ${pattern}: ${reason}`)
+    : { ok: {} }
+}
+
+/**
+ * Derives claimed capability from the delegated one if delegated resource
+ * {@link contains} claimed resource and claimed capability satisfies all the
+ * delegated caveats. Capabilities can opt into resource patterns by using it
+ * instead of the default `derives`:
+ *
+ * @example
+ * ```js
+ * const Read = capability({
+ *   can: 'bucket/read',
+ *   with: Schema.URI.match({ protocol: 'https:' }),
+ *   derives: Resource.derives,
+ * })
+ * ```
+ *
+ * Custom `derives` functions can use {@link contains} to check resources.
+ *
+ * @template {API.ParsedCapability} T
+ * @template {API.ParsedCapability} U
+ * @param {T} claimed
+ * @param {U} delegated
+ * @returns {API.Result<{}, API.Failure>}
+ */
+export const derives = (claimed, delegated) => {
+  const result = contains(delegated.with, claimed.with)
+  return result.error ? result : deriveCaveats(claimed, delegated)
+}
+
+/**
+ * @param {string} pattern
+ * @param {string} uri
+ * @returns {string|null}
+ */
+const checkHierarchical = (pattern, uri) => {
+  const [, origin, path, rest = ''] = /** @type {RegExpExecArray} */ (
+    HIERARCHICAL.exec(pattern)
+  )
+  const [, targetOrigin = '', targetPath = '', targetRest = ''] =
+    HIERARCHICAL.exec(uri) || []
+
+  if (origin.toLowerCase() !== targetOrigin.toLowerCase()) {
+    return `it is not within ${origin} origin`
+  }
+
+  if (rest !== targetRest) {
+    return rest
+      ? `query or fragment "${targetRest}" does not match "${rest}"`
+      : `query or fragment "${targetRest}" is not covered`
+  }
+
+  const segments = targetPath.split('/')
+  if (segments.some(isDotSegment)) {
+    return `it has dot segments in the path`
+  }
+
+  return path.endsWith('/**')
+    ? checkSegments(path.split('/'), segments, { tail: '**', min: 0 })
+    : path.endsWith('/')
+    ? checkSegments(path.split('/'), segments, { tail: '', min: 1 })
+    : checkSegments(path.split('/'), segments, { tail: null, min: 0 })
+}
+
+/**
+ * Matches every segment against corresponding segment pattern. If last
+ * pattern is a `tail` it matches any number (but at least `min`) of the
+ * remaining segments.
+ *
+ * @param {string[]} patterns
+ * @param {string[]} segments
+ * @param {object} options
+ * @param {string|null} options.tail
+ * @param {number} options.min
+ * @returns {string|null}
+ */
+const checkSegments = (patterns, segments, { tail, min }) => {
+  const open = patterns[patterns.length - 1] === tail
+  const fixed = open ? patterns.slice(0, -1) : patterns
+
+  for (const [index, pattern] of fixed.entries()) {
+    const segment = segments[index]
+    if (segment === undefined) {
+      return `it has no segment matching "${pattern}"`
+    } else if (!glob(pattern).test(segment)) {
+      return `segment "${segment}" does not match "${pattern}"`
+    }
+  }
+
+  const rest = segments.slice(fixed.length)
+  if (!open && rest.length > 0) {
+    return `segment "${rest[0]}" is not covered`
+  } else if (open && rest.length < min) {
+    return `it has no segments nested under it`
+  } else {
+    return null
+  }
+}
+
+/**
+ * @param {string} pattern
+ */
+const glob = pattern =>
+  new RegExp(
+    `^${pattern
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*')}$`
+  )
+
+/**
+ * @param {string} segment
+ */
+const isDotSegment = segment => /^(\.|%2e){1,2}$/i.test(segment)
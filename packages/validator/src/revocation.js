@@ -0,0 +1,149 @@
+import * as API from '@ucanto/interface'
+import { Delegation, ok, fail } from '@ucanto/core'
+import * as Schema from '@ucanto/core/schema'
+import { capability as define } from './capability.js'
+import * as Authorization from './authorization.js'
+import { Revoked, UCANNotFound, UnauthorizedRevocation } from './error.js'
+
+/**
+ * Capability that can be invoked to revoke a UCAN. Resource is the DID of the
+ * principal revoking the UCAN, which needs to be an issuer of the revoked UCAN
+ * or of one of its proofs. Revoked UCAN (along with its proofs) must be
+ * included with the invocation e.g. as a proof.
+ *
+ * @example
+ * ```js
+ * Revocation.capability.invoke({
+ *   issuer: alice,
+ *   audience: service,
+ *   with: alice.did(),
+ *   nb: { ucan: delegation.cid },
+ *   proofs: [delegation],
+ * })
+ * ```
+ */
+export const capability = define({
+  can: 'ucan/revoke',
+  with: Schema.did(),
+  nb: Schema.struct({
+    ucan: /** @type {API.Reader<API.UCANLink>} */ (Schema.link()),
+  }),
+  derives: (claimed, delegated) => {
+    if (claimed.with !== delegated.with) {
+      return fail(
+        `Expected 'with: "${delegated.with}"' instead got '${claimed.with}'`
+      )
+    } else if (
+      delegated.nb.ucan &&
+      !delegated.nb.ucan.equals(claimed.nb.ucan)
+    ) {
+      return fail(
+        `UCAN ${claimed.nb.ucan} violates imposed ${delegated.nb.ucan} constraint`
+      )
+    } else {
+      return ok({})
+    }
+  },
+})
+
+/**
+ * @typedef {API.ParsedCapability<'ucan/revoke', API.DID, { ucan: API.UCANLink }>} Revoke
+ */
+
+/**
+ * Creates an in-memory {@link API.RevocationStore}.
+ *
+ * @returns {API.RevocationStore}
+ */
+export const memory = () => new MemoryRevocationStore()
+
+/**
+ * @implements {API.RevocationStore}
+ */
+class MemoryRevocationStore {
+  constructor() {
+    /** @type {Map<string, API.Revocation>} */
+    this.revocations = new Map()
+  }
+  /**
+   * @param {API.UCANLink} ucan
+   */
+  has(ucan) {
+    return this.revocations.has(ucan.toString())
+  }
+  /**
+   * @param {API.Revocation} revocation
+   */
+  add(revocation) {
+    this.revocations.set(revocation.ucan.toString(), revocation)
+  }
+}
+
+/**
+ * Creates a handler for the {@link capability} that records revocations in
+ * the given store. It can be turned into a service method with
+ * `Server.provide(Revocation.capability, Revocation.handler({ store }))`.
+ *
+ * @param {object} options
+ * @param {API.RevocationStore} options.store
+ * @returns {(input: API.ProviderInput<Revoke>) => Promise<API.Result<API.Unit, API.UCANNotFound|API.UnauthorizedRevocation>>}
+ */
+export const handler =
+  ({ store }) =>
+  async ({ capability, invocation }) => {
+    const blocks = new Map()
+    for (const block of invocation.iterateIPLDBlocks()) {
+      blocks.set(`${block.cid}`, block)
+    }
+
+    const ucan = Delegation.view({ root: capability.nb.ucan, blocks }, null)
+    if (ucan == null) {
+      return { error: new UCANNotFound(capability.nb.ucan) }
+    }
+
+    if (!isIssuer(ucan, capability.with)) {
+      return { error: new UnauthorizedRevocation(ucan, capability.with) }
+    }
+
+    await store.add({
+      ucan: ucan.cid,
+      revoker: capability.with,
+      cause: invocation.cid,
+    })
+
+    return { ok: {} }
+  }
+
+/**
+ * Returns `true` if `principal` is an issuer of the given delegation or any of
+ * its included proofs.
+ *
+ * @param {API.Delegation} delegation
+ * @param {API.DID} principal
+ * @returns {boolean}
+ */
+const isIssuer = (delegation, principal) =>
+  delegation.issuer.did() === principal ||
+  delegation.proofs.some(
+    proof => Delegation.isDelegation(proof) && isIssuer(proof, principal)
+  )
+
+/**
+ * Creates `validateAuthorization` function for the validator and server
+ * options that fails with {@link Revoked} error if any of the UCANs in the
+ * authorization have been revoked.
+ *
+ * @param {object} options
+ * @param {API.RevocationStore} options.store
+ * @returns {(authorization: API.Authorization) => Promise<API.Result<API.Unit, API.Revoked>>}
+ */
+export const validateAuthorization =
+  ({ store }) =>
+  async authorization => {
+    for (const delegation of Authorization.iterate(authorization)) {
+      if (await store.has(delegation.cid)) {
+        return { error: new Revoked(delegation) }
+      }
+    }
+    return { ok: {} }
+  }
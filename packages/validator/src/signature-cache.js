@@ -0,0 +1,62 @@
+import * as API from '@ucanto/interface'
+
+/**
+ * Creates an in-memory {@link API.SignatureCache}. When `capacity` is reached
+ * least recently used records are evicted to make room for new ones. Records
+ * are also dropped once they expire.
+ *
+ * @param {object} [options]
+ * @param {number} [options.capacity]
+ * @returns {API.SignatureCache}
+ */
+export const memory = ({ capacity = 1000 } = {}) =>
+  new MemorySignatureCache(capacity)
+
+/**
+ * @implements {API.SignatureCache}
+ */
+class MemorySignatureCache {
+  /**
+   * @param {number} capacity
+   */
+  constructor(capacity) {
+    this.capacity = capacity
+    /** @type {Map<string, number>} */
+    this.records = new Map()
+  }
+
+  /**
+   * @param {string} key
+   * @param {API.UCAN.UTCUnixTimestamp} now
+   */
+  has(key, now) {
+    const expiration = this.records.get(key)
+    if (expiration === undefined) {
+      return false
+    }
+
+    // Move record to the end so it is evicted last.
+    this.records.delete(key)
+    if (expiration <= now) {
+      return false
+    } else {
+      this.records.set(key, expiration)
+      return true
+    }
+  }
+
+  /**
+   * @param {string} key
+   * @param {API.UCAN.UTCUnixTimestamp} expiration
+   */
+  add(key, expiration) {
+    this.records.delete(key)
+    this.records.set(key, expiration)
+    for (const key of this.records.keys()) {
+      if (this.records.size <= this.capacity) {
+        break
+      }
+      this.records.delete(key)
+    }
+  }
+}
@@ -0,0 +1,130 @@
+import { test, assert } from './test.js'
+import { access, capability, Schema, DID } from '../src/lib.js'
+import { Verifier, Absentee } from '@ucanto/principal'
+import { UCAN } from '@ucanto/core'
+import { alice, bob, mallory, service as w3 } from './fixtures.js'
+
+const Echo = capability({
+  can: 'debug/echo',
+  with: Schema.did(),
+})
+
+const Attest = capability({
+  can: 'ucan/attest',
+  with: DID,
+  nb: Schema.struct({
+    proof: Schema.link(),
+  }),
+})
+
+const options = {
+  authority: w3,
+  capability: Echo,
+  principal: Verifier,
+  validateAuthorization: () => ({ ok: {} }),
+}
+
+test('summarizes constraints of the proof chain', async () => {
+  const now = UCAN.now()
+  const root = await Echo.delegate({
+    issuer: alice,
+    audience: bob,
+    with: alice.did(),
+    expiration: now + 100,
+    notBefore: now - 20,
+    facts: [{ plan: 'free' }],
+  })
+
+  const proof = await Echo.delegate({
+    issuer: bob,
+    audience: mallory,
+    with: alice.did(),
+    expiration: now + 200,
+    notBefore: now - 10,
+    proofs: [root],
+  })
+
+  const invocation = await Echo.invoke({
+    issuer: mallory,
+    audience: w3,
+    with: alice.did(),
+    expiration: now + 50,
+    facts: [{ request: 1 }],
+    proofs: [proof],
+  }).delegate()
+
+  const result = await access(invocation, options)
+  const authorization = result.ok
+  if (!authorization) {
+    return assert.fail(result.error.message)
+  }
+
+  assert.equal(authorization.expiration, now + 50)
+  assert.equal(authorization.proofs[0].expiration, now + 100)
+  assert.equal(authorization.notBefore, now - 10)
+  assert.equal(authorization.proofs[0].proofs[0].notBefore, now - 20)
+  assert.deepEqual(
+    authorization.principals.map(principal => principal.did()),
+    [w3.did(), mallory.did(), bob.did(), alice.did()]
+  )
+  assert.deepEqual(authorization.facts, [{ request: 1 }, { plan: 'free' }])
+  assert.deepEqual(authorization.sessions, [])
+})
+
+test('has no not before time unless set in the chain', async () => {
+  const invocation = await Echo.invoke({
+    issuer: alice,
+    audience: w3,
+    with: alice.did(),
+  }).delegate()
+
+  const result = await access(invocation, options)
+  assert.equal(result.error, undefined)
+  assert.equal(result.ok?.notBefore, undefined)
+  assert.equal(result.ok?.expiration, invocation.expiration)
+  assert.deepEqual(result.ok?.facts, [])
+})
+
+test('lists sessions used in the chain', async () => {
+  const now = UCAN.now()
+  const account = Absentee.from({ id: 'did:mailto:web.mail:alice' })
+
+  const proof = await Echo.delegate({
+    issuer: account,
+    audience: alice,
+    with: account.did(),
+    expiration: Infinity,
+  })
+
+  const session = await Attest.delegate({
+    issuer: w3,
+    audience: alice,
+    with: w3.did(),
+    nb: { proof: proof.cid },
+    expiration: now + 60,
+    notBefore: now - 5,
+  })
+
+  const invocation = await Echo.invoke({
+    issuer: alice,
+    audience: w3,
+    with: account.did(),
+    expiration: now + 100,
+    proofs: [proof, session],
+  }).delegate()
+
+  const result = await access(invocation, options)
+  assert.equal(result.error, undefined)
+  assert.deepEqual(
+    result.ok?.sessions.map(session => session.delegation.cid),
+    [session.cid]
+  )
+  assert.equal(result.ok?.proofs[0].sessions.length, 1)
+  assert.deepEqual(
+    result.ok?.principals.map(principal => principal.did()),
+    [w3.did(), alice.did(), account.did()]
+  )
+  assert.equal(result.ok?.expiration, now + 60)
+  assert.equal(result.ok?.notBefore, now - 5)
+  assert.equal(result.ok?.proofs[0].expiration, now + 60)
+})
@@ -2072,3 +2072,109 @@ test('default derive with nb', () => {
     }
   )
 })
+
+test('capability describes itself', () => {
+  const read = capability({
+    can: 'file/read',
+    with: URI.match({ protocol: 'file:' }),
+  })
+
+  const write = capability({
+    can: 'file/write',
+    with: URI.match({ protocol: 'file:' }),
+    nb: Schema.struct({
+      size: Schema.integer().optional(),
+    }),
+  })
+
+  const append = write.derive({
+    to: capability({
+      can: 'file/append',
+      with: Schema.did(),
+      nb: Schema.struct({ link: Schema.link() }),
+    }),
+    derives: () => ok({}),
+  })
+
+  assert.deepEqual(read.describe(), [
+    {
+      can: 'file/read',
+      with: { kind: 'uri', protocol: 'file:' },
+      nb: { kind: 'struct', fields: {} },
+    },
+  ])
+
+  assert.deepEqual(write.describe(), [
+    {
+      can: 'file/write',
+      with: { kind: 'uri', protocol: 'file:' },
+      nb: {
+        kind: 'struct',
+        fields: {
+          size: {
+            kind: 'optional',
+            of: { kind: 'number', refinements: [{ kind: 'integer' }] },
+          },
+        },
+      },
+    },
+  ])
+
+  assert.deepEqual(append.describe(), [
+    {
+      can: 'file/append',
+      with: { kind: 'string', refinements: [{ kind: 'did' }] },
+      nb: { kind: 'struct', fields: { link: { kind: 'link' } } },
+    },
+  ])
+
+  assert.deepEqual(
+    capability({
+      can: 'file/tag',
+      with: URI.match({ protocol: 'file:' }),
+      nb: Schema.struct({ tag: Schema.literal('public') }),
+    }).describe()[0].nb,
+    {
+      kind: 'struct',
+      fields: { tag: { kind: 'literal', value: 'public' } },
+    }
+  )
+
+  assert.deepEqual(
+    read
+      .or(write)
+      .describe()
+      .map($ => $.can),
+    ['file/read', 'file/write']
+  )
+
+  assert.deepEqual(
+    read
+      .and(write)
+      .describe()
+      .map($ => $.can),
+    ['file/read', 'file/write']
+  )
+
+  assert.deepEqual(
+    read
+      .or({
+        match: source => read.match(source),
+        select: sources => read.select(sources),
+      })
+      .describe()
+      .map($ => $.can),
+    ['file/read']
+  )
+})
+
+test('parsers have no descriptions unless they describe themselves', () => {
+  const parser = capability({ can: 'test/base', with: Schema.did() })
+  // Base class all the parsers inherit from.
+  let base = Object.getPrototypeOf(parser)
+  while (Object.getPrototypeOf(base) !== Object.prototype) {
+    base = Object.getPrototypeOf(base)
+  }
+
+  assert.deepEqual(base.describe.call(parser), [])
+})
@@ -0,0 +1,190 @@
+import { test, assert } from './test.js'
+import { check, capability, Schema, Derive, DID, Revoked } from '../src/lib.js'
+import { delegate, UCAN } from '@ucanto/core'
+import { Verifier, Absentee } from '@ucanto/principal'
+import { alice, bob, mallory, service as w3 } from './fixtures.js'
+
+const Add = capability({
+  can: 'store/add',
+  with: Schema.did(),
+  nb: Schema.struct({
+    size: Schema.integer().optional(),
+  }),
+  derives: Derive.fields({ size: Derive.lte }),
+})
+
+const List = capability({
+  can: 'store/list',
+  with: Schema.did(),
+})
+
+const Attest = capability({
+  can: 'ucan/attest',
+  with: DID,
+  nb: Schema.struct({
+    proof: Schema.link(),
+  }),
+})
+
+const options = {
+  capabilities: [Add, List],
+  authority: w3,
+  principal: Verifier,
+}
+
+test('reports which delegated capabilities are backed by proofs', async () => {
+  const proof = await Add.delegate({
+    issuer: alice,
+    audience: bob,
+    with: alice.did(),
+    nb: { size: 1024 },
+  })
+
+  const delegation = await delegate({
+    issuer: bob,
+    audience: mallory,
+    capabilities: [
+      { can: 'store/add', with: alice.did(), nb: { size: 512 } },
+      { can: 'store/add', with: alice.did(), nb: { size: 2048 } },
+      { can: 'store/list', with: bob.did() },
+      { can: 'store/list', with: alice.did() },
+      { can: 'debug/echo', with: bob.did() },
+    ],
+    proofs: [proof],
+  })
+
+  const [add, escalated, list, unbacked, unknown] = await check(
+    delegation,
+    options
+  )
+
+  assert.deepEqual(add.capability, delegation.capabilities[0])
+  assert.equal(add.result.error, undefined)
+  assert.deepEqual(add.result.ok?.capability.nb, { size: 512 })
+  assert.equal(add.result.ok?.proofs[0].delegation.cid, proof.cid)
+
+  assert.equal(escalated.result.error?.name, 'Unauthorized')
+  assert.match(
+    String(escalated.result.error?.message),
+    /Constraint violation: size: 2048 exceeds maximum of 1024/
+  )
+
+  assert.equal(list.result.error, undefined)
+  assert.deepEqual(list.result.ok?.proofs, [])
+
+  assert.equal(unbacked.result.error?.name, 'Unauthorized')
+  assert.match(
+    String(unbacked.result.error?.message),
+    /Capability can not be \(self\) issued by/
+  )
+
+  assert.equal(unknown.result.error?.name, 'UnknownCapability')
+  assert.equal(
+    unknown.result.error?.message,
+    `Encountered unknown capability: {"can":"debug/echo","with":"${bob.did()}"}`
+  )
+})
+
+test('resolves linked proofs', async () => {
+  const proof = await List.delegate({
+    issuer: alice,
+    audience: bob,
+    with: alice.did(),
+  })
+
+  const delegation = await List.delegate({
+    issuer: bob,
+    audience: mallory,
+    with: alice.did(),
+    proofs: [proof.cid],
+  })
+
+  const [unavailable] = await check(delegation, options)
+  assert.match(
+    String(unavailable.result.error?.message),
+    new RegExp(`Linked proof '${proof.cid}' is not included`)
+  )
+
+  const [resolved] = await check(delegation, {
+    ...options,
+    resolve: async () => ({ ok: proof }),
+  })
+  assert.equal(resolved.result.error, undefined)
+})
+
+test('reports malformed capabilities', async () => {
+  const delegation = await delegate({
+    issuer: alice,
+    audience: bob,
+    capabilities: [{ can: 'store/add', with: alice.did(), nb: { size: 'a' } }],
+  })
+
+  const [malformed] = await check(delegation, options)
+  assert.equal(malformed.result.error?.name, 'Unauthorized')
+  assert.match(
+    String(malformed.result.error?.message),
+    /Encountered malformed 'store\/add' capability/
+  )
+})
+
+test('reports invalid delegation', async () => {
+  const delegation = await delegate({
+    issuer: alice,
+    audience: bob,
+    capabilities: [
+      { can: 'store/list', with: alice.did() },
+      { can: 'debug/echo', with: alice.did() },
+    ],
+    expiration: UCAN.now() - 1,
+  })
+
+  const [expired, unknown] = await check(delegation, options)
+  assert.equal(expired.result.error?.name, 'Unauthorized')
+  assert.match(String(expired.result.error?.message), /has expired/)
+  assert.equal(unknown.result.error?.name, 'UnknownCapability')
+})
+
+test('validates authorizations', async () => {
+  const delegation = await List.delegate({
+    issuer: alice,
+    audience: bob,
+    with: alice.did(),
+  })
+
+  const [revoked] = await check(delegation, {
+    ...options,
+    validateAuthorization: authorization => ({
+      error: new Revoked(authorization.delegation),
+    }),
+  })
+
+  assert.match(String(revoked.result.error?.message), /has been revoked/)
+})
+
+test('validates delegation with sessions from proofs', async () => {
+  const account = Absentee.from({ id: 'did:mailto:web.mail:alice' })
+  const delegation = await List.delegate({
+    issuer: account,
+    audience: alice,
+    with: account.did(),
+  })
+  const session = await Attest.delegate({
+    issuer: w3,
+    audience: alice,
+    with: w3.did(),
+    nb: { proof: delegation.cid },
+  })
+
+  const [unattested] = await check(delegation, options)
+  assert.equal(unattested.result.error?.name, 'Unauthorized')
+
+  const [attested] = await check(delegation, {
+    ...options,
+    proofs: [session],
+  })
+  assert.equal(attested.result.error, undefined)
+  assert.deepEqual(
+    attested.result.ok?.sessions.map(session => session.delegation.cid),
+    [session.cid]
+  )
+})
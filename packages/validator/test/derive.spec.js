@@ -0,0 +1,281 @@
+import { test, assert } from './test.js'
+import { access, capability, Schema, Derive } from '../src/lib.js'
+import { parseLink } from '@ucanto/core'
+import { Verifier } from '@ucanto/principal'
+import * as API from '@ucanto/interface'
+import { alice, bob, service as w3 } from './fixtures.js'
+
+/**
+ * @param {string} source
+ */
+const link = source => /** @type {API.Link} */ (parseLink(source))
+
+const car1 = link('bafybeiepa5hmd3vg2i2unyzrhnxnthwi2aksunykhmcaykbl2jx2u77cny')
+const car2 = link('bafkreiem4twkqzsq2aj4shbycd4yvoj2cx72vezicletlhi7dijjciqpui')
+
+test('equal compares values structurally', () => {
+  /** @type {[unknown, unknown][]} */
+  const equal = [
+    [1, 1],
+    ['hi', 'hi'],
+    [null, null],
+    [link(car1.toString()), car1],
+    [new Uint8Array([1, 2]), new Uint8Array([1, 2])],
+    [
+      [car1, { a: 1 }],
+      [link(car1.toString()), { a: 1 }],
+    ],
+    [
+      { a: [1], b: { c: 'd' } },
+      { b: { c: 'd' }, a: [1] },
+    ],
+  ]
+
+  for (const [claimed, delegated] of equal) {
+    assert.deepEqual(Derive.equal(claimed, delegated), { ok: {} })
+  }
+
+  /** @type {[unknown, unknown, string][]} */
+  const unequal = [
+    [1, 2, '1 violates 2'],
+    [1, '1', '1 violates 1'],
+    [null, {}, 'null violates {}'],
+    [car1, car2, `${car1} violates ${car2}`],
+    [car1, {}, `${car1} violates {}`],
+    [
+      new Uint8Array([1]),
+      new Uint8Array([1, 2]),
+      '{"/":{"bytes":"AQ"}} violates {"/":{"bytes":"AQI"}}',
+    ],
+    [new Uint8Array([1]), [1], '{"/":{"bytes":"AQ"}} violates [1]'],
+    [[car1], [car2], `[{"/":"${car1}"}] violates [{"/":"${car2}"}]`],
+    [[1], { 0: 1 }, '[1] violates {"0":1}'],
+    [[1], [1, 2], '[1] violates [1,2]'],
+    [{ a: 1 }, { b: 1 }, '{"a":1} violates {"b":1}'],
+    [{ a: 1 }, { a: 1, b: 1 }, '{"a":1} violates {"a":1,"b":1}'],
+  ]
+
+  for (const [claimed, delegated, message] of unequal) {
+    assert.equal(Derive.equal(claimed, delegated).error?.message, message)
+  }
+})
+
+test('subset requires every claimed member to be delegated', () => {
+  assert.deepEqual(Derive.subset([], [car1]), { ok: {} })
+  assert.deepEqual(Derive.subset([car2, car1], [car1, car2]), { ok: {} })
+  assert.equal(
+    Derive.subset([car1, car2], [car1]).error?.message,
+    `${car2} is not in [{"/":"${car1}"}]`
+  )
+})
+
+test('lte, gte and prefix compare with delegated bound', () => {
+  assert.deepEqual(Derive.lte(5, 5), { ok: {} })
+  assert.equal(Derive.lte(6, 5).error?.message, '6 exceeds maximum of 5')
+  assert.deepEqual(Derive.gte(5, 5), { ok: {} })
+  assert.equal(Derive.gte(4, 5).error?.message, '4 is below minimum of 5')
+  assert.deepEqual(Derive.prefix('photos/a.png', 'photos/'), { ok: {} })
+  assert.equal(
+    Derive.prefix('docs/a.md', 'photos/').error?.message,
+    '"docs/a.md" does not start with "photos/"'
+  )
+})
+
+test('fields derives caveats per field', () => {
+  const derives = Derive.fields({ size: Derive.lte, links: Derive.subset })
+  /** @type {API.ParsedCapability} */
+  const delegated = {
+    can: 'store/add',
+    with: alice.did(),
+    nb: { size: 10, links: [car1, car2], region: 'eu', tag: undefined },
+  }
+
+  /**
+   * @param {Record<string, unknown>} nb
+   */
+  const derive = nb =>
+    derives({ can: delegated.can, with: alice.did(), nb }, delegated)
+
+  assert.deepEqual(derive({ size: 3, links: [car1], region: 'eu', tag: 'x' }), {
+    ok: {},
+  })
+  assert.equal(
+    derive({ size: 11, links: [car1], region: 'eu' }).error?.message,
+    'size: 11 exceeds maximum of 10'
+  )
+  assert.equal(
+    derive({ size: 1, links: [car1], region: 'us' }).error?.message,
+    'region: us violates eu'
+  )
+  assert.equal(
+    derive({ links: [car1], region: 'eu' }).error?.message,
+    'size: undefined violates 10'
+  )
+  assert.equal(
+    derives(
+      { can: delegated.can, with: bob.did(), nb: delegated.nb },
+      delegated
+    ).error?.message,
+    `Resource ${bob.did()} is not contained by ${alice.did()}`
+  )
+
+  /** @type {API.ParsedCapability} */
+  const wildcard = { ...delegated, with: 'did:key:*' }
+  assert.deepEqual(derives({ ...wildcard, with: alice.did() }, wildcard), {
+    ok: {},
+  })
+  assert.equal(
+    derives({ ...wildcard, with: 'did:web:web3.storage' }, wildcard).error
+      ?.message,
+    'Resource did:web:web3.storage does not match delegated did:key:*'
+  )
+})
+
+test('fields accepts resource derivation', () => {
+  const derives = Derive.fields(
+    {},
+    { with: (claimed, delegated) => Derive.prefix(claimed, delegated) }
+  )
+
+  assert.deepEqual(
+    derives(
+      { can: 'file/read', with: 'file:///a/b', nb: {} },
+      { can: 'file/read', with: 'file:///a/', nb: {} }
+    ),
+    { ok: {} }
+  )
+  assert.equal(
+    derives(
+      { can: 'file/read', with: 'file:///b', nb: {} },
+      { can: 'file/read', with: 'file:///a/', nb: {} }
+    ).error?.message,
+    '"file:///b" does not start with "file:///a/"'
+  )
+})
+
+test('fields derivations are typed by the caveats', () => {
+  const Add = capability({
+    can: 'store/add',
+    with: Schema.did(),
+    nb: Schema.struct({
+      size: Schema.integer().optional(),
+    }),
+    derives: Derive.fields({
+      // @ts-expect-error - size is not a string
+      size: Derive.prefix,
+    }),
+  })
+
+  assert.equal(Add.can, 'store/add')
+})
+
+test('capabilities derive with field combinators', async () => {
+  const Add = capability({
+    can: 'store/add',
+    with: Schema.did(),
+    nb: Schema.struct({
+      size: Schema.integer().optional(),
+      links: Schema.link().array().optional(),
+    }),
+    derives: Derive.fields({ size: Derive.lte, links: Derive.subset }),
+  })
+
+  const proof = await Add.delegate({
+    issuer: alice,
+    audience: bob,
+    with: alice.did(),
+    nb: { size: 1024, links: [car1, car2] },
+  })
+
+  /**
+   * @param {{size?: number, links?: API.Link[]}} nb
+   */
+  const add = async nb =>
+    access(
+      await Add.invoke({
+        issuer: bob,
+        audience: w3,
+        with: alice.did(),
+        nb,
+        proofs: [proof],
+      }).delegate(),
+      {
+        authority: w3,
+        capability: Add,
+        principal: Verifier,
+        validateAuthorization: () => ({ ok: {} }),
+      }
+    )
+
+  const ok = await add({ size: 512, links: [car2] })
+  assert.equal(ok.error, undefined)
+
+  const size = await add({ size: 2048, links: [car2] })
+  assert.match(
+    String(size.error?.message),
+    /Constraint violation: size: 2048 exceeds maximum of 1024/
+  )
+
+  const links = await add({ size: 512, links: [link('bafkqaaa')] })
+  assert.match(
+    String(links.error?.message),
+    /Constraint violation: links: bafkqaaa is not in/
+  )
+})
+
+test('fields compares links and arrays by value by default', async () => {
+  const Publish = capability({
+    can: 'name/publish',
+    with: Schema.did(),
+    nb: Schema.struct({
+      value: Schema.link(),
+      tags: Schema.string().array().optional(),
+    }),
+    derives: Derive.fields(),
+  })
+
+  const proof = await Publish.delegate({
+    issuer: alice,
+    audience: bob,
+    with: alice.did(),
+    nb: { value: car1, tags: ['a', 'b'] },
+  })
+
+  /**
+   * @param {{value: API.Link, tags?: string[]}} nb
+   */
+  const publish = async nb =>
+    access(
+      await Publish.invoke({
+        issuer: bob,
+        audience: w3,
+        with: alice.did(),
+        nb,
+        proofs: [proof],
+      }).delegate(),
+      {
+        authority: w3,
+        capability: Publish,
+        principal: Verifier,
+        validateAuthorization: () => ({ ok: {} }),
+      }
+    )
+
+  const ok = await publish({
+    value: link(car1.toString()),
+    tags: ['a', 'b'],
+  })
+  assert.equal(ok.error, undefined)
+
+  const tags = await publish({ value: car1, tags: ['a'] })
+  assert.match(
+    String(tags.error?.message),
+    /Constraint violation: tags: \["a"\] violates \["a","b"\]/
+  )
+
+  const value = await publish({ value: car2, tags: ['a', 'b'] })
+  assert.match(
+    String(value.error?.message),
+    new RegExp(`Constraint violation: value: ${car2} violates ${car1}`)
+  )
+})
@@ -0,0 +1,375 @@
+import { test, assert } from './test.js'
+import { access, claim, capability, Schema, Failure } from '../src/lib.js'
+import { Verifier, Absentee } from '@ucanto/principal'
+import { Delegation, UCAN } from '@ucanto/core'
+import { alice, bob, mallory, service as w3 } from './fixtures.js'
+
+const Echo = capability({
+  can: 'debug/echo',
+  with: Schema.did(),
+  nb: Schema.struct({
+    message: Schema.string().optional(),
+  }),
+})
+
+const Ping = capability({
+  can: 'debug/ping',
+  with: Schema.did(),
+})
+
+test('explains every explored path', async () => {
+  const constrained = await Echo.delegate({
+    issuer: alice,
+    audience: bob,
+    with: alice.did(),
+    nb: { message: 'hi' },
+  })
+  const malformed = await Delegation.delegate({
+    issuer: alice,
+    audience: bob,
+    capabilities: [{ can: 'debug/echo', with: 'https://alice.com' }],
+  })
+  const unknown = await Ping.delegate({
+    issuer: alice,
+    audience: bob,
+    with: alice.did(),
+  })
+  const expired = await Echo.delegate({
+    issuer: alice,
+    audience: bob,
+    with: alice.did(),
+    expiration: UCAN.now() - 10,
+  })
+  const misaligned = await Echo.delegate({
+    issuer: alice,
+    audience: mallory,
+    with: alice.did(),
+  })
+  const missing = await Echo.delegate({
+    issuer: alice,
+    audience: bob,
+    with: alice.did(),
+    nonce: 'missing',
+  })
+
+  const invocation = await Echo.invoke({
+    issuer: bob,
+    audience: w3,
+    with: alice.did(),
+    nb: { message: 'hello' },
+    proofs: [constrained, malformed, unknown, expired, misaligned, missing.cid],
+  }).delegate()
+
+  const result = await access(invocation, {
+    authority: w3,
+    capability: Echo,
+    principal: Verifier,
+    validateAuthorization: () => ({ ok: {} }),
+  })
+
+  assert.deepEqual(result.error?.explain(), {
+    reason: 'unauthorized',
+    message: `Claim ${Echo} is not authorized`,
+    paths: [
+      {
+        reason: 'unauthorized',
+        message: `Capability {"can":"debug/echo","with":"${alice.did()}","nb":{"message":"hello"}} can not be (self) issued by '${bob.did()}'`,
+        proof: invocation.cid.toString(),
+        issuer: bob.did(),
+        audience: w3.did(),
+        capability: {
+          can: 'debug/echo',
+          with: alice.did(),
+          nb: { message: 'hello' },
+        },
+        paths: [
+          {
+            reason: 'escalation',
+            message: 'Constraint violation: message: hello violates hi',
+            proof: constrained.cid.toString(),
+            issuer: alice.did(),
+            audience: bob.did(),
+            capability: {
+              can: 'debug/echo',
+              with: alice.did(),
+              nb: { message: 'hi' },
+            },
+            paths: [],
+          },
+          {
+            reason: 'malformed',
+            message: `Encountered malformed 'debug/echo' capability: {"can":"debug/echo","with":"https://alice.com"}\n  - Expected a did: but got "https://alice.com" instead`,
+            capability: { can: 'debug/echo', with: 'https://alice.com' },
+            paths: [],
+          },
+          {
+            reason: 'unavailable',
+            message: `Linked proof '${missing.cid}' is not included and could not be resolved`,
+            proof: missing.cid.toString(),
+            paths: [],
+          },
+          {
+            reason: 'alignment',
+            message: `Delegation audience is '${mallory.did()}' instead of '${bob.did()}'`,
+            proof: misaligned.cid.toString(),
+            issuer: alice.did(),
+            audience: mallory.did(),
+            paths: [],
+          },
+          {
+            reason: 'expired',
+            message: `Proof ${expired.cid} has expired on ${new Date(
+              expired.expiration * 1000
+            )}`,
+            proof: expired.cid.toString(),
+            issuer: alice.did(),
+            audience: bob.did(),
+            paths: [],
+          },
+          {
+            reason: 'unknown',
+            message: 'Encountered unknown capability',
+            capability: { can: 'debug/ping', with: alice.did() },
+            paths: [],
+          },
+        ],
+      },
+    ],
+  })
+})
+
+test('explains invalid invocations', async () => {
+  const account = Absentee.from({ id: 'did:mailto:web.mail:alice' })
+  const unresolved = await Echo.invoke({
+    issuer: account,
+    audience: w3,
+    with: alice.did(),
+    nb: {},
+  }).delegate()
+
+  const forged = await Echo.invoke({
+    issuer: alice.withDID('did:web:web3.storage'),
+    audience: w3,
+    with: alice.did(),
+    nb: {},
+  }).delegate()
+
+  const result = await claim(Echo, [unresolved, forged], {
+    authority: w3.withDID('did:web:web3.storage'),
+    principal: Verifier,
+    validateAuthorization: () => ({ ok: {} }),
+  })
+
+  assert.deepEqual(result.error?.explain().paths, [
+    {
+      reason: 'did-resolution',
+      message: `Unable to resolve '${account.did()}' key`,
+      issuer: account.did(),
+      paths: [],
+    },
+    {
+      reason: 'signature',
+      message: [
+        `Proof ${
+          forged.cid
+        } issued by did:web:web3.storage does not has a valid signature from ${w3.did()}`,
+        `  ℹ️ Probably issuer signed with a different key, which got rotated, invalidating delegations that were issued with prior keys`,
+      ].join('\n'),
+      proof: forged.cid.toString(),
+      issuer: 'did:web:web3.storage',
+      audience: w3.did(),
+      paths: [],
+    },
+  ])
+})
+
+test('explains unresolved proof issuers', async () => {
+  const account = Absentee.from({ id: 'did:mailto:web.mail:alice' })
+  const proof = await Echo.delegate({
+    issuer: account,
+    audience: alice,
+    with: account.did(),
+  })
+
+  const invocation = await Echo.invoke({
+    issuer: alice,
+    audience: w3,
+    with: account.did(),
+    nb: {},
+    proofs: [proof],
+  }).delegate()
+
+  const result = await access(invocation, {
+    authority: w3,
+    capability: Echo,
+    principal: Verifier,
+    validateAuthorization: () => ({ ok: {} }),
+  })
+
+  const [claim] = result.error?.explain().paths || []
+  assert.deepEqual(claim.paths, [
+    {
+      reason: 'did-resolution',
+      message: `Unable to resolve '${account.did()}' key`,
+      proof: proof.cid.toString(),
+      issuer: account.did(),
+      paths: [],
+    },
+  ])
+})
+
+test('explains invalid sessions', async () => {
+  const service = w3.withDID('did:web:web3.storage')
+  const account = Absentee.from({ id: 'did:mailto:web.mail:alice' })
+  const proof = await Echo.delegate({
+    issuer: account,
+    audience: alice,
+    with: account.did(),
+  })
+  const session = await Delegation.delegate({
+    issuer: mallory,
+    audience: alice,
+    capabilities: [
+      { with: service.did(), can: 'ucan/attest', nb: { proof: proof.cid } },
+    ],
+  })
+
+  const invocation = await Echo.invoke({
+    issuer: alice,
+    audience: service,
+    with: account.did(),
+    nb: {},
+    proofs: [proof, session],
+  }).delegate()
+
+  const result = await access(invocation, {
+    authority: service,
+    capability: Echo,
+    principal: Verifier,
+    validateAuthorization: () => ({ ok: {} }),
+  })
+
+  const [claim] = result.error?.explain().paths || []
+  assert.deepEqual(claim.paths[0], {
+    reason: 'session',
+    message: `Delegation ${
+      proof.cid
+    } issued by ${account.did()} has an invalid session`,
+    proof: proof.cid.toString(),
+    issuer: account.did(),
+    audience: alice.did(),
+    paths: [
+      {
+        reason: 'unauthorized',
+        message: `Capability {"can":"ucan/attest","with":"${service.did()}","nb":{"proof":{"/":"${
+          proof.cid
+        }"}}} can not be (self) issued by '${mallory.did()}'`,
+        proof: session.cid.toString(),
+        issuer: mallory.did(),
+        audience: alice.did(),
+        capability: {
+          can: 'ucan/attest',
+          with: service.did(),
+          nb: { proof: proof.cid },
+        },
+        paths: [],
+      },
+    ],
+  })
+})
+
+test('explains rejected authorizations', async () => {
+  class Blocked extends Failure {
+    get name() {
+      return 'Blocked'
+    }
+    describe() {
+      return 'Principal is blocked'
+    }
+  }
+
+  const invocation = await Echo.invoke({
+    issuer: alice,
+    audience: w3,
+    with: alice.did(),
+    nb: {},
+  }).delegate()
+
+  const result = await access(invocation, {
+    authority: w3,
+    capability: Echo,
+    principal: Verifier,
+    validateAuthorization: () => ({
+      error: /** @type {any} */ (new Blocked()),
+    }),
+  })
+
+  assert.deepEqual(result.error?.explain().paths, [
+    { reason: 'invalid', message: 'Principal is blocked', paths: [] },
+  ])
+})
+
+test('explains capability groups', async () => {
+  const proof = await Echo.delegate({
+    issuer: alice,
+    audience: bob,
+    with: alice.did(),
+    nb: { message: 'hi' },
+  })
+  const delegation = await Delegation.delegate({
+    issuer: bob,
+    audience: w3,
+    capabilities: [
+      { can: 'debug/echo', with: alice.did(), nb: { message: 'hello' } },
+      { can: 'debug/ping', with: alice.did() },
+    ],
+    proofs: [proof],
+  })
+
+  const group = /** @type {any} */ (Echo.and(Ping))
+  const result = await claim(group, [delegation], {
+    authority: w3,
+    principal: Verifier,
+    validateAuthorization: () => ({ ok: {} }),
+  })
+
+  const [explanation] = result.error?.explain().paths || []
+  assert.equal(explanation.reason, 'unauthorized')
+  assert.equal(explanation.proof, delegation.cid.toString())
+  assert.equal(explanation.capability, undefined)
+  // Validator explores the proof for each of the group members separately.
+  assert.deepEqual(
+    explanation.paths.map(path => [path.reason, path.proof]),
+    [
+      ['escalation', proof.cid.toString()],
+      ['escalation', proof.cid.toString()],
+    ]
+  )
+})
+
+test('serializes explanation when enabled', async () => {
+  const invocation = await Echo.invoke({
+    issuer: bob,
+    audience: w3,
+    with: alice.did(),
+    nb: {},
+  }).delegate()
+
+  for (const explain of [false, true]) {
+    const result = await access(invocation, {
+      authority: w3,
+      capability: Echo,
+      principal: Verifier,
+      validateAuthorization: () => ({ ok: {} }),
+      explain,
+    })
+
+    const error = result.error
+    assert.deepEqual(JSON.parse(JSON.stringify(error)), {
+      name: 'Unauthorized',
+      message: error?.message,
+      ...(explain && { explanation: error?.explain() }),
+      stack: error?.stack,
+    })
+  }
+})
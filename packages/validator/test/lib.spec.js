@@ -8,6 +8,8 @@ import {
   Link,
   ok,
   fail,
+  ProofLimitExceeded,
+  LifetimeExceeded,
 } from '../src/lib.js'
 import { Verifier } from '@ucanto/principal'
 import * as Client from '@ucanto/client'
@@ -964,3 +966,319 @@ test('mismatched signature', async () => {
     },
   })
 })
+
+test('invalid claim / proof depth limit', async () => {
+  const aliceToBob = await storeAdd.delegate({
+    issuer: alice,
+    audience: bob,
+    with: alice.did(),
+  })
+
+  const bobToMallory = await storeAdd.delegate({
+    issuer: bob,
+    audience: mallory,
+    with: alice.did(),
+    proofs: [aliceToBob],
+  })
+
+  const nb = { link: Link.parse('bafkqaaa') }
+  const invocation = await storeAdd
+    .invoke({
+      issuer: mallory,
+      audience: w3,
+      with: alice.did(),
+      nb,
+      proofs: [bobToMallory],
+    })
+    .delegate()
+
+  const options = {
+    authority: w3,
+    capability: storeAdd,
+    principal: Verifier,
+    validateAuthorization: () => ({ ok: {} }),
+  }
+
+  const result = await access(invocation, {
+    ...options,
+    limits: { maxProofDepth: 1 },
+  })
+
+  assert.containSubset(result, {
+    error: {
+      name: 'Unauthorized',
+      message: `Claim ${storeAdd} is not authorized
+  - Capability {"can":"store/add","with":"${alice.did()}","nb":${JSON.stringify(
+        nb
+      )}} is not authorized because:
+    - Capability can not be (self) issued by '${mallory.did()}'
+    - Capability {"can":"store/add","with":"${alice.did()}","nb":${JSON.stringify(
+        nb
+      )}} is not authorized because:
+      - Capability can not be (self) issued by '${bob.did()}'
+      - Capability can not be derived from prf:${bobToMallory.cid} because:
+        - Proof ${
+          bobToMallory.cid
+        } exceeds maxProofDepth limit of 1, got 2 instead`,
+    },
+  })
+
+  assert.equal(
+    (await access(invocation, { ...options, limits: { maxProofDepth: 2 } }))
+      .error,
+    undefined
+  )
+})
+
+test('invalid claim / proofs limit', async () => {
+  const proofs = [
+    await storeAdd.delegate({
+      issuer: alice,
+      audience: bob,
+      with: alice.did(),
+    }),
+    await storeAdd.delegate({
+      issuer: alice,
+      audience: bob,
+      with: alice.did(),
+      nb: { link: Link.parse('bafkqaaa') },
+    }),
+  ]
+
+  const nb = { link: Link.parse('bafkqaaa') }
+  const invocation = await storeAdd
+    .invoke({
+      issuer: bob,
+      audience: w3,
+      with: alice.did(),
+      nb,
+      proofs,
+    })
+    .delegate()
+
+  const result = await access(invocation, {
+    authority: w3,
+    capability: storeAdd,
+    principal: Verifier,
+    validateAuthorization: () => ({ ok: {} }),
+    limits: { maxProofs: 1 },
+  })
+
+  assert.containSubset(result, {
+    error: {
+      name: 'Unauthorized',
+      message: `Claim ${storeAdd} is not authorized
+  - Capability {"can":"store/add","with":"${alice.did()}","nb":${JSON.stringify(
+        nb
+      )}} is not authorized because:
+    - Capability can not be (self) issued by '${bob.did()}'
+    - Capability can not be derived from prf:${invocation.cid} because:
+      - Proof ${invocation.cid} exceeds maxProofs limit of 1, got 2 instead`,
+    },
+  })
+})
+
+test('ProofLimitExceeded', async () => {
+  const delegation = await storeAdd.delegate({
+    issuer: alice,
+    audience: bob,
+    with: alice.did(),
+  })
+  const error = new ProofLimitExceeded({
+    delegation,
+    limit: 'maxProofs',
+    value: 3,
+    max: 2,
+  })
+
+  assert.deepEqual(JSON.parse(JSON.stringify(error)), {
+    name: 'ProofLimitExceeded',
+    message: `Proof ${delegation.cid} exceeds maxProofs limit of 2, got 3 instead`,
+    limit: 'maxProofs',
+    value: 3,
+    stack: error.stack,
+  })
+})
+
+test('time bounds are checked against configured clock', async () => {
+  const now = UCAN.now()
+  const invocation = await storeAdd
+    .invoke({
+      issuer: alice,
+      audience: w3,
+      with: alice.did(),
+      nb: { link: Link.parse('bafkqaaa') },
+      notBefore: now - 10,
+      expiration: now + 10,
+    })
+    .delegate()
+
+  const options = {
+    authority: w3,
+    capability: storeAdd,
+    principal: Verifier,
+    validateAuthorization: () => ({ ok: {} }),
+  }
+
+  const expired = await access(invocation, {
+    ...options,
+    clock: () => now + 20,
+  })
+  assert.containSubset(expired, {
+    error: {
+      name: 'Unauthorized',
+      message: `Claim ${storeAdd} is not authorized
+  - Proof ${invocation.cid} has expired on ${new Date((now + 10) * 1000)}`,
+    },
+  })
+
+  const early = await access(invocation, {
+    ...options,
+    clock: () => now - 20,
+  })
+  assert.containSubset(early, {
+    error: {
+      name: 'Unauthorized',
+      message: `Claim ${storeAdd} is not authorized
+  - Proof ${invocation.cid} is not valid before ${new Date((now - 10) * 1000)}`,
+    },
+  })
+
+  for (const clock of [() => now + 20, () => now - 20]) {
+    const result = await access(invocation, {
+      ...options,
+      clock,
+      clockSkew: 15,
+    })
+    assert.equal(result.error, undefined, 'accepted within clock skew')
+  }
+})
+
+test('invocation lifetime policy', async () => {
+  const now = UCAN.now()
+  const link = Link.parse('bafkqaaa')
+  const forever = await storeAdd
+    .invoke({
+      issuer: alice,
+      audience: w3,
+      with: alice.did(),
+      nb: { link },
+      expiration: Infinity,
+    })
+    .delegate()
+
+  const minute = await storeAdd
+    .invoke({
+      issuer: alice,
+      audience: w3,
+      with: alice.did(),
+      nb: { link },
+      expiration: now + 60,
+    })
+    .delegate()
+
+  const options = {
+    authority: w3,
+    capability: storeAdd,
+    principal: Verifier,
+    validateAuthorization: () => ({ ok: {} }),
+    clock: () => now,
+  }
+
+  const result = await access(forever, {
+    ...options,
+    maxLifetime: { invocation: { '*': 3600 } },
+  })
+  assert.containSubset(result, {
+    error: {
+      name: 'Unauthorized',
+      message: `Claim ${storeAdd} is not authorized
+  - Proof ${forever.cid} never expires, exceeding maximum lifetime of 3600 seconds`,
+    },
+  })
+
+  const allowed = await access(minute, {
+    ...options,
+    maxLifetime: { invocation: { '*': 3600 } },
+  })
+  assert.equal(allowed.error, undefined)
+
+  const restricted = await access(minute, {
+    ...options,
+    maxLifetime: { invocation: { 'store/add': 30, '*': 3600 } },
+  })
+  assert.containSubset(restricted, {
+    error: {
+      name: 'Unauthorized',
+      message: `Claim ${storeAdd} is not authorized
+  - Proof ${minute.cid} remains valid for 60 seconds, exceeding maximum lifetime of 30 seconds`,
+    },
+  })
+})
+
+test('delegation lifetime policy', async () => {
+  const now = UCAN.now()
+  const proof = await storeAdd.delegate({
+    issuer: alice,
+    audience: bob,
+    with: alice.did(),
+    expiration: Infinity,
+  })
+
+  const nb = { link: Link.parse('bafkqaaa') }
+  const invocation = await storeAdd
+    .invoke({
+      issuer: bob,
+      audience: w3,
+      with: alice.did(),
+      nb,
+      expiration: Infinity,
+      proofs: [proof],
+    })
+    .delegate()
+
+  const result = await access(invocation, {
+    authority: w3,
+    capability: storeAdd,
+    principal: Verifier,
+    validateAuthorization: () => ({ ok: {} }),
+    clock: () => now,
+    maxLifetime: { delegation: { 'store/add': 100 } },
+  })
+
+  assert.containSubset(result, {
+    error: {
+      name: 'Unauthorized',
+      message: `Claim ${storeAdd} is not authorized
+  - Capability {"can":"store/add","with":"${alice.did()}","nb":${JSON.stringify(
+        nb
+      )}} is not authorized because:
+    - Capability can not be (self) issued by '${bob.did()}'
+    - Capability can not be derived from prf:${proof.cid} because:
+      - Proof ${
+        proof.cid
+      } never expires, exceeding maximum lifetime of 100 seconds`,
+    },
+  })
+})
+
+test('LifetimeExceeded', async () => {
+  const delegation = await storeAdd.delegate({
+    issuer: alice,
+    audience: bob,
+    with: alice.did(),
+  })
+  const error = new LifetimeExceeded({
+    delegation,
+    lifetime: 120,
+    maxLifetime: 60,
+  })
+
+  assert.deepEqual(JSON.parse(JSON.stringify(error)), {
+    name: 'LifetimeExceeded',
+    message: `Proof ${delegation.cid} remains valid for 120 seconds, exceeding maximum lifetime of 60 seconds`,
+    lifetime: 120,
+    maxLifetime: 60,
+    stack: error.stack,
+  })
+})
@@ -0,0 +1,317 @@
+import { test, assert } from './test.js'
+import {
+  plan,
+  capability,
+  Schema,
+  Derive,
+  DID,
+  Revoked,
+  UnavailableProof,
+} from '../src/lib.js'
+import { UCAN } from '@ucanto/core'
+import { Verifier, Absentee } from '@ucanto/principal'
+import * as API from '@ucanto/interface'
+import { alice, bob, mallory, service as w3 } from './fixtures.js'
+
+const Add = capability({
+  can: 'store/add',
+  with: Schema.did(),
+  nb: Schema.struct({
+    size: Schema.integer().optional(),
+  }),
+  derives: Derive.fields({ size: Derive.lte }),
+})
+
+const List = capability({
+  can: 'store/list',
+  with: Schema.did(),
+})
+
+const Attest = capability({
+  can: 'ucan/attest',
+  with: DID,
+  nb: Schema.struct({
+    proof: Schema.link(),
+  }),
+})
+
+const options = {
+  parsers: [Add, List],
+  authority: w3,
+  principal: Verifier,
+}
+
+/**
+ * @param {API.Delegation[]} delegations
+ */
+const cids = delegations => delegations.map(delegation => `${delegation.cid}`)
+
+test('plans the smallest set of proofs', async () => {
+  const root = await Add.delegate({
+    issuer: alice,
+    audience: mallory,
+    with: alice.did(),
+  })
+  const chain = await Add.delegate({
+    issuer: mallory,
+    audience: bob,
+    with: alice.did(),
+    proofs: [root.cid],
+  })
+  const direct = await Add.delegate({
+    issuer: alice,
+    audience: bob,
+    with: alice.did(),
+    nb: { size: 1024 },
+  })
+  const list = await List.delegate({
+    issuer: alice,
+    audience: bob,
+    with: alice.did(),
+  })
+
+  const proofs = [list, chain, root, direct]
+  const capability = /** @type {const} */ ({
+    can: 'store/add',
+    with: alice.did(),
+    nb: { size: 512 },
+  })
+
+  const result = await plan({ ...options, capability, audience: bob, proofs })
+  assert.deepEqual(cids(result.ok || []), cids([direct]))
+
+  // larger size is only authorized by the longer chain, which links the root
+  // proof instead of including it.
+  const large = await plan({
+    ...options,
+    capability: { ...capability, nb: { size: 2048 } },
+    audience: bob,
+    proofs,
+  })
+  assert.deepEqual(cids(large.ok || []), cids([chain, root]))
+})
+
+test('omits proofs included in planned delegations', async () => {
+  const root = await Add.delegate({
+    issuer: alice,
+    audience: mallory,
+    with: alice.did(),
+  })
+  const chain = await Add.delegate({
+    issuer: mallory,
+    audience: bob,
+    with: alice.did(),
+    proofs: [root],
+  })
+
+  const result = await plan({
+    ...options,
+    capability: { can: 'store/add', with: alice.did() },
+    audience: bob,
+    proofs: [chain],
+  })
+  assert.deepEqual(cids(result.ok || []), cids([chain]))
+})
+
+test('resolves linked proofs missing from the set', async () => {
+  const root = await List.delegate({
+    issuer: alice,
+    audience: mallory,
+    with: alice.did(),
+  })
+  const chain = await List.delegate({
+    issuer: mallory,
+    audience: bob,
+    with: alice.did(),
+    proofs: [root.cid],
+  })
+
+  const result = await plan({
+    ...options,
+    capability: { can: 'store/list', with: alice.did() },
+    audience: bob,
+    proofs: [chain],
+    resolve: link =>
+      link.equals(root.cid)
+        ? { ok: root }
+        : /* c8 ignore next */ { error: new UnavailableProof(link) },
+  })
+  assert.deepEqual(cids(result.ok || []), cids([chain, root]))
+})
+
+test('looks up linked proofs in the set before resolving many', async () => {
+  const root = await List.delegate({
+    issuer: alice,
+    audience: mallory,
+    with: alice.did(),
+  })
+  const missing = await List.delegate({
+    issuer: alice,
+    audience: mallory,
+    with: alice.did(),
+    nonce: 'missing',
+  })
+  const chain = await List.delegate({
+    issuer: mallory,
+    audience: bob,
+    with: alice.did(),
+    proofs: [root.cid, missing.cid],
+  })
+
+  /** @type {string[][]} */
+  const requests = []
+  const result = await plan({
+    ...options,
+    capability: { can: 'store/list', with: alice.did() },
+    audience: bob,
+    proofs: [chain, root],
+    resolveMany: links => {
+      requests.push(links.map(String))
+      return []
+    },
+  })
+  assert.deepEqual(cids(result.ok || []), cids([chain, root]))
+  assert.deepEqual(requests, [[missing.cid.toString()]])
+
+  const complete = await plan({
+    ...options,
+    capability: { can: 'store/list', with: alice.did() },
+    audience: bob,
+    proofs: [chain, root, missing],
+    resolveMany: links => {
+      requests.push(links.map(String))
+      return []
+    },
+  })
+  assert.deepEqual(cids(complete.ok || []), cids([chain, root]))
+  assert.deepEqual(requests, [[missing.cid.toString()]])
+})
+
+test('plans no proofs for self-issued capabilities', async () => {
+  const result = await plan({
+    ...options,
+    capability: { can: 'store/list', with: bob.did() },
+    audience: bob,
+    proofs: [],
+  })
+  assert.deepEqual(result, { ok: [] })
+})
+
+test('plans sessions used in the chain', async () => {
+  const account = Absentee.from({ id: 'did:mailto:web.mail:alice' })
+  const proof = await List.delegate({
+    issuer: account,
+    audience: bob,
+    with: account.did(),
+    expiration: Infinity,
+  })
+  const session = await Attest.delegate({
+    issuer: w3,
+    audience: bob,
+    with: w3.did(),
+    nb: { proof: proof.cid },
+    expiration: Infinity,
+  })
+
+  const result = await plan({
+    ...options,
+    capability: { can: 'store/list', with: account.did() },
+    audience: bob,
+    proofs: [session, proof],
+  })
+  assert.deepEqual(cids(result.ok || []), cids([proof, session]))
+})
+
+test('explains what is missing when there is no chain', async () => {
+  const escalated = await Add.delegate({
+    issuer: alice,
+    audience: bob,
+    with: alice.did(),
+    nb: { size: 1024 },
+  })
+  const expired = await Add.delegate({
+    issuer: alice,
+    audience: bob,
+    with: alice.did(),
+    nb: { size: 4096 },
+    expiration: UCAN.now() - 1,
+  })
+  const unbacked = await Add.delegate({
+    issuer: mallory,
+    audience: bob,
+    with: alice.did(),
+  })
+
+  const result = await plan({
+    ...options,
+    capability: { can: 'store/add', with: alice.did(), nb: { size: 2048 } },
+    audience: bob,
+    proofs: [escalated, expired, unbacked],
+    explain: true,
+  })
+
+  assert.equal(result.error?.name, 'Unauthorized')
+  const message = String(result.error?.message)
+  assert.match(message, /size: 2048 exceeds maximum of 1024/)
+  assert.match(message, /has expired/)
+  assert.match(message, /can not be \(self\) issued by '.*'/)
+
+  const explanation = /** @type {API.Unauthorized} */ (result.error).explain()
+  assert.deepEqual(
+    explanation.paths.map(path => path.reason),
+    ['unauthorized', 'escalation', 'expired']
+  )
+})
+
+test('reports capabilities it can not plan for', async () => {
+  const unknown = await plan({
+    ...options,
+    capability: { can: 'debug/echo', with: alice.did() },
+    audience: bob,
+    proofs: [],
+  })
+  assert.equal(unknown.error?.name, 'UnknownCapability')
+
+  const malformed = await plan({
+    ...options,
+    capability: { can: 'store/add', with: alice.did(), nb: { size: 'a' } },
+    audience: bob,
+    proofs: [],
+  })
+  assert.match(
+    String(malformed.error?.message),
+    /Encountered malformed 'store\/add' capability/
+  )
+
+  // reports first parser that failed
+  const missing = await plan({
+    ...options,
+    parsers: [List, List.or(Add)],
+    capability: { can: 'store/list', with: alice.did() },
+    audience: bob,
+    proofs: [],
+  })
+  assert.match(
+    String(missing.error?.message),
+    /Claim {"can":"store\/list"} is not authorized/
+  )
+})
+
+test('validates planned authorizations', async () => {
+  const proof = await List.delegate({
+    issuer: alice,
+    audience: bob,
+    with: alice.did(),
+  })
+
+  const result = await plan({
+    ...options,
+    capability: { can: 'store/list', with: alice.did() },
+    audience: bob,
+    proofs: [proof],
+    validateAuthorization: () => ({
+      error: new Revoked(proof),
+    }),
+  })
+  assert.match(String(result.error?.message), /has been revoked/)
+})
@@ -0,0 +1,201 @@
+import { test, assert } from './test.js'
+import { access, capability, Schema, ProofCache } from '../src/lib.js'
+import { Verifier } from '@ucanto/principal'
+import { UCAN } from '@ucanto/core'
+import * as API from '@ucanto/interface'
+import { alice, bob, mallory, service as w3 } from './fixtures.js'
+
+const List = capability({
+  can: 'store/list',
+  with: Schema.did(),
+})
+
+/**
+ * Batch resolver that serves given proofs and records requested links.
+ *
+ * @param {API.Delegation[]} proofs
+ */
+const store = proofs => {
+  /** @type {string[][]} */
+  const requests = []
+  /**
+   * @param {API.UCANLink[]} links
+   */
+  const resolveMany = async links => {
+    requests.push(links.map(String))
+    return links.map(link => {
+      const proof = proofs.find(proof => proof.cid.equals(link))
+      return proof ? { ok: proof } : { error: new Error('not found') }
+    })
+  }
+  return {
+    resolveMany: /** @type {API.ProofResolver['resolveMany']} */ (resolveMany),
+    requests,
+  }
+}
+
+/**
+ * Creates chain of proofs where alice delegates to bob, bob delegates to
+ * mallory through each of the `bob` delegations and mallory invokes.
+ *
+ * @param {object} [options]
+ * @param {number} [options.expiration] - Expiration of alice's delegations.
+ * @param {boolean} [options.shared] - Whether bob's delegations link the same
+ * proof from alice.
+ */
+const setup = async ({ expiration, shared = false } = {}) => {
+  const root = [
+    await List.delegate({
+      issuer: alice,
+      audience: bob,
+      with: alice.did(),
+      expiration,
+    }),
+    await List.delegate({
+      issuer: alice,
+      audience: bob,
+      with: alice.did(),
+      nonce: 'second',
+      expiration,
+    }),
+  ]
+
+  const delegations = [
+    await List.delegate({
+      issuer: bob,
+      audience: mallory,
+      with: alice.did(),
+      proofs: [root[0].cid],
+    }),
+    await List.delegate({
+      issuer: bob,
+      audience: mallory,
+      with: alice.did(),
+      nonce: 'second',
+      proofs: [root[shared ? 0 : 1].cid],
+    }),
+  ]
+
+  const invocation = await List.invoke({
+    issuer: mallory,
+    audience: w3,
+    with: alice.did(),
+    proofs: delegations.map(delegation => delegation.cid),
+  }).delegate()
+
+  return { root, delegations, invocation }
+}
+
+/**
+ * @param {API.Invocation<API.InferInvokedCapability<typeof List>>} invocation
+ * @param {Partial<API.ClaimOptions>} [options]
+ */
+const validate = (invocation, options) =>
+  access(invocation, {
+    authority: w3,
+    capability: List,
+    principal: Verifier,
+    validateAuthorization: () => ({ ok: {} }),
+    ...options,
+  })
+
+test('resolves proofs of each level in a single batch', async () => {
+  const { root, delegations, invocation } = await setup()
+  const { resolveMany, requests } = store([...root, ...delegations])
+
+  const result = await validate(invocation, { resolveMany })
+  assert.equal(result.error, undefined)
+  assert.deepEqual(requests, [
+    delegations.map(delegation => String(delegation.cid)),
+    root.map(proof => String(proof.cid)),
+  ])
+})
+
+test('resolves each proof once within a claim', async () => {
+  const { root, delegations, invocation } = await setup({
+    shared: true,
+    expiration: UCAN.now() - 1,
+  })
+
+  /** @type {string[]} */
+  const requests = []
+  const result = await validate(invocation, {
+    resolve: async link => {
+      requests.push(String(link))
+      const proof = [...root, ...delegations].find(proof =>
+        proof.cid.equals(link)
+      )
+      return { ok: /** @type {API.Delegation} */ (proof) }
+    },
+  })
+
+  assert.match(String(result.error?.message), /has expired/)
+  assert.deepEqual(requests, [
+    ...delegations.map(delegation => String(delegation.cid)),
+    String(root[0].cid),
+  ])
+})
+
+test('shares resolved proofs across claims through the cache', async () => {
+  const { root, delegations, invocation } = await setup()
+  const proofCache = ProofCache.memory()
+  const { resolveMany, requests } = store([...root, ...delegations])
+
+  const first = await validate(invocation, { resolveMany, proofCache })
+  assert.equal(first.error, undefined)
+  assert.equal(requests.length, 2)
+
+  const second = await validate(invocation, { resolveMany, proofCache })
+  assert.equal(second.error, undefined)
+  assert.equal(requests.length, 2)
+
+  for (const proof of [...delegations, ...root]) {
+    assert.equal(await proofCache.get(proof.cid), proof)
+  }
+})
+
+test('reports proofs batch resolver failed to resolve', async () => {
+  const { invocation } = await setup()
+
+  const thrown = await validate(invocation, {
+    resolveMany: () => {
+      throw new Error('Database is down')
+    },
+  })
+  assert.match(
+    String(thrown.error?.message),
+    /is not included and could not be resolved\n.*Proof resolution failed with: Database is down/
+  )
+
+  const missing = await validate(invocation, { resolveMany: () => [] })
+  assert.match(
+    String(missing.error?.message),
+    /is not included and could not be resolved/
+  )
+
+  const failed = await validate(invocation, {
+    resolve: () => {
+      throw new Error('Network error')
+    },
+  })
+  assert.match(
+    String(failed.error?.message),
+    /Proof resolution failed with: Network error/
+  )
+})
+
+test('memory cache evicts least recently used proofs', async () => {
+  const { root, delegations } = await setup()
+  const [a, b] = root
+  const [c] = delegations
+  const cache = ProofCache.memory({ capacity: 2 })
+
+  cache.add(a)
+  cache.add(b)
+  assert.equal(cache.get(a.cid), a)
+
+  cache.add(c)
+  assert.equal(cache.get(a.cid), a)
+  assert.equal(cache.get(b.cid), undefined)
+  assert.equal(cache.get(c.cid), c)
+})
@@ -0,0 +1,326 @@
+import { test, assert } from './test.js'
+import { access, capability, Schema, Resolver } from '../src/lib.js'
+import { Verifier, P256, secp256k1 } from '@ucanto/principal'
+import { base58btc } from 'multiformats/bases/base58'
+import { base64url } from 'multiformats/bases/base64'
+import * as API from '@ucanto/interface'
+import { alice, bob, service as w3 } from './fixtures.js'
+
+const Echo = capability({
+  can: 'debug/echo',
+  with: Schema.did(),
+})
+
+/**
+ * Stand-in for `fetch` that serves given documents by URL.
+ *
+ * @param {Record<string, unknown>} documents
+ */
+const serve = documents => {
+  /** @type {string[]} */
+  const requests = []
+  /**
+   * @param {RequestInfo|URL} input
+   */
+  const fetch = async input => {
+    const url = String(input)
+    requests.push(url)
+    const document = documents[url]
+    if (document === undefined) {
+      return new Response('Not Found', { status: 404 })
+    } else if (document instanceof Error) {
+      throw document
+    } else {
+      return new Response(
+        typeof document === 'string' ? document : JSON.stringify(document)
+      )
+    }
+  }
+  return { fetch, requests }
+}
+
+/**
+ * Creates DID document with given verification methods, all of which are
+ * authorized for `assertionMethod`.
+ *
+ * @param {API.DID} id
+ * @param {object[]} verificationMethod
+ */
+const toDocument = (id, verificationMethod) => ({
+  '@context': ['https://www.w3.org/ns/did/v1'],
+  id,
+  verificationMethod: verificationMethod.map((method, n) => ({
+    id: `${id}#key-${n}`,
+    controller: id,
+    ...method,
+  })),
+  assertionMethod: verificationMethod.map((_, n) => `${id}#key-${n}`),
+})
+
+const publicKeyMultibase = alice.did().slice('did:key:'.length)
+const publicKey = base58btc.decode(publicKeyMultibase).subarray(2)
+
+test('resolves did:web key', async () => {
+  const { fetch, requests } = serve({
+    'https://alice.com/.well-known/did.json': toDocument('did:web:alice.com', [
+      { type: 'Ed25519VerificationKey2020', publicKeyMultibase },
+    ]),
+    'https://web.com:8080/user/alice/did.json': toDocument(
+      'did:web:web.com%3A8080:user:alice',
+      [{ type: 'Multikey', publicKeyMultibase }]
+    ),
+  })
+  const resolve = Resolver.web({ fetch })
+
+  assert.deepEqual(await resolve('did:web:alice.com'), { ok: alice.did() })
+  assert.deepEqual(await resolve('did:web:web.com%3A8080:user:alice'), {
+    ok: alice.did(),
+  })
+  assert.deepEqual(requests, [
+    'https://alice.com/.well-known/did.json',
+    'https://web.com:8080/user/alice/did.json',
+  ])
+})
+
+test('resolves supported verification methods', async () => {
+  const did = 'did:web:alice.com'
+  const methods = [
+    {
+      type: 'Ed25519VerificationKey2018',
+      publicKeyBase58: base58btc.baseEncode(publicKey),
+    },
+    {
+      type: 'JsonWebKey2020',
+      publicKeyJwk: {
+        kty: 'OKP',
+        crv: 'Ed25519',
+        x: base64url.baseEncode(publicKey),
+      },
+    },
+  ]
+
+  for (const method of methods) {
+    const { fetch } = serve({
+      'https://alice.com/.well-known/did.json': toDocument(did, [method]),
+    })
+    const resolve = Resolver.web({ fetch })
+    assert.deepEqual(await resolve(did), { ok: alice.did() }, method.type)
+  }
+})
+
+test('resolves P-256 and secp256k1 keys', async () => {
+  for (const signer of [await P256.generate(), await secp256k1.generate()]) {
+    const { fetch } = serve({
+      'https://alice.com/.well-known/did.json': toDocument(
+        'did:web:alice.com',
+        [{ type: 'Multikey', publicKeyMultibase: signer.did().slice(8) }]
+      ),
+    })
+    const resolve = Resolver.web({ fetch })
+    assert.deepEqual(await resolve('did:web:alice.com'), { ok: signer.did() })
+  }
+})
+
+test('resolves keys authorized to sign', async () => {
+  const did = 'did:web:alice.com'
+  const verificationMethod = [
+    {
+      id: `${did}#agreement`,
+      type: 'Multikey',
+      controller: did,
+      publicKeyMultibase: bob.did().slice(8),
+    },
+    {
+      id: '#signing',
+      type: 'Multikey',
+      controller: did,
+      publicKeyMultibase,
+    },
+  ]
+  const embedded = {
+    id: `${did}#embedded`,
+    type: 'Multikey',
+    controller: did,
+    publicKeyMultibase,
+  }
+
+  const { fetch } = serve({
+    'https://alice.com/.well-known/did.json': {
+      id: did,
+      verificationMethod,
+      keyAgreement: [`${did}#agreement`],
+      assertionMethod: [`${did}#signing`],
+    },
+    'https://bob.com/.well-known/did.json': {
+      id: 'did:web:bob.com',
+      verificationMethod,
+      authentication: [embedded],
+    },
+    'https://mallory.com/.well-known/did.json': {
+      id: 'did:web:mallory.com',
+      verificationMethod,
+      keyAgreement: ['#agreement'],
+      assertionMethod: '#signing',
+    },
+  })
+  const resolve = Resolver.web({ fetch })
+
+  assert.deepEqual(await resolve(did), { ok: alice.did() })
+  assert.deepEqual(await resolve('did:web:bob.com'), { ok: alice.did() })
+  assert.match(
+    String((await resolve('did:web:mallory.com')).error?.message),
+    /has no supported verification method/
+  )
+})
+
+test('skips unsupported verification methods', async () => {
+  const did = 'did:web:alice.com'
+  const x25519 = base58btc.encode(new Uint8Array([0xec, 0x01, ...publicKey]))
+  const unsupported = [
+    { type: 'EcdsaSecp256k1VerificationKey2019', publicKeyMultibase },
+    { type: 'Multikey', publicKeyMultibase: x25519 },
+    { type: 'Multikey', publicKeyMultibase: 'not-multibase' },
+    {
+      type: 'Ed25519VerificationKey2018',
+      publicKeyBase58: base58btc.baseEncode(publicKey.subarray(1)),
+    },
+    { type: 'JsonWebKey2020', publicKeyJwk: { kty: 'EC', crv: 'P-256' } },
+    { type: 'JsonWebKey2020' },
+  ]
+
+  const { fetch } = serve({
+    'https://alice.com/.well-known/did.json': toDocument(did, [
+      ...unsupported,
+      {
+        type: 'Ed25519VerificationKey2020',
+        publicKeyMultibase: bob.did().slice(8),
+      },
+    ]),
+    'https://bob.com/.well-known/did.json': toDocument(
+      'did:web:bob.com',
+      unsupported
+    ),
+    'https://mallory.com/.well-known/did.json': { id: 'did:web:mallory.com' },
+  })
+  const resolve = Resolver.web({ fetch })
+
+  assert.deepEqual(await resolve(did), { ok: bob.did() })
+
+  for (const did of /** @type {const} */ ([
+    'did:web:bob.com',
+    'did:web:mallory.com',
+  ])) {
+    const result = await resolve(did)
+    assert.equal(result.error?.name, 'DIDKeyResolutionError')
+    assert.equal(
+      result.error?.message,
+      `Unable to resolve '${did}' key\n  - Resolution failed with: DID document at ${did.replace(
+        'did:web:',
+        'https://'
+      )}/.well-known/did.json has no supported verification method`
+    )
+  }
+})
+
+test('fails to resolve invalid documents', async () => {
+  const { fetch } = serve({
+    'https://alice.com/.well-known/did.json': toDocument('did:web:bob.com', []),
+    'https://bob.com/.well-known/did.json': 'not json',
+    'https://mallory.com/.well-known/did.json': new Error('Network failure'),
+  })
+  const resolve = Resolver.web({ fetch })
+
+  const errors = {
+    'did:web:alice.com':
+      'DID document at https://alice.com/.well-known/did.json has id did:web:bob.com instead of did:web:alice.com',
+    'did:web:bob.com': 'Fetching https://bob.com/.well-known/did.json failed:',
+    'did:web:mallory.com':
+      'Fetching https://mallory.com/.well-known/did.json failed: Network failure',
+    'did:web:eve.com':
+      'Fetching https://eve.com/.well-known/did.json failed with 404 status',
+  }
+
+  for (const [did, message] of Object.entries(errors)) {
+    const result = await resolve(/** @type {API.DID} */ (did))
+    assert.equal(result.error?.did, did)
+    assert.include(result.error?.cause?.message, message)
+  }
+
+  const result = await resolve('did:mailto:web.mail:alice')
+  assert.equal(result.error?.name, 'DIDKeyResolutionError')
+  assert.equal(result.error?.cause, undefined)
+})
+
+test('caches resolved keys', async () => {
+  let now = 1000
+  const { fetch, requests } = serve({
+    'https://alice.com/.well-known/did.json': toDocument('did:web:alice.com', [
+      { type: 'Ed25519VerificationKey2020', publicKeyMultibase },
+    ]),
+  })
+  const resolve = Resolver.web({ fetch, ttl: 60, clock: () => now })
+
+  assert.deepEqual(await resolve('did:web:alice.com'), { ok: alice.did() })
+  now += 59
+  assert.deepEqual(await resolve('did:web:alice.com'), { ok: alice.did() })
+  assert.equal(requests.length, 1)
+
+  now += 1
+  assert.deepEqual(await resolve('did:web:alice.com'), { ok: alice.did() })
+  assert.equal(requests.length, 2)
+
+  // failures are not cached
+  await resolve('did:web:bob.com')
+  await resolve('did:web:bob.com')
+  assert.equal(requests.length, 4)
+})
+
+test('combines resolvers', async () => {
+  const { fetch } = serve({
+    'https://alice.com/.well-known/did.json': toDocument('did:web:alice.com', [
+      { type: 'Ed25519VerificationKey2020', publicKeyMultibase },
+    ]),
+  })
+  const resolve = Resolver.or(
+    Resolver.web({ fetch }),
+    Resolver.from({ 'did:mailto:web.mail:bob': bob.did() })
+  )
+
+  assert.deepEqual(await resolve('did:web:alice.com'), { ok: alice.did() })
+  assert.deepEqual(await resolve('did:mailto:web.mail:bob'), { ok: bob.did() })
+
+  const web = await resolve('did:web:bob.com')
+  assert.match(String(web.error?.message), /failed with 404 status/)
+
+  const mailto = await resolve('did:mailto:web.mail:alice')
+  assert.equal(
+    mailto.error?.message,
+    `Unable to resolve 'did:mailto:web.mail:alice' key`
+  )
+})
+
+test('validates did:web issuers', async () => {
+  const issuer = alice.withDID('did:web:alice.com')
+  const { fetch } = serve({
+    'https://alice.com/.well-known/did.json': toDocument(issuer.did(), [
+      { type: 'Ed25519VerificationKey2020', publicKeyMultibase },
+    ]),
+  })
+
+  const invocation = await Echo.invoke({
+    issuer,
+    audience: w3,
+    with: issuer.did(),
+  }).delegate()
+
+  const result = await access(invocation, {
+    authority: w3,
+    capability: Echo,
+    principal: Verifier,
+    resolveDIDKey: Resolver.web({ fetch }),
+    validateAuthorization: () => ({ ok: {} }),
+  })
+
+  assert.equal(result.error, undefined)
+  assert.equal(result.ok?.issuer.did(), issuer.did())
+})
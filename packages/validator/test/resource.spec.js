@@ -0,0 +1,184 @@
+import { test, assert } from './test.js'
+import { access, capability, Schema, Resource } from '../src/lib.js'
+import { Verifier } from '@ucanto/principal'
+import { alice, bob, service as w3 } from './fixtures.js'
+
+/** @type {[pattern:string, uri:string][]} */
+const contained = [
+  ['ucan:*', 'ucan:zAlice'],
+  ['https://api.example/buckets/a', 'https://api.example/buckets/a'],
+  ['https://api.example/buckets/a/', 'https://api.example/buckets/a/b'],
+  ['https://api.example/buckets/a/', 'https://api.example/buckets/a/b/c'],
+  ['https://api.example/', 'https://api.example/buckets'],
+  ['HTTPS://API.example/buckets/', 'https://api.example/buckets/a'],
+  ['https://api.example/buckets/a/**', 'https://api.example/buckets/a'],
+  ['https://api.example/buckets/a/**', 'https://api.example/buckets/a/b/c'],
+  ['https://api.example/buckets/*/logs', 'https://api.example/buckets/a/logs'],
+  [
+    'https://api.example/buckets/photo-*.png',
+    'https://api.example/buckets/photo-1.png',
+  ],
+  ['https://api.example/buckets?v=1', 'https://api.example/buckets?v=1'],
+  ['file:///home/*', 'file:///home/alice'],
+  ['did:*', 'did:key:zAlice'],
+  ['did:key:*', 'did:key:zAlice'],
+  ['did:web:*', 'did:web:example.com:user:alice'],
+  ['did:*:zAlice', 'did:key:zAlice'],
+  ['mailto:*@web.mail', 'mailto:alice@web.mail'],
+]
+
+/** @type {[pattern:string, uri:string, reason:string][]} */
+const escalated = [
+  [
+    'https://api.example/buckets/a/',
+    'https://api.example/buckets/ab',
+    'segment "ab" does not match "a"',
+  ],
+  [
+    'https://api.example/buckets/a/',
+    'https://api.example/buckets/a',
+    'it has no segments nested under it',
+  ],
+  [
+    'https://api.example/buckets/a',
+    'https://api.example/buckets/a/b',
+    'segment "b" is not covered',
+  ],
+  [
+    'https://api.example/buckets/a/b',
+    'https://api.example/buckets',
+    'it has no segment matching "a"',
+  ],
+  [
+    'https://api.example/buckets/a/',
+    'https://evil.example/buckets/a/b',
+    'it is not within https://api.example origin',
+  ],
+  [
+    'https://api.example/buckets/a/',
+    'did:key:zAlice',
+    'it is not within https://api.example origin',
+  ],
+  [
+    'https://api.example/buckets/a/',
+    'https://api.example/buckets/a/../b',
+    'it has dot segments in the path',
+  ],
+  [
+    'https://api.example/buckets/a/**',
+    'https://api.example/buckets/a/%2E%2E/b',
+    'it has dot segments in the path',
+  ],
+  [
+    'https://api.example/buckets?v=1',
+    'https://api.example/buckets?v=2',
+    'query or fragment "?v=2" does not match "?v=1"',
+  ],
+  [
+    'https://api.example/buckets/a/',
+    'https://api.example/buckets/a/?x=1',
+    'query or fragment "?x=1" is not covered',
+  ],
+  [
+    'https://api.example/buckets/a/**',
+    'https://api.example/buckets/a/b#c',
+    'query or fragment "#c" is not covered',
+  ],
+  [
+    'file:///home/*',
+    'file:///home/alice/photo',
+    'segment "photo" is not covered',
+  ],
+  ['did:key:*', 'did:web:example.com', 'segment "web" does not match "key"'],
+  ['did:key:*', 'did:key', 'it has no segments nested under it'],
+  ['did:*', 'mailto:alice@web.mail', 'segment "mailto" does not match "did"'],
+  ['did:key:zAlice', 'did:key:zBob', 'segment "zBob" does not match "zAlice"'],
+  ['did:key:zAlice', 'did:key:zAlice:x', 'segment "x" is not covered'],
+  [
+    'ucan:*',
+    'https://api.example/buckets/a',
+    'segment "https" does not match "ucan"',
+  ],
+  ['ucan:*', 'did:key:zAlice', 'segment "did" does not match "ucan"'],
+  [
+    'mailto:*@web.mail',
+    'mailto:alice@evil.mail',
+    'segment "alice@evil.mail" does not match "*@web.mail"',
+  ],
+]
+
+for (const [pattern, uri] of contained) {
+  test(`${pattern} contains ${uri}`, () => {
+    assert.deepEqual(Resource.contains(pattern, uri), { ok: {} })
+  })
+}
+
+for (const [pattern, uri, reason] of escalated) {
+  test(`${pattern} does not contain ${uri}`, () => {
+    const result = Resource.contains(pattern, uri)
+    assert.equal(
+      result.error?.message,
+      `Resource ${uri} is not contained by ${pattern}: ${reason}`
+    )
+  })
+}
+
+test('capabilities can opt into resource patterns', async () => {
+  const Read = capability({
+    can: 'bucket/read',
+    with: Schema.URI.match({ protocol: 'https:' }),
+    nb: Schema.struct({
+      version: Schema.integer().optional(),
+    }),
+    derives: Resource.derives,
+  })
+
+  const proof = await Read.delegate({
+    issuer: alice,
+    audience: bob,
+    with: 'https://api.example/buckets/a/',
+    nb: { version: 1 },
+  })
+
+  /**
+   * @param {`https://${string}`} uri
+   * @param {number} version
+   */
+  const read = async (uri, version) =>
+    access(
+      await Read.invoke({
+        issuer: bob,
+        audience: w3,
+        with: uri,
+        nb: { version },
+        proofs: [proof],
+      }).delegate(),
+      {
+        authority: w3,
+        capability: Read,
+        principal: Verifier,
+        canIssue: (capability, issuer) =>
+          issuer === alice.did() && capability.with.startsWith('https://'),
+        validateAuthorization: () => ({ ok: {} }),
+      }
+    )
+
+  const ok = await read('https://api.example/buckets/a/b', 1)
+  assert.equal(ok.error, undefined)
+  assert.equal(
+    ok.ok?.proofs[0].capability.with,
+    'https://api.example/buckets/a/'
+  )
+
+  const sibling = await read('https://api.example/buckets/ab', 1)
+  assert.match(
+    String(sibling.error?.message),
+    /Constraint violation: Resource https:\/\/api.example\/buckets\/ab is not contained by https:\/\/api.example\/buckets\/a\/: segment "ab" does not match "a"/
+  )
+
+  const version = await read('https://api.example/buckets/a/b', 2)
+  assert.match(
+    String(version.error?.message),
+    /Constraint violation: version: 2 violates 1/
+  )
+})
@@ -1,9 +1,11 @@
 import { test, assert, matchError } from './test.js'
 import { access, claim, DID, Revoked, Authorization } from '../src/lib.js'
+import { Revocation } from '../src/lib.js'
 import { capability, fail, URI, Link, Schema } from '../src/lib.js'
 import { ed25519, Verifier } from '@ucanto/principal'
 import * as Client from '@ucanto/client'
 import { UCAN } from '@ucanto/core'
+import * as API from '@ucanto/interface'
 
 import { alice, bob, mallory, service } from './fixtures.js'
 const w3 = service.withDID('did:web:web3.storage')
@@ -33,7 +35,10 @@ test('revoked capability does not validate', async () => {
     principal: Verifier,
     validateAuthorization: auth => {
       assert.deepEqual(auth.delegation.cid, invocation.cid)
-      assert.deepEqual([...Authorization.iterate(auth)], [invocation.cid])
+      assert.deepEqual(
+        [...Authorization.iterate(auth)].map(ucan => ucan.cid),
+        [invocation.cid]
+      )
       return { error: new Revoked(auth.delegation) }
     },
   })
@@ -69,7 +74,7 @@ test('revoked proof does not validate', async () => {
       assert.deepEqual(auth.delegation.cid, invocation.cid)
       assert.deepEqual(auth.delegation.proofs, [proof])
       assert.deepEqual(
-        [...Authorization.iterate(auth)],
+        [...Authorization.iterate(auth)].map(ucan => ucan.cid),
         [invocation.cid, proof.cid]
       )
       return { error: new Revoked(proof) }
@@ -80,3 +85,207 @@ test('revoked proof does not validate', async () => {
   assert.equal(result.error?.name, 'Unauthorized')
   assert.match(JSON.stringify(result.error?.invalidProofs), /"name":"Revoked"/)
 })
+
+/**
+ * @param {object} source
+ * @param {API.Signer} source.issuer
+ * @param {API.Delegation} source.ucan
+ * @param {API.RevocationStore} source.store
+ * @param {API.Proof[]} [source.proofs]
+ */
+const revoke = async ({ issuer, ucan, store, proofs = [ucan] }) => {
+  const invocation = await Revocation.capability
+    .invoke({
+      issuer,
+      audience: w3,
+      with: issuer.did(),
+      nb: { ucan: ucan.cid },
+      proofs,
+    })
+    .delegate()
+
+  const authorization = await access(invocation, {
+    authority: w3,
+    capability: Revocation.capability,
+    principal: Verifier,
+    validateAuthorization: () => ({ ok: {} }),
+  })
+  if (authorization.error) {
+    return authorization
+  }
+
+  return Revocation.handler({ store })({
+    capability: authorization.ok.capability,
+    invocation,
+    context: {
+      id: w3,
+      principal: Verifier,
+      validateAuthorization: () => ({ ok: {} }),
+    },
+    signal: new AbortController().signal,
+  })
+}
+
+test('revocation registry', async () => {
+  const store = Revocation.memory()
+  const validateAuthorization = Revocation.validateAuthorization({ store })
+
+  const aliceToBob = await Echo.delegate({
+    issuer: alice,
+    audience: bob,
+    with: alice.did(),
+    expiration,
+  })
+  const bobToMallory = await Echo.delegate({
+    issuer: bob,
+    audience: mallory,
+    with: alice.did(),
+    expiration,
+    proofs: [aliceToBob],
+  })
+
+  const invocation = await Echo.invoke({
+    issuer: mallory,
+    audience: w3,
+    with: alice.did(),
+    nb: { message: 'hello' },
+    proofs: [bobToMallory],
+  }).delegate()
+
+  const options = {
+    authority: w3,
+    capability: Echo,
+    principal: Verifier,
+    validateAuthorization,
+  }
+
+  const before = await access(invocation, options)
+  assert.equal(before.error, undefined)
+
+  // alice is an issuer of the proof of the revoked delegation
+  const revocation = await revoke({ issuer: alice, ucan: bobToMallory, store })
+  assert.deepEqual(revocation, { ok: {} })
+  assert.equal(await store.has(bobToMallory.cid), true)
+  assert.equal(await store.has(aliceToBob.cid), false)
+
+  const after = await access(invocation, options)
+  assert.equal(after.error?.name, 'Unauthorized')
+  assert.match(
+    String(after.error),
+    new RegExp(`Proof ${bobToMallory.cid} has been revoked`)
+  )
+})
+
+test('only issuers in the chain can revoke', async () => {
+  const store = Revocation.memory()
+  const aliceToBob = await Echo.delegate({
+    issuer: alice,
+    audience: bob,
+    with: alice.did(),
+    expiration,
+  })
+  const bobToAlice = await Echo.delegate({
+    issuer: bob,
+    audience: alice,
+    with: alice.did(),
+    expiration,
+    proofs: [aliceToBob.cid],
+  })
+
+  const result = await revoke({ issuer: mallory, ucan: aliceToBob, store })
+  assert.containSubset(result, {
+    error: {
+      name: 'UnauthorizedRevocation',
+      revoker: mallory.did(),
+      message: `${mallory.did()} can not revoke ${
+        aliceToBob.cid
+      } because it is not an issuer of it or any of its proofs`,
+    },
+  })
+
+  // linked proofs are not considered
+  const linked = await revoke({ issuer: mallory, ucan: bobToAlice, store })
+  assert.equal(linked.error?.name, 'UnauthorizedRevocation')
+  assert.match(JSON.stringify(linked.error), /"revoker":"did:key:/)
+
+  assert.equal(await store.has(aliceToBob.cid), false)
+  assert.equal(await store.has(bobToAlice.cid), false)
+})
+
+test('revoked UCAN must be included', async () => {
+  const store = Revocation.memory()
+  const ucan = await Echo.delegate({
+    issuer: alice,
+    audience: bob,
+    with: alice.did(),
+    expiration,
+  })
+
+  const result = await revoke({ issuer: alice, ucan, store, proofs: [] })
+  assert.containSubset(result, {
+    error: {
+      name: 'UCANNotFound',
+      message: `UCAN ${ucan.cid} is not included with the invocation`,
+    },
+  })
+})
+
+test('ucan/revoke can be delegated', async () => {
+  const ucan = await Echo.delegate({
+    issuer: alice,
+    audience: bob,
+    with: alice.did(),
+    expiration,
+  })
+  const other = await Echo.delegate({
+    issuer: alice,
+    audience: mallory,
+    with: alice.did(),
+    expiration,
+  })
+
+  const proof = await Revocation.capability.delegate({
+    issuer: alice,
+    audience: bob,
+    with: alice.did(),
+    nb: { ucan: ucan.cid },
+    expiration,
+  })
+
+  /**
+   * @param {API.Delegation} ucan
+   * @param {API.DID} [resource]
+   */
+  const revoke = async (ucan, resource = alice.did()) =>
+    access(
+      await Revocation.capability
+        .invoke({
+          issuer: bob,
+          audience: w3,
+          with: resource,
+          nb: { ucan: ucan.cid },
+          proofs: [proof, ucan],
+        })
+        .delegate(),
+      {
+        authority: w3,
+        capability: Revocation.capability,
+        principal: Verifier,
+        validateAuthorization: () => ({ ok: {} }),
+      }
+    )
+
+  const result = await revoke(ucan)
+  assert.equal(result.error, undefined)
+
+  matchError(
+    await revoke(other),
+    new RegExp(`UCAN ${other.cid} violates imposed ${ucan.cid} constraint`)
+  )
+  matchError(
+    await revoke(ucan, mallory.did()),
+    new RegExp(
+      `Expected 'with: "${alice.did()}"' instead got '${mallory.did()}'`
+    )
+  )
+})
@@ -78,6 +78,53 @@ test('validate mailto', async () => {
   })
 })
 
+test('session attestations use delegation lifetime policy', async () => {
+  const now = Math.floor(Date.now() / 1000)
+  const agent = alice
+  const account = Absentee.from({ id: 'did:mailto:web.mail:alice' })
+
+  const proof = await Delegation.delegate({
+    issuer: account,
+    audience: agent,
+    capabilities: [echo.create({ with: account.did(), nb: {} })],
+    expiration: now + 3600,
+  })
+
+  const session = await attest.delegate({
+    issuer: w3,
+    audience: agent,
+    with: w3.did(),
+    nb: { proof: proof.cid },
+    expiration: now + 3600,
+  })
+
+  const task = echo.invoke({
+    issuer: agent,
+    audience: w3,
+    with: account.did(),
+    nb: { message: 'hello world' },
+    proofs: [proof, session],
+    expiration: now + 30,
+  })
+
+  const result = await access(await task.delegate(), {
+    authority: w3,
+    capability: echo,
+    principal: Verifier,
+    validateAuthorization: () => ({ ok: {} }),
+    clock: () => now,
+    maxLifetime: {
+      invocation: { '*': 60 },
+      delegation: { '*': 86400 },
+    },
+  })
+
+  assert.equal(result.error, undefined)
+  assert.containSubset(result, {
+    ok: { match: { value: { can: 'debug/echo', with: account.did() } } },
+  })
+})
+
 test('delegated ucan/attest', async () => {
   const account = Absentee.from({ id: 'did:mailto:web.mail:alice' })
   const agent = alice
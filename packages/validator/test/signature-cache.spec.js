@@ -0,0 +1,181 @@
+import { test, assert } from './test.js'
+import {
+  access,
+  claim,
+  capability,
+  Schema,
+  SignatureCache,
+} from '../src/lib.js'
+import { Verifier } from '@ucanto/principal'
+import { UCAN } from '@ucanto/core'
+import * as API from '@ucanto/interface'
+import { alice, bob, service as w3 } from './fixtures.js'
+
+const Echo = capability({
+  can: 'debug/echo',
+  with: Schema.did(),
+  nb: Schema.struct({
+    message: Schema.string().optional(),
+  }),
+})
+
+/**
+ * Principal parser that counts signature verifications.
+ */
+const counter = () => {
+  const verified = /** @type {string[]} */ ([])
+  const principal = {
+    /**
+     * @param {API.DID} did
+     */
+    parse: did => {
+      const verifier = Verifier.parse(did)
+      /** @type {API.Verifier} */
+      const counting = {
+        did: () => verifier.did(),
+        toDIDKey: () => verifier.toDIDKey(),
+        withDID: id => verifier.withDID(id),
+        verify: (payload, signature) => {
+          verified.push(did)
+          return verifier.verify(payload, signature)
+        },
+      }
+      return counting
+    },
+  }
+  return { principal, verified }
+}
+
+test('caches verified signatures across validations', async () => {
+  const { principal, verified } = counter()
+  const signatureCache = SignatureCache.memory()
+  const proof = await Echo.delegate({
+    issuer: alice,
+    audience: bob,
+    with: alice.did(),
+    expiration: UCAN.now() + 60,
+  })
+
+  for (const message of ['hello', 'world']) {
+    const invocation = await Echo.invoke({
+      issuer: bob,
+      audience: w3,
+      with: alice.did(),
+      nb: { message },
+      proofs: [proof],
+    }).delegate()
+
+    const result = await access(invocation, {
+      authority: w3,
+      capability: Echo,
+      principal,
+      validateAuthorization: () => ({ ok: {} }),
+      signatureCache,
+    })
+    assert.equal(result.error, undefined)
+  }
+
+  // Invocations are verified each time, while proof is verified only once.
+  assert.deepEqual(verified, [bob.did(), alice.did(), bob.did()])
+})
+
+test('does not cache invalid signatures', async () => {
+  const { principal } = counter()
+  /** @type {string[]} */
+  const added = []
+  const memory = SignatureCache.memory()
+  /** @type {API.SignatureCache} */
+  const signatureCache = {
+    has: (key, now) => memory.has(key, now),
+    add: (key, expiration) => {
+      added.push(key)
+      return memory.add(key, expiration)
+    },
+  }
+
+  const delegation = await Echo.delegate({
+    issuer: alice.withDID('did:web:web3.storage'),
+    audience: bob,
+    with: alice.did(),
+  })
+
+  for (const attempt of [1, 2]) {
+    const result = await claim(Echo, [delegation], {
+      authority: bob.withDID('did:web:web3.storage'),
+      principal,
+      validateAuthorization: () => ({ ok: {} }),
+      signatureCache,
+    })
+    assert.equal(result.error?.name, 'Unauthorized', `attempt ${attempt}`)
+  }
+
+  assert.deepEqual(added, [])
+})
+
+test('memory cache expires and evicts records', async () => {
+  const cache = SignatureCache.memory({ capacity: 2 })
+  const now = UCAN.now()
+
+  await cache.add('expired', now - 1)
+  assert.equal(await cache.has('expired', now), false)
+  assert.equal(
+    await cache.has('expired', now - 2),
+    false,
+    'expired record is dropped'
+  )
+  assert.equal(await cache.has('missing', now), false)
+
+  await cache.add('a', now + 60)
+  await cache.add('b', now + 60)
+  // touch `a` so that `b` is evicted first
+  assert.equal(await cache.has('a', now), true)
+  await cache.add('c', Infinity)
+
+  assert.equal(await cache.has('a', now), true)
+  assert.equal(await cache.has('b', now), false)
+  assert.equal(await cache.has('c', now), true)
+})
+
+test('cache records expire according to the validator clock', async () => {
+  const { principal, verified } = counter()
+  const signatureCache = SignatureCache.memory()
+  const now = UCAN.now()
+  const proof = await Echo.delegate({
+    issuer: alice,
+    audience: bob,
+    with: alice.did(),
+    expiration: now + 60,
+  })
+
+  /**
+   * @param {string} message
+   * @param {Partial<API.ValidationOptions>} options
+   */
+  const validate = async (message, options) => {
+    const invocation = await Echo.invoke({
+      issuer: bob,
+      audience: w3,
+      with: alice.did(),
+      nb: { message },
+      expiration: now + 600,
+      proofs: [proof],
+    }).delegate()
+
+    const result = await access(invocation, {
+      authority: w3,
+      capability: Echo,
+      principal,
+      validateAuthorization: () => ({ ok: {} }),
+      signatureCache,
+      ...options,
+    })
+    assert.equal(result.error, undefined)
+  }
+
+  await validate('hello', { clock: () => now })
+  // Clock skew keeps the proof valid, yet its cached signature has expired
+  // according to the validator clock, so it is verified again.
+  await validate('world', { clock: () => now + 90, clockSkew: 60 })
+
+  assert.deepEqual(verified, [bob.did(), alice.did(), bob.did(), alice.did()])
+})